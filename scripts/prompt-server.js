@@ -0,0 +1,75 @@
+// ------------------------------
+// Local prompt server
+// ------------------------------
+// A stand-in for the writing-prompt Edge Function, for development and tests:
+//
+//   npm run prompt-server
+//   VITE_PROMPT_PROXY_URL=http://localhost:8787 npm run dev
+//
+// It runs the same handler as the Edge Function with an in-memory store, and
+// accepts any bearer token, taking the user id from a Supabase JWT when it is
+// one. With LLM_BASE_URL set (and LLM_API_KEY, LLM_MODELS if needed) it asks
+// that OpenAI-compatible server for prompts; otherwise it answers from the
+// built-in bank without any provider at all. PORT, PROMPT_LIMIT_PER_HOUR,
+// PROMPT_LIMIT_PER_DAY and ALLOWED_ORIGIN (the dev server's origin by
+// default) are read too.
+
+import http from "node:http";
+import { DEFAULT_LIMITS, corsHeaders, createPromptHandler, memoryStore, openAiCompletion } from "../supabase/functions/_shared/promptProxy.js";
+import { PROMPT_BANK } from "../src/lib/prompts.js";
+
+const env = process.env;
+const port = Number(env.PORT) || 8787;
+const allowedOrigins = (env.ALLOWED_ORIGIN || "http://localhost:5173").split(",").map(o => o.trim()).filter(Boolean);
+
+function userFromToken(token){
+  try {
+    const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+    return payload.sub || "local";
+  } catch {
+    return "local";
+  }
+}
+
+// Canned completions: a bank prompt missing from the "Don't repeat" list.
+async function bankCompletion({ messages }){
+  const asked = messages.map(m => m.content).join("\n");
+  const all = Object.values(PROMPT_BANK).flatMap(c => c.prompts);
+  const fresh = all.filter(p => !asked.includes(p));
+  const pool = fresh.length ? fresh : all;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+const handler = createPromptHandler({
+  async authenticate(token){ return userFromToken(token); },
+  complete: env.LLM_BASE_URL ? openAiCompletion({ baseUrl: env.LLM_BASE_URL, apiKey: env.LLM_API_KEY }) : bankCompletion,
+  models: (env.LLM_MODELS || "gpt-5").split(",").map(m => m.trim()).filter(Boolean),
+  limits: {
+    perHour: Number(env.PROMPT_LIMIT_PER_HOUR) || DEFAULT_LIMITS.perHour,
+    perDay: Number(env.PROMPT_LIMIT_PER_DAY) || DEFAULT_LIMITS.perDay,
+  },
+  allowedOrigins,
+  store: memoryStore(),
+});
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const response = await handler(new Request(`http://localhost:${port}${req.url}`, {
+      method: req.method,
+      headers: req.headers,
+      body: chunks.length ? Buffer.concat(chunks) : undefined,
+    }));
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  } catch (err) {
+    console.error("prompt server error:", err);
+    res.writeHead(500, { ...corsHeaders(req.headers.origin, allowedOrigins), "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Something went wrong." }));
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Prompt server on http://localhost:${port} (${env.LLM_BASE_URL ? `model provider ${env.LLM_BASE_URL}` : "prompt bank"})`);
+});
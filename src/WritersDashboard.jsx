@@ -1,230 +1,278 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState, useSyncExternalStore } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
-import { Input } from "@/components/ui/input";
-import { Textarea } from "@/components/ui/textarea";
 import { Badge } from "@/components/ui/badge";
-import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Progress } from "@/components/ui/progress";
-import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
+import { TooltipProvider } from "@/components/ui/tooltip";
 import { Toaster } from "@/components/ui/sonner";
 import { toast } from "sonner";
-import { Plus, Play, Pause, StopCircle, Target, Calendar, TimerReset, Trash2, Wand2, Tag, Search, NotebookPen, Lightbulb, Rocket, BarChart3, ListTodo, Save, UploadCloud, Download, ChevronRight, Edit2 } from "lucide-react";
-import { LineChart, Line, ResponsiveContainer, XAxis, YAxis, Tooltip as RTooltip, CartesianGrid, BarChart, Bar } from "recharts";
+import { Play, Pause, StopCircle, Target, Calendar, TimerReset, NotebookPen, Lightbulb, Rocket, BarChart3, Download, UploadCloud, SkipForward, Snowflake } from "lucide-react";
+import { ResponsiveContainer, XAxis, YAxis, Tooltip as RTooltip, CartesianGrid, BarChart, Bar, Legend } from "recharts";
 import { supabase } from "./lib/supabase";
-
+import { createTablesRemote, migrateLegacyState } from "./lib/cloudTables";
+import { parseImport, toExport } from "./lib/schema";
+import { createStorage, isQuotaError } from "./lib/storage";
+import { historySettings, recordRevision } from "./lib/revisions";
+import { clearAutosave } from "./lib/autosave";
+import { documentTree, flattenTree } from "./lib/documents";
+import { countRules } from "./lib/wordCount";
+import { PHASE_LABELS, cyclePosition, phaseEndNotice } from "./lib/timer";
+import { GOAL_METRICS, sessionWords } from "./lib/sessions";
+import { PACE_BADGES, PACE_LABELS, paceSummary, rankByRisk } from "./lib/pacing";
+import { WEEKDAYS, dayStartHour, formatDay } from "./lib/dates";
+import { createStore } from "./lib/store";
+import { selectGoalStats, selectProjectStats, selectRecentDays, selectToday, selectTotals } from "./lib/selectors";
+import { persistLocally, syncToCloud } from "./lib/persistence";
+import { toastUndo } from "./lib/undoToast";
+import { StoreProvider, useStore, useStoreState } from "@/hooks/useStore";
+import { useFocusTimer } from "@/hooks/useFocusTimer";
+import ProjectDraftDialog from "./components/ProjectDraftDialog";
+import TimerSettingsDialog from "./components/TimerSettingsDialog";
+import GoalPlanDialog from "./components/GoalPlanDialog";
+import AnalyticsView from "./components/AnalyticsView";
+import SessionLog from "./components/SessionLog";
+import SpreadsheetDialog from "./components/SpreadsheetDialog";
+import IdeaList from "./components/IdeaList";
+import PromptBox from "./components/PromptBox";
+import ArchivedProjectsDialog from "./components/ArchivedProjectsDialog";
+import NewProjectDialog from "./components/NewProjectDialog";
+import ProjectCard from "./components/ProjectCard";
+import ImportPreviewDialog from "./components/ImportPreviewDialog";
+import SyncStatusBadge from "./components/SyncStatusBadge";
+import SyncConflictsDialog from "./components/SyncConflictsDialog";
+import LogSessionDialog from "./components/LogSessionDialog";
+import IdeaCapture from "./components/IdeaCapture";
 
 // ------------------------------
 // Types
 // ------------------------------
-function uid() { return Math.random().toString(36).slice(2); }
-
-/** @typedef {{ id: string, title: string, description?: string, targetWords: number, deadline?: string, status: 'Drafting'|'Editing'|'Complete', createdAt: string, archived?: boolean, draft?: string, lastWordCount?: number, lastWordDate?: string }} Project */
-/** @typedef {{ id: string, projectId?: string, date: string, minutes: number, words: number, notes?: string }} Session */
-/** @typedef {{ id: string, text: string, tags: string[], projectId?: string, createdAt: string, pinned?: boolean }} Idea */
+/** @typedef {{ id: string, title: string, description?: string, targetWords: number, deadline?: string, status: 'Drafting'|'Editing'|'Complete', createdAt: string, updatedAt?: string, archived?: boolean, archivedAt?: string }} Project */
+/** @typedef {import("./lib/documents").Doc} Doc */
+/** @typedef {{ id: string, projectId?: string, documentId?: string, date: string, timeZone?: string, loggedAt?: string, minutes: number, words: number, added?: number, removed?: number, notes?: string, updatedAt?: string }} Session */
+/** @typedef {{ id: string, text: string, tags: string[], projectId?: string, createdAt: string, updatedAt?: string, pinned?: boolean }} Idea */
+/** @typedef {{ dailyGoal: number, goalMetric?: import("./lib/sessions").GoalMetric, goals?: import("./lib/goals").GoalSettings, restDays?: number[], dayStartHour?: number, updatedAt?: string }} Settings */
 
 // ------------------------------
 // Persistence
 // ------------------------------
-const STORE_KEY = "writers_dashboard_v1";
-function loadStore() {
-  try { return JSON.parse(localStorage.getItem(STORE_KEY) || "{}"); }
-  catch { return {}; }
-}
-function saveStore(data) { localStorage.setItem(STORE_KEY, JSON.stringify(data)); }
+// IndexedDB (falling back to localStorage); see lib/storage.
+const storage = createStorage();
 
 // ------------------------------
 // Helpers
 // ------------------------------
-function fmtDate(d){ return new Date(d).toLocaleDateString(undefined,{ month:"short", day:"numeric" }); }
-function daysAgo(n){ const d=new Date(); d.setDate(d.getDate()-n); return d; }
-function clamp(n,min,max){ return Math.max(min, Math.min(max,n)); }
+function storageNote(status){
+  if (!status) return "Your data is stored locally in your browser. Export regularly if you need backups.";
+  switch (status.state) {
+    case "offline": return `You're offline. ${status.pending ? `${status.pending} change${status.pending===1?"":"s"} are` : "Changes are"} saved in this browser and will sync when you reconnect.`;
+    case "error": return `Cloud sync is failing (${status.error}). Changes are kept in this browser and retried automatically.`;
+    case "pending": case "syncing": return status.pending ? `Saving ${status.pending} change${status.pending===1?"":"s"} to your account…` : "Syncing with your account…";
+    default: return `Synced to your account${status.lastSyncedAt ? ` at ${new Date(status.lastSyncedAt).toLocaleTimeString()}` : ""}. A copy is also kept in this browser.`;
+  }
+}
 function sum(arr,sel=(x)=>x){ return arr.reduce((a,b)=>a+sel(b),0); }
+const GOAL_TITLES = { daily: "Daily Goal", weekdays: "Today’s Goal", weekly: "Weekly Goal", monthly: "Monthly Goal" };
 
 // ------------------------------
 // Main App
 // ------------------------------
 export default function WritersDashboard({ userId }) {
-  const initial = useMemo(()=>{
-    const d = loadStore();
-    return /** @type {{projects: Project[], sessions: Session[], ideas: Idea[], dailyGoal: number}} */ ({
-      projects: d.projects || [],
-      sessions: d.sessions || [],
-      ideas: d.ideas || [],
-      dailyGoal: d.dailyGoal || 500,
-    });
-  },[]);
-
-  const [projects, setProjects] = useState(initial.projects);
-  const [sessions, setSessions] = useState(initial.sessions);
-  const [ideas, setIdeas] = useState(initial.ideas);
-  const [dailyGoal, setDailyGoal] = useState(initial.dailyGoal);
-  const [dailyGoalText, setDailyGoalText] = useState(String(initial.dailyGoal));
-
-  // Load from Supabase when a user signs in
+  const [store, setStore] = useState(null);
+  const [loadError, setLoadError] = useState(null);
   useEffect(() => {
-    if (!userId) return;
+    let live = true;
+    storage.load()
+      .then(d => { if (live) setStore(createStore(d)); })
+      .catch(err => { console.error("store load error:", err); if (live) setLoadError(err.message || String(err)); });
+    return () => { live = false; };
+  }, []);
+
+  if (loadError) return <div className="p-8 text-sm text-red-600">Couldn’t open your saved data: {loadError}</div>;
+  if (!store) return <div className="p-8 text-sm text-zinc-500">Loading…</div>;
+  return <StoreProvider store={store}><Dashboard userId={userId} /></StoreProvider>;
+}
 
-    (async () => {
-      const { data, error } = await supabase
-        .from("app_state")
-        .select("data")
-        .eq("user_id", userId)
-        .single();
-
-      // Ignore "no rows" error; anything else log it
-      if (error && error.code !== "PGRST116") {
-        console.error("cloud load error:", error);
-        return;
-      }
-
-      const cloud = data?.data;
-      if (cloud && typeof cloud === "object") {
-        setProjects(cloud.projects || []);
-        setSessions(cloud.sessions || []);
-        setIdeas(cloud.ideas || []);
-        setDailyGoal(cloud.dailyGoal || 500);
-      } else {
-        // optional: create an empty row for this user so future saves are updates
-        await supabase.from("app_state").upsert({
-          user_id: userId,
-          data: { projects: [], sessions: [], ideas: [], dailyGoal: 500 },
-          updated_at: new Date().toISOString(),
-        });
-      }
-    })();
-  }, [userId]);
-
-
-  useEffect(()=>{ saveStore({ projects, sessions, ideas, dailyGoal }); },[projects,sessions,ideas,dailyGoal]);
-
-  // --- cloud save effect ---
+/** @param {{ userId?: string }} props */
+function Dashboard({ userId }) {
+  const store = useStore();
+  const actions = store.actions;
+  /** @type {{ projects: Project[], sessions: Session[], ideas: Idea[], documents: Doc[], settings: Settings, conflicts: import("./lib/sync").Conflict[] }} */
+  const { projects, sessions, ideas, documents, settings, conflicts } = useStoreState();
+
+  const updateSettings = actions.updateSettings;
+  const wordRules = useMemo(()=>countRules(settings), [settings]);
+
+  const [storageError, setStorageError] = useState(null);
+  useEffect(()=>persistLocally(store, storage, {
+    onSaved: ()=>setStorageError(null),
+    onError: (err)=>{
+      console.error("local save error:", err);
+      const quota = isQuotaError(err);
+      setStorageError(quota ? "Browser storage is full." : (err.message || String(err)));
+      toast.error(quota
+        ? "Browser storage is full — your latest changes aren’t saved on this device. Export a backup and free up space."
+        : "Couldn’t save your changes on this device.", { id: "storage-error", duration: Infinity });
+    },
+  }), [store]);
+
+  // --- cloud sync, against the per-user tables ---
+  const [outbox, setOutbox] = useState(null);
   useEffect(() => {
-    if (!userId) return; // only sync if logged in
-
-    const payload = { projects, sessions, ideas, dailyGoal };
-
-    (async () => {
-      const { error } = await supabase
-        .from("app_state")
-        .upsert({
-          user_id: userId,
-          data: payload,
-          updated_at: new Date().toISOString(),
-        });
-
-      if (error) {
-        console.error("cloud save error:", error);
-      }
-    })();
-  }, [projects, sessions, ideas, dailyGoal, userId]);
+    if (!userId) return;
+    const ob = syncToCloud(store, {
+      remote: createTablesRemote(supabase, userId),
+      baseStore: storage.baseStore(userId),
+      migrateLegacy: (state)=>migrateLegacyState(supabase, userId, state),
+      storageKey: `writers_dashboard_outbox_v1:${userId}`,
+      onMigrated: (result)=>toast(`Moved ${result.projects} projects, ${result.sessions} sessions and ${result.ideas} ideas to your account`),
+      onConflicts: (found)=>toast(`${found.length} sync conflict${found.length===1?"":"s"} need your attention`),
+    });
+    setOutbox(ob);
+    return () => { ob.dispose(); setOutbox(null); };
+  }, [store, userId]);
 
+  const subscribeSync = useCallback((fn) => outbox ? outbox.subscribe(fn) : () => {}, [outbox]);
+  const syncStatus = useSyncExternalStore(subscribeSync, () => outbox?.getStatus() ?? null);
 
   // Derived stats
-  const today = new Date().toISOString().slice(0,10);
-  const todaysWords = useMemo(() => sum(sessions.filter(s => s.date === today), s => s.words), [sessions, today]);
-  const streak = useMemo(()=>{
-    let s=0; for(let i=0;i<365;i++){ const d = daysAgo(i).toISOString().slice(0,10); const w = sum(sessions.filter(x=>x.date===d), x=>x.words); if(w>0){ s++; } else break; }
-    return s;
-  },[sessions]);
-
-  const wordsLast14 = useMemo(()=>{
-    const arr=[]; for(let i=13;i>=0;i--){ const d=daysAgo(i); const key=d.toISOString().slice(0,10); const w=sum(sessions.filter(x=>x.date===key), x=>x.words); arr.push({date: fmtDate(d), words:w}); }
-    return arr;
-  },[sessions]);
-
-  const totalWords = useMemo(()=> sum(sessions, s=>s.words), [sessions]);
-  const wph = useMemo(()=>{
-    const mins = sum(sessions, s=>s.minutes) || 1; return Math.round((totalWords/mins)*60);
-  },[sessions,totalWords]);
+  const dayStart = dayStartHour(settings);
+  const today = selectToday(settings);
+  const { metric, goals, todaysWords, progress, progressPct, streak } = useMemo(() => selectGoalStats({ sessions, settings }, today), [sessions, settings, today]);
+  const wordsLast14 = useMemo(() => selectRecentDays(sessions, today, 14), [sessions, today]);
+  const rest = goals.rest;
+  const projectStats = useMemo(() => selectProjectStats({ projects, sessions, documents, settings }, today), [projects, sessions, documents, settings, today]);
+  const atRisk = useMemo(() => rankByRisk(projectStats), [projectStats]);
+  const { wph } = useMemo(() => selectTotals(sessions), [sessions]);
 
   // ------------------------------
-  // CRUD Actions
+  // Actions
   // ------------------------------
-  function addProject(p){
-    setProjects(prev=>[...prev, { ...p, id: uid(), createdAt: new Date().toISOString(), status: "Drafting" }]);
-    toast("Project created");
+  function addProject(p, imported){
+    const id = actions.addProject(p);
+    if (imported) importManuscript(id, imported.plan, imported.options);
+    else toast("Project created");
+  }
+  function archiveProject(id){ toastUndo("Project archived", actions.archiveProject(id).undo); }
+  function restoreProject(id){ actions.restoreProject(id); toast("Project restored"); }
+  function removeProject(id, mode, targetId){
+    const docIds = documents.filter(d=>d.projectId===id).map(d=>d.id);
+    const removed = actions.removeProject(id, mode, targetId);
+    if (!removed) return;
+    toastUndo(`Deleted “${removed.project.title}”`, removed.undo, ()=>{
+      docIds.forEach(d=>clearAutosave(d));
+      storage.revisions.removeForProject(id).catch(err=>console.error("history cleanup error:", err));
+    });
+  }
+  function relinkOrphans(targetId){
+    const moved = actions.relinkOrphans(targetId);
+    const what = [["session", moved.sessions], ["idea", moved.ideas]].filter(([,n])=>n).map(([w,n])=>`${n} ${w}${n===1?"":"s"}`).join(" and ");
+    toastUndo(`${targetId ? "Moved" : "Detached"} ${what}`, moved.undo);
   }
-  function updateProject(id, patch){ setProjects(prev=>prev.map(p=>p.id===id?{...p,...patch}:p)); }
-  function removeProject(id){ setProjects(prev=>prev.filter(p=>p.id!==id)); toast("Project deleted"); }
 
-  function logSession(s){ setSessions(prev=>[...prev, { ...s, id: uid() }]); toast("Session logged"); }
-  function deleteSession(id){ setSessions(prev=>prev.filter(s=>s.id!==id)); }
+  function removeDocument(id){
+    const { ids, undo } = actions.removeDocument(id);
+    toastUndo(ids.length > 1 ? `Deleted ${ids.length} documents` : "Document deleted", undo,
+      ()=>{
+        for (const d of ids) {
+          clearAutosave(d);
+          storage.revisions.removeForDocument(d).catch(err=>console.error("history cleanup error:", err));
+        }
+      });
+  }
+  function importManuscript(projectId, plan, { backfill = false } = {}){
+    const added = actions.importManuscript(projectId, plan, { backfill, rules: wordRules, today, dayStart });
+    for (const d of added.documents) {
+      if (!d.text.trim()) continue;
+      recordRevision(storage.revisions, { projectId, documentId: d.id, text: d.text, kind: "import" }, historySettings(settings), wordRules)
+        .catch(err=>console.error("history save error:", err));
+    }
+    const past = added.sessions.length;
+    toast(`Imported ${plan.words.toLocaleString()} words into ${added.documents.length} document${added.documents.length===1?"":"s"}${past ? ` and logged ${past} past session${past===1?"":"s"}` : ""}`);
+  }
 
-  function addIdea(i){ setIdeas(prev=>[{...i,id:uid(),createdAt:new Date().toISOString()},...prev]); }
-  function updateIdea(id,patch){ setIdeas(prev=>prev.map(i=>i.id===id?{...i,...patch}:i)); }
-  function deleteIdea(id){ setIdeas(prev=>prev.filter(i=>i.id!==id)); }
+  function logSession(s){ actions.logSession(s); toast("Session logged"); }
+  function deleteSessions(ids){
+    const { count, undo } = actions.deleteSessions(ids);
+    toastUndo(count > 1 ? `Deleted ${count} sessions` : "Session deleted", undo);
+  }
+  function importCsv(plan, options){
+    const added = actions.importCsv(plan, options);
+    toast(`Imported ${added.sessions.length} session${added.sessions.length===1?"":"s"}${added.projects.length ? ` and created ${added.projects.length} project${added.projects.length===1?"":"s"}` : ""}`);
+  }
+
+  function deleteIdea(id){
+    const removed = actions.deleteIdea(id);
+    if (removed) toastUndo("Idea deleted", removed.undo);
+  }
+  function promoteIdea(id){ if (actions.promoteIdea(id)) toast("Project created from idea"); }
+  function savePromptAsIdea(text, tags){ actions.addIdea({ text, tags }); toast("Prompt saved as an idea"); }
+  function startProjectFromPrompt(text){ actions.addProjectFromText(text); toast("Project created from prompt"); }
 
   // Export/Import JSON
   function exportJSON(){
-    const blob = new Blob([JSON.stringify({projects,sessions,ideas,dailyGoal}, null, 2)], {type: 'application/json'});
+    const blob = new Blob([JSON.stringify(toExport({projects,sessions,ideas,documents,settings}), null, 2)], {type: 'application/json'});
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href=url; a.download='writers-dashboard-data.json'; a.click(); URL.revokeObjectURL(url);
   }
+  const [pendingImport, setPendingImport] = useState(null);
   function importJSON(file){
     const reader = new FileReader();
-    reader.onload = (e)=>{
-      try{
-        const d = JSON.parse(e.target.result);
-        setProjects(d.projects||[]); setSessions(d.sessions||[]); setIdeas(d.ideas||[]); setDailyGoal(d.dailyGoal||500);
-        toast("Data imported");
-      }catch{ toast("Invalid file"); }
-    };
+    reader.onload = (e)=> setPendingImport({ fileName: file.name, ...parseImport(String(e.target.result)) });
+    reader.onerror = ()=> toast("Couldn’t read file");
     reader.readAsText(file);
   }
+  function applyImport(plan, data){
+    actions.applyImport(plan, data);
+    setPendingImport(null);
+    toast("Data imported");
+  }
 
   // ------------------------------
-  // Timer (Pomodoro / free timer)
+  // Timer (Pomodoro / free write)
   // ------------------------------
-  const [timerRunning, setTimerRunning] = useState(false);
-  const [timerSeconds, setTimerSeconds] = useState(25*60);
-  const [customMins, setCustomMins] = useState(25);
-  const startSecondsRef = useRef(25*60);
   const [selectedProjectId, setSelectedProjectId] = useState("");
-  const [draftProjectId, setDraftProjectId] = useState("");
-  const [autoOpenLog, setAutoOpenLog] = useState(false);
-  const intervalRef = useRef(null);
-  const [customMinsText, setCustomMinsText] = useState(String(customMins));
-  useEffect(() => { setCustomMinsText(String(customMins)); }, [customMins]);
+  const [draft, setDraft] = useState(/** @type {{ projectId: string, documentId: string }|null} */ (null));
+  const [autoOpenLog, setAutoOpenLog] = useState(true);
+  const [logPrompt, setLogPrompt] = useState(false);
+  const focus = useFocusTimer({
+    settings,
+    onSettingsChange: updateSettings,
+    onPhaseEnd: (ended)=>{
+      const notice = phaseEndNotice(ended, { editorOpen: !!draft, autoOpenLog });
+      if (notice.openLog) setLogPrompt(true);
+      toast(notice.message);
+    },
+  });
+  const { timer, config: timerConfig, clock } = focus;
+
+  function saveRevision(documentId, text, kind){
+    const doc = documents.find(d=>d.id===documentId);
+    if (!doc) return;
+    recordRevision(storage.revisions, { projectId: doc.projectId, documentId, text, kind, previousText: doc.text || "" }, historySettings(settings), wordRules)
+      .catch(err=>{ console.error("history save error:", err); toast("Couldn’t save this revision to history"); });
+  }
 
+  /** Opens the draft editor on a project's first writable document, creating one if it has none. */
+  function openDraft(projectId){
+    const rows = flattenTree(documentTree(documents, projectId));
+    const first = rows.find(r=>r.doc.kind!=="part") || rows[0];
+    setDraft({ projectId, documentId: first ? first.doc.id : actions.addDocument({ projectId, kind: "chapter" }) });
+  }
 
-  useEffect(()=>{
-    if(timerRunning){
-      intervalRef.current = setInterval(()=> setTimerSeconds(s=>s-1), 1000);
-    }
-    return ()=>{ if(intervalRef.current) clearInterval(intervalRef.current); };
-  },[timerRunning]);
-
-  useEffect(()=>{
-    if(timerSeconds<=0){ setTimerRunning(false); setTimerSeconds(0); setAutoOpenLog(true); toast("Timer complete — log your session"); }
-  },[timerSeconds]);
-
-  function resetTimer(mins=25){ setTimerRunning(false);startSecondsRef.current = mins*60; setTimerSeconds(mins*60); }
-
-  const minutes = Math.floor(timerSeconds/60).toString().padStart(2,'0');
-  const seconds = Math.floor(timerSeconds%60).toString().padStart(2,'0');
-
-  function handleDraftSave(text){
-    const wordsTotal = text.trim() ? text.trim().split(/\s+/).length : 0;
-    const project = projects.find(p=>p.id===draftProjectId);
-    const prevWords = project?.lastWordCount || 0;
-    const addedWords = Math.max(0, wordsTotal - prevWords);
-    const minutesElapsed = Math.max(1, Math.round((startSecondsRef.current - timerSeconds)/60));
-    updateProject(draftProjectId, { draft: text, lastWordCount: wordsTotal, lastWordDate: today });
-    if(addedWords>0 || minutesElapsed>0){
-      logSession({ projectId: draftProjectId, date: today, minutes: minutesElapsed, words: addedWords });
-    }
-    setTimerRunning(false);
-    setDraftProjectId("");
+  function handleDraftSave(documentId, text, { close = false } = {}){
+    if (!documents.some(d=>d.id===documentId)) return;
+    saveRevision(documentId, text, "save");
+    const minutes = focus.takeDraftTime({ close });
+    if (actions.saveDraft(documentId, text, { rules: wordRules, today, minutes })) toast("Session logged");
   }
 
   function handleDraftClose(){
-    setTimerRunning(false);
-    setDraftProjectId("");
+    focus.pause();
+    setDraft(null);
   }
 
   // ------------------------------
@@ -241,36 +289,67 @@ export default function WritersDashboard({ userId }) {
             <p className="text-sm text-zinc-600">Track words, log sessions, capture ideas, and keep your streak alive.</p>
           </div>
           <div className="flex flex-wrap gap-2">
+            {syncStatus && <SyncStatusBadge status={syncStatus} onRetry={()=>outbox?.flushNow()} />}
+            {conflicts.length>0 && <SyncConflictsDialog conflicts={conflicts} onResolve={actions.resolveConflict} />}
             <Button onClick={exportJSON} variant="secondary"><Download className="w-4 h-4 mr-2"/>Export</Button>
+            <SpreadsheetDialog sessions={sessions} projects={projects} ideas={ideas} documents={documents} today={today} onImport={importCsv} />
             <label className="inline-flex items-center gap-2 cursor-pointer">
               <UploadCloud className="w-4 h-4"/>
               <span className="text-sm">Import</span>
-              <input type="file" accept="application/json" className="hidden" onChange={(e)=> e.target.files?.[0] && importJSON(e.target.files[0])} />
+              <input type="file" accept="application/json" className="hidden" onChange={(e)=>{ if(e.target.files?.[0]) importJSON(e.target.files[0]); e.target.value=""; }} />
             </label>
+            {pendingImport && (
+              <ImportPreviewDialog
+                pending={pendingImport}
+                current={{ projects, sessions, ideas, documents }}
+                onConfirm={applyImport}
+                onCancel={()=>setPendingImport(null)}
+              />
+            )}
           </div>
         </header>
 
+        <Tabs defaultValue="dashboard">
+        <TabsList className="mb-4">
+          <TabsTrigger value="dashboard">Dashboard</TabsTrigger>
+          <TabsTrigger value="analytics">Analytics</TabsTrigger>
+        </TabsList>
+        {/* The dashboard stays mounted so the timer's prompts and the editor survive a switch to analytics. */}
+        <TabsContent value="dashboard" forceMount className="data-[state=inactive]:hidden">
+
         {/* Top Stats */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-          <Card className="shadow-sm"><CardHeader className="pb-2"><CardTitle className="text-sm font-medium">Today’s Words</CardTitle></CardHeader><CardContent className="text-3xl font-bold">{todaysWords}</CardContent></Card>
-          <Card className="shadow-sm"><CardHeader className="pb-2"><CardTitle className="text-sm font-medium">Daily Goal</CardTitle></CardHeader><CardContent>
+          <Card className="shadow-sm"><CardHeader className="pb-2"><CardTitle className="text-sm font-medium">Today’s Words</CardTitle></CardHeader><CardContent>
+            <div className="text-3xl font-bold">{todaysWords}</div>
+            <Select value={metric} onValueChange={(v)=>updateSettings({ goalMetric: v })}>
+              <SelectTrigger className="mt-2 h-7 w-auto gap-1 border-0 px-0 text-xs text-zinc-600 shadow-none"><SelectValue /></SelectTrigger>
+              <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50" >
+                {Object.entries(GOAL_METRICS).map(([k, m])=> <SelectItem key={k} value={k}>{m.label}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-zinc-500">{GOAL_METRICS[metric].hint} Goals and streaks count this too.</p>
+          </CardContent></Card>
+          <Card className="shadow-sm"><CardHeader className="pb-2 flex flex-row items-center justify-between">
+            <CardTitle className="text-sm font-medium">{GOAL_TITLES[goals.plan]}</CardTitle>
+            <GoalPlanDialog settings={settings} onSettingsChange={updateSettings} />
+          </CardHeader><CardContent>
             <div className="flex items-center gap-2">
-              <Input
-              type="number"
-              value={dailyGoalText}
-              onChange={(e) => setDailyGoalText(e.target.value)}
-              onBlur={() => {
-                const val = parseInt(dailyGoalText, 10);
-                setDailyGoal(isNaN(val) ? 0 : clamp(val, 0, 100000));
-                setDailyGoalText(isNaN(val) ? "" : String(clamp(val, 0, 100000)));
-              }}
-              className="w-28"
-            />
-              <Badge variant={todaysWords>=dailyGoal?"default":"secondary"}>{Math.min(100, Math.round((todaysWords/dailyGoal)*100)) || 0}%</Badge>
+              <span className="text-3xl font-bold">{progress.words.toLocaleString()}</span>
+              <span className="text-sm text-zinc-600">/ {progress.target.toLocaleString()}</span>
+              <Badge variant={progress.target && progress.words>=progress.target?"default":"secondary"}>{progressPct}%</Badge>
             </div>
-            <Progress value={Math.min(100, Math.round((todaysWords/dailyGoal)*100)) || 0} className="mt-2"/>
+            <Progress value={progressPct} className="mt-2"/>
+            {progress.rest && (goals.plan==="daily" || goals.plan==="weekdays") && <p className="text-xs text-zinc-500 mt-1">Rest day — anything you write is a bonus.</p>}
+            {(goals.plan==="weekly" || goals.plan==="monthly") && <p className="text-xs text-zinc-500 mt-1">{formatDay(progress.start)} – {formatDay(progress.end)}</p>}
+          </CardContent></Card>
+          <Card className="shadow-sm"><CardHeader className="pb-2"><CardTitle className="text-sm font-medium">Streak</CardTitle></CardHeader><CardContent>
+            <div className="text-3xl font-bold">{streak.writing} <span className="text-sm font-normal">day{streak.writing===1?"":"s"} writing</span></div>
+            <div className="text-sm text-zinc-600 flex items-center gap-2">
+              <span>{streak.goal} day{streak.goal===1?"":"s"} on goal</span>
+              {streak.freezes>0 && <span className="flex items-center gap-1" title="Streak freezes: each covers one missed day"><Snowflake className="w-3 h-3"/>{streak.freezes}</span>}
+            </div>
+            {streak.pending && (streak.writing>0 || streak.goal>0) && <p className="text-xs text-zinc-500 mt-1">Meet today’s goal to keep it going.</p>}
           </CardContent></Card>
-          <Card className="shadow-sm"><CardHeader className="pb-2"><CardTitle className="text-sm font-medium">Streak</CardTitle></CardHeader><CardContent className="text-3xl font-bold">{streak} <span className="text-sm font-normal">day{streak===1?"":"s"}</span></CardContent></Card>
           <Card className="shadow-sm"><CardHeader className="pb-2"><CardTitle className="text-sm font-medium">Avg Words / Hour</CardTitle></CardHeader><CardContent className="text-3xl font-bold">{isFinite(wph)?wph:0}</CardContent></Card>
         </div>
 
@@ -279,15 +358,32 @@ export default function WritersDashboard({ userId }) {
           <Card className="lg:col-span-1 shadow-sm">
             <CardHeader className="pb-2"><CardTitle className="text-base font-semibold flex items-center gap-2"><TimerReset className="w-4 h-4"/> Focus Timer</CardTitle></CardHeader>
             <CardContent>
+              <div className="flex items-center justify-between gap-2 mb-2">
+                <div className="flex gap-1">
+                  {[["pomodoro", "Pomodoro"], ["stopwatch", "Free write"]].map(([mode, label])=>(
+                    <Button key={mode} size="sm" className="h-7 px-2 text-xs" variant={timer.mode===mode ? "default" : "ghost"}
+                      onClick={()=>{ if (timer.mode!==mode) focus.reset(mode); }}>{label}</Button>
+                  ))}
+                </div>
+                <TimerSettingsDialog settings={settings} onSettingsChange={updateSettings} />
+              </div>
+              <div className="text-xs text-zinc-600 mb-1">
+                {timer.mode==="pomodoro"
+                  ? `${PHASE_LABELS[timer.phase]} · block ${cyclePosition(timer, timerConfig)} of ${timerConfig.longBreakEvery}${timer.cycle ? ` · ${timer.cycle} done` : ""}`
+                  : "Counting up"}
+              </div>
               <div className="flex items-center justify-between">
-                <div className="text-5xl font-mono tabular-nums">{minutes}:{seconds}</div>
+                <div className={`text-5xl font-mono tabular-nums ${timer.phase!=="work" ? "text-emerald-600" : ""}`}>{clock}</div>
                 <div className="flex gap-2">
-                  {!timerRunning ? (
-                    <Button onClick={()=>{ setTimerRunning(true); if(selectedProjectId) setDraftProjectId(selectedProjectId); }}><Play className="w-4 h-4 mr-2"/>Start</Button>
+                  {!focus.running ? (
+                    <Button onClick={()=>{ focus.start(); if(selectedProjectId && timer.phase==="work" && !draft) openDraft(selectedProjectId); }}><Play className="w-4 h-4 mr-2"/>Start</Button>
                   ) : (
-                    <Button variant="secondary" onClick={()=>setTimerRunning(false)}><Pause className="w-4 h-4 mr-2"/>Pause</Button>
+                    <Button variant="secondary" onClick={focus.pause}><Pause className="w-4 h-4 mr-2"/>Pause</Button>
                   )}
-                  <Button variant="ghost" onClick={()=>resetTimer(25)}><StopCircle className="w-4 h-4 mr-2"/>Reset</Button>
+                  {timer.mode==="pomodoro" && (
+                    <Button variant="ghost" size="icon" aria-label="Skip to next phase" title="Skip to next phase" onClick={focus.skip}><SkipForward className="w-4 h-4"/></Button>
+                  )}
+                  <Button variant="ghost" onClick={()=>focus.reset()}><StopCircle className="w-4 h-4 mr-2"/>Reset</Button>
                 </div>
               </div>
               <div className="flex items-center gap-2 mt-3 flex-wrap">
@@ -303,30 +399,10 @@ export default function WritersDashboard({ userId }) {
                 </Select>
 
                 {/* Presets */}
-                <Button variant="outline" onClick={() => resetTimer(50)}>50</Button>
-                <Button variant="outline" onClick={() => resetTimer(15)}>15</Button>
-
-                {/* Custom minutes */}
-                <Input
-                  type="number"
-                  inputMode="numeric"
-                  value={customMinsText}
-                  onChange={(e) => setCustomMinsText(e.target.value)}   // allow "", "6", "60", etc.
-                  className="w-20"
-                  placeholder="mins"
-                />
-                <Button
-                  variant="secondary"
-                  onClick={() => {
-                    const n = parseInt(customMinsText, 10);
-                    const safe = isNaN(n) ? customMins : Math.max(1, n); // fallback to current if blank/NaN
-                    setCustomMins(safe);
-                    resetTimer(safe);
-                  }}
-                >
-                  Set
-                </Button>
-
+                {timerConfig.presets.map(p=>(
+                  <Button key={p.id} variant="outline" size="sm" title={`${p.workMinutes}/${p.shortBreakMinutes}/${p.longBreakMinutes}, long break every ${p.longBreakEvery}`}
+                    onClick={()=>focus.applyPreset(p.id)}>{p.name}</Button>
+                ))}
               </div>
 
 
@@ -336,22 +412,35 @@ export default function WritersDashboard({ userId }) {
               </div>
               <LogSessionDialog
                 trigger={<Button className="mt-3 w-full" variant="secondary"><NotebookPen className="w-4 h-4 mr-2"/>Log Session</Button>}
+                today={today}
                 defaultProjectId={selectedProjectId}
-                defaultMinutes={Math.max(1, Math.round((startSecondsRef.current - timerSeconds) / 60))}
-                onSave={(payload)=> logSession(payload)}
-                openExternally={autoOpenLog && timerSeconds===0}
-                onCloseExternal={()=> setAutoOpenLog(false)}
+                defaultMinutes={Math.max(1, focus.unloggedMinutes)}
+                onSave={(payload)=>{ logSession(payload); focus.markLogged(); }}
+                openExternally={logPrompt}
+                onCloseExternal={()=> setLogPrompt(false)}
               />
-              <ProjectDraftDialog
-                project={projects.find(p=>p.id===draftProjectId)}
-                minutes={minutes}
-                seconds={seconds}
-                 timerRunning={timerRunning}
-                onPause={()=>setTimerRunning(false)}
-                onResume={()=>setTimerRunning(true)}
+              {draft && <ProjectDraftDialog
+                project={projects.find(p=>p.id===draft.projectId)}
+                documents={documents}
+                documentId={draft.documentId}
+                onOpenDocument={(documentId)=>setDraft(d=>d && { ...d, documentId })}
+                onAddDocument={actions.addDocument}
+                onUpdateDocument={actions.updateDocument}
+                onRemoveDocument={removeDocument}
+                onMoveDocument={actions.moveDocument}
+                clock={clock}
+                timerPhase={timer.mode==="pomodoro" ? PHASE_LABELS[timer.phase] : "Free write"}
+                timerRunning={focus.running}
+                workCycles={timer.cycle}
+                onPause={focus.pause}
+                onResume={focus.start}
                 onSave={handleDraftSave}
                 onClose={handleDraftClose}
-              />
+                onSnapshot={(documentId, text)=>saveRevision(documentId, text, "auto")}
+                revisionStore={storage.revisions}
+                settings={settings}
+                onSettingsChange={updateSettings}
+              />}
             </CardContent>
           </Card>
 
@@ -371,31 +460,80 @@ export default function WritersDashboard({ userId }) {
                       borderRadius: "8px",
                     }}
                   />
-                  <Bar dataKey="words" />
+                  <Legend />
+                  <Bar dataKey="added" name="Added" fill="#6366f1" />
+                  <Bar dataKey="removed" name="Removed" fill="#f43f5e" />
                 </BarChart>
               </ResponsiveContainer>
             </CardContent>
           </Card>
         </div>
 
+        {/* Deadlines */}
+        <Card className="mb-6 shadow-sm">
+          <CardHeader className="pb-2 flex flex-row flex-wrap items-center justify-between gap-2">
+            <CardTitle className="text-base font-semibold flex items-center gap-2"><Calendar className="w-4 h-4"/> Deadlines</CardTitle>
+            <span className="text-xs text-zinc-600">Rest days: {rest.length ? rest.map(d=>WEEKDAYS[d]).join(", ") : "none"} (set in goal settings)</span>
+          </CardHeader>
+          <CardContent>
+            {atRisk.length===0 ? (
+              <div className="text-sm text-zinc-500">Give a project a target and a deadline to see whether you’re on pace.</div>
+            ) : (
+              <ul className="divide-y">
+                {atRisk.map(({ p, pace })=>(
+                  <li key={p.id} className="flex flex-wrap items-center justify-between gap-2 py-2 text-sm">
+                    <span className="flex items-center gap-2 min-w-0">
+                      <Badge variant={PACE_BADGES[pace.status]}>{PACE_LABELS[pace.status]}</Badge>
+                      <span className="font-medium truncate">{p.title}</span>
+                      <span className="text-xs text-zinc-500 shrink-0">due {formatDay(p.deadline)}{pace.daysLeft ? ` · ${pace.daysLeft} writing day${pace.daysLeft===1?"":"s"} left` : ""}</span>
+                    </span>
+                    <span className="text-xs text-zinc-600">{paceSummary(pace)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+
         <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
           {/* Projects */}
           <Card className="xl:col-span-2 shadow-sm">
             <CardHeader className="pb-2 flex flex-row items-center justify-between">
               <CardTitle className="text-base font-semibold flex items-center gap-2"><Target className="w-4 h-4"/> Projects</CardTitle>
-              <NewProjectDialog onCreate={addProject} />
+              <div className="flex items-center gap-1">
+                <ArchivedProjectsDialog projects={projects} sessions={sessions} ideas={ideas} documents={documents}
+                  onRestore={restoreProject} onDelete={removeProject} onRelinkOrphans={relinkOrphans} />
+                <NewProjectDialog wordRules={wordRules} dayStart={dayStart} onCreate={addProject} />
+              </div>
             </CardHeader>
             <CardContent>
               <div className="grid md:grid-cols-2 gap-4">
-                {projects.filter(p=>!p.archived).map(p=> (
+                {projectStats.map(({ p, sessions: own, manuscript, current, pace })=> (
                   <ProjectCard key={p.id} p={p}
-                    onUpdate={(patch)=>updateProject(p.id, patch)}
-                    onDelete={()=>removeProject(p.id)}
-                    totalWords={sum(sessions.filter(s=>s.projectId===p.id), s=>s.words)}
-                    onDraft={()=>setDraftProjectId(p.id)}
+                    onUpdate={(patch)=>actions.updateProject(p.id, patch)}
+                    onArchive={()=>archiveProject(p.id)}
+                    onDelete={(mode, targetId)=>removeProject(p.id, mode, targetId)}
+                    projects={projects}
+                    totalWords={current}
+                    sessions={own}
+                    editedWords={sum(own, s=>sessionWords(s, "edited"))}
+                    manuscript={manuscript}
+                    pace={pace}
+                    today={today}
+                    dayStart={dayStart}
+                    rest={rest}
+                    onDraft={()=>openDraft(p.id)}
+                    documents={documents}
+                    settings={settings}
+                    onSettingsChange={updateSettings}
+                    wordRules={wordRules}
+                    onImport={(plan, options)=>importManuscript(p.id, plan, options)}
+                    ideas={ideas}
+                    onAddIdea={actions.addIdea}
+                    onUpdateIdea={actions.updateIdea}
                   />
                 ))}
-                {projects.filter(p=>!p.archived).length===0 && (
+                {projectStats.length===0 && (
                   <div className="text-sm text-zinc-500">No projects yet. Add one to get started.</div>
                 )}
               </div>
@@ -406,465 +544,27 @@ export default function WritersDashboard({ userId }) {
           <Card className="shadow-sm">
             <CardHeader className="pb-2"><CardTitle className="text-base font-semibold flex items-center gap-2"><Lightbulb className="w-4 h-4"/> Ideas & Prompts</CardTitle></CardHeader>
             <CardContent>
-              <IdeaCapture onAdd={addIdea} />
-              <PromptBox />
-              <IdeaList ideas={ideas} onUpdate={updateIdea} onDelete={deleteIdea} />
+              <IdeaCapture onAdd={actions.addIdea} />
+              <PromptBox settings={settings} onSettingsChange={updateSettings} onSaveIdea={savePromptAsIdea} onStartProject={startProjectFromPrompt} />
+              <IdeaList ideas={ideas} projects={projects} onUpdate={actions.updateIdea} onUpdateMany={actions.updateIdeas} onDelete={deleteIdea} onPromote={promoteIdea} />
             </CardContent>
           </Card>
         </div>
 
-        {/* Sessions Table */}
-        <Card className="mt-6 shadow-sm">
-          <CardHeader className="pb-2 flex items-center justify-between">
-            <CardTitle className="text-base font-semibold flex items-center gap-2"><ListTodo className="w-4 h-4"/> Session Log</CardTitle>
-            <LogSessionDialog trigger={<Button variant="outline"><NotebookPen className="w-4 h-4 mr-2"/>Quick Log</Button>} onSave={logSession} />
-          </CardHeader>
-          <CardContent>
-            {sessions.length===0 ? (
-              <div className="text-sm text-zinc-500">No sessions logged yet.</div>
-            ) : (
-              <div className="overflow-x-auto">
-                <table className="w-full text-sm">
-                  <thead className="text-left text-zinc-600">
-                    <tr>
-                      <th className="py-2 pr-2">Date</th>
-                      <th className="py-2 pr-2">Project</th>
-                      <th className="py-2 pr-2">Minutes</th>
-                      <th className="py-2 pr-2">Words</th>
-                      <th className="py-2 pr-2">WPH</th>
-                      <th className="py-2 pr-2">Notes</th>
-                      <th className="py-2 pr-2"></th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {sessions.slice().reverse().map(s=>(
-                      <tr key={s.id} className="border-t">
-                        <td className="py-2 pr-2 whitespace-nowrap">{fmtDate(s.date)}</td>
-                        <td className="py-2 pr-2">{projects.find(p=>p.id===s.projectId)?.title || <span className="text-zinc-400">—</span>}</td>
-                        <td className="py-2 pr-2">{s.minutes}</td>
-                        <td className="py-2 pr-2 font-medium">{s.words}</td>
-                        <td className="py-2 pr-2">{s.minutes?Math.round((s.words/s.minutes)*60):"—"}</td>
-                        <td className="py-2 pr-2 max-w-[24rem] truncate" title={s.notes||""}>{s.notes||""}</td>
-                        <td className="py-2 pr-2 text-right"><Button size="icon" variant="ghost" onClick={()=>deleteSession(s.id)}><Trash2 className="w-4 h-4"/></Button></td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            )}
-          </CardContent>
-        </Card>
+        <SessionLog sessions={sessions} projects={projects} documents={documents} onUpdate={actions.updateSessions} onDelete={deleteSessions}
+          actions={<LogSessionDialog trigger={<Button variant="outline"><NotebookPen className="w-4 h-4 mr-2"/>Quick Log</Button>} today={today} onSave={logSession} />} />
+        </TabsContent>
+
+        <TabsContent value="analytics">
+          <AnalyticsView sessions={sessions} projects={projects} settings={settings} today={today} />
+        </TabsContent>
+        </Tabs>
 
         <footer className="text-xs text-zinc-500 mt-8 flex items-center gap-2">
-          <Rocket className="w-3 h-3"/> Your data is stored locally in your browser. Export regularly if you need backups.
+          <Rocket className="w-3 h-3"/> {storageError ? <span className="text-red-600">{storageError} Recent changes may not be saved on this device.</span> : storageNote(syncStatus)}
         </footer>
         </div>
       </div>
     </TooltipProvider>
   );
 }
-
-// ------------------------------
-// Subcomponents
-// ------------------------------
-function NewProjectDialog({ onCreate }){
-  const [open, setOpen] = useState(false);
-  const [title,setTitle] = useState("");
-  const [description,setDescription] = useState("");
-  const [targetWordsText,setTargetWordsText] = useState("5000");
-  const [deadline,setDeadline] = useState("");
-
-  function reset(){ setTitle(""); setDescription(""); setTargetWordsText("5000"); setDeadline(""); }
-
-  function create(){
-    if(!title.trim()) return toast("Title is required");
-    const n = parseInt(targetWordsText, 10);
-    onCreate({ title, description, targetWords: isNaN(n) ? 0 : n, deadline });
-    reset(); setOpen(false);
-  }
-
-  return (
-    <Dialog open={open} onOpenChange={setOpen}>
-      <DialogTrigger asChild>
-        <Button><Plus className="w-4 h-4 mr-2"/>New Project</Button>
-      </DialogTrigger>
-      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
-        <DialogHeader>
-          <DialogTitle>Create Project</DialogTitle>
-          <DialogDescription>Set goals to track progress and deadlines.</DialogDescription>
-        </DialogHeader>
-        <div className="grid gap-3">
-          <Input placeholder="Title" value={title} onChange={(e)=>setTitle(e.target.value)} />
-          <Textarea placeholder="Description (optional)" value={description} onChange={(e)=>setDescription(e.target.value)} />
-          <div className="grid grid-cols-2 gap-3">
-            <div>
-              <label className="text-xs text-zinc-600">Target words</label>
-              <Input type="number" value={targetWordsText} onChange={(e)=>setTargetWordsText(e.target.value)} />
-            </div>
-            <div>
-              <label className="text-xs text-zinc-600">Deadline (optional)</label>
-              <Input type="date" value={deadline} onChange={(e)=>setDeadline(e.target.value)} />
-            </div>
-          </div>
-        </div>
-        <DialogFooter>
-          <Button onClick={create}>Create</Button>
-        </DialogFooter>
-      </DialogContent>
-    </Dialog>
-  );
-}
-
-function ProjectCard({ p, onUpdate, onDelete, totalWords, onDraft }){
-  const pct = p.targetWords ? Math.min(100, Math.round((totalWords/p.targetWords)*100)) : 0;
-
-  return (
-    <Card className="">
-      <CardHeader className="pb-2">
-        <div className="flex items-start justify-between gap-3">
-          <div>
-            <CardTitle className="text-base font-semibold">{p.title}</CardTitle>
-            {p.description && <p className="text-xs text-zinc-600 mt-1">{p.description}</p>}
-          </div>
-          <div className="flex items-center gap-2">
-            <Select value={p.status} onValueChange={(v)=>onUpdate({status: v})}>
-              <SelectTrigger className="w-[120px]"><SelectValue /></SelectTrigger>
-              <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50" >
-                <SelectItem value="Drafting">Drafting</SelectItem>
-                <SelectItem value="Editing">Editing</SelectItem>
-                <SelectItem value="Complete">Complete</SelectItem>
-              </SelectContent>
-            </Select>
-            <Tooltip>
-              <TooltipTrigger asChild>
-                <Button size="icon" variant="ghost" onClick={()=>onUpdate({ archived: true })}><Trash2 className="w-4 h-4"/></Button>
-              </TooltipTrigger>
-              <TooltipContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl" >Archive</TooltipContent>
-            </Tooltip>
-          </div>
-        </div>
-      </CardHeader>
-      <CardContent>
-        <div className="flex items-center justify-between text-sm mb-2">
-          <div className="flex items-center gap-2 text-zinc-600">
-            <Target className="w-4 h-4"/> <span>{totalWords.toLocaleString()} / {p.targetWords.toLocaleString()} words</span>
-          </div>
-          <div className="flex items-center gap-2 text-zinc-600">
-            <Calendar className="w-4 h-4"/>
-            <span>{p.deadline ? new Date(p.deadline).toLocaleDateString() : "No deadline"}</span>
-          </div>
-        </div>
-        <Progress value={pct} />
-        <div className="flex items-center justify-end mt-3 gap-2">
-          <Button size="sm" variant="outline" onClick={onDraft}><NotebookPen className="w-3 h-3 mr-1"/>Draft</Button>
-          <InlineEdit target={p.targetWords} label="Target" onChange={(val)=>onUpdate({targetWords: val})}/>
-          <EditProjectDialog p={p} onUpdate={onUpdate} onDelete={onDelete} />
-        </div>
-      </CardContent>
-    </Card>
-  );
-}
-
-function InlineEdit({ target, label, onChange }){
-  const [editing, setEditing] = useState(false);
-  const [val, setVal] = useState(String(target));
-  useEffect(()=>setVal(String(target)),[target]);
-  return (
-    <div className="text-xs text-zinc-600 flex items-center gap-2">
-      <span>{label}:</span>
-      {editing ? (
-        <div className="flex items-center gap-2">
-          <Input className="h-7 w-24" type="number" value={val} onChange={(e)=>setVal(e.target.value)} />
-          <Button size="sm" onClick={()=>{ onChange(parseInt(val || "0", 10) || 0); setEditing(false); }}>Save</Button>
-        </div>
-      ):(
-        <button className="inline-flex items-center gap-1 hover:underline" onClick={()=>setEditing(true)}>
-          <span className="font-medium">{target.toLocaleString()}</span> <Edit2 className="w-3 h-3"/>
-        </button>
-      )}
-    </div>
-  );
-}
-
-function EditProjectDialog({ p, onUpdate, onDelete }){
-  const [open, setOpen] = useState(false);
-  const [title,setTitle] = useState(p.title);
-  const [description,setDescription] = useState(p.description||"");
-  const [deadline,setDeadline] = useState(p.deadline||"");
-  useEffect(()=>{ setTitle(p.title); setDescription(p.description||""); setDeadline(p.deadline||""); },[p]);
-
-  function save(){ onUpdate({ title, description, deadline }); setOpen(false); }
-
-  return (
-    <Dialog open={open} onOpenChange={setOpen}>
-      <DialogTrigger asChild><Button variant="outline" size="sm"><Edit2 className="w-3 h-3 mr-1"/>Edit</Button></DialogTrigger>
-      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
-        <DialogHeader>
-          <DialogTitle>Edit Project</DialogTitle>
-        </DialogHeader>
-        <div className="grid gap-3">
-          <Input value={title} onChange={(e)=>setTitle(e.target.value)} />
-          <Textarea value={description} onChange={(e)=>setDescription(e.target.value)} />
-          <div>
-            <label className="text-xs text-zinc-600">Deadline (optional)</label>
-            <Input type="date" value={deadline} onChange={(e)=>setDeadline(e.target.value)} />
-          </div>
-        </div>
-        <DialogFooter className="justify-between">
-          <Button variant="destructive" onClick={()=>{ onDelete(); setOpen(false); }}>Delete</Button>
-          <div className="flex gap-2">
-            <Button variant="secondary" onClick={()=>setOpen(false)}>Cancel</Button>
-            <Button onClick={save}>Save</Button>
-          </div>
-        </DialogFooter>
-      </DialogContent>
-    </Dialog>
-  );
-}
-
-function ProjectDraftDialog({ project, minutes, seconds, timerRunning, onPause, onResume, onSave, onClose }){
-  const [text, setText] = useState(project?.draft || "");
-  useEffect(() => { setText(project?.draft || ""); }, [project]);
-  if (!project) return null;
-  const wordCount = text.trim() ? text.trim().split(/\s+/).length : 0;
-  function save() { onSave(text); onClose(); }
-  return (
-    <Dialog open={true} onOpenChange={(v)=>{ if(!v) onClose(); }}>
-      <DialogContent className="top-0 left-0 translate-x-0 translate-y-0 w-screen h-screen max-w-none sm:max-w-none rounded-none p-0 bg-white dark:bg-neutral-900">
-        <div className="flex flex-col h-full">  
-          <div className="p-4 border-b border-neutral-200 dark:border-neutral-800 flex items-center justify-between">
-            <DialogTitle>Draft: {project.title}</DialogTitle>
-            <div className="flex items-center gap-2">
-              <div className="text-2xl font-mono tabular-nums">{minutes}:{seconds}</div>
-              {timerRunning ? (
-                <Button variant="secondary" onClick={onPause}><Pause className="w-4 h-4 mr-2"/>Pause</Button>
-              ) : (
-                <Button onClick={onResume}><Play className="w-4 h-4 mr-2"/>Resume</Button>
-              )}
-            </div>
-          </div>
-          <div className="flex-1 min-h-0">
-            <Textarea
-              value={text}
-              onChange={(e)=>setText(e.target.value)}
-              className="h-full w-full resize-none p-4"
-            />
-          </div>
-          <DialogFooter className="p-4 border-t border-neutral-200 dark:border-neutral-800 justify-between">
-            <div className="text-sm text-zinc-600">Words: {wordCount}</div>
-            <div className="flex gap-2">
-              <Button variant="secondary" onClick={onClose}>Close</Button>
-              <Button onClick={save}>Save</Button>
-            </div>
-          </DialogFooter>
-        </div>
-      </DialogContent>
-    </Dialog>
-  );
-}
-
-function LogSessionDialog({ trigger, onSave, defaultProjectId="", defaultMinutes=25, openExternally=false, onCloseExternal }){
-  const [open, setOpen] = useState(false);
-  const [projectId,setProjectId] = useState(defaultProjectId);
-  const [date,setDate] = useState(new Date().toISOString().slice(0,10));
-  const [minutesText,setMinutesText] = useState(String(defaultMinutes));
-  const [wordsText,setWordsText] = useState("");
-  const [notes,setNotes] = useState("");
-
-  useEffect(()=>{ setProjectId(defaultProjectId); },[defaultProjectId]);
-  useEffect(()=>{ if(openExternally) setOpen(true); },[openExternally]);
-
-  function save(){
-    const minutes = parseInt(minutesText, 10) || 0;
-    const words = parseInt(wordsText, 10) || 0;
-    if(minutes<=0 && words<=0){ toast("Add minutes or words"); return; }
-    onSave({ projectId: projectId || undefined, date, minutes, words, notes });
-    setOpen(false); setMinutesText(String(defaultMinutes)); setWordsText(""); setNotes(""); setDate(new Date().toISOString().slice(0,10)); setProjectId(defaultProjectId);
-    if(onCloseExternal) onCloseExternal();
-  }
-
-  return (
-    <Dialog open={open} onOpenChange={(v)=>{ setOpen(v); if(!v && onCloseExternal) onCloseExternal(); }}>
-      <DialogTrigger asChild>{trigger}</DialogTrigger>
-      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
-        <DialogHeader>
-          <DialogTitle>Log Writing Session</DialogTitle>
-        </DialogHeader>
-        <div className="grid gap-3">
-          <div className="grid grid-cols-2 gap-3">
-            <div>
-              <label className="text-xs text-zinc-600">Date</label>
-              <Input type="date" value={date} onChange={(e)=>setDate(e.target.value)} />
-            </div>
-            <div>
-              <label className="text-xs text-zinc-600">Minutes</label>
-              <Input type="number" value={minutesText} onChange={(e)=>setMinutesText(e.target.value)} />
-            </div>
-          </div>
-          <div className="grid grid-cols-2 gap-3">
-            <div>
-              <label className="text-xs text-zinc-600">Words</label>
-              <Input type="number" value={wordsText} onChange={(e)=>setWordsText(e.target.value)} />
-            </div>
-            <div>
-              <label className="text-xs text-zinc-600">Project (optional)</label>
-              <ProjectSelect value={projectId} onChange={setProjectId} />
-            </div>
-          </div>
-          <Textarea placeholder="Notes (what you worked on, issues, etc.)" value={notes} onChange={(e)=>setNotes(e.target.value)} />
-        </div>
-        <DialogFooter>
-          <Button onClick={save}><Save className="w-4 h-4 mr-2"/>Save</Button>
-        </DialogFooter>
-      </DialogContent>
-    </Dialog>
-  );
-}
-
-function ProjectSelect({ value, onChange }){
-  const data = loadStore();
-  const projects = data.projects?.filter(p=>!p.archived) || [];
-  return (
-    <Select value={value} onValueChange={onChange}>
-      <SelectTrigger><SelectValue placeholder="Choose"/></SelectTrigger>
-      <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50" >
-        {projects.map(p=> (<SelectItem key={p.id} value={p.id}>{p.title}</SelectItem>))}
-      </SelectContent>
-    </Select>
-  );
-}
-
-function IdeaCapture({ onAdd }){
-  const [text,setText] = useState("");
-  const [tags,setTags] = useState("");
-  const [projectId,setProjectId] = useState("");
-
-  function add(){
-    const t = text.trim(); if(!t) return;
-    const tagList = tags.split(",").map(s=>s.trim()).filter(Boolean);
-    onAdd({ text:t, tags: tagList, projectId: projectId || undefined });
-    setText(""); setTags(""); setProjectId("");
-  }
-
-  return (
-    <div className="mb-4 p-3 rounded-2xl border bg-white shadow-xs">
-      <div className="grid gap-2">
-        <Textarea placeholder="Quick capture an idea, snippet, quote..." value={text} onChange={(e)=>setText(e.target.value)} />
-        <div className="grid grid-cols-3 gap-2">
-          <Input placeholder="tags (comma-separated)" value={tags} onChange={(e)=>setTags(e.target.value)} />
-          <ProjectSelect value={projectId} onChange={setProjectId} />
-          <Button onClick={add}><Plus className="w-4 h-4 mr-2"/>Add</Button>
-        </div>
-      </div>
-    </div>
-  );
-}
-
-function IdeaList({ ideas, onUpdate, onDelete }){
-  const [query,setQuery] = useState("");
-  const [tagFilter,setTagFilter] = useState("");
-  const tags = Array.from(new Set(ideas.flatMap(i=>i.tags)));
-  const filtered = ideas.filter(i=>
-    (!query || i.text.toLowerCase().includes(query.toLowerCase())) &&
-    (!tagFilter || i.tags.includes(tagFilter))
-  );
-
-  return (
-    <div>
-      <div className="flex items-center gap-2 mb-2">
-        <div className="relative flex-1">
-          <Search className="w-4 h-4 absolute left-2 top-2.5 text-zinc-400"/>
-          <Input className="pl-7" placeholder="Search ideas" value={query} onChange={(e)=>setQuery(e.target.value)} />
-        </div>
-        <Select value={tagFilter} onValueChange={setTagFilter}>
-          <SelectTrigger className="w-[160px]"><SelectValue placeholder="Filter tag" /></SelectTrigger>
-          <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50" >
-            {tags.map(t=> <SelectItem key={t} value={t}>{t}</SelectItem>)}
-          </SelectContent>
-        </Select>
-      </div>
-      <div className="space-y-2 max-h-[340px] overflow-y-auto pr-1">
-        {filtered.length===0 && <div className="text-sm text-zinc-500">No ideas yet.</div>}
-        {filtered.map(i=> (
-          <div key={i.id} className="p-3 rounded-xl border bg-zinc-50">
-            <div className="flex items-start justify-between gap-3">
-              <p className="text-sm leading-snug whitespace-pre-wrap">{i.text}</p>
-              <div className="flex items-center gap-1">
-                <Button size="icon" variant="ghost" onClick={()=>onUpdate(i.id, { pinned: !i.pinned })}>
-                  <Wand2 className={`w-4 h-4 ${i.pinned?"text-zinc-900":"text-zinc-400"}`}/>
-                </Button>
-                <Button size="icon" variant="ghost" onClick={()=>onDelete(i.id)}><Trash2 className="w-4 h-4"/></Button>
-              </div>
-            </div>
-            <div className="flex items-center justify-between mt-2">
-              <div className="flex flex-wrap gap-1">
-                {i.tags.map(t=> <Badge key={t} variant="secondary" className="flex items-center gap-1"><Tag className="w-3 h-3"/>{t}</Badge>)}
-              </div>
-              <span className="text-[10px] text-zinc-500">{new Date(i.createdAt).toLocaleString()}</span>
-            </div>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-}
-
-function PromptBox(){
-  const [prompt, setPrompt] = useState("");
-  const [loading, setLoading] = useState(false);
-
-  async function roll(){
-    setLoading(true);
-    try {
-      const res = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${import.meta.env.VITE_OPENAI_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: "gpt-5",
-          messages: [
-            {
-              role: "system",
-              content: "You are an editor for *The Midbrow Culture Club*, a blog that covers film, TV, music, podcasts, books, games, and politics. The style is clear, curious, mid-length essays that stay grounded and avoid internet ephemera like memes, TikTok trends, or niche in-jokes."
-            },
-            {
-              role: "user",
-              content: "Return exactly one straightforward writing prompt for today.\n- Avoid suggesting specific titles. \n- Avoid memes or internet slang as topics. \n- Keep it short: 1–2 sentences.\n- No explanations, no preamble, just the prompt itself."
-            }
-          ],
-          temperature: 1,
-          max_completion_tokens: 1000,
-        }),
-      });
-
-      if (!res.ok) {
-      const errBody = await res.text().catch(() => "");
-      throw new Error(`HTTP ${res.status} ${res.statusText} — ${errBody}`);
-      }
-
-      const data = await res.json();
-      const content = data?.choices?.[0]?.message?.content?.trim() || "";
-      setPrompt(content || ""); // if empty, UI just shows blank
-    } catch (err) {
-      console.error("prompt error:", err);
-      setPrompt("Failed to load prompt.");
-    } finally {
-      setLoading(false);
-    }
-  }
-
-  useEffect(() => { roll(); }, []);
-  return (
-    <div className="mb-4 p-3 rounded-2xl border bg-white shadow-xs">
-      <div className="text-xs text-zinc-600 mb-1">Prompt</div>
-      <div className="flex items-center justify-between gap-2">
-        <p className="text-sm flex-1">{prompt}</p>
-        <Button variant="outline" onClick={roll} disabled={loading}>
-          <Wand2 className="w-4 h-4 mr-2"/>{loading ? "Loading" : "New"}
-        </Button>
-      </div>
-    </div>
-  );
-}
@@ -0,0 +1,290 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Bar, BarChart, CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip as RTooltip, XAxis, YAxis } from "recharts";
+import { toast } from "sonner";
+import { Award, FileImage, FileSpreadsheet } from "lucide-react";
+import { RANGES, byHour, byWeekday, heatmap, rangeFor, records, summary, timeline } from "../lib/analytics";
+import { WEEKDAYS, addDays, dayStartHour, formatDay, weekday } from "../lib/dates";
+import { GOAL_METRICS, goalMetric, wordsByDay } from "../lib/sessions";
+import { toCsv } from "../lib/csv";
+
+const PALETTE = ["#6366f1", "#10b981", "#f59e0b", "#ef4444", "#06b6d4", "#8b5cf6", "#84cc16", "#ec4899", "#64748b", "#14b8a6"];
+const HEAT = ["#f4f4f5", "#c7d2fe", "#a5b4fc", "#6366f1", "#3730a3"];
+const TOOLTIP_STYLE = { background: "#fff", border: "1px solid #e5e7eb", borderRadius: "8px" };
+
+function download(blob, fileName){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Rasterizes a chart's SVG on a white background at twice its size. Text
+// takes the page's font, which a standalone SVG wouldn't otherwise have.
+async function svgToPng(svg){
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  const style = getComputedStyle(svg);
+  clone.style.fontFamily = style.fontFamily;
+  clone.style.fontSize = style.fontSize;
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    await new Promise((resolve, reject) => { img.onload = resolve; img.onerror = reject; img.src = url; });
+    const canvas = document.createElement("canvas");
+    canvas.width = width * 2; canvas.height = height * 2;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(2, 2);
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    return await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function bucketLabel(key, bucket){
+  if (bucket === "month") return formatDay(`${key}-01`, { month: "short", year: "2-digit" });
+  return bucket === "week" ? `w/c ${formatDay(key)}` : formatDay(key);
+}
+
+function hourLabel(h){ return new Date(2000, 0, 1, h).toLocaleTimeString(undefined, { hour: "numeric" }); }
+
+/** A chart card with PNG and CSV downloads of what it shows. */
+function ChartCard({ title, fileName, csv, className = "", children }){
+  const body = useRef(null);
+  async function savePng(){
+    const svg = body.current?.querySelector("svg.recharts-surface, svg[data-export]");
+    if (!svg) return;
+    try {
+      download(await svgToPng(svg), `${fileName}.png`);
+    } catch (err) {
+      console.error("chart export error:", err);
+      toast("Couldn’t save the chart as an image");
+    }
+  }
+  function saveCsv(){
+    const { rows, columns } = csv();
+    download(new Blob([toCsv(rows, columns)], { type: "text/csv" }), `${fileName}.csv`);
+  }
+  return (
+    <Card className={`shadow-sm ${className}`}>
+      <CardHeader className="pb-2 flex flex-row items-center justify-between">
+        <CardTitle className="text-base font-semibold">{title}</CardTitle>
+        <div className="flex gap-1">
+          <Button size="icon" variant="ghost" className="h-7 w-7" title="Download PNG" aria-label={`Download ${title} as PNG`} onClick={savePng}><FileImage className="w-4 h-4"/></Button>
+          <Button size="icon" variant="ghost" className="h-7 w-7" title="Download CSV" aria-label={`Download ${title} as CSV`} onClick={saveCsv}><FileSpreadsheet className="w-4 h-4"/></Button>
+        </div>
+      </CardHeader>
+      <CardContent ref={body}>{children}</CardContent>
+    </Card>
+  );
+}
+
+// A contribution-style calendar: one column per week, Sunday at the top.
+function Heatmap({ data, best }){
+  const cell = 11, gap = 2, top = 14, left = 26;
+  const width = left + data.weeks.length * (cell + gap);
+  const height = top + 7 * (cell + gap);
+  return (
+    <div className="overflow-x-auto">
+      <svg data-export width={width} height={height} className="text-[9px]" role="img" aria-label="Words written per day over the last year">
+        {data.weeks.map((week, x) => {
+          const first = week[0];
+          const label = x > 0 && first.date.slice(5, 7) !== data.weeks[x - 1][0].date.slice(5, 7);
+          return (
+            <g key={first.date} transform={`translate(${left + x * (cell + gap)},0)`}>
+              {label && <text y={9} fill="#71717a">{formatDay(first.date, { month: "short" })}</text>}
+              {week.map(c => (
+                <rect key={c.date} y={top + weekday(c.date) * (cell + gap)} width={cell} height={cell} rx={2}
+                  fill={HEAT[c.level]} stroke={best === c.date ? "#f59e0b" : "none"} strokeWidth={2}>
+                  <title>{`${formatDay(c.date, { weekday: "short", month: "short", day: "numeric", year: "numeric" })}: ${c.words.toLocaleString()} words`}</title>
+                </rect>
+              ))}
+            </g>
+          );
+        })}
+        {[1, 3, 5].map(d => <text key={d} x={0} y={top + d * (cell + gap) + 9} fill="#71717a">{WEEKDAYS[d]}</text>)}
+      </svg>
+    </div>
+  );
+}
+
+/**
+ * Charts of the session log over a chosen range, a year-long heatmap and
+ * best-ever records. Words are counted by the user's goal metric.
+ */
+export default function AnalyticsView({ sessions, projects, settings, today }){
+  const [kind, setKind] = useState("month");
+  const [custom, setCustom] = useState({ start: addDays(today, -29), end: today });
+  const metric = goalMetric(settings);
+  const dayStart = dayStartHour(settings);
+  const range = useMemo(() => rangeFor(kind, today, custom), [kind, today, custom]);
+
+  const byDay = useMemo(() => wordsByDay(sessions, metric), [sessions, metric]);
+  const heat = useMemo(() => heatmap(byDay, today), [byDay, today]);
+  const best = useMemo(() => records(byDay), [byDay]);
+  const totals = useMemo(() => summary(sessions, range, metric), [sessions, range, metric]);
+  const series = useMemo(() => timeline(sessions, range, metric), [sessions, range, metric]);
+  const weekdays = useMemo(() => byWeekday(sessions, range, metric), [sessions, range, metric]);
+  const hours = useMemo(() => byHour(sessions, range, metric, dayStart), [sessions, range, metric, dayStart]);
+
+  const title = (id) => (id ? projects.find(p => p.id === id)?.title || "Deleted project" : "No project");
+  const rows = series.rows.map(r => ({ ...r, label: bucketLabel(r.key, series.bucket) }));
+  const stem = `writing-${range.start}-to-${range.end}`;
+  const bucketColumns = [{ key: "key", label: series.bucket === "month" ? "Month" : series.bucket === "week" ? "Week of" : "Date" }];
+  const weekdayRows = weekdays.map(r => ({ ...r, name: WEEKDAYS[r.day] }));
+  const hourRows = hours.hours.map(r => ({ ...r, name: hourLabel(r.hour) }));
+  const words = GOAL_METRICS[metric].label;
+
+  return (
+    <div className="grid gap-4">
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(RANGES).map(([k, r]) => (
+          <Button key={k} size="sm" variant={kind === k ? "default" : "outline"} onClick={() => setKind(k)}>{r.label}</Button>
+        ))}
+        {kind === "custom" && (
+          <div className="flex items-center gap-2">
+            <Input type="date" className="w-40" value={custom.start} max={custom.end} onChange={(e) => e.target.value && setCustom(c => ({ ...c, start: e.target.value }))} />
+            <span className="text-sm text-zinc-500">to</span>
+            <Input type="date" className="w-40" value={custom.end} min={custom.start} onChange={(e) => e.target.value && setCustom(c => ({ ...c, end: e.target.value }))} />
+          </div>
+        )}
+        <span className="text-sm text-zinc-600 ml-auto">{formatDay(range.start, { month: "short", day: "numeric", year: "numeric" })} – {formatDay(range.end, { month: "short", day: "numeric", year: "numeric" })} · {words.toLowerCase()}</span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {[
+          [words, totals.words.toLocaleString()],
+          ["Minutes", totals.minutes.toLocaleString()],
+          ["Sessions", totals.sessions.toLocaleString()],
+          ["Days written", totals.activeDays.toLocaleString()],
+          ["Words / hour", totals.wph ?? "—"],
+        ].map(([label, value]) => (
+          <Card key={label} className="shadow-sm">
+            <CardHeader className="pb-2"><CardTitle className="text-sm font-medium">{label}</CardTitle></CardHeader>
+            <CardContent className="text-2xl font-bold">{value}</CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <ChartCard title="Last 12 Months" fileName={`writing-heatmap-${today}`}
+        csv={() => ({ rows: heat.weeks.flat(), columns: [{ key: "date", label: "Date" }, { key: "words", label: words }] })}>
+        <Heatmap data={heat} best={best.day?.key} />
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-sm text-zinc-600">
+          <Award className="w-4 h-4 text-amber-500"/>
+          {best.day ? (
+            <>
+              <Badge variant="outline">Best day: {formatDay(best.day.key, { month: "short", day: "numeric", year: "numeric" })} · {best.day.words.toLocaleString()}</Badge>
+              <Badge variant="outline">Best week: w/c {formatDay(best.week.key, { month: "short", day: "numeric", year: "numeric" })} · {best.week.words.toLocaleString()}</Badge>
+              <Badge variant="outline">Best month: {formatDay(`${best.month.key}-01`, { month: "long", year: "numeric" })} · {best.month.words.toLocaleString()}</Badge>
+            </>
+          ) : <span>Records appear once you’ve logged some words.</span>}
+        </div>
+      </ChartCard>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <ChartCard title="Words by Project" fileName={`${stem}-by-project`}
+          csv={() => ({ rows, columns: [...bucketColumns, ...series.projectIds.map(id => ({ key: `p:${id}`, label: title(id) })), { key: "total", label: "Total" }] })}>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={16} />
+                <YAxis allowDecimals={false} />
+                <RTooltip contentStyle={TOOLTIP_STYLE} />
+                <Legend />
+                {series.projectIds.map((id, i) => <Bar key={id} dataKey={`p:${id}`} name={title(id)} stackId="words" fill={PALETTE[i % PALETTE.length]} />)}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </ChartCard>
+
+        <ChartCard title="Cumulative Words" fileName={`${stem}-cumulative`}
+          csv={() => ({ rows, columns: [...bucketColumns, { key: "total", label: words }, { key: "cumulative", label: "Cumulative" }] })}>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={16} />
+                <YAxis allowDecimals={false} />
+                <RTooltip contentStyle={TOOLTIP_STYLE} />
+                <Line type="monotone" dataKey="cumulative" name="Cumulative" stroke="#6366f1" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </ChartCard>
+
+        <ChartCard title="Minutes Written" fileName={`${stem}-minutes`}
+          csv={() => ({ rows, columns: [...bucketColumns, { key: "minutes", label: "Minutes" }, { key: "sessions", label: "Sessions" }] })}>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={16} />
+                <YAxis allowDecimals={false} />
+                <RTooltip contentStyle={TOOLTIP_STYLE} />
+                <Bar dataKey="minutes" name="Minutes" fill="#10b981" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </ChartCard>
+
+        <ChartCard title="Words per Hour" fileName={`${stem}-words-per-hour`}
+          csv={() => ({ rows, columns: [...bucketColumns, { key: "wph", label: "Words per hour" }] })}>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={16} />
+                <YAxis allowDecimals={false} />
+                <RTooltip contentStyle={TOOLTIP_STYLE} />
+                <Line type="monotone" dataKey="wph" name="Words per hour" stroke="#f59e0b" strokeWidth={2} connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </ChartCard>
+
+        <ChartCard title="By Weekday" fileName={`${stem}-by-weekday`}
+          csv={() => ({ rows: weekdayRows, columns: [{ key: "name", label: "Weekday" }, { key: "words", label: words }, { key: "average", label: "Average" }, { key: "minutes", label: "Minutes" }] })}>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={weekdayRows}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis allowDecimals={false} />
+                <RTooltip contentStyle={TOOLTIP_STYLE} />
+                <Bar dataKey="average" name="Average per day" fill="#6366f1" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </ChartCard>
+
+        <ChartCard title="By Time of Day" fileName={`${stem}-by-hour`}
+          csv={() => ({ rows: hourRows, columns: [{ key: "name", label: "Hour" }, { key: "words", label: words }, { key: "sessions", label: "Sessions" }] })}>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={hourRows}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" minTickGap={8} />
+                <YAxis allowDecimals={false} />
+                <RTooltip contentStyle={TOOLTIP_STYLE} />
+                <Bar dataKey="words" name={words} fill="#8b5cf6" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          {hours.untimed > 0 && (
+            <p className="text-xs text-zinc-500 mt-2">{hours.untimed} session{hours.untimed === 1 ? " has" : "s have"} no time of day (logged for another day, or before times were recorded).</p>
+          )}
+        </ChartCard>
+      </div>
+    </div>
+  );
+}
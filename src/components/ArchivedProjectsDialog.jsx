@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Archive, ArchiveRestore, Trash2 } from "lucide-react";
+import { selectOrphans } from "../lib/selectors";
+import DeleteProjectDialog from "./DeleteProjectDialog";
+
+const SELECT_CLASS = "bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50";
+const DETACH = "none";
+
+/**
+ * Archived projects, each with restore and permanent delete, plus sessions and
+ * ideas left pointing at projects that no longer exist, which can be detached
+ * or moved with `onRelinkOrphans(projectId | null)`.
+ */
+export default function ArchivedProjectsDialog({ projects, sessions, ideas, documents, onRestore, onDelete, onRelinkOrphans }){
+  const [target, setTarget] = useState(DETACH);
+  const archived = projects.filter(p => p.archived)
+    .sort((a, b) => (b.archivedAt || "").localeCompare(a.archivedAt || "") || a.title.localeCompare(b.title));
+  const lost = selectOrphans({ projects, sessions, ideas });
+  const orphans = { sessions: lost.sessions.length, ideas: lost.ideas.length };
+  const count = (id, list) => list.filter(r => r.projectId === id).length;
+
+  return (
+    <Dialog onOpenChange={(open) => { if (open) setTarget(DETACH); }}>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="ghost"><Archive className="w-4 h-4 mr-1"/>Archived{archived.length ? ` ${archived.length}` : ""}</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Archived projects</DialogTitle>
+          <DialogDescription>Archived projects keep their sessions, ideas and manuscript. Restore one to see it on the dashboard again.</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto pr-1">
+          {archived.length === 0 && <div className="text-sm text-zinc-500">Nothing archived. The archive button on a project card moves it here.</div>}
+          {archived.map(p => (
+            <div key={p.id} className="p-3 rounded-xl border bg-zinc-50 flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <div className="text-sm font-medium truncate">{p.title}</div>
+                <div className="text-xs text-zinc-500">
+                  {p.status} · {count(p.id, sessions)} sessions · {count(p.id, ideas)} ideas · {count(p.id, documents)} documents
+                  {p.archivedAt ? ` · archived ${new Date(p.archivedAt).toLocaleDateString()}` : ""}
+                </div>
+              </div>
+              <div className="flex items-center gap-1 shrink-0">
+                <Button size="sm" variant="outline" onClick={() => onRestore(p.id)}><ArchiveRestore className="w-3 h-3 mr-1"/>Restore</Button>
+                <DeleteProjectDialog project={p} projects={projects} sessions={sessions} ideas={ideas} documents={documents}
+                  onDelete={(mode, targetId) => onDelete(p.id, mode, targetId)}
+                  trigger={<Button size="icon" variant="ghost" aria-label={`Delete ${p.title}`} title="Delete permanently"><Trash2 className="w-4 h-4"/></Button>} />
+              </div>
+            </div>
+          ))}
+        </div>
+        {(orphans.sessions > 0 || orphans.ideas > 0) && (
+          <div className="pt-3 border-t grid gap-2">
+            <p className="text-sm">
+              {[orphans.sessions && `${orphans.sessions} session${orphans.sessions === 1 ? "" : "s"}`, orphans.ideas && `${orphans.ideas} idea${orphans.ideas === 1 ? "" : "s"}`].filter(Boolean).join(" and ")}
+              {" "}still point at deleted projects.
+            </p>
+            <div className="flex items-center gap-2">
+              <Select value={target} onValueChange={setTarget}>
+                <SelectTrigger className="flex-1"><SelectValue /></SelectTrigger>
+                <SelectContent className={SELECT_CLASS}>
+                  <SelectItem value={DETACH}>Keep them without a project</SelectItem>
+                  {projects.map(p => <SelectItem key={p.id} value={p.id}>Move to {p.title}{p.archived ? " (archived)" : ""}</SelectItem>)}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={() => onRelinkOrphans(target === DETACH ? null : target)}>Apply</Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,53 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { CartesianGrid, Legend, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip as RTooltip, XAxis, YAxis } from "recharts";
+import { TrendingUp } from "lucide-react";
+import { burnUp } from "../lib/pacing";
+import { formatDay } from "../lib/dates";
+
+/**
+ * A project's words to date against the steady pace that reaches its target
+ * on the deadline. `sessions` are the project's own.
+ */
+export default function BurnUpDialog({ project, current, sessions, today, rest }){
+  const [open, setOpen] = useState(false);
+  const points = useMemo(
+    () => (open ? burnUp(project, { current, sessions, today, rest }).map(p => ({ ...p, label: formatDay(p.date) })) : []),
+    [open, project, current, sessions, today, rest],
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="outline"><TrendingUp className="w-3 h-3 mr-1"/>Pace</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>{project.title}: Burn-up</DialogTitle>
+          <DialogDescription>
+            Words in the manuscript each day, worked back from today through the project’s sessions, against an even pace to {project.targetWords.toLocaleString()} words by the deadline. The pace line is flat on rest days.
+          </DialogDescription>
+        </DialogHeader>
+        {points.length ? (
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={points}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={24} />
+                <YAxis allowDecimals={false} />
+                <RTooltip contentStyle={{ background: "#fff", border: "1px solid #e5e7eb", borderRadius: "8px" }} />
+                <Legend />
+                <ReferenceLine x={formatDay(today)} stroke="#a1a1aa" strokeDasharray="2 2" />
+                <Line type="monotone" dataKey="actual" name="Actual" stroke="#6366f1" strokeWidth={2} dot={false} connectNulls={false} />
+                <Line type="linear" dataKey="ideal" name="Pace to deadline" stroke="#a1a1aa" strokeDasharray="6 4" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="text-sm text-zinc-500">Set a target and a deadline after the project started to see its burn-up.</div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
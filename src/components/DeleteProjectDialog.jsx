@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+
+const SELECT_CLASS = "bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50";
+
+const MODES = {
+  detach: "Keep them, without a project",
+  reassign: "Move them to another project",
+  delete: "Delete them too",
+};
+
+function plural(n, word){ return `${n} ${word}${n === 1 ? "" : "s"}`; }
+
+/**
+ * Permanently deletes a project after asking what happens to its sessions and
+ * ideas: `onDelete(mode, targetId)` with mode `detach`, `reassign` or `delete`.
+ * The manuscript always goes with the project.
+ */
+export default function DeleteProjectDialog({ project, projects, sessions, ideas, documents, trigger, onDelete }){
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState("detach");
+  const [targetId, setTargetId] = useState("");
+  const others = projects.filter(p => p.id !== project.id);
+  const own = {
+    sessions: sessions.filter(s => s.projectId === project.id).length,
+    ideas: ideas.filter(i => i.projectId === project.id).length,
+    documents: documents.filter(d => d.projectId === project.id).length,
+  };
+  const dependents = [own.sessions && plural(own.sessions, "session"), own.ideas && plural(own.ideas, "idea")].filter(Boolean);
+  const ready = !dependents.length || mode !== "reassign" || others.some(p => p.id === targetId);
+
+  function onOpenChange(next){
+    if (next) { setMode("detach"); setTargetId(""); }
+    setOpen(next);
+  }
+
+  function confirm(){
+    onDelete(dependents.length ? mode : "detach", mode === "reassign" ? targetId : null);
+    setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Delete “{project.title}”?</DialogTitle>
+          <DialogDescription>
+            {own.documents ? `Its manuscript (${plural(own.documents, "document")}) and revision history go with it. ` : ""}
+            You can undo this for a few seconds afterwards.
+          </DialogDescription>
+        </DialogHeader>
+        {dependents.length > 0 && (
+          <div className="grid gap-2">
+            <label className="text-xs text-zinc-600">This project has {dependents.join(" and ")}.</label>
+            <Select value={mode} onValueChange={setMode}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent className={SELECT_CLASS}>
+                {Object.entries(MODES).map(([k, label]) => <SelectItem key={k} value={k} disabled={k === "reassign" && !others.length}>{label}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            {mode === "reassign" && (
+              <Select value={targetId} onValueChange={setTargetId}>
+                <SelectTrigger><SelectValue placeholder="Choose a project" /></SelectTrigger>
+                <SelectContent className={SELECT_CLASS}>
+                  {others.map(p => <SelectItem key={p.id} value={p.id}>{p.title}{p.archived ? " (archived)" : ""}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button variant="destructive" disabled={!ready} onClick={confirm}>Delete project</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { toast } from "sonner";
+import { Copy, History, RotateCcw } from "lucide-react";
+import { diffStats, diffText } from "../lib/diff";
+import { REVISION_KINDS, historySettings } from "../lib/revisions";
+import { countRules } from "../lib/wordCount";
+
+const CURRENT = "current";
+
+/**
+ * Revision list for one document with a diff between any two revisions (or the
+ * editor's current text) and restore/copy actions.
+ */
+export default function DraftHistoryDialog({ documentId, currentText, revisionStore, settings, onSettingsChange, onRestore }){
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [fromId, setFromId] = useState("");
+  const [toId, setToId] = useState(CURRENT);
+  const [view, setView] = useState("inline");
+  const history = historySettings(settings);
+
+  useEffect(() => {
+    if (!open) return;
+    let live = true;
+    revisionStore.list(documentId)
+      .then(list => { if (!live) return; setRevisions(list); setFromId(list[0]?.id || ""); setToId(CURRENT); })
+      .catch(err => { console.error("history load error:", err); toast("Couldn’t load history"); });
+    return () => { live = false; };
+  }, [open, documentId, revisionStore]);
+
+  const textOf = (id) => id === CURRENT ? currentText : revisions.find(r => r.id === id)?.text ?? "";
+  const fromText = textOf(fromId), toText = textOf(toId);
+  const parts = useMemo(() => open && fromId ? diffText(fromText, toText) : [], [open, fromId, fromText, toText]);
+  const stats = diffStats(parts, countRules(settings));
+  const selected = revisions.find(r => r.id === fromId);
+
+  function setHistory(field, value){
+    const n = parseInt(value, 10);
+    onSettingsChange({ history: { ...history, [field]: isNaN(n) ? 0 : Math.max(0, n) } });
+  }
+
+  async function copy(text){
+    try { await navigator.clipboard.writeText(text); toast("Copied to clipboard"); }
+    catch { toast("Couldn’t copy"); }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline"><History className="w-4 h-4 mr-2"/>History</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-5xl">
+        <DialogHeader>
+          <DialogTitle>Draft History</DialogTitle>
+          <DialogDescription>Pick two versions to compare. Restoring puts the old text in the editor; save to keep it.</DialogDescription>
+        </DialogHeader>
+        <div className="grid md:grid-cols-[16rem_1fr] gap-4 min-h-0">
+          <div className="space-y-1 max-h-[60vh] overflow-y-auto pr-1">
+            <RevisionRow label="Current editor text" active={{ from: fromId===CURRENT, to: toId===CURRENT }} onFrom={()=>setFromId(CURRENT)} onTo={()=>setToId(CURRENT)} />
+            {revisions.length===0 && <div className="text-sm text-zinc-500 p-2">No revisions yet. They’re recorded when you save.</div>}
+            {revisions.map(r=> (
+              <RevisionRow key={r.id}
+                label={new Date(r.createdAt).toLocaleString()}
+                detail={`${REVISION_KINDS[r.kind] || r.kind} · ${r.words.toLocaleString()} words`}
+                active={{ from: fromId===r.id, to: toId===r.id }}
+                onFrom={()=>setFromId(r.id)} onTo={()=>setToId(r.id)} />
+            ))}
+          </div>
+          <div className="flex flex-col min-h-0">
+            <div className="flex items-center justify-between gap-2 mb-2 flex-wrap">
+              <div className="flex items-center gap-2 text-xs">
+                <Badge className="bg-green-100 text-green-800">+{stats.added} words</Badge>
+                <Badge className="bg-red-100 text-red-800">−{stats.removed} words</Badge>
+              </div>
+              <div className="flex items-center gap-2">
+                <Button size="sm" variant={view==="inline"?"default":"outline"} onClick={()=>setView("inline")}>Inline</Button>
+                <Button size="sm" variant={view==="split"?"default":"outline"} onClick={()=>setView("split")}>Side by side</Button>
+              </div>
+            </div>
+            <DiffView parts={parts} view={view} />
+            <div className="flex items-center justify-end gap-2 mt-2">
+              <Button size="sm" variant="outline" disabled={!fromId} onClick={()=>copy(fromText)}><Copy className="w-3 h-3 mr-1"/>Copy “A”</Button>
+              <Button size="sm" disabled={!selected} onClick={()=>{ onRestore(selected.text); setOpen(false); toast("Revision restored into the editor — save to keep it"); }}>
+                <RotateCcw className="w-3 h-3 mr-1"/>Restore “A”
+              </Button>
+            </div>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-xs text-zinc-600 border-t pt-3">
+          <span>Keep</span>
+          <Input className="h-7 w-16" type="number" value={history.keepRevisions} onChange={(e)=>setHistory("keepRevisions", e.target.value)} />
+          <span>revisions for</span>
+          <Input className="h-7 w-16" type="number" value={history.keepDays} onChange={(e)=>setHistory("keepDays", e.target.value)} />
+          <span>days; snapshot every</span>
+          <Input className="h-7 w-16" type="number" value={history.autoSnapshotMinutes} onChange={(e)=>setHistory("autoSnapshotMinutes", e.target.value)} />
+          <span>minutes while editing (0 = no limit / off).</span>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function RevisionRow({ label, detail, active, onFrom, onTo }){
+  return (
+    <div className={`p-2 rounded-lg border text-sm flex items-center justify-between gap-2 ${active.from||active.to ? "bg-zinc-50" : ""}`}>
+      <div className="min-w-0">
+        <div className="truncate">{label}</div>
+        {detail && <div className="text-xs text-zinc-500">{detail}</div>}
+      </div>
+      <div className="flex gap-1 shrink-0">
+        <Button size="sm" className="h-6 px-2" variant={active.from?"default":"outline"} onClick={onFrom}>A</Button>
+        <Button size="sm" className="h-6 px-2" variant={active.to?"default":"outline"} onClick={onTo}>B</Button>
+      </div>
+    </div>
+  );
+}
+
+function DiffView({ parts, view }){
+  const box = "text-sm whitespace-pre-wrap font-serif leading-relaxed p-3 rounded-lg border overflow-y-auto h-[50vh]";
+  const ins = "bg-green-100 text-green-900";
+  const del = "bg-red-100 text-red-900 line-through";
+  if (!parts.length) return <div className={`${box} text-zinc-500`}>Nothing to compare.</div>;
+  if (view === "split") {
+    return (
+      <div className="grid grid-cols-2 gap-2">
+        <div className={box}>{parts.filter(p=>p.type!=="insert").map((p,i)=> <span key={i} className={p.type==="delete"?del:""}>{p.text}</span>)}</div>
+        <div className={box}>{parts.filter(p=>p.type!=="delete").map((p,i)=> <span key={i} className={p.type==="insert"?ins:""}>{p.text}</span>)}</div>
+      </div>
+    );
+  }
+  return <div className={box}>{parts.map((p,i)=> <span key={i} className={p.type==="insert"?ins:p.type==="delete"?del:""}>{p.text}</span>)}</div>;
+}
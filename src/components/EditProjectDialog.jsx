@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Edit2 } from "lucide-react";
+
+/** Edits a project's title, description and deadline; `deleteAction` sits in the footer. */
+export default function EditProjectDialog({ p, onUpdate, deleteAction }){
+  const [open, setOpen] = useState(false);
+  const [title,setTitle] = useState(p.title);
+  const [description,setDescription] = useState(p.description||"");
+  const [deadline,setDeadline] = useState(p.deadline||"");
+  useEffect(()=>{ setTitle(p.title); setDescription(p.description||""); setDeadline(p.deadline||""); },[p]);
+
+  function save(){ onUpdate({ title, description, deadline }); setOpen(false); }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild><Button variant="outline" size="sm"><Edit2 className="w-3 h-3 mr-1"/>Edit</Button></DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Edit Project</DialogTitle>
+        </DialogHeader>
+        <div className="grid gap-3">
+          <Input value={title} onChange={(e)=>setTitle(e.target.value)} />
+          <Textarea value={description} onChange={(e)=>setDescription(e.target.value)} />
+          <div>
+            <label className="text-xs text-zinc-600">Deadline (optional)</label>
+            <Input type="date" value={deadline} onChange={(e)=>setDeadline(e.target.value)} />
+          </div>
+        </div>
+        <DialogFooter className="justify-between">
+          {deleteAction}
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={()=>setOpen(false)}>Cancel</Button>
+            <Button onClick={save}>Save</Button>
+          </div>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Settings2 } from "lucide-react";
+import { FREEZE_EVERY, GOAL_PLANS, MAX_FREEZES, goalConfig } from "../lib/goals";
+import { MAX_DAY_START, WEEKDAYS, dayStartHour } from "../lib/dates";
+
+function hourLabel(h){ return h ? new Date(2000, 0, 1, h).toLocaleTimeString(undefined, { hour: "numeric" }) : "Midnight"; }
+function words(text){ return Math.min(1000000, Math.max(0, parseInt(text, 10) || 0)); }
+
+/**
+ * The goal plan, rest days and when the day starts. Changes are saved
+ * together so streaks aren't recounted halfway through an edit.
+ */
+export default function GoalPlanDialog({ settings, onSettingsChange }){
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(null);
+
+  function onOpenChange(next){
+    if (next) {
+      const c = goalConfig(settings);
+      setForm({
+        plan: c.plan, daily: String(c.daily), weekdays: c.weekdays.map(String), weekly: String(c.weekly), monthly: String(c.monthly),
+        rest: c.rest, dayStart: dayStartHour(settings),
+      });
+    }
+    setOpen(next);
+  }
+
+  const set = (patch) => setForm(f => ({ ...f, ...patch }));
+  const toggleRest = (day) => set({ rest: form.rest.includes(day) ? form.rest.filter(d => d !== day) : [...form.rest, day].sort() });
+
+  function save(){
+    onSettingsChange({
+      dailyGoal: words(form.daily),
+      goals: { plan: form.plan, weekdays: form.weekdays.map(words), weekly: words(form.weekly), monthly: words(form.monthly) },
+      restDays: form.rest,
+      dayStartHour: form.dayStart,
+    });
+    setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>
+        <Button size="icon" variant="ghost" className="h-7 w-7" aria-label="Goal settings" title="Goal settings"><Settings2 className="w-4 h-4"/></Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Goals &amp; Schedule</DialogTitle>
+          <DialogDescription>
+            Rest days never break a streak. Every {FREEZE_EVERY} days in a row that meet your goal earn a streak freeze (up to {MAX_FREEZES}), used up automatically on a day you miss.
+          </DialogDescription>
+        </DialogHeader>
+        {form && (
+          <div className="grid gap-3">
+            <div>
+              <label className="text-xs text-zinc-600">Goal plan</label>
+              <Select value={form.plan} onValueChange={(v) => set({ plan: v })}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50">
+                  {Object.entries(GOAL_PLANS).map(([k, label]) => <SelectItem key={k} value={k}>{label}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </div>
+            {form.plan === "daily" && (
+              <div>
+                <label className="text-xs text-zinc-600">Words per day</label>
+                <Input type="number" min="0" value={form.daily} onChange={(e) => set({ daily: e.target.value })} />
+              </div>
+            )}
+            {form.plan === "weekdays" && (
+              <div className="grid grid-cols-7 gap-1">
+                {WEEKDAYS.map((name, i) => (
+                  <div key={name}>
+                    <label className="text-xs text-zinc-600">{name}</label>
+                    <Input type="number" min="0" className="px-1 text-center" value={form.weekdays[i]}
+                      onChange={(e) => set({ weekdays: form.weekdays.map((v, j) => (j === i ? e.target.value : v)) })} />
+                  </div>
+                ))}
+                <p className="col-span-7 text-xs text-zinc-500">A day with no target counts as a rest day.</p>
+              </div>
+            )}
+            {(form.plan === "weekly" || form.plan === "monthly") && (
+              <div>
+                <label className="text-xs text-zinc-600">{form.plan === "weekly" ? "Words per week (Monday to Sunday)" : "Words per month"}</label>
+                <Input type="number" min="0" value={form[form.plan]} onChange={(e) => set({ [form.plan]: e.target.value })} />
+                <p className="text-xs text-zinc-500 mt-1">For streaks, a day meets the goal when it writes its even share over the writing days.</p>
+              </div>
+            )}
+            <div className="pt-3 border-t">
+              <label className="text-xs text-zinc-600">Rest days</label>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {WEEKDAYS.map((name, day) => (
+                  <Button key={name} size="sm" className="h-7 px-2 text-xs" variant={form.rest.includes(day) ? "default" : "outline"}
+                    aria-pressed={form.rest.includes(day)} onClick={() => toggleRest(day)}>{name}</Button>
+                ))}
+              </div>
+              <p className="text-xs text-zinc-500 mt-1">Also left out of deadline pacing.</p>
+            </div>
+            <div>
+              <label className="text-xs text-zinc-600">Day starts at</label>
+              <Select value={String(form.dayStart)} onValueChange={(v) => set({ dayStart: Number(v) })}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50">
+                  {Array.from({ length: MAX_DAY_START + 1 }, (_, h) => <SelectItem key={h} value={String(h)}>{hourLabel(h)}</SelectItem>)}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-zinc-500 mt-1">Writing before then counts toward the day before.</p>
+            </div>
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={save}>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
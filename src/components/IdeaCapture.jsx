@@ -0,0 +1,33 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Plus } from "lucide-react";
+import { parseTags } from "../lib/ideas";
+import ProjectSelect from "./ProjectSelect";
+
+/** Quick capture for an idea, with tags and an optional project. */
+export default function IdeaCapture({ onAdd }){
+  const [text,setText] = useState("");
+  const [tags,setTags] = useState("");
+  const [projectId,setProjectId] = useState("");
+
+  function add(){
+    const t = text.trim(); if(!t) return;
+    onAdd({ text:t, tags: parseTags(tags), projectId: projectId || undefined });
+    setText(""); setTags(""); setProjectId("");
+  }
+
+  return (
+    <div className="mb-4 p-3 rounded-2xl border bg-white shadow-xs">
+      <div className="grid gap-2">
+        <Textarea placeholder="Quick capture an idea, snippet, quote..." value={text} onChange={(e)=>setText(e.target.value)} />
+        <div className="grid grid-cols-3 gap-2">
+          <Input placeholder="tags (comma-separated)" value={tags} onChange={(e)=>setTags(e.target.value)} />
+          <ProjectSelect value={projectId} onChange={setProjectId} />
+          <Button onClick={add}><Plus className="w-4 h-4 mr-2"/>Add</Button>
+        </div>
+      </div>
+    </div>
+  );
+}
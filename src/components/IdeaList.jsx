@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { FolderPlus, Pin, Search, Settings2, Tag, Trash2, X } from "lucide-react";
+import { ideaTags, retagIdeas, searchIdeas } from "../lib/ideas";
+
+const SELECT_CLASS = "bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50";
+
+/** One tag in the manager: rename it, merge it into another, or delete it. */
+function TagRow({ tag, count, others, onRetag }){
+  const [name, setName] = useState(tag);
+  const next = name.trim();
+  const merging = next !== tag && others.includes(next);
+  return (
+    <div className="flex items-center gap-2">
+      <Input className="h-8 flex-1" value={name} onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => { if (e.key === "Enter" && next && next !== tag) onRetag(tag, next); }} />
+      <span className="text-xs text-zinc-500 w-16 text-right">{count} idea{count === 1 ? "" : "s"}</span>
+      <Button size="sm" variant="outline" className="h-8" disabled={!next || next === tag} onClick={() => onRetag(tag, next)}>{merging ? "Merge" : "Rename"}</Button>
+      <Select value="" onValueChange={(v) => onRetag(tag, v)} disabled={!others.length}>
+        <SelectTrigger className="h-8 w-32"><SelectValue placeholder="Merge into…" /></SelectTrigger>
+        <SelectContent className={SELECT_CLASS}>
+          {others.map(t => <SelectItem key={t} value={t}>{t}</SelectItem>)}
+        </SelectContent>
+      </Select>
+      <Button size="icon" variant="ghost" className="h-8 w-8" aria-label={`Delete tag ${tag}`}
+        onClick={() => { if (window.confirm(`Remove the tag “${tag}” from ${count} idea${count === 1 ? "" : "s"}?`)) onRetag(tag, ""); }}>
+        <Trash2 className="w-4 h-4"/>
+      </Button>
+    </div>
+  );
+}
+
+function TagManagerDialog({ tags, onRetag }){
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button size="icon" variant="ghost" aria-label="Manage tags" title="Manage tags" disabled={!tags.length}><Settings2 className="w-4 h-4"/></Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Tags</DialogTitle>
+          <DialogDescription>Changes apply to every idea with the tag. Renaming a tag to one that already exists merges them.</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-[60vh] overflow-y-auto pr-1">
+          {tags.map(({ tag, count }) => (
+            <TagRow key={tag} tag={tag} count={count} others={tags.map(t => t.tag).filter(t => t !== tag)} onRetag={onRetag} />
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/**
+ * The idea library: ranked search over text and tags, filtering by several
+ * tags at once, tag upkeep, and promoting an idea to a project of its own.
+ */
+export default function IdeaList({ ideas, projects, onUpdate, onUpdateMany, onDelete, onPromote }){
+  const [query, setQuery] = useState("");
+  const [tagFilter, setTagFilter] = useState(/** @type {string[]} */ ([]));
+  const [match, setMatch] = useState("all");
+  const tags = useMemo(() => ideaTags(ideas), [ideas]);
+  // A tag that was renamed or deleted drops out of the filter.
+  const active = useMemo(() => tagFilter.filter(t => tags.some(x => x.tag === t)), [tagFilter, tags]);
+  const filtered = useMemo(() => searchIdeas(ideas, { query, tags: active, match }), [ideas, query, active, match]);
+  const projectTitle = useMemo(() => new Map(projects.map(p => [p.id, p.title])), [projects]);
+
+  const toggleTag = (t) => setTagFilter(active.includes(t) ? active.filter(x => x !== t) : [...active, t]);
+  function retag(from, to){
+    onUpdateMany(retagIdeas(ideas, from, to));
+    setTagFilter(active.flatMap(t => (t === from ? (to ? [to] : []) : [t])));
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 absolute left-2 top-2.5 text-zinc-400"/>
+          <Input className="pl-7" placeholder="Search ideas and tags" value={query} onChange={(e) => setQuery(e.target.value)} />
+        </div>
+        <TagManagerDialog tags={tags} onRetag={retag} />
+      </div>
+      {tags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 mb-2">
+          {tags.map(({ tag, count }) => (
+            <button key={tag} onClick={() => toggleTag(tag)} aria-pressed={active.includes(tag)}>
+              <Badge variant={active.includes(tag) ? "default" : "outline"} className="flex items-center gap-1 cursor-pointer">
+                <Tag className="w-3 h-3"/>{tag}<span className="opacity-60">{count}</span>
+              </Badge>
+            </button>
+          ))}
+          {active.length > 1 && (
+            <Button size="sm" variant="ghost" className="h-6 px-2 text-xs" onClick={() => setMatch(match === "all" ? "any" : "all")}
+              title="Whether ideas need every selected tag or just one">
+              Match {match === "all" ? "all" : "any"}
+            </Button>
+          )}
+          {active.length > 0 && <Button size="sm" variant="ghost" className="h-6 px-2 text-xs" onClick={() => setTagFilter([])}><X className="w-3 h-3 mr-1"/>Clear</Button>}
+        </div>
+      )}
+      <div className="space-y-2 max-h-[340px] overflow-y-auto pr-1">
+        {filtered.length === 0 && <div className="text-sm text-zinc-500">{ideas.length ? "No ideas match." : "No ideas yet."}</div>}
+        {filtered.map(i => (
+          <div key={i.id} className={`p-3 rounded-xl border ${i.pinned ? "bg-amber-50/60" : "bg-zinc-50"}`}>
+            <div className="flex items-start justify-between gap-3">
+              <p className="text-sm leading-snug whitespace-pre-wrap">{i.text}</p>
+              <div className="flex items-center gap-1">
+                {!projectTitle.has(i.projectId) && (
+                  <Button size="icon" variant="ghost" aria-label="Promote to project" title="Promote to project" onClick={() => onPromote(i.id)}>
+                    <FolderPlus className="w-4 h-4"/>
+                  </Button>
+                )}
+                <Button size="icon" variant="ghost" aria-label={i.pinned ? "Unpin" : "Pin"} title={i.pinned ? "Unpin" : "Pin"} onClick={() => onUpdate(i.id, { pinned: !i.pinned })}>
+                  <Pin className={`w-4 h-4 ${i.pinned ? "text-zinc-900 fill-current" : "text-zinc-400"}`}/>
+                </Button>
+                <Button size="icon" variant="ghost" aria-label="Delete idea" onClick={() => onDelete(i.id)}><Trash2 className="w-4 h-4"/></Button>
+              </div>
+            </div>
+            <div className="flex items-center justify-between mt-2">
+              <div className="flex flex-wrap gap-1">
+                {i.projectId && projectTitle.has(i.projectId) && <Badge variant="outline" className="text-xs">{projectTitle.get(i.projectId)}</Badge>}
+                {(i.tags || []).map(t => <Badge key={t} variant="secondary" className="flex items-center gap-1"><Tag className="w-3 h-3"/>{t}</Badge>)}
+              </div>
+              <span className="text-[10px] text-zinc-500">{new Date(i.createdAt).toLocaleString()}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { UploadCloud } from "lucide-react";
+import { SCHEMA_VERSION, planImport } from "../lib/schema";
+
+/** Shows what importing a JSON export would change, merged or replacing everything, before `onConfirm(plan, data)`. */
+export default function ImportPreviewDialog({ pending, current, onConfirm, onCancel }){
+  const [mode, setMode] = useState("merge");
+  const { data, errors, fileName, fromVersion } = pending;
+  const plan = useMemo(()=> data ? planImport(current, data, mode) : null, [current, data, mode]);
+  const labels = { projects: "Projects", documents: "Documents", sessions: "Sessions", ideas: "Ideas" };
+  const name = (c, r) => c==="projects" || c==="documents" ? r.title : c==="ideas" ? r.text.slice(0, 60) : `${r.date} · ${r.words} words`;
+
+  return (
+    <Dialog open={true} onOpenChange={(v)=>{ if(!v) onCancel(); }}>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Import {fileName}</DialogTitle>
+          <DialogDescription>
+            {plan ? `Review what will change before importing.${fromVersion && fromVersion < SCHEMA_VERSION ? ` This export is from an older version and was upgraded.` : ""}` : "This file can’t be imported."}
+          </DialogDescription>
+        </DialogHeader>
+        {!plan ? (
+          <ul className="text-sm text-red-600 list-disc pl-5 max-h-[50vh] overflow-y-auto space-y-1">
+            {errors.slice(0, 50).map((e,i)=> <li key={i}>{e}</li>)}
+            {errors.length>50 && <li>…and {errors.length-50} more</li>}
+          </ul>
+        ) : (
+          <div className="grid gap-3">
+            <Select value={mode} onValueChange={setMode}>
+              <SelectTrigger className="w-full"><SelectValue /></SelectTrigger>
+              <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50">
+                <SelectItem value="merge">Merge — add new items, keep everything already here</SelectItem>
+                <SelectItem value="replace">Replace — make this file the whole dataset</SelectItem>
+              </SelectContent>
+            </Select>
+            <div className="space-y-3 max-h-[50vh] overflow-y-auto pr-1">
+              {Object.entries(labels).map(([c, label])=> {
+                const { added, replaced, kept, removed } = plan[c];
+                return (
+                  <div key={c} className="p-3 rounded-xl border">
+                    <div className="text-sm font-medium mb-1">{label}</div>
+                    <div className="flex flex-wrap gap-1 mb-2">
+                      <Badge>{added.length} added</Badge>
+                      {mode==="replace" && <Badge variant="secondary">{replaced.length} replaced</Badge>}
+                      <Badge variant="outline">{kept.length} {mode==="merge" ? "already here, kept" : "unchanged"}</Badge>
+                      {mode==="replace" && <Badge variant={removed.length?"destructive":"outline"}>{removed.length} removed</Badge>}
+                    </div>
+                    {[["Added", added], ["Replaced", replaced], ["Removed", removed]].filter(([,l])=>l.length).map(([what, list])=> (
+                      <div key={what} className="text-xs text-zinc-600">
+                        <span className="font-medium">{what}:</span> {list.slice(0, 8).map(r=>name(c, r)).join(", ")}{list.length>8 ? `, +${list.length-8} more` : ""}
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant="secondary" onClick={onCancel}>Cancel</Button>
+          {plan && <Button onClick={()=>onConfirm(plan, data)}><UploadCloud className="w-4 h-4 mr-2"/>Import</Button>}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,26 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Edit2 } from "lucide-react";
+
+/** A number shown as text that turns into an input when clicked. */
+export default function InlineEdit({ target, label, onChange }){
+  const [editing, setEditing] = useState(false);
+  const [val, setVal] = useState(String(target));
+  useEffect(()=>setVal(String(target)),[target]);
+  return (
+    <div className="text-xs text-zinc-600 flex items-center gap-2">
+      <span>{label}:</span>
+      {editing ? (
+        <div className="flex items-center gap-2">
+          <Input className="h-7 w-24" type="number" value={val} onChange={(e)=>setVal(e.target.value)} />
+          <Button size="sm" onClick={()=>{ onChange(parseInt(val || "0", 10) || 0); setEditing(false); }}>Save</Button>
+        </div>
+      ):(
+        <button className="inline-flex items-center gap-1 hover:underline" onClick={()=>setEditing(true)}>
+          <span className="font-medium">{target.toLocaleString()}</span> <Edit2 className="w-3 h-3"/>
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { toast } from "sonner";
+import { Save } from "lucide-react";
+import ProjectSelect from "./ProjectSelect";
+
+/**
+ * Logs a writing session by hand. `openExternally` opens it from outside (the
+ * timer at the end of a focus block), with `onCloseExternal` called on close.
+ */
+export default function LogSessionDialog({ trigger, onSave, today, defaultProjectId="", defaultMinutes=25, openExternally=false, onCloseExternal }){
+  const [open, setOpen] = useState(false);
+  const [projectId,setProjectId] = useState(defaultProjectId);
+  const [date,setDate] = useState(today);
+  const [minutesText,setMinutesText] = useState(String(defaultMinutes));
+  const [wordsText,setWordsText] = useState("");
+  const [removedText,setRemovedText] = useState("");
+  const [notes,setNotes] = useState("");
+
+  useEffect(()=>{ setProjectId(defaultProjectId); },[defaultProjectId]);
+  // Timer minutes keep ticking while the dialog is open; only take them when it opens.
+  const minutesRef = useRef(defaultMinutes);
+  minutesRef.current = defaultMinutes;
+  useEffect(()=>{ if(openExternally){ setMinutesText(String(minutesRef.current)); setOpen(true); } },[openExternally]);
+
+  function save(){
+    const minutes = parseInt(minutesText, 10) || 0;
+    const words = Math.max(0, parseInt(wordsText, 10) || 0);
+    const removed = Math.max(0, parseInt(removedText, 10) || 0);
+    if(minutes<=0 && words<=0 && removed<=0){ toast("Add minutes or words"); return; }
+    onSave({ projectId: projectId || undefined, date, minutes, words, added: words, removed, notes });
+    setOpen(false); setMinutesText(String(defaultMinutes)); setWordsText(""); setRemovedText(""); setNotes(""); setDate(today); setProjectId(defaultProjectId);
+    if(onCloseExternal) onCloseExternal();
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(v)=>{ if(v){ setMinutesText(String(defaultMinutes)); setDate(today); } setOpen(v); if(!v && onCloseExternal) onCloseExternal(); }}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Log Writing Session</DialogTitle>
+        </DialogHeader>
+        <div className="grid gap-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-zinc-600">Date</label>
+              <Input type="date" value={date} onChange={(e)=>setDate(e.target.value)} />
+            </div>
+            <div>
+              <label className="text-xs text-zinc-600">Minutes</label>
+              <Input type="number" value={minutesText} onChange={(e)=>setMinutesText(e.target.value)} />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-zinc-600">Words written</label>
+              <Input type="number" min="0" value={wordsText} onChange={(e)=>setWordsText(e.target.value)} />
+            </div>
+            <div>
+              <label className="text-xs text-zinc-600">Words removed</label>
+              <Input type="number" min="0" value={removedText} onChange={(e)=>setRemovedText(e.target.value)} />
+            </div>
+          </div>
+          <div>
+            <label className="text-xs text-zinc-600">Project (optional)</label>
+            <ProjectSelect value={projectId} onChange={setProjectId} />
+          </div>
+          <Textarea placeholder="Notes (what you worked on, issues, etc.)" value={notes} onChange={(e)=>setNotes(e.target.value)} />
+        </div>
+        <DialogFooter>
+          <Button onClick={save}><Save className="w-4 h-4 mr-2"/>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
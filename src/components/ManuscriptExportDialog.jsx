@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import { FileDown } from "lucide-react";
+import { EXPORT_FORMATS, exportManuscript } from "../lib/manuscript";
+import { countRules } from "../lib/wordCount";
+
+/**
+ * Downloads a project's documents as one manuscript. The chosen format and
+ * author name are remembered in settings for next time.
+ */
+export default function ManuscriptExportDialog({ project, documents, settings, onSettingsChange }){
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState(settings.exportFormat || "docx");
+  const [author, setAuthor] = useState(settings.author || "");
+
+  function onOpenChange(next){
+    if (next) { setFormat(settings.exportFormat || "docx"); setAuthor(settings.author || ""); }
+    setOpen(next);
+  }
+
+  const docs = documents.filter(d => d.projectId === project.id);
+
+  function download(){
+    try {
+      const { blob, fileName } = exportManuscript(project, documents, format, { author, rules: countRules(settings) });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url; a.download = fileName; a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      if (author.trim() !== (settings.author || "") || format !== settings.exportFormat) {
+        onSettingsChange({ author: author.trim(), exportFormat: format });
+      }
+      setOpen(false);
+    } catch (err) {
+      console.error("manuscript export error:", err);
+      toast("Couldn’t export the manuscript");
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="outline"><FileDown className="w-3 h-3 mr-1"/>Export</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Export Manuscript</DialogTitle>
+          <DialogDescription>
+            {docs.length
+              ? `All ${docs.length} document${docs.length === 1 ? "" : "s"} of “${project.title}”, in tree order. The file is built on this device.`
+              : "This project has no documents yet, so the manuscript will only have a title page."}
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3">
+          <div>
+            <label className="text-xs text-zinc-600">Format</label>
+            <Select value={format} onValueChange={setFormat}>
+              <SelectTrigger className="w-full"><SelectValue /></SelectTrigger>
+              <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50">
+                {Object.entries(EXPORT_FORMATS).map(([id, f]) => <SelectItem key={id} value={id}>{f.label} (.{f.ext})</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-zinc-600">Author name (optional)</label>
+            <Input value={author} placeholder="Your name" onChange={(e) => setAuthor(e.target.value)} />
+          </div>
+          <p className="text-xs text-zinc-500">Title and description come from the project. Parts and chapters become headings; scenes inside a chapter are separated by scene breaks.</p>
+        </div>
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={download}>Download</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { FileUp } from "lucide-react";
+import { IMPORT_ACCEPT, backfillSessions, planManuscriptImport, readManuscriptFile } from "../lib/manuscriptImport";
+import { localDay } from "../lib/dates";
+
+function TreePreview({ nodes, depth = 0 }){
+  return nodes.map((n, i) => (
+    <React.Fragment key={`${depth}-${i}`}>
+      <div className="flex items-center justify-between gap-2 text-sm py-0.5" style={{ paddingLeft: depth * 16 }}>
+        <span className="truncate"><Badge variant="outline" className="text-[10px] mr-2 capitalize">{n.kind}</Badge>{n.title}</span>
+        <span className="text-xs text-zinc-500 shrink-0">{n.words.toLocaleString()} words</span>
+      </div>
+      {n.children.length > 0 && <TreePreview nodes={n.children} depth={depth + 1} />}
+    </React.Fragment>
+  ));
+}
+
+/**
+ * Picks .docx, .md, .txt or .html files and previews the parts and chapters
+ * they'll become. `onImport(plan, { backfill })` receives the result.
+ * `dayStart` is the hour the user's day starts at, for dating past sessions.
+ */
+export default function ManuscriptImportDialog({ trigger, rules, dayStart = 0, onImport }){
+  const [open, setOpen] = useState(false);
+  const [files, setFiles] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [reading, setReading] = useState(false);
+  const [split, setSplit] = useState(true);
+  const [backfill, setBackfill] = useState(false);
+  const plan = useMemo(() => (files.length ? planManuscriptImport(files, { split, rules }) : null), [files, split, rules]);
+  const today = localDay(new Date(), dayStart);
+  const past = plan ? backfillSessions(plan, today, dayStart) : [];
+
+  function reset(){ setFiles([]); setErrors([]); setSplit(true); setBackfill(false); }
+
+  async function choose(list){
+    setReading(true);
+    const results = await Promise.allSettled([...list].map(f => readManuscriptFile(f, rules)));
+    setReading(false);
+    setFiles(results.filter(r => r.status === "fulfilled").map(r => r.value));
+    setErrors(results.flatMap((r, i) => (r.status === "rejected" ? [`${list[i].name}: ${r.reason?.message || "couldn’t be read"}`] : [])));
+  }
+
+  function confirm(){
+    if (!plan) return;
+    onImport(plan, { backfill: backfill && past.length > 0 });
+    reset(); setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => { setOpen(v); if (!v) reset(); }}>
+      <DialogTrigger asChild>{trigger}</DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Import Manuscript</DialogTitle>
+          <DialogDescription>
+            Bring in writing you already have from Word, Markdown, text or HTML files. It counts as already written, not as today’s words.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3">
+          <label className="flex items-center justify-center gap-2 p-4 rounded-xl border border-dashed cursor-pointer text-sm text-zinc-600 hover:bg-zinc-50">
+            <FileUp className="w-4 h-4"/>
+            {reading ? "Reading…" : files.length ? `${files.length} file${files.length === 1 ? "" : "s"} chosen — choose again` : "Choose files (.docx, .md, .txt, .html)"}
+            <input type="file" multiple accept={IMPORT_ACCEPT} className="hidden"
+              onChange={(e) => { if (e.target.files?.length) choose(e.target.files); e.target.value = ""; }} />
+          </label>
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc pl-5 space-y-1">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>
+          )}
+          {plan && (
+            <>
+              <div className="flex items-center gap-2">
+                <Checkbox id="importSplit" checked={split} onCheckedChange={(v) => setSplit(Boolean(v))}/>
+                <label htmlFor="importSplit" className="text-sm text-zinc-600">Split into parts and chapters at headings</label>
+              </div>
+              <div className="max-h-[40vh] overflow-y-auto p-3 rounded-xl border">
+                <TreePreview nodes={plan.documents} />
+              </div>
+              <div className="text-sm text-zinc-600">{plan.documents.length} top-level document{plan.documents.length === 1 ? "" : "s"} · {plan.words.toLocaleString()} words</div>
+              <div className="flex items-start gap-2">
+                <Checkbox id="importBackfill" checked={backfill} disabled={!past.length} onCheckedChange={(v) => setBackfill(Boolean(v))} className="mt-0.5"/>
+                <label htmlFor="importBackfill" className="text-sm text-zinc-600">
+                  Log past sessions from file dates
+                  <span className="block text-xs text-zinc-500">
+                    {past.length
+                      ? past.map(s => `${s.date}: ${s.words.toLocaleString()} words`).join(" · ")
+                      : "No file was last changed before today."}
+                  </span>
+                </label>
+              </div>
+            </>
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button disabled={!plan || reading} onClick={confirm}>Import</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
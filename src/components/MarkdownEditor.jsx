@@ -0,0 +1,168 @@
+import React, { useLayoutEffect, useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Bold, Columns2, Eye, Heading, Italic, Link, List, ListOrdered, PenLine, Quote, Superscript } from "lucide-react";
+import { renderMarkdown } from "../lib/markdown";
+
+// Selection edits. Each takes the text and selection and returns the new text
+// and selection; applying the same edit again undoes it where that makes sense.
+
+function wrap(value, start, end, before, after = before, placeholder = "text"){
+  const selected = value.slice(start, end);
+  if (value.slice(start - before.length, start) === before && value.slice(end, end + after.length) === after) {
+    return { value: value.slice(0, start - before.length) + selected + value.slice(end + after.length), start: start - before.length, end: end - before.length };
+  }
+  const inner = selected || placeholder;
+  return {
+    value: value.slice(0, start) + before + inner + after + value.slice(end),
+    start: start + before.length, end: start + before.length + inner.length,
+  };
+}
+
+// Applies `edit(line, index)` to every line touched by the selection.
+function editLines(value, start, end, edit){
+  const from = value.lastIndexOf("\n", start - 1) + 1;
+  let to = value.indexOf("\n", end - (end > start && value[end - 1] === "\n" ? 1 : 0));
+  if (to === -1) to = value.length;
+  const lines = value.slice(from, to).split("\n").map(edit);
+  const next = lines.join("\n");
+  return { value: value.slice(0, from) + next + value.slice(to), start: from, end: from + next.length };
+}
+
+function togglePrefix(value, start, end, pattern, prefix){
+  const from = value.lastIndexOf("\n", start - 1) + 1;
+  const firstLine = value.slice(from, value.indexOf("\n", from) === -1 ? undefined : value.indexOf("\n", from));
+  const remove = pattern.test(firstLine);
+  return editLines(value, start, end, (line, i) => (remove ? line.replace(pattern, "") : line.trim() ? prefix(i) + line : line));
+}
+
+// Cycles the current line through #, ##, ### and back to plain text.
+function cycleHeading(value, start, end){
+  return editLines(value, start, end, (line) => {
+    const m = line.match(/^(#{1,6}) /);
+    if (!m) return `# ${line}`;
+    return m[1].length >= 3 ? line.slice(m[0].length) : `#${line}`;
+  });
+}
+
+// Inserts the next free numbered reference after the selection and starts
+// its definition at the end of the text.
+function addFootnote(value, _start, end){
+  const used = new Set([...value.matchAll(/\[\^(\d+)\]/g)].map(m => Number(m[1])));
+  let n = 1;
+  while (used.has(n)) n++;
+  const ref = `[^${n}]`;
+  const body = value.slice(0, end) + ref + value.slice(end);
+  const def = `${body.endsWith("\n\n") ? "" : body.endsWith("\n") ? "\n" : "\n\n"}[^${n}]: `;
+  const next = body + def;
+  return { value: next, start: next.length, end: next.length };
+}
+
+const TOOLS = [
+  { id: "bold", label: "Bold", icon: Bold, keys: "Mod+B", code: "KeyB", run: (v, s, e) => wrap(v, s, e, "**") },
+  { id: "italic", label: "Italic", icon: Italic, keys: "Mod+I", code: "KeyI", run: (v, s, e) => wrap(v, s, e, "*") },
+  { id: "heading", label: "Heading", icon: Heading, keys: "Mod+Shift+H", code: "KeyH", shift: true, run: cycleHeading },
+  { id: "link", label: "Link", icon: Link, keys: "Mod+K", code: "KeyK", run: (v, s, e) => {
+    const r = wrap(v, s, e, "[", "](https://)", "link text");
+    // Select the URL so it can be typed over.
+    return r.value.length > v.length ? { ...r, start: r.end + 2, end: r.end + 10 } : r;
+  } },
+  { id: "quote", label: "Block quote", icon: Quote, keys: "Mod+Shift+.", code: "Period", shift: true, run: (v, s, e) => togglePrefix(v, s, e, /^> ?/, () => "> ") },
+  { id: "list", label: "Bulleted list", icon: List, keys: "Mod+Shift+8", code: "Digit8", shift: true, run: (v, s, e) => togglePrefix(v, s, e, /^[-*+] /, () => "- ") },
+  { id: "ordered", label: "Numbered list", icon: ListOrdered, keys: "Mod+Shift+7", code: "Digit7", shift: true, run: (v, s, e) => togglePrefix(v, s, e, /^\d+[.)] /, (i) => `${i + 1}. `) },
+  { id: "footnote", label: "Footnote", icon: Superscript, keys: "Mod+Shift+F", code: "KeyF", shift: true, run: addFootnote },
+];
+
+const isMac = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+const keyLabel = (keys) => keys.replace("Mod", isMac ? "⌘" : "Ctrl");
+
+// Element styles for rendered Markdown (there's no typography plugin).
+const PREVIEW_CLASSES = [
+  "font-serif leading-relaxed text-base",
+  "[&_h1]:text-2xl [&_h1]:font-bold [&_h1]:mt-6 [&_h1]:mb-3",
+  "[&_h2]:text-xl [&_h2]:font-semibold [&_h2]:mt-5 [&_h2]:mb-2",
+  "[&_h3]:text-lg [&_h3]:font-semibold [&_h3]:mt-4 [&_h3]:mb-2",
+  "[&_p]:my-3 [&_a]:text-indigo-600 [&_a]:underline",
+  "[&_blockquote]:border-l-4 [&_blockquote]:border-zinc-300 [&_blockquote]:pl-4 [&_blockquote]:text-zinc-600 [&_blockquote]:italic",
+  "[&_ul]:list-disc [&_ol]:list-decimal [&_ul]:pl-6 [&_ol]:pl-6 [&_li]:my-1",
+  "[&_pre]:bg-zinc-100 [&_pre]:p-3 [&_pre]:rounded [&_pre]:overflow-x-auto [&_code]:font-mono [&_code]:text-sm",
+  "[&_hr]:my-6 [&_sup]:text-xs [&_img]:max-w-full",
+  "[&_.footnotes]:mt-8 [&_.footnotes]:text-sm [&_.footnotes]:text-zinc-600",
+].join(" ");
+
+/**
+ * Markdown textarea with a formatting toolbar, keyboard shortcuts and a
+ * live preview (beside or instead of the text). The value stays plain Markdown.
+ */
+export default function MarkdownEditor({ value, onChange, className = "" }){
+  const [view, setView] = useState("write"); // write | split | preview
+  const ref = useRef(null);
+  const pendingSelection = useRef(null);
+  const html = useMemo(() => (view === "write" ? "" : renderMarkdown(value, { idPrefix: "preview-" })), [value, view]);
+
+  useLayoutEffect(() => {
+    const sel = pendingSelection.current;
+    if (!sel || !ref.current) return;
+    pendingSelection.current = null;
+    ref.current.focus();
+    ref.current.setSelectionRange(sel.start, sel.end);
+  });
+
+  function apply(tool){
+    const el = ref.current;
+    if (!el) return;
+    const r = tool.run(value, el.selectionStart, el.selectionEnd);
+    pendingSelection.current = { start: r.start, end: r.end };
+    onChange(r.value);
+  }
+
+  function onKeyDown(e){
+    if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+    const tool = TOOLS.find(t => t.code === e.code && !!t.shift === e.shiftKey);
+    if (!tool) return;
+    e.preventDefault();
+    apply(tool);
+  }
+
+  const views = [["write", "Write", PenLine], ["split", "Split", Columns2], ["preview", "Preview", Eye]];
+  return (
+    <div className={`flex flex-col min-h-0 ${className}`}>
+      <div className="flex items-center justify-between gap-2 px-2 py-1 border-b border-neutral-200 dark:border-neutral-800">
+        <div className="flex items-center gap-0.5">
+          {TOOLS.map(t => (
+            <Button key={t.id} size="icon" variant="ghost" className="h-7 w-7" disabled={view === "preview"}
+              title={`${t.label} (${keyLabel(t.keys)})`} aria-label={t.label}
+              onMouseDown={(e) => e.preventDefault()} onClick={() => apply(t)}>
+              <t.icon className="w-4 h-4"/>
+            </Button>
+          ))}
+        </div>
+        <div className="flex items-center gap-1">
+          {views.map(([id, label, icon]) => {
+            const Icon = icon;
+            return (
+              <Button key={id} size="sm" className="h-7 px-2 text-xs" variant={view === id ? "default" : "ghost"} onClick={() => setView(id)}>
+                <Icon className="w-3 h-3 mr-1"/>{label}
+              </Button>
+            );
+          })}
+        </div>
+      </div>
+      <div className={`flex-1 min-h-0 grid ${view === "split" ? "grid-cols-2" : "grid-cols-1"}`}>
+        {view !== "preview" && (
+          <Textarea
+            ref={ref}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            onKeyDown={onKeyDown}
+            className="h-full w-full resize-none p-4 rounded-none border-0"
+          />
+        )}
+        {view !== "write" && (
+          <div className={`h-full overflow-y-auto p-6 ${view === "split" ? "border-l border-neutral-200 dark:border-neutral-800" : "max-w-3xl mx-auto w-full"} ${PREVIEW_CLASSES}`}
+            dangerouslySetInnerHTML={{ __html: html }} />
+        )}
+      </div>
+    </div>
+  );
+}
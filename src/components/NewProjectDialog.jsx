@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { toast } from "sonner";
+import { FileUp, Plus, X } from "lucide-react";
+import ManuscriptImportDialog from "./ManuscriptImportDialog";
+
+/**
+ * Creates a project: `onCreate(project, imported)`, where `imported` is the
+ * manuscript import to start it from, if the writer picked one.
+ */
+export default function NewProjectDialog({ wordRules, dayStart, onCreate }){
+  const [open, setOpen] = useState(false);
+  const [title,setTitle] = useState("");
+  const [description,setDescription] = useState("");
+  const [targetWordsText,setTargetWordsText] = useState("5000");
+  const [deadline,setDeadline] = useState("");
+  const [imported,setImported] = useState(null);
+
+  function reset(){ setTitle(""); setDescription(""); setTargetWordsText("5000"); setDeadline(""); setImported(null); }
+
+  function create(){
+    if(!title.trim()) return toast("Title is required");
+    const n = parseInt(targetWordsText, 10);
+    onCreate({ title, description, targetWords: isNaN(n) ? 0 : n, deadline }, imported);
+    reset(); setOpen(false);
+  }
+
+  function onImport(plan, options){
+    setImported({ plan, options });
+    if (!title.trim() && plan.title) setTitle(plan.title);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button><Plus className="w-4 h-4 mr-2"/>New Project</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Create Project</DialogTitle>
+          <DialogDescription>Set goals to track progress and deadlines.</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3">
+          <Input placeholder="Title" value={title} onChange={(e)=>setTitle(e.target.value)} />
+          <Textarea placeholder="Description (optional)" value={description} onChange={(e)=>setDescription(e.target.value)} />
+          {imported ? (
+            <div className="flex items-center justify-between gap-2 p-2 rounded-xl border text-sm text-zinc-600">
+              <span>Starting from {imported.plan.files.length===1 ? imported.plan.files[0].name : `${imported.plan.files.length} files`} · {imported.plan.words.toLocaleString()} words</span>
+              <Button size="icon" variant="ghost" className="h-7 w-7" aria-label="Don’t import" onClick={()=>setImported(null)}><X className="w-4 h-4"/></Button>
+            </div>
+          ) : (
+            <ManuscriptImportDialog rules={wordRules} dayStart={dayStart} onImport={onImport}
+              trigger={<Button variant="outline" className="justify-start"><FileUp className="w-4 h-4 mr-2"/>Start from an existing manuscript…</Button>} />
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-zinc-600">Target words</label>
+              <Input type="number" value={targetWordsText} onChange={(e)=>setTargetWordsText(e.target.value)} />
+            </div>
+            <div>
+              <label className="text-xs text-zinc-600">Deadline (optional)</label>
+              <Input type="date" value={deadline} onChange={(e)=>setDeadline(e.target.value)} />
+            </div>
+          </div>
+        </div>
+        <DialogFooter>
+          <Button onClick={create}>Create</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
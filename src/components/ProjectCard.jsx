@@ -0,0 +1,91 @@
+import React from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Progress } from "@/components/ui/progress";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { Archive, Calendar, FileUp, NotebookPen, Target } from "lucide-react";
+import { formatDay } from "../lib/dates";
+import { PACE_BADGES, PACE_LABELS, paceSummary } from "../lib/pacing";
+import BurnUpDialog from "./BurnUpDialog";
+import DeleteProjectDialog from "./DeleteProjectDialog";
+import EditProjectDialog from "./EditProjectDialog";
+import InlineEdit from "./InlineEdit";
+import ManuscriptExportDialog from "./ManuscriptExportDialog";
+import ManuscriptImportDialog from "./ManuscriptImportDialog";
+import ProjectIdeasDialog from "./ProjectIdeasDialog";
+
+/** A project on the dashboard: progress, pace and its tools. The target falls back to the sum of document targets. */
+export default function ProjectCard({ p, onUpdate, onArchive, onDelete, projects, totalWords, sessions, editedWords, manuscript, pace, today, dayStart, rest, onDraft, documents, settings, onSettingsChange, wordRules, onImport, ideas, onAddIdea, onUpdateIdea }){
+  const target = p.targetWords || manuscript.target;
+  const pct = target ? Math.min(100, Math.round((totalWords/target)*100)) : 0;
+  const statuses = Object.entries(manuscript.byStatus).filter(([,n])=>n>0);
+
+  return (
+    <Card className="">
+      <CardHeader className="pb-2">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-base font-semibold">{p.title}</CardTitle>
+            {p.description && <p className="text-xs text-zinc-600 mt-1">{p.description}</p>}
+          </div>
+          <div className="flex items-center gap-2">
+            <Select value={p.status} onValueChange={(v)=>onUpdate({status: v})}>
+              <SelectTrigger className="w-[120px]"><SelectValue /></SelectTrigger>
+              <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50" >
+                <SelectItem value="Drafting">Drafting</SelectItem>
+                <SelectItem value="Editing">Editing</SelectItem>
+                <SelectItem value="Complete">Complete</SelectItem>
+              </SelectContent>
+            </Select>
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button size="icon" variant="ghost" aria-label="Archive" onClick={onArchive}><Archive className="w-4 h-4"/></Button>
+              </TooltipTrigger>
+              <TooltipContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl" >Archive</TooltipContent>
+            </Tooltip>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="flex items-center justify-between text-sm mb-2">
+          <div className="flex items-center gap-2 text-zinc-600">
+            <Target className="w-4 h-4"/> <span>{totalWords.toLocaleString()} / {(target||0).toLocaleString()} words</span>
+          </div>
+          <div className="flex items-center gap-2 text-zinc-600">
+            <Calendar className="w-4 h-4"/>
+            <span>{p.deadline ? formatDay(p.deadline, {}) : "No deadline"}</span>
+          </div>
+        </div>
+        <Progress value={pct} />
+        {pace && (
+          <div className="flex items-start gap-2 text-xs text-zinc-600 mt-2">
+            <Badge variant={PACE_BADGES[pace.status]}>{PACE_LABELS[pace.status]}</Badge>
+            <span>{paceSummary(pace)}</span>
+          </div>
+        )}
+        {p.status==="Editing" && (
+          <div className="text-xs text-zinc-600 mt-2">{editedWords.toLocaleString()} words edited (added plus removed)</div>
+        )}
+        {statuses.length>0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {statuses.map(([s,n])=> <Badge key={s} variant="outline" className="text-xs">{n} {s}</Badge>)}
+          </div>
+        )}
+        <div className="flex items-center justify-end mt-3 gap-2">
+          <Button size="sm" variant="outline" onClick={onDraft}><NotebookPen className="w-3 h-3 mr-1"/>Draft</Button>
+          {pace && <BurnUpDialog project={{ ...p, targetWords: target }} current={totalWords} sessions={sessions} today={today} rest={rest} />}
+          <ManuscriptImportDialog rules={wordRules} dayStart={dayStart} onImport={onImport}
+            trigger={<Button size="sm" variant="outline"><FileUp className="w-3 h-3 mr-1"/>Import</Button>} />
+          <ManuscriptExportDialog project={p} documents={documents} settings={settings} onSettingsChange={onSettingsChange} />
+          <ProjectIdeasDialog project={p} ideas={ideas} onAdd={onAddIdea} onUpdate={onUpdateIdea} />
+          <InlineEdit target={p.targetWords||0} label="Target" onChange={(val)=>onUpdate({targetWords: val})}/>
+          <EditProjectDialog p={p} onUpdate={onUpdate}
+            deleteAction={<DeleteProjectDialog project={p} projects={projects} sessions={sessions} ideas={ideas} documents={documents} onDelete={onDelete}
+              trigger={<Button variant="destructive">Delete</Button>} />} />
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,268 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { FileText, FolderOpen, GripVertical, History, Pause, Play, Plus, Trash2 } from "lucide-react";
+import { clearAutosave, pendingRecovery, writeAutosave } from "../lib/autosave";
+import { DOC_STATUSES, canContain, documentTree, flattenTree, subtreeIds, wordsByDocument } from "../lib/documents";
+import { historySettings } from "../lib/revisions";
+import { countRules, countWords } from "../lib/wordCount";
+import DraftHistoryDialog from "./DraftHistoryDialog";
+import MarkdownEditor from "./MarkdownEditor";
+import WordCountDialog from "./WordCountDialog";
+
+const KIND_LABELS = { part: "Part", chapter: "Chapter", scene: "Scene" };
+const AUTOSAVE_MS = 1000;
+
+/**
+ * Full-screen editor for one document of a project, with the project's
+ * document tree in a sidebar. Switching to another document saves the
+ * current one first if it has unsaved changes. The working text is autosaved
+ * locally for crash recovery; only an explicit save (or the end of a focus
+ * block) saves the document and logs a session.
+ */
+export default function ProjectDraftDialog({
+  project, documents, documentId, onOpenDocument, onAddDocument, onUpdateDocument, onRemoveDocument, onMoveDocument,
+  clock, timerPhase, timerRunning, workCycles, onPause, onResume, onSave, onClose, onSnapshot, revisionStore, settings, onSettingsChange,
+}){
+  const doc = documents.find(d => d.id === documentId);
+  const [text, setText] = useState(doc?.text || "");
+  const [loadedId, setLoadedId] = useState(doc?.id);
+  const [recovery, setRecovery] = useState(() => pendingRecovery(doc));
+  const [confirmClose, setConfirmClose] = useState(false);
+  if (doc?.id !== loadedId) { setLoadedId(doc?.id); setText(doc?.text || ""); setRecovery(pendingRecovery(doc)); }
+  const dirty = !!doc && text !== (doc.text || "");
+  const latest = useRef({ text, onSnapshot });
+  latest.current = { text, onSnapshot };
+
+  // Keep a local copy of unsaved text; drop it once the text matches the
+  // document again. Left alone while a recovery offer is open.
+  useEffect(() => {
+    if (!documentId || recovery) return;
+    if (!dirty) { clearAutosave(documentId); return; }
+    const t = setTimeout(() => writeAutosave(documentId, text), AUTOSAVE_MS);
+    return () => clearTimeout(t);
+  }, [documentId, text, dirty, recovery]);
+
+  // A reload or closed tab flushes the copy right away and asks first.
+  useEffect(() => {
+    if (!dirty) return;
+    const onUnload = (e) => { writeAutosave(documentId, latest.current.text); e.preventDefault(); e.returnValue = ""; };
+    window.addEventListener("beforeunload", onUnload);
+    return () => window.removeEventListener("beforeunload", onUnload);
+  }, [dirty, documentId]);
+
+  // Periodic snapshots into history while the editor is open.
+  const snapshotMinutes = historySettings(settings).autoSnapshotMinutes;
+  useEffect(() => {
+    if (!documentId || !snapshotMinutes) return;
+    let last = latest.current.text;
+    const t = setInterval(() => {
+      const { text, onSnapshot } = latest.current;
+      if (text !== last) { last = text; onSnapshot(documentId, text); }
+    }, snapshotMinutes * 60000);
+    return () => clearInterval(t);
+  }, [documentId, snapshotMinutes]);
+
+  // The end of a focus block counts as a save of whatever is in the editor.
+  const saveRef = useRef(null);
+  saveRef.current = () => { if (doc) onSave(doc.id, latest.current.text); };
+  const lastCycles = useRef(workCycles);
+  useEffect(() => {
+    if (workCycles > lastCycles.current) saveRef.current();
+    lastCycles.current = workCycles;
+  }, [workCycles]);
+
+  const projectId = project?.id;
+  const rows = useMemo(() => projectId ? flattenTree(documentTree(documents, projectId)) : [], [documents, projectId]);
+  const rules = useMemo(() => countRules(settings), [settings]);
+  const words = useMemo(() => {
+    if (!projectId) return {};
+    return wordsByDocument(documents.map(d => (d.id === documentId ? { ...d, text } : d)), projectId, rules);
+  }, [documents, projectId, documentId, text, rules]);
+
+  if (!project || !doc) return null;
+  const wordCount = countWords(text, rules);
+
+  function open(id){
+    if (id === doc.id) return;
+    if (dirty) onSave(doc.id, text);
+    onOpenDocument(id);
+  }
+  // New documents go under the nearest enclosing document that can hold them.
+  function add(kind){
+    let parent = doc;
+    while (parent && !canContain(parent.kind, kind)) parent = documents.find(d => d.id === parent.parentId);
+    open(onAddDocument({ projectId: project.id, kind, parentId: parent?.id ?? null }));
+  }
+  function remove(){
+    const gone = new Set(subtreeIds(documents, doc.id));
+    if (!window.confirm(`Delete “${doc.title}”${gone.size > 1 ? " and everything in it" : ""}? You can undo this for a few seconds afterwards.`)) return;
+    const next = rows.find(r => !gone.has(r.doc.id));
+    onRemoveDocument(doc.id);
+    if (next) onOpenDocument(next.doc.id); else onClose();
+  }
+  function save(){ onSave(doc.id, text, { close: true }); onClose(); }
+  function requestClose(){ if (dirty) setConfirmClose(true); else onClose(); }
+  function discardAndClose(){ clearAutosave(doc.id); setConfirmClose(false); onClose(); }
+
+  return (
+    <Dialog open={true} onOpenChange={(v)=>{ if(!v) requestClose(); }}>
+      <DialogContent className="top-0 left-0 translate-x-0 translate-y-0 w-screen h-screen max-w-none sm:max-w-none rounded-none p-0 bg-white dark:bg-neutral-900">
+        <div className="flex flex-col h-full">
+          <div className="p-4 border-b border-neutral-200 dark:border-neutral-800 flex items-center justify-between">
+            <DialogTitle>{project.title}: {doc.title}</DialogTitle>
+            <div className="flex items-center gap-2">
+              <DraftHistoryDialog documentId={doc.id} currentText={text} revisionStore={revisionStore} settings={settings} onSettingsChange={onSettingsChange} onRestore={setText} />
+              <div className="text-right leading-tight">
+                <div className="text-[10px] uppercase tracking-wide text-zinc-500">{timerPhase}</div>
+                <div className="text-2xl font-mono tabular-nums">{clock}</div>
+              </div>
+              {timerRunning ? (
+                <Button variant="secondary" onClick={onPause}><Pause className="w-4 h-4 mr-2"/>Pause</Button>
+              ) : (
+                <Button onClick={onResume}><Play className="w-4 h-4 mr-2"/>Resume</Button>
+              )}
+            </div>
+          </div>
+          {recovery && (
+            <div className="px-4 py-2 border-b border-amber-200 bg-amber-50 flex items-center justify-between gap-3 text-sm">
+              <span className="flex items-center gap-2"><History className="w-4 h-4"/>Recover unsaved draft from {new Date(recovery.savedAt).toLocaleString()}?</span>
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" onClick={()=>{ clearAutosave(doc.id); setRecovery(null); }}>Discard</Button>
+                <Button size="sm" onClick={()=>{ setText(recovery.text); setRecovery(null); }}>Recover</Button>
+              </div>
+            </div>
+          )}
+          <div className="flex-1 min-h-0 flex">
+            <aside className="w-64 shrink-0 border-r border-neutral-200 dark:border-neutral-800 flex flex-col">
+              <div className="p-2 flex gap-1 border-b border-neutral-200 dark:border-neutral-800">
+                {Object.entries(KIND_LABELS).map(([kind, label])=> (
+                  <Button key={kind} size="sm" variant="outline" className="h-7 px-2 text-xs" onClick={()=>add(kind)}><Plus className="w-3 h-3 mr-1"/>{label}</Button>
+                ))}
+              </div>
+              <DocumentTree rows={rows} words={words} activeId={doc.id} dirty={dirty} onOpen={open} onMove={onMoveDocument} />
+            </aside>
+            <MarkdownEditor value={text} onChange={setText} className="flex-1 min-w-0" />
+            <DocumentDetails doc={doc} words={words[doc.id] || 0} onUpdate={(patch)=>onUpdateDocument(doc.id, patch)} onDelete={remove} />
+          </div>
+          <DialogFooter className="p-4 border-t border-neutral-200 dark:border-neutral-800 justify-between">
+            <div className="text-sm text-zinc-600">
+              <WordCountDialog text={text} settings={settings} onSettingsChange={onSettingsChange}>
+                <button className="hover:underline" title="Word count details">Words: {wordCount.toLocaleString()}</button>
+              </WordCountDialog>
+              {dirty ? " · unsaved" : ""}
+            </div>
+            <div className="flex gap-2">
+              <Button variant="secondary" onClick={requestClose}>Close</Button>
+              <Button onClick={save}>Save</Button>
+            </div>
+          </DialogFooter>
+        </div>
+        <Dialog open={confirmClose} onOpenChange={setConfirmClose}>
+          <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+            <DialogHeader>
+              <DialogTitle>Unsaved changes</DialogTitle>
+              <DialogDescription>“{doc.title}” has changes that haven’t been saved.</DialogDescription>
+            </DialogHeader>
+            <DialogFooter>
+              <Button variant="destructive" onClick={discardAndClose}>Discard changes</Button>
+              <Button variant="secondary" onClick={()=>setConfirmClose(false)}>Keep editing</Button>
+              <Button onClick={()=>{ setConfirmClose(false); save(); }}>Save and close</Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Where a drop lands: the top and bottom quarters of a row place the dragged
+// document before/after it, the middle nests it inside.
+function dropPosition(e){
+  const r = e.currentTarget.getBoundingClientRect();
+  const y = (e.clientY - r.top) / r.height;
+  return y < 0.25 ? "before" : y > 0.75 ? "after" : "inside";
+}
+
+function DocumentTree({ rows, words, activeId, dirty, onOpen, onMove }){
+  const [dragId, setDragId] = useState(null);
+  const [drop, setDrop] = useState(null); // { id, position }
+  const marker = { before: "border-t-2 border-t-indigo-500", after: "border-b-2 border-b-indigo-500", inside: "bg-indigo-50" };
+
+  return (
+    <div className="flex-1 overflow-y-auto p-2 space-y-0.5">
+      {rows.map(({ doc, depth })=> {
+        const Icon = doc.kind === "scene" ? FileText : FolderOpen;
+        return (
+          <div key={doc.id}
+            draggable
+            onDragStart={(e)=>{ setDragId(doc.id); e.dataTransfer.effectAllowed = "move"; }}
+            onDragEnd={()=>{ setDragId(null); setDrop(null); }}
+            onDragOver={(e)=>{ if (!dragId || dragId === doc.id) return; e.preventDefault(); setDrop({ id: doc.id, position: dropPosition(e) }); }}
+            onDragLeave={()=>setDrop(d => d?.id === doc.id ? null : d)}
+            onDrop={(e)=>{ e.preventDefault(); if (dragId) onMove(dragId, doc.id, dropPosition(e)); setDragId(null); setDrop(null); }}
+            onClick={()=>onOpen(doc.id)}
+            style={{ paddingLeft: `${depth * 0.75 + 0.25}rem` }}
+            className={`group flex items-center gap-1 pr-1 py-1 rounded cursor-pointer text-sm ${doc.id===activeId ? "bg-zinc-100 font-medium" : "hover:bg-zinc-50"} ${drop?.id===doc.id ? marker[drop.position] : ""}`}>
+            <GripVertical className="w-3 h-3 text-zinc-300 group-hover:text-zinc-500 shrink-0 cursor-grab"/>
+            <Icon className="w-3 h-3 text-zinc-500 shrink-0"/>
+            <span className="truncate flex-1">{doc.title}{doc.id===activeId && dirty ? " •" : ""}</span>
+            <span className="text-xs text-zinc-500 tabular-nums">{(words[doc.id] || 0).toLocaleString()}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function DocumentDetails({ doc, words, onUpdate, onDelete }){
+  const [title, setTitle] = useState(doc.title);
+  const [target, setTarget] = useState(String(doc.targetWords || ""));
+  const [notes, setNotes] = useState(doc.notes || "");
+  const [shownId, setShownId] = useState(doc.id);
+  if (shownId !== doc.id) {
+    setShownId(doc.id); setTitle(doc.title); setTarget(String(doc.targetWords || "")); setNotes(doc.notes || "");
+  }
+  const pct = doc.targetWords ? Math.min(100, Math.round((words / doc.targetWords) * 100)) : null;
+
+  function commitTarget(){
+    const n = parseInt(target, 10);
+    const next = isNaN(n) || n <= 0 ? undefined : n;
+    if (next !== doc.targetWords) onUpdate({ targetWords: next });
+  }
+
+  return (
+    <aside className="w-64 shrink-0 border-l border-neutral-200 dark:border-neutral-800 p-3 space-y-3 overflow-y-auto">
+      <div className="flex items-center justify-between">
+        <Badge variant="outline">{KIND_LABELS[doc.kind]}</Badge>
+        <Button size="icon" variant="ghost" onClick={onDelete}><Trash2 className="w-4 h-4"/></Button>
+      </div>
+      <div>
+        <label className="text-xs text-zinc-600">Title</label>
+        <Input value={title} onChange={(e)=>setTitle(e.target.value)} onBlur={()=>{ if (title.trim() && title !== doc.title) onUpdate({ title: title.trim() }); }} />
+      </div>
+      <div>
+        <label className="text-xs text-zinc-600">Status</label>
+        <Select value={doc.status} onValueChange={(v)=>onUpdate({ status: v })}>
+          <SelectTrigger className="w-full"><SelectValue /></SelectTrigger>
+          <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50">
+            {DOC_STATUSES.map(s=> <SelectItem key={s} value={s}>{s}</SelectItem>)}
+          </SelectContent>
+        </Select>
+      </div>
+      <div>
+        <label className="text-xs text-zinc-600">Word target</label>
+        <Input type="number" value={target} placeholder="None" onChange={(e)=>setTarget(e.target.value)} onBlur={commitTarget} />
+        <div className="text-xs text-zinc-500 mt-1">{words.toLocaleString()} words{pct !== null ? ` · ${pct}% of target` : ""}</div>
+      </div>
+      <div>
+        <label className="text-xs text-zinc-600">Notes</label>
+        <Textarea value={notes} rows={8} onChange={(e)=>setNotes(e.target.value)} onBlur={()=>{ if (notes !== (doc.notes || "")) onUpdate({ notes }); }} />
+      </div>
+    </aside>
+  );
+}
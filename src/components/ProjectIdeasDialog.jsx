@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Lightbulb, Pin, Plus, Tag, Unlink } from "lucide-react";
+import { parseTags, searchIdeas } from "../lib/ideas";
+
+/**
+ * The ideas linked to one project, pinned first, with a box for adding
+ * more. Unlinking keeps the idea in the library.
+ */
+export default function ProjectIdeasDialog({ project, ideas, onAdd, onUpdate }){
+  const [text, setText] = useState("");
+  const [tags, setTags] = useState("");
+  const linked = searchIdeas(ideas.filter(i => i.projectId === project.id));
+
+  function add(){
+    const t = text.trim();
+    if (!t) return;
+    onAdd({ text: t, tags: parseTags(tags), projectId: project.id });
+    setText(""); setTags("");
+  }
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="outline"><Lightbulb className="w-3 h-3 mr-1"/>Ideas{linked.length ? ` ${linked.length}` : ""}</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Ideas for {project.title}</DialogTitle>
+          <DialogDescription>{project.ideaId && ideas.some(i => i.id === project.ideaId) ? "Including the idea this project grew from." : "Ideas captured for this project."}</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-2">
+          <Textarea placeholder="Add an idea for this project…" value={text} onChange={(e) => setText(e.target.value)} />
+          <div className="flex gap-2">
+            <Input placeholder="tags (comma-separated)" value={tags} onChange={(e) => setTags(e.target.value)} />
+            <Button onClick={add}><Plus className="w-4 h-4 mr-2"/>Add</Button>
+          </div>
+        </div>
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto pr-1">
+          {linked.length === 0 && <div className="text-sm text-zinc-500">No ideas linked to this project yet.</div>}
+          {linked.map(i => (
+            <div key={i.id} className={`p-3 rounded-xl border ${i.pinned ? "bg-amber-50/60" : "bg-zinc-50"}`}>
+              <div className="flex items-start justify-between gap-3">
+                <p className="text-sm leading-snug whitespace-pre-wrap">
+                  {i.id === project.ideaId && <Badge variant="outline" className="mr-2 text-xs">Origin</Badge>}
+                  {i.text}
+                </p>
+                <div className="flex items-center gap-1">
+                  <Button size="icon" variant="ghost" aria-label={i.pinned ? "Unpin" : "Pin"} title={i.pinned ? "Unpin" : "Pin"} onClick={() => onUpdate(i.id, { pinned: !i.pinned })}>
+                    <Pin className={`w-4 h-4 ${i.pinned ? "text-zinc-900 fill-current" : "text-zinc-400"}`}/>
+                  </Button>
+                  <Button size="icon" variant="ghost" aria-label="Unlink from project" title="Unlink from project" onClick={() => onUpdate(i.id, { projectId: null })}>
+                    <Unlink className="w-4 h-4"/>
+                  </Button>
+                </div>
+              </div>
+              {(i.tags || []).length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {i.tags.map(t => <Badge key={t} variant="secondary" className="flex items-center gap-1"><Tag className="w-3 h-3"/>{t}</Badge>)}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,21 @@
+import React from "react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useStoreState } from "@/hooks/useStore";
+
+// Select value for "no project"; Radix doesn't allow an empty one.
+const NO_PROJECT = "none";
+
+/** Picks an active project from the store, or none (""). An archived project stays listed while it's the value. */
+export default function ProjectSelect({ value, onChange }){
+  const all = useStoreState(s=>s.projects);
+  const projects = all.filter(p=>!p.archived || p.id===value);
+  return (
+    <Select value={value || NO_PROJECT} onValueChange={(v)=>onChange(v===NO_PROJECT ? "" : v)}>
+      <SelectTrigger><SelectValue placeholder="Choose"/></SelectTrigger>
+      <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50" >
+        <SelectItem value={NO_PROJECT}>No project</SelectItem>
+        {projects.map(p=> (<SelectItem key={p.id} value={p.id}>{p.title}{p.archived ? " (archived)" : ""}</SelectItem>))}
+      </SelectContent>
+    </Select>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { FolderPlus, History, Lightbulb, Wand2 } from "lucide-react";
+import { PROMPT_BANK, addToHistory, loadApiKey, loadPromptHistory, promptSettings, rollPrompt, savePromptHistory } from "../lib/prompts";
+import { promptServer } from "../lib/supabase";
+import PromptSettingsDialog from "./PromptSettingsDialog";
+
+function sourceLabel(p){
+  if (p.source === "bank") return PROMPT_BANK[p.category]?.label || "Prompt bank";
+  if (p.source === "server" || p.source === "endpoint") return "AI";
+  return p.category || "My list";
+}
+
+/** Save-as-idea and start-a-project buttons for one prompt. */
+function PromptActions({ prompt, onSave }){
+  if (prompt.saved) return <Badge variant="outline" className="text-xs">{prompt.saved === "idea" ? "Saved as idea" : "Project started"}</Badge>;
+  return (
+    <>
+      <Button size="icon" variant="ghost" className="h-8 w-8" aria-label="Save as idea" title="Save as idea" onClick={() => onSave(prompt, "idea")}><Lightbulb className="w-4 h-4"/></Button>
+      <Button size="icon" variant="ghost" className="h-8 w-8" aria-label="Start a project" title="Start a project" onClick={() => onSave(prompt, "project")}><FolderPlus className="w-4 h-4"/></Button>
+    </>
+  );
+}
+
+function PromptHistoryDialog({ history, onSave, onClear }){
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button size="icon" variant="ghost" className="h-7 w-7" aria-label="Prompt history" title="Prompt history" disabled={!history.length}><History className="w-4 h-4"/></Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Prompt history</DialogTitle>
+          <DialogDescription>The last {history.length} prompts rolled on this device, newest first.</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-[60vh] overflow-y-auto pr-1">
+          {history.map(h => (
+            <div key={h.id} className="p-3 rounded-xl border bg-zinc-50">
+              <p className="text-sm leading-snug">{h.text}</p>
+              <div className="flex items-center justify-between gap-2 mt-1">
+                <span className="text-[10px] text-zinc-500">{sourceLabel(h)} · {new Date(h.at).toLocaleString()}</span>
+                <div className="flex items-center gap-1"><PromptActions prompt={h} onSave={onSave} /></div>
+              </div>
+            </div>
+          ))}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => { if (window.confirm("Clear your prompt history?")) onClear(); }}>Clear history</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/**
+ * Today's prompt from the configured provider, with its history. A prompt
+ * can be kept as an idea (`onSaveIdea(text, tags)`) or start a project
+ * (`onStartProject(text)`).
+ */
+export default function PromptBox({ settings, onSettingsChange, onSaveIdea, onStartProject }){
+  const config = useMemo(() => promptSettings(settings), [settings]);
+  const [history, setHistory] = useState(() => loadPromptHistory());
+  const [loading, setLoading] = useState(false);
+  const [notice, setNotice] = useState("");
+  const pending = useRef(null);
+  const current = history[0];
+
+  useEffect(() => () => pending.current?.abort(), []);
+
+  function changeHistory(update){
+    setHistory(prev => {
+      const next = update(prev);
+      savePromptHistory(next);
+      return next;
+    });
+  }
+
+  async function roll(){
+    pending.current?.abort();
+    const controller = new AbortController();
+    pending.current = controller;
+    setLoading(true);
+    setNotice("");
+    try {
+      const { prompt, error } = await rollPrompt(config, history, { apiKey: loadApiKey(), server: promptServer, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      if (error) setNotice(`No AI prompt this time (${error}), so this one is from the built-in bank.`);
+      changeHistory(prev => addToHistory(prev, prompt));
+    } catch {
+      // rollPrompt falls back to the bank itself, so this only happens with that turned off.
+      if (controller.signal.aborted) return;
+      setNotice("Couldn’t get an AI prompt. Try again, or turn on the built-in bank in prompt settings.");
+    } finally {
+      if (pending.current === controller) setLoading(false);
+    }
+  }
+
+  function save(prompt, as){
+    if (as === "idea") onSaveIdea(prompt.text, ["prompt"]);
+    else onStartProject(prompt.text);
+    changeHistory(prev => prev.map(h => (h.id === prompt.id ? { ...h, saved: as } : h)));
+  }
+
+  return (
+    <div className="mb-4 p-3 rounded-2xl border bg-white shadow-xs">
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-xs text-zinc-600">Prompt{current ? ` · ${sourceLabel(current)}` : ""}</div>
+        <div className="flex items-center">
+          <PromptHistoryDialog history={history} onSave={save} onClear={() => changeHistory(() => [])} />
+          <PromptSettingsDialog settings={settings} onSettingsChange={onSettingsChange} />
+        </div>
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-sm flex-1">{current ? current.text : <span className="text-zinc-500">Press New for something to write about.</span>}</p>
+        {current && <PromptActions prompt={current} onSave={save} />}
+        <Button variant="outline" onClick={roll} disabled={loading}>
+          <Wand2 className="w-4 h-4 mr-2"/>{loading ? "Loading" : "New"}
+        </Button>
+      </div>
+      {notice && <p className="text-xs text-amber-700 mt-1">{notice}</p>}
+    </div>
+  );
+}
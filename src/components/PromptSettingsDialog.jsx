@@ -0,0 +1,187 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Plus, Settings2, Trash2 } from "lucide-react";
+import { DEFAULT_PROMPTS, PROMPT_BANK, PROMPT_PROVIDERS, loadApiKey, promptSettings, saveApiKey } from "../lib/prompts";
+
+const SELECT_CLASS = "bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50";
+
+function uid(){ return Math.random().toString(36).slice(2); }
+
+/**
+ * Where prompts come from: bank categories, the user's own lists, the app's
+ * AI prompts, or the user's own OpenAI-compatible endpoint, whose key is kept
+ * on this device.
+ */
+export default function PromptSettingsDialog({ settings, onSettingsChange }){
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(null);
+
+  function onOpenChange(next){
+    if (next) {
+      const c = promptSettings(settings);
+      const lists = c.lists.map(l => ({ ...l, text: l.prompts.join("\n") }));
+      setForm({
+        ...c, lists, listId: lists.some(l => l.id === c.listId) ? c.listId : lists[0]?.id || "",
+        temperature: String(c.endpoint.temperature), avoidRecent: String(c.avoidRecent), apiKey: loadApiKey(),
+      });
+    }
+    setOpen(next);
+  }
+
+  const set = (patch) => setForm(f => ({ ...f, ...patch }));
+  const setEndpoint = (patch) => setForm(f => ({ ...f, endpoint: { ...f.endpoint, ...patch } }));
+  const ai = form?.provider === "server" || form?.provider === "endpoint";
+  const setList = (id, patch) => setForm(f => ({ ...f, lists: f.lists.map(l => (l.id === id ? { ...l, ...patch } : l)) }));
+  const toggleCategory = (c) => set({ categories: form.categories.includes(c) ? form.categories.filter(x => x !== c) : [...form.categories, c] });
+  const list = form?.lists.find(l => l.id === form.listId);
+
+  function addList(){
+    const id = uid();
+    set({ lists: [...form.lists, { id, name: `List ${form.lists.length + 1}`, text: "" }], listId: id });
+  }
+  function removeList(id){
+    const lists = form.lists.filter(l => l.id !== id);
+    set({ lists, listId: lists[0]?.id || "" });
+  }
+
+  function save(){
+    const lists = form.lists.map(({ id, name, text }) => ({ id, name: name.trim() || "Untitled list", prompts: text.split("\n").map(t => t.trim()).filter(Boolean) }));
+    onSettingsChange({
+      prompts: {
+        provider: form.provider,
+        categories: form.categories,
+        lists,
+        listId: form.listId,
+        endpoint: { ...form.endpoint, baseUrl: form.endpoint.baseUrl.trim(), model: form.endpoint.model.trim(), temperature: form.temperature.trim() === "" ? 1 : Math.min(2, Math.max(0, Number(form.temperature) || 0)) },
+        server: { model: form.server.model.trim() },
+        avoidRecent: Math.max(0, parseInt(form.avoidRecent, 10) || 0),
+        fallback: form.fallback,
+      },
+    });
+    saveApiKey(form.apiKey.trim());
+    setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>
+        <Button size="icon" variant="ghost" className="h-7 w-7" aria-label="Prompt settings" title="Prompt settings"><Settings2 className="w-4 h-4"/></Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Prompts</DialogTitle>
+          <DialogDescription>Choose where new prompts come from.</DialogDescription>
+        </DialogHeader>
+        {form && (
+          <div className="grid gap-3 max-h-[65vh] overflow-y-auto pr-1">
+            <Select value={form.provider} onValueChange={(v) => set({ provider: v })}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent className={SELECT_CLASS}>
+                {Object.entries(PROMPT_PROVIDERS).map(([k, label]) => <SelectItem key={k} value={k}>{label}</SelectItem>)}
+              </SelectContent>
+            </Select>
+
+            {form.provider === "list" && (
+              <div className="grid gap-2">
+                <div className="flex items-center gap-2">
+                  <Select value={form.listId} onValueChange={(v) => set({ listId: v })} disabled={!form.lists.length}>
+                    <SelectTrigger className="flex-1"><SelectValue placeholder="No lists yet" /></SelectTrigger>
+                    <SelectContent className={SELECT_CLASS}>
+                      {form.lists.map(l => <SelectItem key={l.id} value={l.id}>{l.name || "Untitled list"}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                  <Button variant="outline" onClick={addList}><Plus className="w-4 h-4 mr-1"/>New list</Button>
+                </div>
+                {list && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <Input value={list.name} onChange={(e) => setList(list.id, { name: e.target.value })} placeholder="List name" />
+                      <Button size="icon" variant="ghost" aria-label="Delete list" onClick={() => removeList(list.id)}><Trash2 className="w-4 h-4"/></Button>
+                    </div>
+                    <Textarea className="min-h-[140px]" placeholder="One prompt per line" value={list.text} onChange={(e) => setList(list.id, { text: e.target.value })} />
+                    <p className="text-xs text-zinc-500">Prompts roll from the list selected above.</p>
+                  </>
+                )}
+              </div>
+            )}
+
+            {ai && (
+              <div className="grid gap-2">
+                <div className="grid grid-cols-2 gap-2">
+                  {form.provider === "endpoint" && (
+                    <div className="col-span-2">
+                      <label className="text-xs text-zinc-600">Base URL</label>
+                      <Input value={form.endpoint.baseUrl} placeholder={DEFAULT_PROMPTS.endpoint.baseUrl} onChange={(e) => setEndpoint({ baseUrl: e.target.value })} />
+                    </div>
+                  )}
+                  <div>
+                    <label className="text-xs text-zinc-600">Model</label>
+                    {form.provider === "endpoint"
+                      ? <Input value={form.endpoint.model} onChange={(e) => setEndpoint({ model: e.target.value })} />
+                      : <Input value={form.server.model} placeholder="Server default" onChange={(e) => set({ server: { model: e.target.value } })} />}
+                  </div>
+                  <div>
+                    <label className="text-xs text-zinc-600">Temperature</label>
+                    <Input type="number" min="0" max="2" step="0.1" value={form.temperature} onChange={(e) => set({ temperature: e.target.value })} />
+                  </div>
+                  {form.provider === "endpoint" && (
+                    <div className="col-span-2">
+                      <label className="text-xs text-zinc-600">API key (kept on this device only)</label>
+                      <Input type="password" autoComplete="off" value={form.apiKey} placeholder="Not needed for most local servers" onChange={(e) => set({ apiKey: e.target.value })} />
+                    </div>
+                  )}
+                </div>
+                {form.provider === "server" && (
+                  <p className="text-xs text-zinc-500">Prompts come from the app’s server, which limits how many each account can roll an hour and a day.</p>
+                )}
+                <div>
+                  <label className="text-xs text-zinc-600">System prompt</label>
+                  <Textarea value={form.endpoint.systemPrompt} onChange={(e) => setEndpoint({ systemPrompt: e.target.value })} />
+                </div>
+                <div>
+                  <label className="text-xs text-zinc-600">Request</label>
+                  <Textarea value={form.endpoint.userPrompt} onChange={(e) => setEndpoint({ userPrompt: e.target.value })} />
+                </div>
+                <Button variant="link" className="justify-self-start h-6 px-0 text-xs"
+                  onClick={() => setEndpoint({ systemPrompt: DEFAULT_PROMPTS.endpoint.systemPrompt, userPrompt: DEFAULT_PROMPTS.endpoint.userPrompt })}>
+                  Restore default wording
+                </Button>
+                <label className="flex items-center gap-2 text-sm">
+                  <Checkbox checked={form.fallback} onCheckedChange={(v) => set({ fallback: v === true })} />
+                  Use the built-in bank when AI prompts can’t be reached
+                </label>
+              </div>
+            )}
+
+            {(form.provider === "bank" || (ai && form.fallback)) && (
+              <div>
+                <label className="text-xs text-zinc-600">Bank categories</label>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {Object.entries(PROMPT_BANK).map(([k, { label }]) => (
+                    <Button key={k} size="sm" className="h-7 px-2 text-xs" variant={form.categories.includes(k) ? "default" : "outline"}
+                      aria-pressed={form.categories.includes(k)} onClick={() => toggleCategory(k)}>{label}</Button>
+                  ))}
+                </div>
+                <p className="text-xs text-zinc-500 mt-1">With none selected, every category is used.</p>
+              </div>
+            )}
+
+            <div className="pt-3 border-t">
+              <label className="text-xs text-zinc-600">Don’t repeat the last … prompts</label>
+              <Input type="number" min="0" className="w-24" value={form.avoidRecent} onChange={(e) => set({ avoidRecent: e.target.value })} />
+            </div>
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={save}>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
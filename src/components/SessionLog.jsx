@@ -0,0 +1,320 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ArrowDown, ArrowUp, ChevronLeft, ChevronRight, Edit2, ListTodo, Save, Trash2, X } from "lucide-react";
+import { filterSessions, sessionChange, sessionTotals, sessionWph, sortSessions } from "../lib/sessions";
+import { formatDay } from "../lib/dates";
+
+const PAGE_SIZE = 50;
+const NO_PROJECT = "none";
+const SELECT_CLASS = "bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50";
+const COLUMNS = [
+  ["date", "Date"], ["project", "Project"], ["minutes", "Minutes"], ["added", "Added"],
+  ["removed", "Removed"], ["wph", "WPH"], ["notes", "Notes"],
+];
+
+function count(text){ return Math.max(0, parseInt(text, 10) || 0); }
+
+// Patches that keep `words` in step with `added`, and drop the document
+// when a session moves to another project. Cleared fields are null rather
+// than missing so the cleared column syncs too.
+function countPatch(field, n){ return field === "added" ? { added: n, words: n } : { [field]: n }; }
+function projectPatch(projectId){ return { projectId: projectId && projectId !== NO_PROJECT ? projectId : null, documentId: null }; }
+
+/** A cell that turns into an input on click; Enter or leaving it saves, Escape cancels. */
+function EditableCell({ value, type = "number", display, onCommit, className = "" }){
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState("");
+  if (!editing) {
+    return (
+      <button className={`text-left hover:underline decoration-dotted ${className}`} title="Click to edit"
+        onClick={() => { setText(String(value ?? "")); setEditing(true); }}>
+        {display ?? value}
+      </button>
+    );
+  }
+  const commit = () => { setEditing(false); if (text !== String(value ?? "")) onCommit(text); };
+  return (
+    <Input autoFocus type={type} className="h-7 px-1 min-w-[4rem]" value={text} onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === "Enter") commit(); else if (e.key === "Escape") setEditing(false); }} />
+  );
+}
+
+function ProjectPicker({ projects, value, onChange, placeholder = "Project", className = "" }){
+  return (
+    <Select value={value || NO_PROJECT} onValueChange={onChange}>
+      <SelectTrigger className={className}><SelectValue placeholder={placeholder} /></SelectTrigger>
+      <SelectContent className={SELECT_CLASS}>
+        <SelectItem value={NO_PROJECT}>No project</SelectItem>
+        {value && !projects.some(p => p.id === value) && <SelectItem value={value} disabled>Deleted project</SelectItem>}
+        {projects.map(p => <SelectItem key={p.id} value={p.id}>{p.title}{p.archived ? " (archived)" : ""}</SelectItem>)}
+      </SelectContent>
+    </Select>
+  );
+}
+
+/** Every field of one session. */
+function SessionEditDialog({ session, projects, documents, onSave }){
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(null);
+  function onOpenChange(next){
+    if (next) {
+      const c = sessionChange(session);
+      setForm({
+        date: session.date, projectId: session.projectId || NO_PROJECT, documentId: session.documentId || NO_PROJECT,
+        minutes: String(session.minutes || 0), added: String(c.added), removed: String(c.removed), notes: session.notes || "",
+      });
+    }
+    setOpen(next);
+  }
+  const set = (patch) => setForm(f => ({ ...f, ...patch }));
+  const docs = form ? documents.filter(d => d.projectId === form.projectId) : [];
+
+  function save(){
+    if (!form.date) return;
+    const added = count(form.added);
+    onSave({
+      date: form.date,
+      ...projectPatch(form.projectId),
+      documentId: form.documentId !== NO_PROJECT && docs.some(d => d.id === form.documentId) ? form.documentId : null,
+      minutes: count(form.minutes), words: added, added, removed: count(form.removed), notes: form.notes,
+    });
+    setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>
+        <Button size="icon" variant="ghost" aria-label="Edit session" title="Edit session"><Edit2 className="w-4 h-4"/></Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader><DialogTitle>Edit Session</DialogTitle></DialogHeader>
+        {form && (
+          <div className="grid gap-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="text-xs text-zinc-600">Date</label>
+                <Input type="date" value={form.date} onChange={(e) => set({ date: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-xs text-zinc-600">Minutes</label>
+                <Input type="number" min="0" value={form.minutes} onChange={(e) => set({ minutes: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-xs text-zinc-600">Words written</label>
+                <Input type="number" min="0" value={form.added} onChange={(e) => set({ added: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-xs text-zinc-600">Words removed</label>
+                <Input type="number" min="0" value={form.removed} onChange={(e) => set({ removed: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-xs text-zinc-600">Project</label>
+                <ProjectPicker projects={projects} value={form.projectId} onChange={(v) => set({ projectId: v, documentId: NO_PROJECT })} />
+              </div>
+              <div>
+                <label className="text-xs text-zinc-600">Document</label>
+                <Select value={form.documentId} onValueChange={(v) => set({ documentId: v })} disabled={!docs.length}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent className={SELECT_CLASS}>
+                    <SelectItem value={NO_PROJECT}>Whole project</SelectItem>
+                    {docs.map(d => <SelectItem key={d.id} value={d.id}>{d.title}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <Textarea placeholder="Notes" value={form.notes} onChange={(e) => set({ notes: e.target.value })} />
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={save}><Save className="w-4 h-4 mr-2"/>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/**
+ * The session log: filter by project, dates and notes, sort by any column,
+ * edit in place or in a dialog, and select rows to delete or move together.
+ * `onUpdate(ids, patch)` and `onDelete(ids)` apply changes; `actions` sits
+ * in the header.
+ */
+export default function SessionLog({ sessions, projects, documents, onUpdate, onDelete, actions }){
+  const [filter, setFilter] = useState({ projectId: "", from: "", to: "", text: "" });
+  const [sort, setSort] = useState({ key: "date", dir: "desc" });
+  const [page, setPage] = useState(0);
+  const [selected, setSelected] = useState(() => new Set());
+
+  const title = useMemo(() => {
+    const byId = new Map(projects.map(p => [p.id, p.title]));
+    return (id) => (id ? byId.get(id) || "" : "");
+  }, [projects]);
+  const rows = useMemo(() => sortSessions(filterSessions(sessions, filter), sort, title), [sessions, filter, sort, title]);
+  const totals = useMemo(() => sessionTotals(rows), [rows]);
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+  const visible = rows.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+  // Deleted sessions (here or from another device) drop out of the selection.
+  useEffect(() => {
+    setSelected(prev => {
+      const ids = new Set(sessions.map(s => s.id));
+      const next = new Set([...prev].filter(id => ids.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [sessions]);
+
+  const chosen = rows.filter(s => selected.has(s.id)).map(s => s.id);
+  const pageChosen = visible.filter(s => selected.has(s.id)).length;
+
+  function setFilterField(patch){ setFilter(f => ({ ...f, ...patch })); setPage(0); }
+  function sortBy(key){
+    setSort(s => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "project" || key === "notes" ? "asc" : "desc" }));
+    setPage(0);
+  }
+  function toggle(id, on){ setSelected(prev => { const next = new Set(prev); if (on) next.add(id); else next.delete(id); return next; }); }
+  function togglePage(on){ setSelected(prev => { const next = new Set(prev); for (const s of visible) { if (on) next.add(s.id); else next.delete(s.id); } return next; }); }
+  function removeChosen(){
+    if (!window.confirm(`Delete ${chosen.length} session${chosen.length === 1 ? "" : "s"}?`)) return;
+    onDelete(chosen);
+    setSelected(new Set());
+  }
+
+  const filtered = Boolean(filter.projectId || filter.from || filter.to || filter.text);
+
+  return (
+    <Card className="mt-6 shadow-sm">
+      <CardHeader className="pb-2 flex items-center justify-between">
+        <CardTitle className="text-base font-semibold flex items-center gap-2"><ListTodo className="w-4 h-4"/> Session Log</CardTitle>
+        {actions}
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-end gap-2 mb-3">
+          <div className="w-48">
+            <label className="text-xs text-zinc-600">Project</label>
+            <Select value={filter.projectId || "all"} onValueChange={(v) => setFilterField({ projectId: v === "all" ? "" : v })}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent className={SELECT_CLASS}>
+                <SelectItem value="all">All projects</SelectItem>
+                <SelectItem value={NO_PROJECT}>No project</SelectItem>
+                {projects.map(p => <SelectItem key={p.id} value={p.id}>{p.title}{p.archived ? " (archived)" : ""}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-zinc-600">From</label>
+            <Input type="date" className="w-40" value={filter.from} onChange={(e) => setFilterField({ from: e.target.value })} />
+          </div>
+          <div>
+            <label className="text-xs text-zinc-600">To</label>
+            <Input type="date" className="w-40" value={filter.to} onChange={(e) => setFilterField({ to: e.target.value })} />
+          </div>
+          <div className="flex-1 min-w-[10rem]">
+            <label className="text-xs text-zinc-600">Notes</label>
+            <Input placeholder="Search notes…" value={filter.text} onChange={(e) => setFilterField({ text: e.target.value })} />
+          </div>
+          {filtered && <Button variant="ghost" onClick={() => setFilterField({ projectId: "", from: "", to: "", text: "" })}><X className="w-4 h-4 mr-1"/>Clear</Button>}
+        </div>
+
+        {chosen.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-3 p-2 rounded-lg bg-zinc-50 text-sm">
+            <span className="font-medium">{chosen.length} selected</span>
+            {pageChosen === visible.length && chosen.length < rows.length && (
+              <Button size="sm" variant="link" className="h-7 px-1" onClick={() => setSelected(new Set(rows.map(s => s.id)))}>Select all {rows.length} matching</Button>
+            )}
+            <ProjectPicker projects={projects} value="" placeholder="Move to project…" className="h-8 w-48"
+              onChange={(v) => { onUpdate(chosen, projectPatch(v)); setSelected(new Set()); }} />
+            <Button size="sm" variant="outline" onClick={removeChosen}><Trash2 className="w-4 h-4 mr-1"/>Delete</Button>
+            <Button size="sm" variant="ghost" onClick={() => setSelected(new Set())}>Clear selection</Button>
+          </div>
+        )}
+
+        {rows.length === 0 ? (
+          <div className="text-sm text-zinc-500">{sessions.length ? "No sessions match these filters." : "No sessions logged yet."}</div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-zinc-600">
+                  <tr>
+                    <th className="py-2 pr-2 w-8">
+                      <Checkbox aria-label="Select this page"
+                        checked={pageChosen === 0 ? false : pageChosen === visible.length ? true : "indeterminate"}
+                        onCheckedChange={(v) => togglePage(v === true)} />
+                    </th>
+                    {COLUMNS.map(([key, label]) => (
+                      <th key={key} className="py-2 pr-2" aria-sort={sort.key === key ? (sort.dir === "asc" ? "ascending" : "descending") : undefined}>
+                        <button className="inline-flex items-center gap-1 hover:text-zinc-900" onClick={() => sortBy(key)}>
+                          {label}
+                          {sort.key === key && (sort.dir === "asc" ? <ArrowUp className="w-3 h-3"/> : <ArrowDown className="w-3 h-3"/>)}
+                        </button>
+                      </th>
+                    ))}
+                    <th className="py-2 pr-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visible.map(s => {
+                    const c = sessionChange(s);
+                    const wph = sessionWph(s);
+                    return (
+                      <tr key={s.id} className={`border-t ${selected.has(s.id) ? "bg-indigo-50/50" : ""}`}>
+                        <td className="py-2 pr-2"><Checkbox aria-label="Select session" checked={selected.has(s.id)} onCheckedChange={(v) => toggle(s.id, v === true)} /></td>
+                        <td className="py-2 pr-2 whitespace-nowrap" title={s.timeZone ? `Logged in ${s.timeZone}` : undefined}>
+                          <EditableCell type="date" value={s.date} display={formatDay(s.date, { month: "short", day: "numeric", year: "numeric" })}
+                            onCommit={(v) => v && onUpdate([s.id], { date: v })} />
+                        </td>
+                        <td className="py-2 pr-2">
+                          <ProjectPicker projects={projects} value={s.projectId} className="h-7 w-40 border-0 px-1 shadow-none"
+                            onChange={(v) => onUpdate([s.id], projectPatch(v))} />
+                        </td>
+                        <td className="py-2 pr-2"><EditableCell value={s.minutes} onCommit={(v) => onUpdate([s.id], countPatch("minutes", count(v)))} /></td>
+                        <td className="py-2 pr-2 font-medium"><EditableCell value={c.added} onCommit={(v) => onUpdate([s.id], countPatch("added", count(v)))} /></td>
+                        <td className="py-2 pr-2"><EditableCell value={c.removed} display={c.removed || <span className="text-zinc-400">—</span>} onCommit={(v) => onUpdate([s.id], countPatch("removed", count(v)))} /></td>
+                        <td className="py-2 pr-2">{wph ?? "—"}</td>
+                        <td className="py-2 pr-2 max-w-[24rem] truncate" title={s.notes || ""}>
+                          <EditableCell type="text" value={s.notes || ""} className="w-full truncate" display={s.notes || <span className="text-zinc-400">Add note</span>}
+                            onCommit={(v) => onUpdate([s.id], { notes: v })} />
+                        </td>
+                        <td className="py-2 pr-2 text-right whitespace-nowrap">
+                          <SessionEditDialog session={s} projects={projects} documents={documents} onSave={(patch) => onUpdate([s.id], patch)} />
+                          <Button size="icon" variant="ghost" aria-label="Delete session" onClick={() => onDelete([s.id])}><Trash2 className="w-4 h-4"/></Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+                <tfoot className="border-t-2 font-medium">
+                  <tr>
+                    <td></td>
+                    <td className="py-2 pr-2" colSpan={2}>{filtered ? "Matching" : "All"} {rows.length.toLocaleString()} session{rows.length === 1 ? "" : "s"}</td>
+                    <td className="py-2 pr-2">{totals.minutes.toLocaleString()}</td>
+                    <td className="py-2 pr-2">{totals.added.toLocaleString()}</td>
+                    <td className="py-2 pr-2">{totals.removed.toLocaleString()}</td>
+                    <td className="py-2 pr-2">{totals.wph ?? "—"}</td>
+                    <td colSpan={2}></td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+            {pages > 1 && (
+              <div className="flex items-center justify-end gap-2 mt-3 text-sm text-zinc-600">
+                <span>{current * PAGE_SIZE + 1}–{Math.min(rows.length, (current + 1) * PAGE_SIZE)} of {rows.length.toLocaleString()}</span>
+                <Button size="icon" variant="outline" className="h-8 w-8" aria-label="Previous page" disabled={current === 0} onClick={() => setPage(current - 1)}><ChevronLeft className="w-4 h-4"/></Button>
+                <Button size="icon" variant="outline" className="h-8 w-8" aria-label="Next page" disabled={current >= pages - 1} onClick={() => setPage(current + 1)}><ChevronRight className="w-4 h-4"/></Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,234 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import { ArrowLeft, Download, FileSpreadsheet, UploadCloud } from "lucide-react";
+import { parseCsv } from "../lib/csv";
+import { DATE_FORMATS, IMPORT_FIELDS, detectDateFormat, guessMapping, ideasCsv, planCsvImport, projectsCsv, sessionsCsv } from "../lib/spreadsheet";
+
+const SELECT_CLASS = "bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50";
+const PREVIEW_ROWS = 100;
+const UNMAPPED = "-1";
+const STATUS_BADGES = {
+  new: { label: "New", variant: "default" },
+  duplicate: { label: "Duplicate", variant: "secondary" },
+  invalid: { label: "Skipped", variant: "destructive" },
+};
+
+function download(text, fileName){
+  const url = URL.createObjectURL(new Blob([text], { type: "text/csv" }));
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Whether this browser's locale writes the day or the month first, to settle
+// dates like 03/04/2024 that read either way.
+function localeDateFormat(){
+  const first = new Intl.DateTimeFormat(undefined, { year: "numeric", month: "2-digit", day: "2-digit" })
+    .formatToParts(new Date(2024, 2, 31)).find(p => p.type !== "literal")?.type;
+  return first === "year" ? "ymd" : first === "month" ? "mdy" : "dmy";
+}
+
+/** The import as read from a file, before any options are chosen. */
+function readTable(fileName, text){
+  const table = parseCsv(text);
+  const guessed = guessMapping(table[0] || []);
+  const hasHeader = Object.values(guessed).some(i => i >= 0);
+  return { fileName, table, hasHeader, mapping: hasHeader ? guessed : { ...guessed, date: 0 } };
+}
+
+/**
+ * CSV downloads of sessions, projects and ideas, and a session importer for
+ * other trackers' exports: map the columns, check the dates, preview every
+ * row, then import. Projects named in the file that don't exist yet are
+ * created. `onImport(plan, { includeDuplicates })` applies a confirmed plan.
+ */
+export default function SpreadsheetDialog({ sessions, projects, ideas, documents, today, onImport }){
+  const [open, setOpen] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [dateFormat, setDateFormat] = useState(null);
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+
+  const columns = useMemo(() => {
+    if (!pending) return [];
+    const width = Math.max(0, ...pending.table.map(r => r.length));
+    return Array.from({ length: width }, (_, i) => (pending.hasHeader && pending.table[0][i]?.trim()) || `Column ${i + 1}`);
+  }, [pending]);
+  const detected = useMemo(() => {
+    if (!pending || pending.mapping.date < 0) return "ymd";
+    const dates = pending.table.slice(pending.hasHeader ? 1 : 0).map(r => r[pending.mapping.date]);
+    return detectDateFormat(dates, localeDateFormat());
+  }, [pending]);
+  const format = dateFormat || detected;
+  const plan = useMemo(() => (pending && pending.mapping.date >= 0
+    ? planCsvImport(pending.table, { mapping: pending.mapping, dateFormat: format, hasHeader: pending.hasHeader }, { sessions, projects })
+    : null), [pending, format, sessions, projects]);
+  const importing = plan ? plan.counts.new + (includeDuplicates ? plan.counts.duplicate : 0) : 0;
+
+  function onOpenChange(next){
+    if (!next) setPending(null);
+    setOpen(next);
+  }
+  function exportCsv(kind){
+    const csv = { sessions: () => sessionsCsv(sessions, { projects, documents }), projects: () => projectsCsv(projects, sessions), ideas: () => ideasCsv(ideas, projects) }[kind]();
+    download(csv, `writers-dashboard-${kind}-${today}.csv`);
+  }
+  function pickFile(file){
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const next = readTable(file.name, String(e.target.result));
+      if (!next.table.length) { toast("That file has no rows"); return; }
+      setPending(next);
+      setDateFormat(null);
+      setIncludeDuplicates(false);
+    };
+    reader.onerror = () => toast("Couldn’t read file");
+    reader.readAsText(file);
+  }
+  function setMapping(field, value){
+    setPending(p => ({ ...p, mapping: { ...p.mapping, [field]: Number(value) } }));
+    if (field === "date") setDateFormat(null);
+  }
+  function confirm(){
+    onImport(plan, { includeDuplicates });
+    onOpenChange(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="secondary"><FileSpreadsheet className="w-4 h-4 mr-2"/>CSV</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>{pending ? `Import ${pending.fileName}` : "Spreadsheets"}</DialogTitle>
+          <DialogDescription>
+            {pending ? "Match the file’s columns to session fields and check the preview. Nothing is saved until you import." : "Download your data as CSV, or bring in session history from another tracker."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!pending ? (
+          <div className="grid gap-4">
+            <div>
+              <div className="text-sm font-medium mb-2">Export</div>
+              <div className="flex flex-wrap gap-2">
+                <Button variant="outline" onClick={() => exportCsv("sessions")} disabled={!sessions.length}><Download className="w-4 h-4 mr-2"/>Sessions</Button>
+                <Button variant="outline" onClick={() => exportCsv("projects")} disabled={!projects.length}><Download className="w-4 h-4 mr-2"/>Projects</Button>
+                <Button variant="outline" onClick={() => exportCsv("ideas")} disabled={!ideas.length}><Download className="w-4 h-4 mr-2"/>Ideas</Button>
+              </div>
+            </div>
+            <div className="pt-3 border-t">
+              <div className="text-sm font-medium mb-1">Import sessions</div>
+              <p className="text-xs text-zinc-500 mb-2">A CSV with a row per session or per day: at least a date, plus any of words, time, project and notes. Comma, semicolon and tab separated files all work.</p>
+              <label className="inline-flex items-center gap-2 cursor-pointer rounded-md border px-3 py-2 text-sm hover:bg-zinc-50">
+                <UploadCloud className="w-4 h-4"/>Choose a CSV file…
+                <input type="file" accept=".csv,.tsv,.txt,text/csv" className="hidden" onChange={(e) => { if (e.target.files?.[0]) pickFile(e.target.files[0]); e.target.value = ""; }} />
+              </label>
+            </div>
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            <label className="flex items-center gap-2 text-sm">
+              <Checkbox checked={pending.hasHeader} onCheckedChange={(v) => setPending(p => ({ ...p, hasHeader: v === true }))} />
+              First row is column names
+            </label>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+              {Object.entries(IMPORT_FIELDS).map(([field, { label }]) => (
+                <div key={field}>
+                  <label className="text-xs text-zinc-600">{label}{field === "date" ? " (required)" : ""}</label>
+                  <Select value={String(pending.mapping[field])} onValueChange={(v) => setMapping(field, v)}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent className={SELECT_CLASS}>
+                      <SelectItem value={UNMAPPED}>Not in this file</SelectItem>
+                      {columns.map((name, i) => <SelectItem key={i} value={String(i)}>{name}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+              <div>
+                <label className="text-xs text-zinc-600">Dates are written</label>
+                <Select value={format} onValueChange={setDateFormat} disabled={pending.mapping.date < 0}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent className={SELECT_CLASS}>
+                    {Object.entries(DATE_FORMATS).map(([k, label]) => <SelectItem key={k} value={k}>{label}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {!plan ? (
+              <div className="text-sm text-red-600">Choose the column that holds each session’s date.</div>
+            ) : (
+              <>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <Badge>{plan.counts.new} new</Badge>
+                  <Badge variant="secondary">{plan.counts.duplicate} already logged</Badge>
+                  <Badge variant={plan.counts.invalid ? "destructive" : "outline"}>{plan.counts.invalid} skipped</Badge>
+                  {plan.counts.duplicate > 0 && (
+                    <label className="flex items-center gap-2 ml-auto">
+                      <Checkbox checked={includeDuplicates} onCheckedChange={(v) => setIncludeDuplicates(v === true)} />
+                      Import duplicates too
+                    </label>
+                  )}
+                </div>
+                {plan.projects.length > 0 && (
+                  <div className="text-xs text-zinc-600">
+                    <span className="font-medium">New projects:</span> {plan.projects.slice(0, 8).join(", ")}{plan.projects.length > 8 ? `, +${plan.projects.length - 8} more` : ""}
+                  </div>
+                )}
+                <div className="max-h-[40vh] overflow-auto border rounded-lg">
+                  <table className="w-full text-xs">
+                    <thead className="text-left text-zinc-600 sticky top-0 bg-white">
+                      <tr>
+                        <th className="py-1 px-2">Line</th><th className="py-1 px-2"></th><th className="py-1 px-2">Date</th><th className="py-1 px-2">Project</th>
+                        <th className="py-1 px-2">Minutes</th><th className="py-1 px-2">Words</th><th className="py-1 px-2">Removed</th><th className="py-1 px-2">Notes</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {plan.rows.slice(0, PREVIEW_ROWS).map(r => (
+                        <tr key={r.line} className="border-t">
+                          <td className="py-1 px-2 text-zinc-500">{r.line}</td>
+                          <td className="py-1 px-2"><Badge variant={STATUS_BADGES[r.status].variant}>{STATUS_BADGES[r.status].label}</Badge></td>
+                          {r.session ? (
+                            <>
+                              <td className="py-1 px-2 whitespace-nowrap">{r.session.date}</td>
+                              <td className="py-1 px-2">{r.session.project || <span className="text-zinc-400">—</span>}</td>
+                              <td className="py-1 px-2">{r.session.minutes}</td>
+                              <td className="py-1 px-2">{r.session.added}</td>
+                              <td className="py-1 px-2">{r.session.removed || ""}</td>
+                              <td className="py-1 px-2 max-w-[12rem] truncate" title={r.session.notes}>{r.session.notes}</td>
+                            </>
+                          ) : (
+                            <td className="py-1 px-2 text-red-600" colSpan={6}>{r.problem}</td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {plan.rows.length > PREVIEW_ROWS && <div className="p-2 text-xs text-zinc-500">…and {plan.rows.length - PREVIEW_ROWS} more rows</div>}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          {pending ? (
+            <>
+              <Button variant="secondary" onClick={() => setPending(null)}><ArrowLeft className="w-4 h-4 mr-2"/>Back</Button>
+              <Button onClick={confirm} disabled={!importing}>
+                <UploadCloud className="w-4 h-4 mr-2"/>Import {importing} session{importing === 1 ? "" : "s"}
+              </Button>
+            </>
+          ) : (
+            <Button variant="secondary" onClick={() => onOpenChange(false)}>Close</Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { GitMerge } from "lucide-react";
+
+/** Lists fields edited differently on two devices; `onResolve(conflict, useRemote)` keeps one side. */
+export default function SyncConflictsDialog({ conflicts, onResolve }){
+  const [open, setOpen] = useState(false);
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="destructive"><GitMerge className="w-4 h-4 mr-2"/>{conflicts.length} conflict{conflicts.length===1?"":"s"}</Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl sm:max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Sync Conflicts</DialogTitle>
+          <DialogDescription>These were edited differently on two devices. This device’s version is kept until you choose.</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 max-h-[60vh] overflow-y-auto pr-1">
+          {conflicts.map(c=> (
+            <div key={c.id} className="p-3 rounded-xl border">
+              <div className="text-sm font-medium mb-2">{c.label} <span className="text-zinc-500 font-normal">— {c.field}</span></div>
+              <div className="grid md:grid-cols-2 gap-3">
+                {[["This device", c.local, false], ["Other device", c.remote, true]].map(([label, value, useRemote])=> (
+                  <div key={label} className="flex flex-col gap-2">
+                    <div className="text-xs text-zinc-600">{label}</div>
+                    <pre className="text-xs whitespace-pre-wrap bg-zinc-50 rounded-lg p-2 max-h-48 overflow-y-auto">{String(value ?? "")}</pre>
+                    <Button size="sm" variant={useRemote?"outline":"secondary"} onClick={()=>onResolve(c, useRemote)}>Keep {label.toLowerCase()}’s</Button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
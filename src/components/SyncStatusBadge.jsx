@@ -0,0 +1,35 @@
+import React from "react";
+import { Badge } from "@/components/ui/badge";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { Cloud, CloudAlert, CloudOff, RefreshCw } from "lucide-react";
+
+/** The outbox's state in the header; clicking it retries a failed or pending sync. */
+export default function SyncStatusBadge({ status, onRetry }){
+  const { state, pending, error, nextRetryAt } = status;
+  const view = {
+    synced: { icon: Cloud, label: "Synced", variant: "secondary" },
+    pending: { icon: RefreshCw, label: `Pending ${pending}`, variant: "outline" },
+    syncing: { icon: RefreshCw, label: pending ? `Syncing ${pending}` : "Syncing", variant: "outline" },
+    offline: { icon: CloudOff, label: pending ? `Offline · ${pending} pending` : "Offline", variant: "outline" },
+    error: { icon: CloudAlert, label: "Sync error", variant: "destructive" },
+  }[state];
+  const Icon = view.icon;
+  const detail = state === "error"
+    ? `${error}${nextRetryAt ? ` — retrying at ${new Date(nextRetryAt).toLocaleTimeString()}` : ""}`
+    : state === "synced" ? `Last synced ${status.lastSyncedAt ? new Date(status.lastSyncedAt).toLocaleTimeString() : "—"}`
+    : `${pending} change${pending===1?"":"s"} waiting to upload`;
+  return (
+    <Tooltip>
+      <TooltipTrigger asChild>
+        <button className="inline-flex items-center" onClick={state === "error" || state === "pending" ? onRetry : undefined}>
+          <Badge variant={view.variant} className="flex items-center gap-1 h-9 px-3">
+            <Icon className={`w-4 h-4 ${state === "syncing" ? "animate-spin" : ""}`}/>{view.label}
+          </Badge>
+        </button>
+      </TooltipTrigger>
+      <TooltipContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl max-w-xs">
+        {detail}{state === "error" && <div className="mt-1 text-zinc-500">Click to retry now.</div>}
+      </TooltipContent>
+    </Tooltip>
+  );
+}
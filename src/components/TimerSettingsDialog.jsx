@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Settings2, Trash2 } from "lucide-react";
+import { timerSettings } from "../lib/timer";
+
+const FIELDS = [
+  ["workMinutes", "Focus (min)"],
+  ["shortBreakMinutes", "Short break (min)"],
+  ["longBreakMinutes", "Long break (min)"],
+  ["longBreakEvery", "Long break every"],
+];
+
+function uid(){ return Math.random().toString(36).slice(2); }
+
+/**
+ * Cycle lengths, auto-start options and the user's presets for the focus
+ * timer. Saved lengths apply from the timer's next reset.
+ */
+export default function TimerSettingsDialog({ settings, onSettingsChange }){
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({});
+  const [presetName, setPresetName] = useState("");
+  const config = timerSettings(settings);
+
+  function onOpenChange(next){
+    if (next) { setForm(Object.fromEntries(FIELDS.map(([f]) => [f, String(config[f])]))); setPresetName(""); }
+    setOpen(next);
+  }
+
+  const lengths = () => Object.fromEntries(FIELDS.map(([f]) => [f, Math.max(1, parseInt(form[f], 10) || config[f])]));
+  const update = (patch) => onSettingsChange({ timer: { ...(settings?.timer || {}), ...patch } });
+
+  function save(){ update(lengths()); setOpen(false); }
+  function savePreset(){
+    const name = presetName.trim();
+    if (!name) return;
+    update({ ...lengths(), presets: [...config.presets, { id: uid(), name, ...lengths() }] });
+    setPresetName("");
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTrigger asChild>
+        <Button size="icon" variant="ghost" aria-label="Timer settings" title="Timer settings"><Settings2 className="w-4 h-4"/></Button>
+      </DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Timer Settings</DialogTitle>
+          <DialogDescription>New lengths take effect when the timer is reset.</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3">
+          <div className="grid grid-cols-2 gap-3">
+            {FIELDS.map(([f, label]) => (
+              <div key={f}>
+                <label className="text-xs text-zinc-600">{label}</label>
+                <Input type="number" min="1" value={form[f] ?? ""} onChange={(e) => setForm(v => ({ ...v, [f]: e.target.value }))} />
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox id="autoStartBreaks" checked={config.autoStartBreaks} onCheckedChange={(v) => update({ autoStartBreaks: Boolean(v) })}/>
+            <label htmlFor="autoStartBreaks" className="text-sm text-zinc-600">Start breaks automatically</label>
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox id="autoStartWork" checked={config.autoStartWork} onCheckedChange={(v) => update({ autoStartWork: Boolean(v) })}/>
+            <label htmlFor="autoStartWork" className="text-sm text-zinc-600">Start the next focus block automatically</label>
+          </div>
+          <div className="pt-3 border-t grid gap-2">
+            <div className="text-sm font-medium">Presets</div>
+            {config.presets.map(p => (
+              <div key={p.id} className="flex items-center justify-between text-sm">
+                <span>{p.name} <span className="text-xs text-zinc-500">{p.workMinutes}/{p.shortBreakMinutes}/{p.longBreakMinutes} · long every {p.longBreakEvery}</span></span>
+                <Button size="icon" variant="ghost" className="h-7 w-7" aria-label={`Delete ${p.name}`}
+                  onClick={() => update({ presets: config.presets.filter(x => x.id !== p.id) })}><Trash2 className="w-3 h-3"/></Button>
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <Input placeholder="Preset name" value={presetName} onChange={(e) => setPresetName(e.target.value)} />
+              <Button variant="outline" onClick={savePreset}>Save as preset</Button>
+            </div>
+          </div>
+        </div>
+        <DialogFooter>
+          <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={save}>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { countRules, textStats } from "../lib/wordCount";
+
+const TOGGLES = [
+  ["excludeMarkup", "Leave out Markdown and HTML markup and link addresses"],
+  ["excludeComments", "Leave out comments (<!-- … -->, %% … %%)"],
+  ["excludeBracketed", "Leave out bracketed notes ([TK: …], [[…]])"],
+  ["countNumbers", "Count numbers as words"],
+];
+
+/**
+ * Statistics for the text being edited, opened from its word count, plus the
+ * user's counting rules. Rule changes apply everywhere words are counted.
+ */
+export default function WordCountDialog({ text, settings, onSettingsChange, children }){
+  const [open, setOpen] = useState(false);
+  const rules = useMemo(() => countRules(settings), [settings]);
+  const stats = useMemo(() => (open ? textStats(text, rules) : null), [open, text, rules]);
+
+  function setRule(field, value){ onSettingsChange({ wordCount: { ...(settings?.wordCount || {}), [field]: value } }); }
+  function setRate(field, value){
+    const n = parseInt(value, 10);
+    if (n > 0) setRule(field, n);
+  }
+
+  const rows = stats && [
+    ["Words", stats.words],
+    ["Characters", stats.characters],
+    ["Characters (no spaces)", stats.charactersNoSpaces],
+    ["Sentences", stats.sentences],
+    ["Paragraphs", stats.paragraphs],
+    ["Reading time", stats.words ? `about ${stats.readingMinutes} min` : "—"],
+  ];
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>{children}</DialogTrigger>
+      <DialogContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl">
+        <DialogHeader>
+          <DialogTitle>Word Count</DialogTitle>
+          <DialogDescription>Chinese and Japanese characters count as one word each.</DialogDescription>
+        </DialogHeader>
+        {rows && (
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {rows.map(([label, value]) => (
+              <React.Fragment key={label}>
+                <dt className="text-zinc-600">{label}</dt>
+                <dd className="text-right tabular-nums">{typeof value === "number" ? value.toLocaleString() : value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+        <div className="grid gap-2 pt-3 border-t">
+          <div className="text-sm font-medium">Counting rules</div>
+          <div className="flex items-center justify-between gap-2">
+            <label className="text-sm text-zinc-600">Hyphenated words</label>
+            <Select value={rules.hyphenated} onValueChange={(v) => setRule("hyphenated", v)}>
+              <SelectTrigger className="w-[180px]"><SelectValue /></SelectTrigger>
+              <SelectContent className="bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800 shadow-xl z-50">
+                <SelectItem value="one">Count as one word</SelectItem>
+                <SelectItem value="parts">Count each part</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {TOGGLES.map(([field, label]) => (
+            <div key={field} className="flex items-center gap-2">
+              <Checkbox id={`wc-${field}`} checked={rules[field]} onCheckedChange={(v) => setRule(field, Boolean(v))}/>
+              <label htmlFor={`wc-${field}`} className="text-sm text-zinc-600">{label}</label>
+            </div>
+          ))}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-zinc-600">Reading speed (words/min)</label>
+              <Input type="number" min="1" value={rules.wordsPerMinute} onChange={(e) => setRate("wordsPerMinute", e.target.value)} />
+            </div>
+            <div>
+              <label className="text-xs text-zinc-600">CJK reading speed (chars/min)</label>
+              <Input type="number" min="1" value={rules.cjkCharsPerMinute} onChange={(e) => setRate("cjkCharsPerMinute", e.target.value)} />
+            </div>
+          </div>
+          <Button variant="ghost" size="sm" className="justify-self-start" onClick={() => onSettingsChange({ wordCount: {} })}>Reset to defaults</Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,70 @@
+// ------------------------------
+// Focus timer hook
+// ------------------------------
+// Keeps the dashboard's focus timer (@/lib/timer) in React state: saved on
+// this device after every change, repainted while it runs, and moved past
+// phases as they end.
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  advanceTimer, createTimer, draftSaveTime, loadTimer, markLogged, pauseTimer, presetLengths, saveTimer,
+  skipPhase, startTimer, timerClock, timerSettings, unloggedMinutes,
+} from "../lib/timer";
+
+/**
+ * The timer for `settings`. `onPhaseEnd(ended)` gets the phases that just
+ * ended; `onSettingsChange` saves a preset's lengths as the timer settings.
+ */
+export function useFocusTimer({ settings, onSettingsChange, onPhaseEnd }){
+  const config = useMemo(() => timerSettings(settings), [settings]);
+  const [timer, setTimer] = useState(() => loadTimer() ?? createTimer(timerSettings(settings)));
+  const [now, setNow] = useState(() => Date.now());
+  const running = timer.startedAt !== null;
+  const phaseEndRef = useRef(onPhaseEnd);
+  phaseEndRef.current = onPhaseEnd;
+
+  useEffect(() => { saveTimer(timer); }, [timer]);
+
+  // The interval only repaints the clock; the time itself comes from timestamps.
+  useEffect(() => {
+    if (!running) return;
+    const tick = () => setNow(Date.now());
+    tick();
+    const id = setInterval(tick, 500);
+    document.addEventListener("visibilitychange", tick);
+    return () => { clearInterval(id); document.removeEventListener("visibilitychange", tick); };
+  }, [running]);
+
+  useEffect(() => {
+    const { timer: next, ended } = advanceTimer(timer, config, now);
+    if (!ended.length) return;
+    setTimer(next);
+    phaseEndRef.current?.(ended);
+  }, [now, timer, config]);
+
+  function reset(mode = timer.mode, lengths = config){ setTimer(createTimer(lengths, mode)); setNow(Date.now()); }
+
+  return {
+    timer, config, running,
+    clock: timerClock(timer, now),
+    unloggedMinutes: unloggedMinutes(timer, now),
+    start: () => setTimer(t => startTimer(t)),
+    pause: () => setTimer(t => pauseTimer(t)),
+    skip: () => setTimer(t => skipPhase(t, config)),
+    reset,
+    markLogged: () => setTimer(t => markLogged(t)),
+    /** Switches to a preset's lengths, saving them and restarting the pomodoro. */
+    applyPreset(id){
+      const lengths = presetLengths(config, id);
+      if (!lengths) return;
+      onSettingsChange({ timer: { ...(settings.timer || {}), ...lengths } });
+      reset("pomodoro", { ...config, ...lengths });
+    },
+    /** Marks the focus time a draft save logs and returns its minutes (see `draftSaveTime`). */
+    takeDraftTime(options){
+      const at = Date.now();
+      setTimer(t => draftSaveTime(t, options, at).timer);
+      return draftSaveTime(timer, options, at).minutes;
+    },
+  };
+}
@@ -0,0 +1,33 @@
+// ------------------------------
+// Store hooks
+// ------------------------------
+// Hands the app store (@/lib/store) to components through context, so they
+// read current state and call actions without props threaded through the
+// dashboard.
+
+import { createContext, createElement, useContext, useSyncExternalStore } from "react";
+
+const StoreContext = createContext(null);
+
+export function StoreProvider({ store, children }){
+  return createElement(StoreContext.Provider, { value: store }, children);
+}
+
+/** The store from the nearest `StoreProvider`. */
+export function useStore(){
+  const store = useContext(StoreContext);
+  if (!store) throw new Error("useStore needs a <StoreProvider> above it");
+  return store;
+}
+
+/**
+ * The store's state, or the part `pick` returns. `pick` must return a value
+ * from the state as-is (e.g. `s => s.projects`), not a new object: derive
+ * figures from it with `useMemo` and the selectors in @/lib/selectors.
+ */
+export function useStoreState(pick = (s) => s){
+  const store = useStore();
+  return useSyncExternalStore(store.subscribe, () => pick(store.getState()));
+}
+
+export function useActions(){ return useStore().actions; }
@@ -0,0 +1,190 @@
+// ------------------------------
+// Writing analytics
+// ------------------------------
+// Aggregates of the session log for the analytics view: words per project
+// over a date range, cumulative totals, minutes and words per hour, a
+// year-long calendar heatmap, productivity by weekday and by hour, and best
+// day/week/month records. Everything is computed from `sessions`; nothing is
+// stored. Ranges are bucketed by day, week (Monday first) or month so a
+// chart never has more than a few dozen bars.
+
+import { addDays, daysBetween, localDay, weekday } from "./dates";
+import { sessionTotals, sessionWords, wordsByDay } from "./sessions";
+
+/**
+ * @typedef {'week'|'month'|'quarter'|'year'|'custom'} RangeKind
+ * @typedef {{ start: string, end: string }} DayRange
+ * @typedef {'day'|'week'|'month'} Bucket
+ * @typedef {{ date: string, words: number, level: number }} HeatCell
+ *   `level` runs from 0 (nothing written) to 4.
+ */
+
+/** Preset ranges, each ending today. */
+export const RANGES = {
+  week: { label: "Week", days: 7 },
+  month: { label: "Month", days: 30 },
+  quarter: { label: "Quarter", days: 91 },
+  year: { label: "Year", days: 365 },
+  custom: { label: "Custom" },
+};
+
+/** @returns {DayRange} */
+export function rangeFor(kind, today, custom){
+  if (kind === "custom" && custom?.start && custom?.end) {
+    return custom.start <= custom.end ? { start: custom.start, end: custom.end } : { start: custom.end, end: custom.start };
+  }
+  return { start: addDays(today, -((RANGES[kind]?.days || 30) - 1)), end: today };
+}
+
+/** @returns {Bucket} */
+export function bucketFor({ start, end }){
+  const days = daysBetween(start, end) + 1;
+  return days <= 62 ? "day" : days <= 400 ? "week" : "month";
+}
+
+/** The first day of the bucket `day` falls in (a month as "YYYY-MM"). */
+export function bucketKey(day, bucket){
+  if (bucket === "week") return addDays(day, -((weekday(day) + 6) % 7));
+  if (bucket === "month") return day.slice(0, 7);
+  return day;
+}
+
+function bucketKeys({ start, end }, bucket){
+  const keys = [];
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    const k = bucketKey(d, bucket);
+    if (keys[keys.length - 1] !== k) keys.push(k);
+  }
+  return keys;
+}
+
+function inRange(s, { start, end }){ return s.date >= start && s.date <= end; }
+
+/**
+ * One row per bucket in `range`: words per project (as `p:<id>`, with
+ * unassigned sessions under `p:`), the total, the running total, minutes and
+ * words per hour.
+ * @returns {{ bucket: Bucket, projectIds: string[], rows: object[] }}
+ */
+export function timeline(sessions, range, metric = "written"){
+  const bucket = bucketFor(range);
+  const list = sessions.filter(s => inRange(s, range));
+  const groups = new Map(bucketKeys(range, bucket).map(k => [k, []]));
+  for (const s of list) groups.get(bucketKey(s.date, bucket))?.push(s);
+  const projectIds = [...new Set(list.map(s => s.projectId || ""))];
+  let cumulative = 0;
+  const rows = [...groups].map(([key, group]) => {
+    const row = { key, total: 0, minutes: 0, sessions: group.length };
+    for (const id of projectIds) row[`p:${id}`] = 0;
+    for (const s of group) {
+      const n = sessionWords(s, metric);
+      row[`p:${s.projectId || ""}`] += n;
+      row.total += n;
+      row.minutes += Number(s.minutes) || 0;
+    }
+    cumulative += row.total;
+    row.cumulative = cumulative;
+    row.wph = sessionTotals(group).wph;
+    return row;
+  });
+  return { bucket, projectIds, rows };
+}
+
+/** Totals for `range`. */
+export function summary(sessions, range, metric = "written"){
+  const list = sessions.filter(s => inRange(s, range));
+  const byDay = wordsByDay(list, metric);
+  return {
+    words: list.reduce((n, s) => n + sessionWords(s, metric), 0),
+    minutes: list.reduce((n, s) => n + (Number(s.minutes) || 0), 0),
+    sessions: list.length,
+    activeDays: [...byDay.values()].filter(n => n > 0).length,
+    wph: sessionTotals(list).wph,
+  };
+}
+
+/**
+ * The year of days ending `today`, as columns of weeks starting on Sunday.
+ * Levels split the days that have words into quartiles.
+ * @param {Map<string, number>} byDay
+ * @returns {{ weeks: HeatCell[][], total: number }}
+ */
+export function heatmap(byDay, today, weeks = 53){
+  const start = addDays(today, -weekday(today) - (weeks - 1) * 7);
+  const values = [];
+  for (let d = start; d <= today; d = addDays(d, 1)) if ((byDay.get(d) || 0) > 0) values.push(byDay.get(d));
+  values.sort((a, b) => a - b);
+  const q = (p) => values[Math.min(values.length - 1, Math.floor(values.length * p))];
+  const cuts = values.length ? [q(0.25), q(0.5), q(0.75)] : [];
+  const level = (n) => (n <= 0 ? 0 : 1 + cuts.filter(c => n > c).length);
+  const columns = [];
+  let total = 0;
+  for (let d = start; d <= today; d = addDays(d, 1)) {
+    if (weekday(d) === 0) columns.push([]);
+    const words = byDay.get(d) || 0;
+    total += words;
+    columns[columns.length - 1].push({ date: d, words, level: level(words) });
+  }
+  return { weeks: columns, total };
+}
+
+/**
+ * Words and minutes for each weekday in `range`, Sunday first, with the
+ * average over the times that weekday came round.
+ */
+export function byWeekday(sessions, range, metric = "written"){
+  const rows = Array.from({ length: 7 }, (_, day) => ({ day, words: 0, minutes: 0, average: 0 }));
+  for (const s of sessions) {
+    if (!inRange(s, range)) continue;
+    const row = rows[weekday(s.date)];
+    row.words += sessionWords(s, metric);
+    row.minutes += Number(s.minutes) || 0;
+  }
+  const days = daysBetween(range.start, range.end) + 1;
+  for (const row of rows) {
+    const times = Math.floor(days / 7) + ((row.day - weekday(range.start) + 7) % 7 < days % 7 ? 1 : 0);
+    row.average = times ? Math.round(row.words / times) : 0;
+  }
+  return rows;
+}
+
+/**
+ * Words by the local hour sessions happened in, taken as the middle of each
+ * session. Only sessions logged on the day they're dated have a usable time;
+ * the rest are counted in `untimed`.
+ * @param {number} [startHour] hour the user's day starts at
+ */
+export function byHour(sessions, range, metric = "written", startHour = 0){
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, words: 0, sessions: 0 }));
+  let untimed = 0;
+  for (const s of sessions) {
+    if (!inRange(s, range)) continue;
+    const end = s.loggedAt ? new Date(s.loggedAt) : null;
+    if (!end || isNaN(end) || localDay(end, startHour) !== s.date) { untimed++; continue; }
+    const middle = new Date(end.getTime() - (Number(s.minutes) || 0) * 30000);
+    const row = hours[middle.getHours()];
+    row.words += sessionWords(s, metric);
+    row.sessions++;
+  }
+  return { hours, untimed };
+}
+
+/**
+ * The best day, week (Monday first) and month ever, or null before any words.
+ * @param {Map<string, number>} byDay
+ */
+export function records(byDay){
+  const best = { day: null, week: null, month: null };
+  const sums = { week: new Map(), month: new Map() };
+  for (const [date, words] of byDay) {
+    if (words > 0 && (!best.day || words > best.day.words)) best.day = { key: date, words };
+    for (const b of ["week", "month"]) {
+      const k = bucketKey(date, b);
+      sums[b].set(k, (sums[b].get(k) || 0) + words);
+    }
+  }
+  for (const b of ["week", "month"]) {
+    for (const [key, words] of sums[b]) if (words > 0 && (!best[b] || words > best[b].words)) best[b] = { key, words };
+  }
+  return best;
+}
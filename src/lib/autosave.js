@@ -0,0 +1,48 @@
+// ------------------------------
+// Editor autosave
+// ------------------------------
+// The draft editor's working text is copied to localStorage as you type, so a
+// closed tab, crash or reload doesn't lose it. It's only a recovery copy: it
+// never touches the document, history or session log until you choose to
+// recover it and save.
+
+/** @typedef {{ documentId: string, text: string, savedAt: string }} Autosave */
+
+const KEY_PREFIX = "writers_dashboard_autosave_v1:";
+
+function key(documentId){ return KEY_PREFIX + documentId; }
+
+/** @returns {Autosave|null} */
+export function readAutosave(documentId, storage = globalThis.localStorage){
+  try {
+    const a = JSON.parse(storage.getItem(key(documentId)) || "null");
+    return a && typeof a.text === "string" && typeof a.savedAt === "string" ? a : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeAutosave(documentId, text, storage = globalThis.localStorage){
+  try {
+    storage.setItem(key(documentId), JSON.stringify({ documentId, text, savedAt: new Date().toISOString() }));
+  } catch (err) {
+    console.error("autosave error:", err); // best effort; the editor still has the text
+  }
+}
+
+export function clearAutosave(documentId, storage = globalThis.localStorage){
+  storage.removeItem(key(documentId));
+}
+
+/**
+ * The autosaved copy of `doc` worth offering to recover: one that differs from
+ * the saved text and was written after the text was last saved. `updatedAt`
+ * won't do for that, since renaming or retagging the document moves it too.
+ * @returns {Autosave|null}
+ */
+export function pendingRecovery(doc, storage = globalThis.localStorage){
+  const a = doc && readAutosave(doc.id, storage);
+  if (!a || a.text === (doc.text || "")) return null;
+  if (doc.textSavedAt && a.savedAt <= doc.textSavedAt) return null;
+  return a;
+}
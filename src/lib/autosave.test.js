@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { clearAutosave, pendingRecovery, readAutosave, writeAutosave } from "./autosave";
+import { draftSave } from "./store";
+import { stamp } from "./sync";
+
+function memoryStorage(){
+  const m = new Map();
+  return {
+    getItem: (k) => (m.has(k) ? m.get(k) : null),
+    setItem: (k, v) => { m.set(k, String(v)); },
+    removeItem: (k) => { m.delete(k); },
+  };
+}
+
+const at = (time) => vi.setSystemTime(new Date(`2024-05-15T${time}:00.000Z`));
+
+afterEach(() => { vi.useRealTimers(); });
+
+describe("autosave", () => {
+  it("round-trips and clears a copy", () => {
+    const storage = memoryStorage();
+    writeAutosave("d1", "draft", storage);
+    expect(readAutosave("d1", storage)).toMatchObject({ documentId: "d1", text: "draft" });
+    clearAutosave("d1", storage);
+    expect(readAutosave("d1", storage)).toBeNull();
+  });
+
+  it("ignores copies it can't read", () => {
+    const storage = memoryStorage();
+    storage.setItem("writers_dashboard_autosave_v1:d1", "{not json");
+    expect(readAutosave("d1", storage)).toBeNull();
+  });
+});
+
+describe("pendingRecovery", () => {
+  const saved = (text) => {
+    const doc = { id: "d1", projectId: "p1", text: "", status: "Drafting" };
+    return stamp({ ...doc, ...draftSave(doc, text, { today: "2024-05-15" }).patch });
+  };
+
+  it("offers a copy typed after the last save", () => {
+    vi.useFakeTimers();
+    const storage = memoryStorage();
+    at("10:00"); const doc = saved("first");
+    at("10:05"); writeAutosave("d1", "first and more", storage);
+    expect(pendingRecovery(doc, storage)).toMatchObject({ text: "first and more" });
+  });
+
+  it("still offers it after only the document's details change", () => {
+    vi.useFakeTimers();
+    const storage = memoryStorage();
+    at("10:00"); const doc = saved("first");
+    at("10:05"); writeAutosave("d1", "first and more", storage);
+    at("10:10"); const renamed = stamp({ ...doc, title: "Renamed", status: "Revising", lastWordCount: 2 });
+    expect(renamed.updatedAt > readAutosave("d1", storage).savedAt).toBe(true);
+    expect(pendingRecovery(renamed, storage)).toMatchObject({ text: "first and more" });
+  });
+
+  it("skips a copy older than the saved text", () => {
+    vi.useFakeTimers();
+    const storage = memoryStorage();
+    at("10:00"); writeAutosave("d1", "stale", storage);
+    at("10:05"); const doc = saved("newer text");
+    expect(pendingRecovery(doc, storage)).toBeNull();
+  });
+
+  it("skips a copy that matches the saved text", () => {
+    vi.useFakeTimers();
+    const storage = memoryStorage();
+    at("10:00"); const doc = saved("same");
+    at("10:05"); writeAutosave("d1", "same", storage);
+    expect(pendingRecovery(doc, storage)).toBeNull();
+  });
+
+  it("offers a copy for a document saved before save times were kept", () => {
+    const storage = memoryStorage();
+    writeAutosave("d1", "recovered", storage);
+    expect(pendingRecovery({ id: "d1", text: "old", updatedAt: "2999-01-01T00:00:00.000Z" }, storage)).toMatchObject({ text: "recovered" });
+  });
+});
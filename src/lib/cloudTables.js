@@ -0,0 +1,219 @@
+// ------------------------------
+// Normalized cloud tables
+// ------------------------------
+// Projects, sessions, ideas and documents live in their own tables keyed by
+// (user_id, id), with a single `settings` row per user. Deleted records keep
+// their row with `deleted_at` set so other devices see the tombstone, and a
+// server-maintained `synced_at` lets each device pull only rows changed since
+// its last sync. Schema and row-level security: supabase/migrations.
+//
+// `synced_at` is stamped when a row is written, not when its transaction
+// commits, so a slow write can land stamped behind a cursor read meanwhile. Pulls reach
+// back PULL_OVERLAP_MS past the cursor to pick those up; the rows seen twice
+// apply to the same result, as merging is idempotent.
+
+import { COLLECTIONS, emptySnapshot, mergeSnapshots, normalizeSnapshot, nowISO } from "./sync";
+import { migrate } from "./schema";
+
+const PAGE_SIZE = 1000;
+const PULL_OVERLAP_MS = 10000;
+
+// Record field ↔ column. Fields not listed here round-trip through `extra`.
+const COLUMNS = {
+  projects: {
+    title: "title", description: "description", targetWords: "target_words", deadline: "deadline",
+    status: "status", archived: "archived", draft: "draft", lastWordCount: "last_word_count",
+    lastWordDate: "last_word_date", createdAt: "created_at", updatedAt: "updated_at",
+  },
+  sessions: {
+    projectId: "project_id", date: "date", minutes: "minutes", words: "words", notes: "notes", updatedAt: "updated_at",
+  },
+  ideas: {
+    text: "text", tags: "tags", projectId: "project_id", pinned: "pinned", createdAt: "created_at", updatedAt: "updated_at",
+  },
+  documents: {
+    projectId: "project_id", parentId: "parent_id", kind: "kind", title: "title", text: "text", order: "sort_order",
+    status: "status", targetWords: "target_words", notes: "notes", lastWordCount: "last_word_count",
+    lastWordDate: "last_word_date", createdAt: "created_at", updatedAt: "updated_at",
+  },
+};
+
+/** Converts a record into a row for `table`. */
+export function toRow(table, record, userId){
+  const row = { user_id: userId, id: record.id, deleted_at: null };
+  const extra = {};
+  for (const [k, v] of Object.entries(record)) {
+    if (k === "id") continue;
+    const col = COLUMNS[table][k];
+    if (col) row[col] = v === "" && /date|deadline/.test(col) ? null : v;
+    else extra[k] = v;
+  }
+  row.extra = extra;
+  return row;
+}
+
+// Postgres returns timestamptz as "…+00:00"; records use toISOString().
+function isoStamp(v){ return v ? new Date(v).toISOString() : v; }
+
+/** Converts a row back into a record; empty columns are left off. */
+export function fromRow(table, row){
+  const record = { id: row.id, ...(row.extra || {}) };
+  for (const [k, col] of Object.entries(COLUMNS[table])) {
+    if (row[col] === null || row[col] === undefined) continue;
+    record[k] = col.endsWith("_at") ? isoStamp(row[col]) : row[col];
+  }
+  return record;
+}
+
+function tombstoneRow(id, at, userId){ return { user_id: userId, id, deleted_at: at, updated_at: at }; }
+
+/** The stamp a pull starts from: `cursor` less the overlap window. */
+export function pullFrom(cursor){
+  return cursor ? new Date(new Date(cursor).getTime() - PULL_OVERLAP_MS).toISOString() : null;
+}
+
+async function selectAll(client, table, userId, since){
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let q = client.from(table).select("*").eq("user_id", userId);
+    if (since) q = q.gt("synced_at", since);
+    const { data, error } = await q.order("synced_at").range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+function maxSyncedAt(rows, start){
+  return rows.reduce((m, r) => (r.synced_at && (!m || r.synced_at > m) ? r.synced_at : m), start);
+}
+
+// Applies pulled rows on top of `snapshot`.
+function applyRows(snapshot, table, rows){
+  const byId = new Map(snapshot[table].map(r => [r.id, r]));
+  for (const row of rows) {
+    if (row.deleted_at) {
+      byId.delete(row.id);
+      snapshot.tombstones[table][row.id] = isoStamp(row.deleted_at);
+    } else {
+      byId.set(row.id, fromRow(table, row));
+      delete snapshot.tombstones[table][row.id];
+    }
+  }
+  snapshot[table] = [...byId.values()];
+}
+
+function rowChanged(row, prevRow){
+  const keys = new Set([...Object.keys(row), ...Object.keys(prevRow)]);
+  return [...keys].some(k => JSON.stringify(row[k]) !== JSON.stringify(prevRow[k]));
+}
+
+/**
+ * Sync-engine remote backed by the normalized tables. Pulls only rows whose
+ * `synced_at` moved past the stored cursor, less the overlap window (on top
+ * of the last agreed base), and pushes only the records that differ from
+ * what the remote holds, one upsert per table.
+ */
+export function createTablesRemote(client, userId, storage = globalThis.localStorage){
+  const cursorKey = `writers_dashboard_sync_cursor_v1:${userId}`;
+
+  return {
+    async pull(base){
+      const cursor = base ? storage.getItem(cursorKey) : null;
+      const snapshot = structuredClone(normalizeSnapshot(cursor ? base : emptySnapshot()));
+      let version = cursor;
+      for (const table of COLLECTIONS) {
+        const rows = await selectAll(client, table, userId, pullFrom(cursor));
+        applyRows(snapshot, table, rows);
+        version = maxSyncedAt(rows, version);
+      }
+      const { data: settingsRow, error } = await client
+        .from("settings").select("data, updated_at, synced_at").eq("user_id", userId).maybeSingle();
+      if (error) throw error;
+      if (settingsRow) {
+        snapshot.settings = { ...settingsRow.data, updatedAt: isoStamp(settingsRow.updated_at) };
+        version = maxSyncedAt([settingsRow], version);
+      }
+      return { data: snapshot, version };
+    },
+
+    async push(merged, _version, remote){
+      for (const table of COLLECTIONS) {
+        const before = new Map(remote[table].map(r => [r.id, r]));
+        const changed = [];
+        for (const record of merged[table]) {
+          const row = toRow(table, record, userId), prev = before.get(record.id);
+          if (!prev || rowChanged(row, toRow(table, prev, userId))) changed.push(row);
+        }
+        for (let i = 0; i < changed.length; i += PAGE_SIZE) {
+          const { error } = await client.from(table).upsert(changed.slice(i, i + PAGE_SIZE), { onConflict: "user_id,id" });
+          if (error) throw error;
+        }
+        const deleted = Object.entries(merged.tombstones[table])
+          .filter(([id]) => before.has(id))
+          .map(([id, at]) => tombstoneRow(id, at, userId));
+        if (deleted.length) {
+          const { error } = await client.from(table).upsert(deleted, { onConflict: "user_id,id" });
+          if (error) throw error;
+        }
+      }
+      if (JSON.stringify(merged.settings) !== JSON.stringify(remote.settings)) {
+        const { updatedAt, ...data } = merged.settings;
+        const { error } = await client.from("settings")
+          .upsert({ user_id: userId, data, updated_at: updatedAt || nowISO() }, { onConflict: "user_id" });
+        if (error) throw error;
+      }
+      return true;
+    },
+
+    commit(version){
+      if (version) storage.setItem(cursorKey, version);
+    },
+  };
+}
+
+// ------------------------------
+// One-time migration from app_state
+// ------------------------------
+
+/**
+ * Splits the legacy single-row `app_state` blob and this browser's
+ * `writers_dashboard_v1` store into the normalized tables. Runs once per user:
+ * a `settings` row with `migrated_at` marks it done. Returns what was written
+ * plus any conflicts between the two sources.
+ * @param {any} client @param {string} userId @param {object} localData
+ */
+export async function migrateLegacyState(client, userId, localData){
+  const { data: done, error: doneError } = await client
+    .from("settings").select("migrated_at").eq("user_id", userId).maybeSingle();
+  if (doneError) throw doneError;
+  if (done?.migrated_at) return null;
+
+  const { data: legacy, error } = await client
+    .from("app_state").select("data").eq("user_id", userId).maybeSingle();
+  if (error && error.code !== "42P01") throw error; // table may already be dropped
+  const legacyData = legacy?.data ? migrate(legacy.data) : null;
+  const { merged, conflicts } = mergeSnapshots(null, normalizeSnapshot(localData), normalizeSnapshot(legacyData));
+
+  for (const table of COLLECTIONS) {
+    const rows = [
+      ...merged[table].map(r => toRow(table, r, userId)),
+      ...Object.entries(merged.tombstones[table]).map(([id, at]) => tombstoneRow(id, at, userId)),
+    ];
+    for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+      const { error } = await client.from(table)
+        .upsert(rows.slice(i, i + PAGE_SIZE), { onConflict: "user_id,id", ignoreDuplicates: true });
+      if (error) throw error;
+    }
+  }
+  const { updatedAt, ...settings } = merged.settings;
+  const { error: settingsError } = await client.from("settings").upsert({
+    user_id: userId, data: settings, updated_at: updatedAt || nowISO(), migrated_at: nowISO(),
+  }, { onConflict: "user_id" });
+  if (settingsError) throw settingsError;
+
+  return {
+    projects: merged.projects.length, sessions: merged.sessions.length, ideas: merged.ideas.length,
+    documents: merged.documents.length, conflicts,
+  };
+}
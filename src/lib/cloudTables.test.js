@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { createTablesRemote, pullFrom } from "./cloudTables";
+import { emptySnapshot } from "./sync";
+
+// Records what the remote asks of Supabase and answers each query with `rows`.
+function fakeClient(rows = {}){
+  const calls = [];
+  const client = {
+    calls,
+    from(table){
+      const call = { table, filters: [] };
+      const query = {
+        select(){ call.op = "select"; return query; },
+        eq(col, v){ call.filters.push(["eq", col, v]); return query; },
+        gt(col, v){ call.filters.push(["gt", col, v]); return query; },
+        order(){ return query; },
+        range(){ calls.push(call); return Promise.resolve({ data: rows[table] || [], error: null }); },
+        maybeSingle(){ calls.push(call); return Promise.resolve({ data: null, error: null }); },
+        upsert(data){ calls.push({ ...call, op: "upsert", data }); return Promise.resolve({ error: null }); },
+        update(data){ calls.push({ ...call, op: "update", data }); return query; },
+      };
+      return query;
+    },
+  };
+  return client;
+}
+
+function memoryStorage(){
+  const m = new Map();
+  return { getItem: (k) => (m.has(k) ? m.get(k) : null), setItem: (k, v) => { m.set(k, String(v)); } };
+}
+
+const T0 = "2024-05-15T10:00:00.000Z", T1 = "2024-05-15T11:00:00.000Z";
+const idea = (patch) => ({ id: "i1", text: "A lighthouse", tags: [], updatedAt: T0, ...patch });
+
+describe("createTablesRemote", () => {
+  it("pulls from a little before the cursor, so late commits aren't skipped", async () => {
+    const client = fakeClient();
+    const storage = memoryStorage();
+    const remote = createTablesRemote(client, "u1", storage);
+    remote.commit(T1);
+    await remote.pull(emptySnapshot());
+    const since = client.calls.filter(c => c.op === "select" && c.table !== "settings").map(c => c.filters.find(f => f[0] === "gt")[2]);
+    expect(new Set(since)).toEqual(new Set([pullFrom(T1)]));
+    expect(pullFrom(T1) < T1).toBe(true);
+  });
+
+  it("comes out the same when a pulled row was already in the base", async () => {
+    const row = { user_id: "u1", id: "i1", text: "A lighthouse", tags: [], updated_at: T0, deleted_at: null, synced_at: T0, extra: {} };
+    const storage = memoryStorage();
+    const remote = createTablesRemote(fakeClient({ ideas: [row] }), "u1", storage);
+    remote.commit(T1);
+    const base = { ...emptySnapshot(), ideas: [idea()] };
+    const { data, version } = await remote.pull(base);
+    expect(data.ideas).toEqual([idea()]);
+    expect(version).toBe(T1);
+  });
+
+  it("pushes new and changed records in one upsert per table", async () => {
+    const client = fakeClient();
+    const remote = createTablesRemote(client, "u1", memoryStorage());
+    const before = { ...emptySnapshot(), ideas: [idea(), idea({ id: "i2" }), idea({ id: "i3" })] };
+    const merged = { ...before, ideas: [idea({ pinned: true, updatedAt: T1 }), idea({ id: "i2" }), idea({ id: "i3", text: "Changed" }), idea({ id: "i4" })] };
+    await remote.push(merged, null, before);
+    const writes = client.calls.filter(c => c.op === "upsert" || c.op === "update");
+    expect(writes.map(c => c.table)).toEqual(["ideas"]);
+    expect(writes[0].op).toBe("upsert");
+    expect(writes[0].data.map(r => r.id)).toEqual(["i1", "i3", "i4"]);
+  });
+});
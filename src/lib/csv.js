@@ -0,0 +1,79 @@
+// ------------------------------
+// CSV
+// ------------------------------
+// Comma-separated values as spreadsheets read them (RFC 4180): fields with
+// commas, quotes or line breaks are quoted, and lines end in CRLF. Text a
+// spreadsheet would run as a formula gets a leading apostrophe. Parsing
+// is more forgiving, since files come from other apps: any line ending, a
+// leading byte-order mark, and semicolons or tabs in place of commas.
+
+/** @typedef {{ key: string, label: string }} CsvColumn */
+
+// What Excel, Sheets and LibreOffice treat as the start of a formula.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const GUARDED_FORMULA = /^'[=+\-@\t\r]/;
+
+function field(v){
+  let s = v === null || v === undefined ? "" : String(v);
+  if (typeof v === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * `rows` as CSV text with a header line of column labels.
+ * @param {object[]} rows
+ * @param {CsvColumn[]} columns
+ */
+export function toCsv(rows, columns){
+  const lines = [columns.map(c => field(c.label)).join(",")];
+  for (const row of rows) lines.push(columns.map(c => field(row[c.key])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/** A cell's text without the apostrophe `toCsv` puts in front of formula-like text. */
+export function unguardFormula(s){ return GUARDED_FORMULA.test(s) ? s.slice(1) : s; }
+
+const DELIMITERS = [",", ";", "\t"];
+
+/** The delimiter used most on the first line, outside quotes. */
+export function detectDelimiter(text){
+  const counts = new Map(DELIMITERS.map(d => [d, 0]));
+  let quoted = false;
+  for (const c of text) {
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && (c === "\n" || c === "\r")) break;
+    else if (!quoted && counts.has(c)) counts.set(c, counts.get(c) + 1);
+  }
+  return [...counts].reduce((best, d) => (d[1] > best[1] ? d : best))[0];
+}
+
+/**
+ * CSV text as rows of fields. Lines with nothing in them are skipped.
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)){
+  const src = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(f => f.trim() !== "")) rows.push(row);
+    row = [];
+    cell = "";
+  };
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c !== '"') cell += c;
+      else if (src[i + 1] === '"') { cell += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"' && cell === "") quoted = true;
+    else if (c === delimiter) { row.push(cell); cell = ""; }
+    else if (c === "\r" || c === "\n") { if (c === "\r" && src[i + 1] === "\n") i++; endRow(); }
+    else cell += c;
+  }
+  if (cell !== "" || row.length) endRow();
+  return rows;
+}
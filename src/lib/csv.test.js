@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, toCsv, unguardFormula } from "./csv";
+
+const columns = [{ key: "text", label: "Text" }, { key: "n", label: "Number" }];
+const body = (rows) => toCsv(rows, columns).split("\r\n")[1];
+
+describe("toCsv", () => {
+  it("quotes fields with commas, quotes or line breaks", () => {
+    expect(toCsv([{ text: 'a, "b"\nc', n: 1 }], columns)).toBe('Text,Number\r\n"a, ""b""\nc",1\r\n');
+  });
+
+  it("keeps text a spreadsheet would run as a formula from running", () => {
+    for (const text of ["=HYPERLINK(\"http://evil\",\"x\")", "+1+1", "-2+3", "@SUM(A1)", "\t=1", "\r=1"]) {
+      const [cell] = parseCsv(toCsv([{ text }], columns))[1];
+      expect(cell).toBe(`'${text}`);
+    }
+  });
+
+  it("leaves numbers and ordinary text alone", () => {
+    expect(body([{ text: "Chapter one - draft", n: -5 }])).toBe("Chapter one - draft,-5");
+  });
+});
+
+describe("unguardFormula", () => {
+  it("takes off only the apostrophe toCsv adds", () => {
+    expect(unguardFormula("'=1+1")).toBe("=1+1");
+    expect(unguardFormula("'-cut")).toBe("-cut");
+    expect(unguardFormula("'tis the season")).toBe("'tis the season");
+    expect(unguardFormula("plain")).toBe("plain");
+  });
+});
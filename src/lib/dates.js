@@ -0,0 +1,68 @@
+// ------------------------------
+// Calendar days
+// ------------------------------
+// Sessions, goals and streaks are kept by day as "YYYY-MM-DD" keys on the
+// user's own calendar, never the UTC date. A day can be set to start a few
+// hours after midnight (`settings.dayStartHour`) so a session at 1 AM still
+// counts toward the evening before. Keys are stepped with UTC arithmetic,
+// which has no daylight-saving gaps, and turned back into local dates only
+// for display.
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** Latest hour a day can be set to start at. */
+export const MAX_DAY_START = 12;
+
+/** The hour (0 to `MAX_DAY_START`) the user's day starts at. */
+export function dayStartHour(settings){
+  const h = Number(settings?.dayStartHour);
+  return Number.isInteger(h) && h >= 0 && h <= MAX_DAY_START ? h : 0;
+}
+
+/** Weekdays (0 = Sunday … 6) the user doesn't plan to write on. @returns {number[]} */
+export function restDays(settings){
+  const days = settings?.restDays;
+  return Array.isArray(days) ? days.filter(d => Number.isInteger(d) && d >= 0 && d < 7) : [];
+}
+
+function pad(n){ return String(n).padStart(2, "0"); }
+
+/** The local day `date` falls on, for a day starting at `startHour`. */
+export function localDay(date = new Date(), startHour = 0){
+  const d = new Date(date);
+  d.setHours(d.getHours() - startHour);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** The IANA time zone this device is in, e.g. "America/Denver". */
+export function timeZone(){
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || undefined; } catch { return undefined; }
+}
+
+function utc(key){ const [y, m, d] = key.split("-").map(Number); return Date.UTC(y, m - 1, d); }
+
+export function addDays(key, n){ return new Date(utc(key) + n * 86400000).toISOString().slice(0, 10); }
+
+/** Whole days from `from` to `to`; negative when `to` is earlier. */
+export function daysBetween(from, to){ return Math.round((utc(to) - utc(from)) / 86400000); }
+
+/** 0 = Sunday … 6 = Saturday. */
+export function weekday(key){ return new Date(utc(key)).getUTCDay(); }
+
+/** Days from `from` through `to`, both included, that aren't `rest` weekdays. */
+export function writingDays(from, to, rest = []){
+  const days = daysBetween(from, to) + 1;
+  if (days <= 0) return 0;
+  const weeks = Math.floor(days / 7);
+  let n = weeks * (7 - rest.length);
+  for (let i = weeks * 7, w = weekday(from); i < days; i++) if (!rest.includes((w + i) % 7)) n++;
+  return n;
+}
+
+/** Local midnight at the start of `key`'s calendar date. */
+export function dayToDate(key){ const [y, m, d] = key.split("-").map(Number); return new Date(y, m - 1, d); }
+
+/** `key` in the user's locale, by default as "Mar 4". */
+export function formatDay(key, options = { month: "short", day: "numeric" }){
+  return key ? dayToDate(key).toLocaleDateString(undefined, options) : "";
+}
@@ -0,0 +1,129 @@
+// ------------------------------
+// Text diff
+// ------------------------------
+// Myers' O((N+M)·D) diff, run first over lines and then over the words of
+// each changed block so prose edits show up as word-level changes.
+
+import { countWords } from "./wordCount";
+
+/** @typedef {{ type: 'equal'|'insert'|'delete', text: string }} DiffPart */
+
+// Past this many edits a block is shown as a plain replacement; finding the
+// minimal script for two unrelated chapters isn't worth the time.
+const MAX_EDITS = 4000;
+
+/**
+ * Edit script between two token arrays as `[type, token]` pairs, or null when
+ * the sequences differ by more than `maxEdits`.
+ */
+export function diffTokens(a, b, maxEdits = MAX_EDITS){
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const head = a.slice(0, start).map(t => ["equal", t]);
+  const tail = a.slice(endA).map(t => ["equal", t]);
+  const middle = myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  return middle ? [...head, ...middle, ...tail] : null;
+}
+
+function myers(a, b, maxEdits){
+  const n = a.length, m = b.length;
+  if (!n) return b.map(t => ["insert", t]);
+  if (!m) return a.map(t => ["delete", t]);
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b, d);
+    }
+  }
+  return null;
+}
+
+// Walks the saved frontier of each round back from (n, m) to (0, 0).
+function backtrack(trace, a, b, dEnd){
+  const ops = [];
+  let x = a.length, y = b.length;
+  for (let d = dEnd; d > 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1]; // trace[d] covers k = -d-1 … d+1
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK), prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push(["equal", a[--x]]); y--; }
+    if (x === prevX) ops.push(["insert", b[--y]]);
+    else ops.push(["delete", a[--x]]);
+  }
+  while (x > 0 && y > 0) { ops.push(["equal", a[--x]]); y--; }
+  return ops.reverse();
+}
+
+function lines(text){ return text.match(/[^\n]*\n|[^\n]+$/g) || []; }
+// Punctuation is its own token, so "five." → "five," changes one character
+// rather than replacing the word.
+function words(text){ return text.match(/\s+|[\p{L}\p{N}\p{M}'’_-]+|[^\s\p{L}\p{N}\p{M}]+/gu) || []; }
+
+function push(parts, type, text){
+  if (!text) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+/**
+ * Diff of two texts as runs of equal, inserted and deleted text. Changed
+ * lines are refined to word level.
+ * @returns {DiffPart[]}
+ */
+export function diffText(before, after){
+  const parts = [];
+  const ops = diffTokens(lines(before), lines(after));
+  if (!ops) {
+    push(parts, "delete", before);
+    push(parts, "insert", after);
+    return parts;
+  }
+  let del = [], ins = [];
+  const flush = () => {
+    if (del.length && ins.length) {
+      const refined = diffTokens(words(del.join("")), words(ins.join("")), MAX_EDITS / 4);
+      if (refined) for (const [type, t] of refined) push(parts, type, t);
+      else { push(parts, "delete", del.join("")); push(parts, "insert", ins.join("")); }
+    } else {
+      push(parts, "delete", del.join(""));
+      push(parts, "insert", ins.join(""));
+    }
+    del = []; ins = [];
+  };
+  for (const [type, t] of ops) {
+    if (type === "delete") del.push(t);
+    else if (type === "insert") ins.push(t);
+    else { flush(); push(parts, "equal", t); }
+  }
+  flush();
+  return parts;
+}
+
+/**
+ * Word totals added and removed by a diff.
+ * @param {import("./wordCount").CountRules} [rules]
+ */
+export function diffStats(parts, rules){
+  let added = 0, removed = 0;
+  for (const p of parts) {
+    if (p.type === "insert") added += countWords(p.text, rules);
+    else if (p.type === "delete") removed += countWords(p.text, rules);
+  }
+  return { added, removed };
+}
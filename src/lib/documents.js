@@ -0,0 +1,116 @@
+// ------------------------------
+// Manuscript documents
+// ------------------------------
+// A project's manuscript is a tree of documents — parts, chapters and scenes —
+// stored flat with `parentId` and a sibling `order`. Parts can hold chapters
+// or scenes, chapters can hold scenes, scenes are leaves.
+
+import { countWords } from "./wordCount";
+
+/** @typedef {'part'|'chapter'|'scene'} DocumentKind */
+/** @typedef {{ id: string, projectId: string, parentId: string|null, kind: DocumentKind, title: string, text: string, order: number, status: string, targetWords?: number, notes?: string, lastWordCount?: number, lastWordDate?: string, textSavedAt?: string, createdAt: string, updatedAt?: string }} Doc */
+/** @typedef {{ doc: Doc, children: TreeNode[] }} TreeNode */
+
+export const DOC_KINDS = ["part", "chapter", "scene"];
+export const DOC_STATUSES = ["Todo", "Drafting", "Revising", "Done"];
+
+const CHILD_KINDS = { part: ["chapter", "scene"], chapter: ["scene"], scene: [] };
+
+export function canContain(parentKind, childKind){ return (CHILD_KINDS[parentKind] || []).includes(childKind); }
+
+function byOrder(a, b){ return (a.order ?? 0) - (b.order ?? 0) || String(a.createdAt).localeCompare(String(b.createdAt)); }
+
+/** Nested tree of one project's documents, siblings in order. */
+export function documentTree(documents, projectId){
+  const mine = documents.filter(d => d.projectId === projectId);
+  const ids = new Set(mine.map(d => d.id));
+  const kids = new Map();
+  for (const d of mine) {
+    const parent = d.parentId && ids.has(d.parentId) ? d.parentId : null; // orphans surface at the top
+    if (!kids.has(parent)) kids.set(parent, []);
+    kids.get(parent).push(d);
+  }
+  const build = (parent) => (kids.get(parent) || []).sort(byOrder).map(doc => ({ doc, children: build(doc.id) }));
+  return build(null);
+}
+
+/** Documents in reading order with their depth in the tree. */
+export function flattenTree(tree, depth = 0, out = []){
+  for (const node of tree) {
+    out.push({ doc: node.doc, depth });
+    flattenTree(node.children, depth + 1, out);
+  }
+  return out;
+}
+
+/** Ids of `id` and everything nested under it. */
+export function subtreeIds(documents, id){
+  const out = [id];
+  for (let i = 0; i < out.length; i++) {
+    for (const d of documents) if (d.parentId === out[i]) out.push(d.id);
+  }
+  return out;
+}
+
+/**
+ * Patches (`{ id, parentId, order }`) that move `id` relative to `targetId`:
+ * "before"/"after" make it the target's sibling, "inside" its last child.
+ * Returns [] when the move isn't allowed (into itself, a descendant, or a
+ * parent that can't hold that kind).
+ */
+export function moveDocument(documents, id, targetId, position){
+  const doc = documents.find(d => d.id === id);
+  const target = documents.find(d => d.id === targetId);
+  if (!doc || !target || id === targetId) return [];
+  if (subtreeIds(documents, id).includes(targetId)) return [];
+
+  const parentId = position === "inside" ? target.id : target.parentId ?? null;
+  const parent = parentId ? documents.find(d => d.id === parentId) : null;
+  if (parent && !canContain(parent.kind, doc.kind)) return [];
+
+  const siblings = documents
+    .filter(d => d.projectId === doc.projectId && (d.parentId ?? null) === parentId && d.id !== id)
+    .sort(byOrder);
+  let at = siblings.length;
+  if (position !== "inside") {
+    at = siblings.findIndex(d => d.id === targetId) + (position === "after" ? 1 : 0);
+  }
+  siblings.splice(at, 0, doc);
+  return siblings
+    .map((d, order) => ({ id: d.id, parentId, order }))
+    .filter(p => {
+      const d = documents.find(x => x.id === p.id);
+      return d.order !== p.order || (d.parentId ?? null) !== p.parentId;
+    });
+}
+
+/** Sibling `order` for a new document appended under `parentId`. */
+export function nextOrder(documents, projectId, parentId){
+  const siblings = documents.filter(d => d.projectId === projectId && (d.parentId ?? null) === (parentId ?? null));
+  return siblings.reduce((m, d) => Math.max(m, (d.order ?? 0) + 1), 0);
+}
+
+/**
+ * Totals for a project rolled up from its documents: manuscript words, the
+ * sum of per-document targets and a count per status.
+ */
+export function rollup(documents, projectId, rules){
+  const mine = documents.filter(d => d.projectId === projectId);
+  const byStatus = Object.fromEntries(DOC_STATUSES.map(s => [s, 0]));
+  let words = 0, target = 0;
+  for (const d of mine) {
+    words += countWords(d.text, rules);
+    target += d.targetWords || 0;
+    if (d.kind === "scene" || !mine.some(c => c.parentId === d.id)) byStatus[d.status] = (byStatus[d.status] || 0) + 1;
+  }
+  return { count: mine.length, words, target, byStatus };
+}
+
+/** Words per document id, with parents including their children. */
+export function wordsByDocument(documents, projectId, rules){
+  const tree = documentTree(documents, projectId);
+  const out = {};
+  const walk = (node) => (out[node.doc.id] = countWords(node.doc.text, rules) + node.children.reduce((s, c) => s + walk(c), 0));
+  tree.forEach(walk);
+  return out;
+}
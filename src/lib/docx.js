@@ -0,0 +1,200 @@
+// ------------------------------
+// DOCX export
+// ------------------------------
+// Writes a manuscript as a Word document in standard manuscript format: a
+// title page with the author and an approximate word count, 12pt Times New
+// Roman, double spacing with indented paragraphs, each chapter on a new page,
+// "#" scene breaks, and a running "Surname / Title / page" header from page 2.
+// Markdown footnotes become real Word footnotes.
+
+import { escapeXml } from "./markdown";
+import { createZip } from "./zip";
+
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/** Word counts on a manuscript title page are rounded, not exact. */
+export function approximateWords(n){
+  if (n < 1000) return Math.max(100, Math.round(n / 100) * 100 || 100);
+  return Math.round(n / 500) * 500 || n;
+}
+
+function run(text, fmt = {}){
+  const props = [
+    fmt.bold ? "<w:b/>" : "",
+    fmt.italic ? "<w:i/>" : "",
+    fmt.code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/>' : "",
+  ].join("");
+  // Soft line breaks inside a paragraph are just spaces.
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ""}<w:t xml:space="preserve">${escapeXml(text.replace(/\n/g, " "))}</w:t></w:r>`;
+}
+
+function para(style, runs, extra = ""){
+  return `<w:p><w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ""}${extra}</w:pPr>${runs}</w:p>`;
+}
+
+const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+// Renders the Markdown tree into WordprocessingML. Footnote references are
+// registered through `ctx.addFootnote`; Word numbers them in document order.
+function inlineRuns(nodes, ctx, fmt = {}){
+  return nodes.map(n => {
+    switch (n.type) {
+      case "text": return run(n.text, fmt);
+      case "code": return run(n.text, { ...fmt, code: true });
+      case "strong": return inlineRuns(n.children, ctx, { ...fmt, bold: true });
+      case "em": return inlineRuns(n.children, ctx, { ...fmt, italic: true });
+      case "link": return inlineRuns(n.children, ctx, fmt);
+      case "image": return n.alt ? run(`[${n.alt}]`, fmt) : "";
+      case "break": return "<w:r><w:br/></w:r>";
+      case "footnoteRef": {
+        const id = ctx.footnoteIds.get(n.id) ?? ctx.addFootnote(n.id);
+        return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${id}"/></w:r>`;
+      }
+      default: return "";
+    }
+  }).join("");
+}
+
+function blocks(list, ctx, style = null){
+  return list.map(b => {
+    switch (b.type) {
+      case "heading": return para(`Heading${Math.min(3, b.level + 1)}`, inlineRuns(b.children, ctx));
+      case "paragraph": return para(style, inlineRuns(b.children, ctx));
+      case "blockquote": return blocks(b.children, ctx, "Quote");
+      case "code": return para("Code", b.text.split("\n").map((l, i) => (i ? "<w:r><w:br/></w:r>" : "") + run(l, { code: true })).join(""));
+      case "hr": return para("SceneBreak", run("#"));
+      case "list": return b.items.map((item, i) => {
+        const marker = b.ordered ? `${b.start + i}.\t` : "•\t";
+        const [first, ...rest] = item;
+        const lead = first?.type === "paragraph" ? para("ListParagraph", run(marker) + inlineRuns(first.children, ctx)) : para("ListParagraph", run(marker)) + blocks([first].filter(Boolean), ctx, "ListParagraph");
+        return lead + blocks(rest, ctx, "ListParagraph");
+      }).join("");
+      default: return "";
+    }
+  }).join("");
+}
+
+function titlePage(m){
+  const author = m.author || "Author Name";
+  const info = para("TitlePageInfo", run(author) + "<w:r><w:tab/></w:r>" + run(`about ${approximateWords(m.words).toLocaleString("en-US")} words`));
+  const title = para("Title", run(m.title));
+  const byline = para("Byline", run(`by ${author}`));
+  return info + title + byline + pageBreak;
+}
+
+function documentXml(m, ctx){
+  const body = m.sections.map((s, i) => {
+    const out = [];
+    if (s.sceneBreak) out.push(para("SceneBreak", run("#")));
+    // Top-level headings start a new page; the first follows the title page's break.
+    if (s.heading) out.push(para(s.depth === 0 ? "Heading1" : "Heading2", run(s.doc.title), s.depth === 0 && i > 0 ? "<w:pageBreakBefore/>" : ""));
+    ctx.markdown = s.markdown;
+    ctx.footnoteIds = new Map(); // labels are per document
+    out.push(blocks(s.markdown.blocks, ctx));
+    return out.join("");
+  }).join("");
+  const sect = '<w:sectPr><w:headerReference w:type="default" r:id="rIdHeader"/><w:pgSz w:w="12240" w:h="15840"/>'
+    + '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/><w:titlePg/></w:sectPr>';
+  return `${XML_HEAD}<w:document ${W_NS}><w:body>${titlePage(m)}${body}${sect}</w:body></w:document>`;
+}
+
+function headerXml(m){
+  const surname = (m.author || "Author").trim().split(/\s+/).pop();
+  const page = '<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r>'
+    + '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>2</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>';
+  return `${XML_HEAD}<w:hdr ${W_NS}>${para("Header", run(`${surname} / ${m.title} / `) + page)}</w:hdr>`;
+}
+
+function footnotesXml(notes){
+  const sep = '<w:footnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:footnote>'
+    + '<w:footnote w:type="continuationSeparator" w:id="0"><w:p><w:r><w:continuationSeparator/></w:r></w:p></w:footnote>';
+  const mark = '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> </w:t></w:r>';
+  const body = notes.map(({ id, xml: content }) => {
+    // The reference mark goes at the start of the note's first paragraph.
+    const withMark = content.replace(/^(<w:p><w:pPr>.*?<\/w:pPr>)/, `$1${mark}`) || para("FootnoteText", mark);
+    return `<w:footnote w:id="${id}">${withMark}</w:footnote>`;
+  }).join("");
+  return `${XML_HEAD}<w:footnotes ${W_NS}>${sep}${body}</w:footnotes>`;
+}
+
+const STYLES = `${XML_HEAD}<w:styles ${W_NS}>
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:eastAsia="Times New Roman" w:cs="Times New Roman"/><w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="480" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:firstLine="720"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TitlePageInfo"><w:name w:val="Title Page Info"/><w:basedOn w:val="Normal"/><w:pPr><w:tabs><w:tab w:val="right" w:pos="9360"/></w:tabs><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:before="4800"/><w:ind w:firstLine="0"/><w:jc w:val="center"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Byline"><w:name w:val="Byline"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:firstLine="0"/><w:jc w:val="center"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="2880" w:after="480"/><w:ind w:firstLine="0"/><w:jc w:val="center"/><w:outlineLvl w:val="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:ind w:firstLine="0"/><w:jc w:val="center"/><w:outlineLvl w:val="1"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:ind w:firstLine="0"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="SceneBreak"><w:name w:val="Scene Break"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:ind w:firstLine="0"/><w:jc w:val="center"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720" w:right="720" w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="1080" w:hanging="360"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:line="240" w:lineRule="auto" w:after="240"/><w:ind w:left="720" w:firstLine="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/><w:jc w:val="right"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="FootnoteText"><w:name w:val="footnote text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/></w:pPr><w:rPr><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="FootnoteReference"><w:name w:val="footnote reference"/><w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>
+</w:styles>`;
+
+/**
+ * The manuscript as a .docx file.
+ * @param {import("./manuscript").Manuscript} m
+ * @returns {Uint8Array}
+ */
+export function manuscriptDocx(m, now = new Date()){
+  const notes = [];
+  const ctx = {
+    markdown: null,          // the document whose references are being rendered
+    footnoteIds: new Map(),  // its footnote labels → Word footnote ids
+    addFootnote(label){
+      const id = notes.length + 1;
+      this.footnoteIds.set(label, id);
+      const note = { id, xml: "" };
+      notes.push(note);
+      const def = this.markdown?.footnotes.find(f => f.id === label);
+      if (def) note.xml = blocks(def.children, this, "FootnoteText");
+      return id;
+    },
+  };
+  const document = documentXml(m, ctx);
+  const stamp = now.toISOString().replace(/\.\d+Z$/, "Z");
+
+  const parts = [
+    ["[Content_Types].xml", `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+      + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+      + '<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>'
+      + '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>'
+      + '<Override PartName="/word/footnotes.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml"/>'
+      + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+      + "</Types>"],
+    ["_rels/.rels", `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+      + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+      + "</Relationships>"],
+    ["docProps/core.xml", `${XML_HEAD}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`
+      + `<dc:title>${escapeXml(m.title)}</dc:title>`
+      + (m.description ? `<dc:description>${escapeXml(m.description)}</dc:description>` : "")
+      + (m.author ? `<dc:creator>${escapeXml(m.author)}</dc:creator>` : "")
+      + `<dcterms:created xsi:type="dcterms:W3CDTF">${stamp}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${stamp}</dcterms:modified>`
+      + "</cp:coreProperties>"],
+    ["word/_rels/document.xml.rels", `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + '<Relationship Id="rIdSettings" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>'
+      + '<Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>'
+      + '<Relationship Id="rIdFootnotes" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes" Target="footnotes.xml"/>'
+      + "</Relationships>"],
+    ["word/document.xml", document],
+    ["word/styles.xml", STYLES],
+    ["word/settings.xml", `${XML_HEAD}<w:settings ${W_NS}><w:defaultTabStop w:val="720"/>`
+      + '<w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr><w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat></w:settings>'],
+    ["word/header1.xml", headerXml(m)],
+    ["word/footnotes.xml", footnotesXml(notes)],
+  ];
+  return createZip(parts.map(([name, data]) => ({ name, data })), now);
+}
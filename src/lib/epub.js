@@ -0,0 +1,153 @@
+// ------------------------------
+// EPUB export
+// ------------------------------
+// Writes a manuscript as an EPUB 3 book: a title page, a navigation document
+// (plus an NCX table of contents for older readers) and one XHTML file per
+// part or chapter, with nested scenes kept in their chapter's file.
+
+import { escapeXml, renderMarkdown } from "./markdown";
+import { createZip } from "./zip";
+
+const CSS = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2, h3 { text-align: center; font-weight: normal; margin: 2em 0 1em; }
+.title-page { text-align: center; margin-top: 30%; }
+.title-page .author { margin-top: 2em; font-style: italic; }
+p { margin: 0; text-indent: 1.5em; }
+h1 + p, h2 + p, h3 + p, .scene-break + p, blockquote p { text-indent: 0; }
+.scene-break { text-align: center; margin: 1em 0; text-indent: 0; }
+blockquote { margin: 1em 2em; font-style: italic; }
+.footnotes { font-size: 0.9em; margin-top: 2em; }
+.footnotes p { text-indent: 0; }
+`;
+
+function xhtml(title, body, lang){
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function uuid(){
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return "xxxxxxxx-xxxx-4xxx-8xxx-xxxxxxxxxxxx".replace(/x/g, () => Math.floor(Math.random() * 16).toString(16));
+}
+
+// Splits sections into chapter files: a new file starts at every heading
+// except those of nested scenes.
+function chapterFiles(sections){
+  const files = [];
+  sections.forEach((s, i) => {
+    if (!files.length || (s.heading && !(s.doc.kind === "scene" && s.depth > 0))) {
+      files.push({ name: `chapter-${String(files.length + 1).padStart(3, "0")}.xhtml`, title: s.doc.title, sections: [] });
+    }
+    files[files.length - 1].sections.push({ ...s, anchor: `s${i + 1}` });
+  });
+  return files;
+}
+
+// Nested <ol> of headings for the navigation document.
+function navList(entries){
+  const root = { children: [] };
+  const stack = [{ depth: -1, node: root }];
+  for (const e of entries) {
+    while (stack[stack.length - 1].depth >= e.depth) stack.pop();
+    const node = { ...e, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ depth: e.depth, node });
+  }
+  const render = (nodes) => `<ol>${nodes.map(n =>
+    `<li><a href="${n.href}">${escapeXml(n.title)}</a>${n.children.length ? render(n.children) : ""}</li>`).join("")}</ol>`;
+  return render(root.children);
+}
+
+/**
+ * The manuscript as an .epub file.
+ * @param {import("./manuscript").Manuscript} m
+ * @returns {Uint8Array}
+ */
+export function manuscriptEpub(m, { lang = "en", now = new Date() } = {}){
+  const id = `urn:uuid:${uuid()}`;
+  const files = chapterFiles(m.sections);
+  const toc = [];
+
+  const chapters = files.map(f => {
+    const body = f.sections.map(s => {
+      const level = Math.min(6, s.depth + 1);
+      const type = s.heading ? ` epub:type="${s.doc.kind === "part" ? "part" : "chapter"}"` : "";
+      const parts = [`<section id="${s.anchor}"${type}>`];
+      if (s.sceneBreak) parts.push(`<p class="scene-break">* * *</p>`);
+      if (s.heading) {
+        parts.push(`<h${level}>${escapeXml(s.doc.title)}</h${level}>`);
+        toc.push({ title: s.doc.title, depth: s.depth, href: `${f.name}#${s.anchor}` });
+      }
+      parts.push(renderMarkdown(s.markdown, { idPrefix: `${s.anchor}-`, xhtml: true, images: false }), "</section>");
+      return parts.join("\n");
+    }).join("\n");
+    return { ...f, content: xhtml(f.title, body, lang) };
+  });
+
+  const titlePage = xhtml(m.title, `<section class="title-page" epub:type="titlepage">
+<h1>${escapeXml(m.title)}</h1>
+${m.author ? `<p class="author">${escapeXml(m.author)}</p>` : ""}
+</section>`, lang);
+  const nav = xhtml("Contents", `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+${toc.length ? navList(toc) : `<ol><li><a href="title.xhtml">${escapeXml(m.title)}</a></li></ol>`}
+</nav>`, lang);
+  const ncx = `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${id}"/></head>
+<docTitle><text>${escapeXml(m.title)}</text></docTitle>
+<navMap>
+${toc.map((t, i) => `<navPoint id="nav${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(t.title)}</text></navLabel><content src="${t.href}"/></navPoint>`).join("\n")}
+</navMap>
+</ncx>
+`;
+  const modified = now.toISOString().replace(/\.\d+Z$/, "Z");
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">${id}</dc:identifier>
+<dc:title>${escapeXml(m.title)}</dc:title>
+<dc:language>${lang}</dc:language>
+${m.author ? `<dc:creator>${escapeXml(m.author)}</dc:creator>\n` : ""}${m.description ? `<dc:description>${escapeXml(m.description)}</dc:description>\n` : ""}<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="css" href="style.css" media-type="text/css"/>
+<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>
+${chapters.map((c, i) => `<item id="c${i + 1}" href="${c.name}" media-type="application/xhtml+xml"/>`).join("\n")}
+</manifest>
+<spine toc="ncx">
+<itemref idref="title"/>
+<itemref idref="nav"/>
+${chapters.map((_, i) => `<itemref idref="c${i + 1}"/>`).join("\n")}
+</spine>
+</package>
+`;
+
+  return createZip([
+    { name: "mimetype", data: "application/epub+zip" }, // must be first and uncompressed
+    { name: "META-INF/container.xml", data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+` },
+    { name: "OEBPS/content.opf", data: opf },
+    { name: "OEBPS/nav.xhtml", data: nav },
+    { name: "OEBPS/toc.ncx", data: ncx },
+    { name: "OEBPS/style.css", data: CSS },
+    { name: "OEBPS/title.xhtml", data: titlePage },
+    ...chapters.map(c => ({ name: `OEBPS/${c.name}`, data: c.content })),
+  ], now);
+}
@@ -0,0 +1,152 @@
+// ------------------------------
+// Goals and streaks
+// ------------------------------
+// A goal plan sets how many words the user means to write: the same every
+// day (`settings.dailyGoal`), a target per weekday, or a weekly or monthly
+// total. Weekly and monthly plans are spread evenly over their writing days
+// to decide whether a single day met the goal. Rest days and weekdays with
+// no target are skipped by streaks, neither extending nor breaking them, and
+// today never breaks a streak until it's over.
+//
+// Two streaks are kept: days with any words and days that met the goal.
+// Every `FREEZE_EVERY` goal days in a row earn a streak freeze (up to
+// `MAX_FREEZES`), spent automatically on the next missed day. Freezes are
+// worked out from the session history each time rather than stored, so they
+// stay consistent across devices — and follow any change to the goal plan.
+
+import { addDays, restDays, weekday, writingDays } from "./dates";
+
+/**
+ * @typedef {'daily'|'weekdays'|'weekly'|'monthly'} GoalPlanType
+ * @typedef {{ plan: GoalPlanType, weekdays: number[], weekly: number, monthly: number }} GoalSettings
+ *   `weekdays` holds a target for each weekday, Sunday first.
+ * @typedef {GoalSettings & { daily: number, rest: number[] }} GoalConfig
+ * @typedef {{ writing: number, goal: number, freezes: number, frozen: string[], pending: boolean }} Streaks
+ *   `pending` is true while today could still extend the streaks.
+ */
+
+export const GOAL_PLANS = {
+  daily: "Same every day",
+  weekdays: "By weekday",
+  weekly: "Weekly total",
+  monthly: "Monthly total",
+};
+
+export const FREEZE_EVERY = 7;
+export const MAX_FREEZES = 2;
+// How far back streaks are worked out from.
+const HISTORY_DAYS = 3 * 365;
+
+/** @returns {GoalConfig} */
+export function goalConfig(settings){
+  const saved = settings?.goals || {};
+  const daily = Math.max(0, Number(settings?.dailyGoal) || 0);
+  const weekdays = Array.from({ length: 7 }, (_, i) => {
+    const n = Number(saved.weekdays?.[i]);
+    return Number.isFinite(n) && n >= 0 ? n : daily;
+  });
+  return {
+    plan: GOAL_PLANS[saved.plan] ? saved.plan : "daily",
+    weekdays,
+    weekly: Math.max(0, Number(saved.weekly) || daily * 7),
+    monthly: Math.max(0, Number(saved.monthly) || daily * 30),
+    daily,
+    rest: restDays(settings),
+  };
+}
+
+/** The Monday-to-Sunday week or calendar month `day` falls in. */
+export function goalPeriod(day, plan){
+  if (plan === "weekly") {
+    const start = addDays(day, -((weekday(day) + 6) % 7));
+    return { start, end: addDays(start, 6) };
+  }
+  if (plan === "monthly") {
+    const start = `${day.slice(0, 8)}01`;
+    return { start, end: addDays(addDays(start, 32).slice(0, 8) + "01", -1) };
+  }
+  return { start: day, end: day };
+}
+
+function isRest(day, config){
+  return config.rest.includes(weekday(day)) || (config.plan === "weekdays" && !config.weekdays[weekday(day)]);
+}
+
+/** Words `day` needs to count as meeting the goal; null on a rest day. */
+export function dayTarget(day, config){
+  if (isRest(day, config)) return null;
+  switch (config.plan) {
+    case "weekdays": return config.weekdays[weekday(day)];
+    case "weekly":
+    case "monthly": {
+      const { start, end } = goalPeriod(day, config.plan);
+      return Math.ceil(config[config.plan] / (writingDays(start, end, config.rest) || 1));
+    }
+    default: return config.daily;
+  }
+}
+
+/**
+ * Progress toward the active plan's goal for the period containing `today`.
+ * @param {Map<string, number>} byDay words per day
+ * @returns {{ words: number, target: number, start: string, end: string, rest: boolean }}
+ */
+export function goalProgress(byDay, today, config){
+  const { start, end } = goalPeriod(today, config.plan);
+  let words = 0;
+  for (let d = start; d <= end; d = addDays(d, 1)) words += byDay.get(d) || 0;
+  const target = config.plan === "weekly" || config.plan === "monthly"
+    ? config[config.plan]
+    : dayTarget(today, config) ?? 0;
+  return { words, target, start, end, rest: isRest(today, config) };
+}
+
+// Wrote anything, and met a goal of at least one word.
+function tally(words, target){ return { wrote: words > 0, met: words > 0 && words >= target }; }
+
+/**
+ * Both streaks as of `today`, with freezes earned and spent along the way.
+ * @param {Map<string, number>} byDay words per day
+ * @returns {Streaks}
+ */
+export function streaks(byDay, today, config){
+  let first = today;
+  for (const d of byDay.keys()) if (d < first) first = d;
+  const earliest = addDays(today, -HISTORY_DAYS);
+  if (first < earliest) first = earliest;
+
+  let writing = 0, goal = 0, freezes = 0, run = 0;
+  const frozen = [];
+  for (let d = first; d < today; d = addDays(d, 1)) {
+    const target = dayTarget(d, config);
+    const { wrote, met } = tally(byDay.get(d) || 0, target ?? 0);
+    if (target === null) {
+      // Words on a rest day are a bonus: they extend the streaks, never break them.
+      if (wrote) writing++;
+      if (met) goal++;
+      continue;
+    }
+    if (met) {
+      writing++; goal++; run++;
+      if (run % FREEZE_EVERY === 0 && freezes < MAX_FREEZES) freezes++;
+      continue;
+    }
+    run = 0;
+    if (goal > 0 && freezes > 0) {
+      freezes--;
+      frozen.push(d);
+      if (wrote) writing++;
+      continue;
+    }
+    goal = 0;
+    writing = wrote ? writing + 1 : 0;
+  }
+
+  const { wrote, met } = tally(byDay.get(today) || 0, dayTarget(today, config) ?? 0);
+  if (wrote) writing++;
+  if (met) {
+    goal++;
+    if ((run + 1) % FREEZE_EVERY === 0 && freezes < MAX_FREEZES && dayTarget(today, config) !== null) freezes++;
+  }
+  return { writing, goal, freezes, frozen, pending: !met };
+}
@@ -0,0 +1,115 @@
+// ------------------------------
+// Idea library
+// ------------------------------
+// Search, tag upkeep and promotion for captured ideas. Search is forgiving:
+// each word of the query has to turn up in the idea's text or tags, but it
+// may be a prefix, sit inside a longer word, or be off by one typo. Ideas
+// that match better rank higher, tag hits count for more than text hits, and
+// pinned ideas always come first.
+
+/**
+ * @typedef {{ id: string, text: string, tags: string[], projectId?: string, pinned?: boolean, createdAt: string }} Idea
+ * @typedef {{ query?: string, tags?: string[], match?: 'all'|'any' }} IdeaSearch
+ *   `tags` keeps ideas with every listed tag (`match: 'all'`) or any of them.
+ */
+
+const TAG_WEIGHT = 1.5;
+const PHRASE_BONUS = 0.5;
+
+function words(s){
+  return String(s || "").toLowerCase().normalize("NFKD").replace(/\p{M}/gu, "").split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// True when `a` becomes `b` with at most one insertion, deletion,
+// substitution or swap of neighbouring letters.
+function oneEditApart(a, b){
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  if (a.length === b.length) {
+    if (a.slice(i + 1) === b.slice(i + 1)) return true;
+    return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+  }
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+// The letters of `term` appear in order in `word`, which isn't much longer.
+function subsequence(term, word){
+  if (word.length > term.length * 2) return false;
+  let i = 0;
+  for (const c of word) if (c === term[i]) i++;
+  return i === term.length;
+}
+
+/** How well one query word matches one word of an idea, from 1 (exactly) to 0 (not at all). */
+function termScore(term, word){
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  if (word.includes(term)) return 0.6;
+  if (term.length >= 4 && (oneEditApart(term, word) || oneEditApart(term, word.slice(0, term.length)))) return 0.5;
+  if (term.length >= 3 && subsequence(term, word)) return 0.3;
+  return 0;
+}
+
+/** How well `query` matches `idea`, or 0 when some word of it doesn't. */
+export function ideaScore(idea, query){
+  const terms = words(query);
+  if (!terms.length) return 1;
+  const text = words(idea.text);
+  const tags = (idea.tags || []).flatMap(words);
+  let score = 0;
+  for (const term of terms) {
+    const best = Math.max(0, ...text.map(w => termScore(term, w)), ...tags.map(w => termScore(term, w) * TAG_WEIGHT));
+    if (!best) return 0;
+    score += best;
+  }
+  if (terms.length > 1 && (idea.text || "").toLowerCase().includes(query.trim().toLowerCase())) score += PHRASE_BONUS;
+  return score;
+}
+
+/**
+ * Ideas matching `search`, pinned first, then best match, then newest.
+ * @param {Idea[]} ideas
+ * @param {IdeaSearch} search
+ */
+export function searchIdeas(ideas, { query = "", tags = [], match = "all" } = {}){
+  const wanted = (i) => !tags.length || (match === "any" ? tags.some(t => (i.tags || []).includes(t)) : tags.every(t => (i.tags || []).includes(t)));
+  return ideas
+    .filter(wanted)
+    .map(idea => ({ idea, score: ideaScore(idea, query) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => (Number(!!b.idea.pinned) - Number(!!a.idea.pinned))
+      || (b.score - a.score)
+      || String(b.idea.createdAt || "").localeCompare(String(a.idea.createdAt || "")))
+    .map(r => r.idea);
+}
+
+/** Every tag in use with how many ideas carry it, most used first. @returns {{ tag: string, count: number }[]} */
+export function ideaTags(ideas){
+  const counts = new Map();
+  for (const i of ideas) for (const t of new Set(i.tags || [])) counts.set(t, (counts.get(t) || 0) + 1);
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/** Comma-separated tags as a list, trimmed and without repeats. */
+export function parseTags(text){ return [...new Set(String(text || "").split(",").map(t => t.trim()).filter(Boolean))]; }
+
+/**
+ * Renames tag `from` to `to` on every idea that has it. Renaming to a tag
+ * already in use merges the two; an empty `to` deletes the tag.
+ * @returns {{ id: string, tags: string[] }[]} the ideas that change
+ */
+export function retagIdeas(ideas, from, to){
+  const name = String(to || "").trim();
+  return ideas
+    .filter(i => (i.tags || []).includes(from))
+    .map(i => ({ id: i.id, tags: [...new Set(i.tags.flatMap(t => (t === from ? (name ? [name] : []) : [t])))] }));
+}
+
+/** A project title from an idea: its first line, cut at a word near 60 characters. */
+export function ideaTitle(text){
+  const line = String(text || "").split("\n").map(l => l.replace(/^[\s#>*-]+/, "").trim()).find(Boolean) || "Untitled";
+  if (line.length <= 60) return line;
+  const cut = line.slice(0, 60);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 30 ? cut.lastIndexOf(" ") : 60).replace(/[\s.,;:]+$/, "")}…`;
+}
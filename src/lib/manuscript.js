@@ -0,0 +1,134 @@
+// ------------------------------
+// Manuscript export
+// ------------------------------
+// Turns a project's document tree into a finished manuscript. Parts and
+// chapters become headings; scenes nested in a chapter are separated by a
+// scene break instead of a title. All formats are built in the browser:
+// Markdown and HTML here, DOCX and EPUB in ./docx and ./epub.
+
+import { documentTree, flattenTree, rollup } from "./documents";
+import { escapeHtml, parseMarkdown, renderMarkdown } from "./markdown";
+import { manuscriptDocx } from "./docx";
+import { manuscriptEpub } from "./epub";
+
+/**
+ * @typedef {{ doc: import("./documents").Doc, depth: number, heading: boolean, sceneBreak: boolean,
+ *   markdown: import("./markdown").MarkdownDoc }} Section
+ * @typedef {{ title: string, description: string, author: string, words: number, sections: Section[] }} Manuscript
+ */
+
+export const EXPORT_FORMATS = {
+  md: { label: "Markdown", ext: "md", mime: "text/markdown" },
+  html: { label: "HTML (standalone)", ext: "html", mime: "text/html" },
+  docx: { label: "Word (standard manuscript format)", ext: "docx", mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" },
+  epub: { label: "EPUB e-book", ext: "epub", mime: "application/epub+zip" },
+};
+
+/** @returns {Manuscript} */
+export function buildManuscript(project, documents, { author = "", rules } = {}){
+  const rows = flattenTree(documentTree(documents, project.id));
+  const sections = rows.map(({ doc, depth }, i) => {
+    const prev = rows[i - 1]?.doc;
+    const nestedScene = doc.kind === "scene" && depth > 0;
+    return {
+      doc, depth,
+      heading: !nestedScene,
+      sceneBreak: nestedScene && prev?.kind === "scene" && prev.parentId === doc.parentId,
+      markdown: parseMarkdown(doc.text || ""),
+    };
+  });
+  return {
+    title: project.title || "Untitled",
+    description: project.description || "",
+    author: author.trim(),
+    words: rollup(documents, project.id, rules).words,
+    sections,
+  };
+}
+
+/** A filesystem-friendly name for the manuscript's files. */
+export function manuscriptFileName(title, ext){
+  const base = String(title).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^\w]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase();
+  return `${base || "manuscript"}.${ext}`;
+}
+
+// Footnote labels restart in every document, so they're prefixed per section
+// to stay unique once the documents are joined.
+function namespaceFootnotes(text, prefix){
+  return text.replace(/\[\^([^\]\s]+)\]/g, `[^${prefix}-$1]`);
+}
+
+function yamlString(s){ return JSON.stringify(String(s)); }
+
+export function manuscriptMarkdown(m){
+  const front = ["---", `title: ${yamlString(m.title)}`];
+  if (m.author) front.push(`author: ${yamlString(m.author)}`);
+  if (m.description) front.push(`description: ${yamlString(m.description)}`);
+  front.push(`words: ${m.words}`, "---");
+  const body = m.sections.map((s, i) => {
+    const parts = [];
+    if (s.sceneBreak) parts.push("* * *");
+    if (s.heading) parts.push(`${"#".repeat(Math.min(6, s.depth + 1))} ${s.doc.title}`);
+    const text = namespaceFootnotes((s.doc.text || "").trim(), i + 1);
+    if (text) parts.push(text);
+    return parts.join("\n\n");
+  }).filter(Boolean);
+  return [front.join("\n"), ...body].join("\n\n") + "\n";
+}
+
+const HTML_STYLE = `
+body { font-family: Georgia, "Times New Roman", serif; line-height: 1.6; max-width: 38em; margin: 3em auto; padding: 0 1em; color: #222; }
+header { text-align: center; margin-bottom: 4em; }
+h1, h2, h3, h4 { line-height: 1.25; }
+section.doc > h2 { text-align: center; margin-top: 3em; }
+p.scene-break { text-align: center; letter-spacing: 0.5em; }
+blockquote { margin-left: 1.5em; font-style: italic; color: #555; }
+.footnotes { font-size: 0.9em; color: #555; }`;
+
+export function manuscriptHtml(m){
+  const sections = m.sections.map((s, i) => {
+    const level = Math.min(6, s.depth + 2);
+    return [
+      `<section class="doc" id="s${i + 1}">`,
+      s.sceneBreak ? `<p class="scene-break">* * *</p>` : "",
+      s.heading ? `<h${level}>${escapeHtml(s.doc.title)}</h${level}>` : "",
+      renderMarkdown(s.markdown, { idPrefix: `s${i + 1}-` }),
+      "</section>",
+    ].filter(Boolean).join("\n");
+  });
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(m.title)}</title>
+${m.author ? `<meta name="author" content="${escapeHtml(m.author)}">\n` : ""}${m.description ? `<meta name="description" content="${escapeHtml(m.description)}">\n` : ""}<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(m.title)}</h1>
+${m.author ? `<p class="author">by ${escapeHtml(m.author)}</p>\n` : ""}${m.description ? `<p class="description">${escapeHtml(m.description)}</p>\n` : ""}</header>
+<main>
+${sections.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * The manuscript in `format` as a Blob plus a file name.
+ * @param {keyof typeof EXPORT_FORMATS} format
+ */
+export function exportManuscript(project, documents, format, options = {}){
+  const m = buildManuscript(project, documents, options);
+  const { ext, mime } = EXPORT_FORMATS[format];
+  const content = {
+    md: manuscriptMarkdown,
+    html: manuscriptHtml,
+    docx: manuscriptDocx,
+    epub: manuscriptEpub,
+  }[format](m);
+  return { blob: new Blob([content], { type: mime }), fileName: manuscriptFileName(m.title, ext) };
+}
@@ -0,0 +1,437 @@
+// ------------------------------
+// Manuscript import
+// ------------------------------
+// Brings writing that already exists into a project. Word, HTML, Markdown and
+// plain-text files are converted to Markdown, then split at their headings
+// into parts and chapters. Word and HTML files are read with DOMParser, so
+// the converters only run in the browser; splitting works anywhere.
+
+import { readZip } from "./zip";
+import { markdownToText, safeUrl } from "./markdown";
+import { countWords } from "./wordCount";
+import { localDay } from "./dates";
+
+export const IMPORT_ACCEPT = ".docx,.md,.markdown,.txt,.html,.htm";
+
+/**
+ * @typedef {{ name: string, title: string, markdown: string, words: number, modified: Date|null }} ImportedFile
+ * @typedef {{ kind: 'part'|'chapter', title: string, text: string, words: number, children: ImportNode[] }} ImportNode
+ * @typedef {{ title: string, files: ImportedFile[], documents: ImportNode[], words: number }} ManuscriptImport
+ */
+
+const W = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const R = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const SCENE_BREAK = /^\s*(#|\*\s*\*\s*\*|(\*\s*){3,}|~{3,}|-\s*-\s*-)\s*$/;
+
+function stem(name){ return name.replace(/\.[^.]+$/, ""); }
+
+function validDate(s){
+  const d = s ? new Date(s) : null;
+  return d && !isNaN(d) ? d : null;
+}
+
+// Escapes text from Word or HTML so it reads back literally as Markdown.
+function escapeText(s){ return s.replace(/[\\`*_[\]]/g, "\\$&"); }
+function escapeLineStart(s){
+  return s.replace(/^(\d+)([.)])(?=\s)/, "$1\\$2").replace(/^([#>+-])/, "\\$1");
+}
+
+// Joins formatted runs, merging neighbours with the same formatting and
+// keeping the markers tight against the words they wrap.
+function runsToMarkdown(runs){
+  const merged = [];
+  for (const r of runs) {
+    const last = merged[merged.length - 1];
+    if (last && !r.raw && !last.raw && last.bold === r.bold && last.italic === r.italic) last.text += r.text;
+    else merged.push({ ...r });
+  }
+  return merged.map(r => {
+    if (r.raw) return r.text;
+    const text = escapeText(r.text);
+    const marker = (r.bold ? "**" : "") + (r.italic ? "*" : "");
+    if (!marker || !text.trim()) return text;
+    const [, lead, body, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return `${lead}${marker}${body}${[...marker].reverse().join("")}${trail}`;
+  }).join("");
+}
+
+/**
+ * A Markdown link to an imported file's `href`, or just `text` when the
+ * target isn't one the preview and exports would keep (see `safeUrl`).
+ */
+export function importedLink(text, href){
+  const url = href ? safeUrl(href) : "";
+  if (!url || url === "#" || !text.trim()) return text;
+  return `[${text}](${url.replace(/\s/g, encodeURIComponent).replace(/\(/g, "%28").replace(/\)/g, "%29")})`;
+}
+
+// ------------------------------
+// Word (.docx)
+// ------------------------------
+
+function children(el, name){ return [...el.childNodes].filter(n => n.nodeType === 1 && n.localName === name); }
+function child(el, name){ return children(el, name)[0] || null; }
+function wAttr(el, name){ return el?.getAttributeNS(W, name) ?? el?.getAttribute(`w:${name}`) ?? null; }
+function isOn(el){ return !!el && !["0", "false", "none"].includes(wAttr(el, "val")); }
+
+function parseXml(bytes){
+  const doc = new DOMParser().parseFromString(new TextDecoder().decode(bytes), "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("The file is damaged");
+  return doc;
+}
+
+// Style id → lower-case style name, e.g. "Heading1" → "heading 1".
+function styleNames(xml){
+  const names = new Map();
+  if (!xml) return names;
+  for (const s of xml.getElementsByTagNameNS(W, "style")) {
+    names.set(wAttr(s, "styleId"), (wAttr(child(s, "name"), "val") || "").toLowerCase());
+  }
+  return names;
+}
+
+function relationships(xml){
+  const rels = new Map();
+  if (!xml) return rels;
+  for (const r of xml.getElementsByTagName("Relationship")) rels.set(r.getAttribute("Id"), r.getAttribute("Target"));
+  return rels;
+}
+
+function docxRuns(el, ctx, format = {}){
+  const runs = [];
+  for (const n of el.childNodes) {
+    if (n.nodeType !== 1) continue;
+    if (n.localName === "r") {
+      const rPr = child(n, "rPr");
+      const f = {
+        bold: format.bold || isOn(rPr && child(rPr, "b")),
+        italic: format.italic || isOn(rPr && child(rPr, "i")),
+      };
+      for (const c of n.childNodes) {
+        if (c.localName === "t") runs.push({ ...f, text: c.textContent });
+        else if (c.localName === "tab") runs.push({ ...f, text: " " });
+        else if (c.localName === "br" && wAttr(c, "type") !== "page") runs.push({ raw: true, text: "\\\n" });
+        else if (c.localName === "footnoteReference") runs.push({ raw: true, text: ctx.footnote(wAttr(c, "id")) });
+      }
+    } else if (n.localName === "hyperlink") {
+      const href = ctx.rels.get(n.getAttributeNS(R, "id") ?? n.getAttribute("r:id"));
+      const inner = runsToMarkdown(docxRuns(n, ctx, format));
+      runs.push({ raw: true, text: importedLink(inner, href) });
+    } else if (["ins", "smartTag", "customXml", "fldSimple", "sdt", "sdtContent"].includes(n.localName)) {
+      runs.push(...docxRuns(n, ctx, format));
+    }
+  }
+  return runs;
+}
+
+// One paragraph as a Markdown block; `ctx.title` picks up a Title-styled line.
+function docxParagraph(p, ctx){
+  const pPr = child(p, "pPr");
+  const style = ctx.styles.get(wAttr(pPr && child(pPr, "pStyle"), "val")) || "";
+  const outline = wAttr(pPr && child(pPr, "outlineLvl"), "val");
+  const text = runsToMarkdown(docxRuns(p, ctx)).replace(/^\s+|\s+$/g, "");
+  if (!text) return null;
+
+  const heading = style.match(/^heading (\d)$/);
+  const level = heading ? Number(heading[1]) : outline !== null && Number(outline) < 6 ? Number(outline) + 1 : 0;
+  if (style === "title") {
+    if (!ctx.title) { ctx.title = markdownToText(text); return null; }
+    return `# ${text}`;
+  }
+  if (level) return `${"#".repeat(level)} ${text}`;
+  if (SCENE_BREAK.test(text.replace(/\\/g, ""))) return "* * *";
+  if (/quote|block text/.test(style)) return `> ${text}`;
+  if (pPr && child(pPr, "numPr")) return `- ${text}`;
+  return escapeLineStart(text);
+}
+
+function docxBlocks(body, ctx){
+  const blocks = [];
+  for (const el of body.childNodes) {
+    if (el.localName === "p") {
+      const b = docxParagraph(el, ctx);
+      if (b) blocks.push(b);
+    } else if (el.localName === "tbl") {
+      for (const p of el.getElementsByTagNameNS(W, "p")) {
+        const b = docxParagraph(p, ctx);
+        if (b) blocks.push(b);
+      }
+    } else if (el.localName === "sdt") {
+      const content = child(el, "sdtContent");
+      if (content) blocks.push(...docxBlocks(content, ctx));
+    }
+  }
+  // Consecutive list items stay in one list.
+  return blocks.reduce((out, b) => {
+    if (b.startsWith("- ") && out.length && out[out.length - 1].startsWith("- ")) out[out.length - 1] += `\n${b}`;
+    else out.push(b);
+    return out;
+  }, []);
+}
+
+async function readDocx(buffer){
+  const zip = await readZip(buffer);
+  const part = (name) => (zip.has(name) ? parseXml(zip.get(name)) : null);
+  const document = part("word/document.xml");
+  if (!document) throw new Error("No document inside this file");
+
+  const refs = [];
+  const ctx = {
+    styles: styleNames(part("word/styles.xml")),
+    rels: relationships(part("word/_rels/document.xml.rels")),
+    title: "",
+    footnote: (id) => { refs.push(id); return `[^${id}]`; },
+  };
+  const notes = new Map();
+  for (const fn of part("word/footnotes.xml")?.getElementsByTagNameNS(W, "footnote") || []) {
+    const id = wAttr(fn, "id");
+    if (Number(id) > 0) notes.set(id, children(fn, "p").map(p => docxParagraph(p, ctx)).filter(Boolean).join(" "));
+  }
+  const body = document.getElementsByTagNameNS(W, "body")[0];
+  const blocks = body ? docxBlocks(body, ctx) : [];
+  const defs = refs.filter(id => notes.get(id)).map(id => `[^${id}]: ${notes.get(id)}`);
+
+  const core = part("docProps/core.xml");
+  const meta = (tag) => core?.getElementsByTagName(tag)[0]?.textContent?.trim() || "";
+  return {
+    title: meta("dc:title") || ctx.title,
+    markdown: [...blocks, ...defs].join("\n\n"),
+    modified: validDate(meta("dcterms:modified")) || validDate(meta("dcterms:created")),
+  };
+}
+
+// ------------------------------
+// HTML
+// ------------------------------
+
+const SKIP_TAGS = new Set(["script", "style", "head", "template", "noscript", "svg", "nav"]);
+const BLOCK_TAGS = new Set(["p", "div", "section", "article", "main", "header", "footer", "aside", "blockquote", "ul", "ol", "li",
+  "h1", "h2", "h3", "h4", "h5", "h6", "hr", "pre", "table", "tr", "td", "th", "figure", "body"]);
+
+function htmlInline(node){
+  if (node.nodeType === 3) return escapeText(node.textContent.replace(/\s+/g, " "));
+  if (node.nodeType !== 1) return "";
+  const tag = node.localName;
+  if (SKIP_TAGS.has(tag)) return "";
+  if (tag === "br") return "\\\n";
+  if (tag === "img") return escapeText(node.getAttribute("alt") || "");
+  const inner = [...node.childNodes].map(htmlInline).join("");
+  const wrapped = (marker) => {
+    const [, lead, body, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return body ? `${lead}${marker}${body}${marker}${trail}` : inner;
+  };
+  if (tag === "strong" || tag === "b") return wrapped("**");
+  if (tag === "em" || tag === "i" || tag === "cite") return wrapped("*");
+  if (tag === "code") return `\`${node.textContent}\``;
+  if (tag === "a" && inner.trim()) return importedLink(inner.trim(), node.getAttribute("href"));
+  return inner;
+}
+
+function htmlBlocks(node){
+  const blocks = [];
+  let inline = [];
+  const flush = () => {
+    const text = inline.join("").replace(/[ \t]*\n[ \t]*/g, "\n").trim();
+    if (text) blocks.push(SCENE_BREAK.test(text.replace(/\\/g, "")) ? "* * *" : escapeLineStart(text));
+    inline = [];
+  };
+  for (const n of node.childNodes) {
+    const tag = n.nodeType === 1 ? n.localName : null;
+    if (tag && SKIP_TAGS.has(tag)) continue;
+    if (!tag || !BLOCK_TAGS.has(tag)) { inline.push(htmlInline(n)); continue; }
+    flush();
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      const text = htmlInline(n).trim();
+      if (text) blocks.push(`${"#".repeat(Number(heading[1]))} ${text}`);
+    } else if (tag === "hr") blocks.push("* * *");
+    else if (tag === "pre") blocks.push("```\n" + n.textContent.replace(/\n$/, "") + "\n```");
+    else if (tag === "blockquote") blocks.push(htmlBlocks(n).join("\n\n").replace(/^/gm, "> ").replace(/^> $/gm, ">"));
+    else if (tag === "ul" || tag === "ol") {
+      const items = children(n, "li").map((li, i) =>
+        `${tag === "ol" ? `${i + 1}.` : "-"} ${htmlBlocks(li).join("\n\n").replace(/\n/g, "\n   ")}`);
+      if (items.length) blocks.push(items.join("\n"));
+    } else blocks.push(...htmlBlocks(n));
+  }
+  flush();
+  return blocks;
+}
+
+function readHtml(text){
+  const doc = new DOMParser().parseFromString(text, "text/html");
+  const meta = (name) => doc.querySelector(`meta[name="${name}"]`)?.getAttribute("content") || "";
+  return {
+    title: doc.title.trim(),
+    markdown: htmlBlocks(doc.body).join("\n\n"),
+    modified: validDate(meta("date") || meta("dcterms.modified")),
+  };
+}
+
+// ------------------------------
+// Markdown and plain text
+// ------------------------------
+
+function readMarkdown(text){
+  const front = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const title = front?.[1].match(/^title:\s*(.+)$/m)?.[1].trim().replace(/^(["'])(.*)\1$/, "$2") || "";
+  return { title, markdown: (front ? text.slice(front[0].length) : text).replace(/\r\n?/g, "\n").trim(), modified: null };
+}
+
+// Lines that are a chapter or part title on their own in plain text.
+const PART_LINE = /^(part|book)\s+([0-9]+|[ivxlcdm]+|[a-z]+)\b.{0,60}$/i;
+const CHAPTER_LINE = /^((chapter|prologue|epilogue|interlude|afterword|foreword)\b.{0,60}|(chapter\s+)?([0-9]{1,3}|[IVXLC]{1,7})\.?)$/i;
+
+// Plain text is kept as written (it's often Markdown-ish already), except
+// that title lines become headings and single line breaks become paragraphs
+// when the file has no blank lines at all.
+function readText(text){
+  let body = text.replace(/\r\n?/g, "\n").trim();
+  if (!/\n\s*\n/.test(body)) body = body.split("\n").join("\n\n");
+  const blocks = body.split(/\n\s*\n/).map(b => {
+    const line = b.trim();
+    if (line.includes("\n")) return b;
+    if (PART_LINE.test(line)) return `# ${line}`;
+    if (CHAPTER_LINE.test(line)) return `## ${line}`;
+    return b;
+  });
+  return { title: "", markdown: blocks.join("\n\n"), modified: null };
+}
+
+/**
+ * Reads a .docx, .md, .txt or .html file and converts it to Markdown.
+ * @param {File} file
+ * @param {import("./wordCount").CountRules} [rules]
+ * @returns {Promise<ImportedFile>}
+ */
+export async function readManuscriptFile(file, rules){
+  const ext = (file.name.match(/\.([^.]+)$/)?.[1] || "").toLowerCase();
+  let read;
+  if (ext === "docx") read = await readDocx(await file.arrayBuffer());
+  else if (ext === "html" || ext === "htm") read = readHtml(await file.text());
+  else if (ext === "md" || ext === "markdown") read = readMarkdown(await file.text());
+  else if (ext === "txt") read = readText(await file.text());
+  else throw new Error("Unsupported file type");
+  const markdown = read.markdown.replace(/\n{3,}/g, "\n\n").trim();
+  return {
+    name: file.name,
+    title: read.title || stem(file.name),
+    markdown,
+    words: countWords(markdown, rules),
+    modified: read.modified || (file.lastModified ? new Date(file.lastModified) : null),
+  };
+}
+
+// ------------------------------
+// Splitting
+// ------------------------------
+
+const HEADING_LINE = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_LINE = /^ {0,3}(`{3,}|~{3,})/;
+
+const FOOTNOTE_DEF_BLOCK = /^ {0,3}\[\^([^\]\s]+)\]:.*(?:\n(?: {4}|\t).*|\n[ \t]*\n(?: {4}|\t).*)*\n?/gm;
+
+function node(kind, title, lines){
+  return { kind, title, text: lines.join("\n").trim(), words: 0, children: [] };
+}
+
+// Footnote definitions usually sit at the end of a file; once it's split they
+// move to the first document that references them so they still render.
+function placeFootnotes(nodes, rules){
+  const all = nodes.flatMap(n => [n, ...n.children]);
+  const defs = new Map();
+  for (const n of all) {
+    n.text = n.text.replace(FOOTNOTE_DEF_BLOCK, (def, label) => {
+      if (defs.has(label)) return def;
+      defs.set(label, def.trim());
+      return "";
+    });
+  }
+  for (const n of all) {
+    const used = [...n.text.matchAll(/\[\^([^\]\s]+)\](?!:)/g)].map(m => m[1]).filter(l => defs.has(l));
+    const own = [...new Set(used)].map(l => { const d = defs.get(l); defs.delete(l); return d; });
+    n.text = [n.text.replace(/\n{3,}/g, "\n\n").trim(), ...own].filter(Boolean).join("\n\n");
+  }
+  // Definitions nothing refers to go back with the last document.
+  const last = all[all.length - 1];
+  if (defs.size) last.text = [last.text, ...defs.values()].filter(Boolean).join("\n\n");
+  for (const n of all) n.words = countWords(n.text, rules);
+  return nodes;
+}
+
+/**
+ * Splits Markdown at its two highest heading levels into parts holding
+ * chapters, or at the highest level into chapters when there's no clear
+ * part/chapter hierarchy. Lower headings stay in the chapter text, and a
+ * single top heading repeating `fallbackTitle` is dropped. Text before the first
+ * heading becomes a chapter titled `fallbackTitle`.
+ * @returns {ImportNode[]}
+ */
+export function splitManuscript(markdown, fallbackTitle, rules){
+  const lines = markdown.split("\n");
+  const headings = [];
+  let fence = null;
+  lines.forEach((line, i) => {
+    const f = line.match(FENCE_LINE);
+    if (f && (!fence || f[1][0] === fence[0] && f[1].length >= fence.length)) { fence = fence ? null : f[1]; return; }
+    const h = !fence && line.match(HEADING_LINE);
+    if (h && h[2]) headings.push({ line: i, level: h[1].length, title: markdownToText(h[2]).trim() || "Untitled" });
+  });
+  // A lone top heading naming the book is its title, not a part.
+  const key = (t) => t.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+  if (headings.length > 1 && key(headings[0].title) === key(fallbackTitle)
+      && headings.filter(h => h.level <= headings[0].level).length === 1) {
+    lines[headings[0].line] = "";
+    headings.shift();
+  }
+  if (!headings.length) return placeFootnotes([node("chapter", fallbackTitle, lines)], rules);
+
+  const levels = [...new Set(headings.map(h => h.level))].sort((a, b) => a - b);
+  const count = (level) => headings.filter(h => h.level === level).length;
+  const partLevel = levels.length > 1 && count(levels[1]) > count(levels[0]) ? levels[0] : null;
+  const chapterLevel = partLevel ? levels[1] : levels[0];
+  const cuts = headings.filter(h => h.level === partLevel || h.level === chapterLevel);
+
+  const out = [];
+  let part = null;
+  const preamble = lines.slice(0, cuts[0].line);
+  if (preamble.some(l => l.trim())) out.push(node("chapter", fallbackTitle, preamble));
+  cuts.forEach((h, i) => {
+    const body = lines.slice(h.line + 1, cuts[i + 1]?.line ?? lines.length);
+    if (h.level === partLevel) {
+      part = node("part", h.title, body);
+      out.push(part);
+    } else (part ? part.children : out).push(node("chapter", h.title, body));
+  });
+  return placeFootnotes(out, rules);
+}
+
+/**
+ * Combines read files, in natural name order, into the documents to add.
+ * Without `split` every file becomes one chapter.
+ * @param {ImportedFile[]} files
+ * @returns {ManuscriptImport}
+ */
+export function planManuscriptImport(files, { split = true, rules } = {}){
+  const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" }));
+  const documents = sorted.flatMap(f => (split ? splitManuscript(f.markdown, f.title, rules) : placeFootnotes([node("chapter", f.title, [f.markdown])], rules)));
+  return {
+    title: sorted.length === 1 ? sorted[0].title : "",
+    files: sorted,
+    documents,
+    words: sorted.reduce((s, f) => s + f.words, 0),
+  };
+}
+
+/**
+ * Past sessions for an import, one per file on the day it was last changed.
+ * Files changed today are left out so imported words never count as today's.
+ * @param {ManuscriptImport} plan
+ * @param {string} today YYYY-MM-DD
+ * @param {number} [startHour] hour the user's day starts at
+ */
+export function backfillSessions(plan, today, startHour = 0){
+  return plan.files
+    .map(f => ({ file: f, date: f.modified && localDay(f.modified, startHour) }))
+    .filter(({ file, date }) => date && file.words > 0 && date < today)
+    .map(({ file, date }) => ({ date, words: file.words, notes: `Imported from ${file.name}` }));
+}
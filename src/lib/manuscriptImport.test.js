@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { importedLink } from "./manuscriptImport";
+import { renderMarkdown } from "./markdown";
+
+describe("importedLink", () => {
+  it("links web and mail addresses, encoding what would end the target early", () => {
+    expect(importedLink("site", "https://example.com/a b(c)")).toBe("[site](https://example.com/a%20b%28c%29)");
+    expect(importedLink("me", "mailto:me@example.com")).toBe("[me](mailto:me@example.com)");
+  });
+
+  it("keeps only the text of script and data links", () => {
+    expect(importedLink("click", "javascript:alert(1)")).toBe("click");
+    expect(importedLink("click", "\u0001javascript:alert(1)")).toBe("click");
+    expect(importedLink("click", " jav\tascript:alert(1)")).toBe("click");
+    expect(importedLink("pic", "data:text/html,<script>alert(1)</script>")).toBe("pic");
+  });
+
+  it("keeps only the text when there's no target or no text", () => {
+    expect(importedLink("plain", null)).toBe("plain");
+    expect(importedLink("plain", "")).toBe("plain");
+    expect(importedLink(" ", "https://example.com")).toBe(" ");
+  });
+
+  it("produces links the preview renders as imported", () => {
+    expect(renderMarkdown(importedLink("site", "https://example.com/x y"))).toBe('<p><a href="https://example.com/x%20y">site</a></p>');
+    expect(renderMarkdown(importedLink("click", "javascript:alert(1)"))).toBe("<p>click</p>");
+  });
+});
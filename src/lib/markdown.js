@@ -0,0 +1,364 @@
+// ------------------------------
+// Markdown
+// ------------------------------
+// Drafts are stored as plain Markdown. This is a small parser for the subset
+// writers use — headings, emphasis, links, block quotes, lists, code, rules
+// and footnotes — into a block/inline tree, plus renderers for HTML preview
+// and plain text. Raw HTML is never passed through: everything is escaped, so
+// the preview is safe to inject.
+
+/**
+ * @typedef {{ type: 'text'|'code', text: string }
+ *   | { type: 'strong'|'em', children: Inline[] }
+ *   | { type: 'link', href: string, children: Inline[] }
+ *   | { type: 'image', src: string, alt: string }
+ *   | { type: 'footnoteRef', id: string, n: number }
+ *   | { type: 'break' }} Inline
+ */
+/**
+ * @typedef {{ type: 'heading', level: number, children: Inline[] }
+ *   | { type: 'paragraph', children: Inline[] }
+ *   | { type: 'blockquote', children: Block[] }
+ *   | { type: 'list', ordered: boolean, start: number, items: Block[][] }
+ *   | { type: 'code', lang: string, text: string }
+ *   | { type: 'hr' }} Block
+ */
+/** @typedef {{ id: string, n: number, children: Block[] }} Footnote */
+/** @typedef {{ blocks: Block[], footnotes: Footnote[] }} MarkdownDoc */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+const QUOTE = /^ {0,3}> ?/;
+const ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)/;
+const FOOTNOTE_DEF = /^ {0,3}\[\^([^\]\s]+)\]:\s?(.*)$/;
+const SETEXT = /^ {0,3}(=+|-+) *$/;
+
+const blank = (line) => !line.trim();
+
+// True when `line` starts a block that interrupts a paragraph.
+function startsBlock(line){
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || ITEM.test(line) || FOOTNOTE_DEF.test(line);
+}
+
+// Strips up to `n` columns of leading indentation.
+function dedent(line, n){
+  let i = 0;
+  while (i < n && line[i] === " ") i++;
+  return line.slice(i);
+}
+
+function parseBlocks(lines, defs){
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (blank(line)) { i++; continue; }
+
+    let m;
+    if ((m = line.match(FENCE))) {
+      const close = new RegExp(`^ {0,3}${m[1][0]}{${m[1].length},}\\s*$`);
+      const body = [];
+      for (i++; i < lines.length && !close.test(lines[i]); i++) body.push(lines[i]);
+      i++;
+      blocks.push({ type: "code", lang: m[2] || "", text: body.join("\n") });
+      continue;
+    }
+    if ((m = line.match(HEADING))) {
+      blocks.push({ type: "heading", level: m[1].length, children: parseInline(m[2] || "", defs) });
+      i++;
+      continue;
+    }
+    if (RULE.test(line)) { blocks.push({ type: "hr" }); i++; continue; }
+    if (QUOTE.test(line)) {
+      const body = [];
+      for (; i < lines.length && !blank(lines[i]); i++) body.push(lines[i].replace(QUOTE, ""));
+      blocks.push({ type: "blockquote", children: parseBlocks(body, defs) });
+      continue;
+    }
+    if ((m = line.match(FOOTNOTE_DEF))) {
+      const body = [m[2]];
+      for (i++; i < lines.length; i++) {
+        if (blank(lines[i]) && i + 1 < lines.length && /^ {4}|^\t/.test(lines[i + 1])) { body.push(""); continue; }
+        if (blank(lines[i]) || (!/^\s/.test(lines[i]) && startsBlock(lines[i]))) break;
+        body.push(dedent(lines[i], 4));
+      }
+      defs.bodies.set(m[1], body);
+      continue;
+    }
+    if ((m = line.match(ITEM))) {
+      const ordered = /\d/.test(m[2]);
+      const list = { type: "list", ordered, start: ordered ? parseInt(m[2], 10) : 1, items: [] };
+      while (i < lines.length && (m = lines[i].match(ITEM)) && /\d/.test(m[2]) === ordered) {
+        const indent = m[0].length;
+        const body = [lines[i].slice(indent)];
+        for (i++; i < lines.length; i++) {
+          const l = lines[i];
+          if (blank(l)) {
+            if (i + 1 < lines.length && /^\s{2,}/.test(lines[i + 1])) { body.push(""); continue; }
+            break;
+          }
+          if (/^\s{2,}/.test(l)) { body.push(dedent(l, indent)); continue; }
+          if (startsBlock(l)) break;
+          body.push(l); // lazy continuation of the item's paragraph
+        }
+        list.items.push(parseBlocks(body, defs));
+        while (i < lines.length && blank(lines[i]) && i + 1 < lines.length && ITEM.test(lines[i + 1])) i++;
+      }
+      blocks.push(list);
+      continue;
+    }
+
+    const para = [line];
+    for (i++; i < lines.length && !blank(lines[i]); i++) {
+      if ((m = lines[i].match(SETEXT))) {
+        blocks.push({ type: "heading", level: m[1][0] === "=" ? 1 : 2, children: parseInline(para.join("\n"), defs) });
+        para.length = 0;
+        i++;
+        break;
+      }
+      if (startsBlock(lines[i])) break;
+      para.push(lines[i]);
+    }
+    if (para.length) blocks.push({ type: "paragraph", children: parseInline(para.join("\n"), defs) });
+  }
+  return blocks;
+}
+
+// Finds the closing `delim` for emphasis opened at `from`: not preceded by
+// whitespace, and for `_` not inside a word.
+function findCloser(text, delim, from){
+  for (let j = text.indexOf(delim, from); j !== -1; j = text.indexOf(delim, j + 1)) {
+    if (/\s/.test(text[j - 1])) continue;
+    if (delim.length === 1 && text[j + 1] === delim) { j++; continue; }
+    if (delim[0] === "_" && /\w/.test(text[j + delim.length] || "")) continue;
+    return j;
+  }
+  return -1;
+}
+
+// Matching `]` for the `[` at `from`, allowing nested brackets.
+function closeBracket(text, from){
+  let depth = 0;
+  for (let j = from; j < text.length; j++) {
+    if (text[j] === "\\") { j++; continue; }
+    if (text[j] === "[") depth++;
+    else if (text[j] === "]" && --depth === 0) return j;
+  }
+  return -1;
+}
+
+// Destination (one level of balanced parentheses) and an optional title.
+const LINK_TARGET = /\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+["'(].*?["')])?\s*\)/y;
+const CODE_SPAN = /(`+)([^]*?[^`])\1(?!`)/y;
+const FOOTNOTE_REF = /\[\^([^\]\s]+)\]/y;
+const AUTOLINK = /<((?:https?:\/\/|mailto:)[^\s>]+)>/y;
+
+// Sticky match of `re` at `at` without copying the rest of the string.
+function matchAt(re, text, at){
+  re.lastIndex = at;
+  return re.exec(text);
+}
+const SPECIAL_CHARS = "\\\n`[!<*_";
+const SPECIAL = /[\\\n`[!<*_]/g;
+
+function parseInline(text, defs){
+  const out = [];
+  let buf = "";
+  const flush = () => { if (buf) { out.push({ type: "text", text: buf }); buf = ""; } };
+  const push = (node) => { flush(); out.push(node); };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (!SPECIAL_CHARS.includes(c)) {
+      // Copy plain runs in one go.
+      SPECIAL.lastIndex = i;
+      const next = SPECIAL.exec(text)?.index ?? text.length;
+      buf += text.slice(i, next);
+      i = next - 1;
+      continue;
+    }
+    let m;
+    if (c === "\\" && i + 1 < text.length) {
+      if (text[i + 1] === "\n") { push({ type: "break" }); i++; continue; }
+      if (/[!-/:-@[-`{-~]/.test(text[i + 1])) { buf += text[++i]; continue; }
+    }
+    if (c === "\n") {
+      if (/ {2,}$/.test(buf)) { buf = buf.replace(/ +$/, ""); push({ type: "break" }); }
+      else buf += "\n";
+      continue;
+    }
+    if (c === "`" && (m = matchAt(CODE_SPAN, text, i))) {
+      push({ type: "code", text: m[2].replace(/^ (.*) $/, "$1") });
+      i += m[0].length - 1;
+      continue;
+    }
+    if (c === "[" && (m = matchAt(FOOTNOTE_REF, text, i)) && defs.bodies.has(m[1])) {
+      if (!defs.order.has(m[1])) defs.order.set(m[1], defs.order.size + 1);
+      push({ type: "footnoteRef", id: m[1], n: defs.order.get(m[1]) });
+      i += m[0].length - 1;
+      continue;
+    }
+    if (c === "[" || (c === "!" && text[i + 1] === "[")) {
+      const open = c === "!" ? i + 1 : i;
+      const close = closeBracket(text, open);
+      const target = close !== -1 && matchAt(LINK_TARGET, text, close + 1);
+      if (target) {
+        const label = text.slice(open + 1, close);
+        if (c === "!") push({ type: "image", src: target[1], alt: label });
+        else push({ type: "link", href: target[1], children: parseInline(label, defs) });
+        i = close + target[0].length;
+        continue;
+      }
+    }
+    if (c === "<" && (m = matchAt(AUTOLINK, text, i))) {
+      push({ type: "link", href: m[1], children: [{ type: "text", text: m[1].replace(/^mailto:/, "") }] });
+      i += m[0].length - 1;
+      continue;
+    }
+    if ((c === "*" || c === "_") && !(c === "_" && /\w/.test(text[i - 1] || ""))) {
+      const strong = text[i + 1] === c;
+      const delim = strong ? c + c : c;
+      const start = i + delim.length;
+      const end = text[start] && !/\s/.test(text[start]) ? findCloser(text, delim, start + 1) : -1;
+      if (end !== -1) {
+        push({ type: strong ? "strong" : "em", children: parseInline(text.slice(start, end), defs) });
+        i = end + delim.length - 1;
+        continue;
+      }
+    }
+    buf += c;
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Parses Markdown into blocks plus the footnotes that are referenced, numbered
+ * in order of first reference.
+ * @returns {MarkdownDoc}
+ */
+export function parseMarkdown(md){
+  const lines = String(md ?? "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n");
+  // Definitions are collected in a first pass so references can appear before them.
+  const bodies = new Map();
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(FOOTNOTE_DEF);
+    if (m) bodies.set(m[1], []);
+  }
+  const defs = { bodies, order: new Map() };
+  const blocks = parseBlocks(lines, defs);
+  const footnotes = [];
+  // Footnote bodies can reference further footnotes; Map iteration picks those up too.
+  for (const [id, n] of defs.order) footnotes.push({ id, n, children: parseBlocks(defs.bodies.get(id) || [], defs) });
+  return { blocks, footnotes };
+}
+
+// ------------------------------
+// Renderers
+// ------------------------------
+
+export function escapeHtml(s){
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+/** `s` without the control characters XML 1.0 can't carry at all (tab and line breaks stay). */
+export function xmlText(s){
+  // eslint-disable-next-line no-control-regex
+  return String(s).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+/** Escaped text that is also valid in an XML document (EPUB, DOCX). */
+export function escapeXml(s){ return escapeHtml(xmlText(s)); }
+
+/**
+ * Only web, mail and in-page/relative links survive; anything else (javascript:, data:) becomes inert.
+ * Control characters and leading spaces are dropped first, as browsers do
+ * before reading the scheme, so they can't disguise one.
+ */
+export function safeUrl(url){
+  const u = [...String(url)].filter(c => c > "\u001f" && c !== "\u007f").join("").trim();
+  return /^(https?:|mailto:|#|\/|\.{0,2}\/)/i.test(u) || !/^[a-z][a-z0-9+.-]*:/i.test(u) ? u : "#";
+}
+
+function voidTag(opts, tag, attrs = ""){ return opts.xhtml ? `<${tag}${attrs}/>` : `<${tag}${attrs}>`; }
+
+function inlineHtml(nodes, opts){
+  return nodes.map(n => {
+    switch (n.type) {
+      case "text": return escapeHtml(n.text);
+      case "code": return `<code>${escapeHtml(n.text)}</code>`;
+      case "strong": return `<strong>${inlineHtml(n.children, opts)}</strong>`;
+      case "em": return `<em>${inlineHtml(n.children, opts)}</em>`;
+      case "link": return `<a href="${escapeHtml(safeUrl(n.href))}">${inlineHtml(n.children, opts)}</a>`;
+      case "image": return !opts.images ? escapeHtml(n.alt) : voidTag(opts, "img", ` src="${escapeHtml(safeUrl(n.src))}" alt="${escapeHtml(n.alt)}"`);
+      case "footnoteRef": return `<sup id="${opts.idPrefix}fnref-${n.n}"><a href="#${opts.idPrefix}fn-${n.n}">${n.n}</a></sup>`;
+      case "break": return voidTag(opts, "br");
+      default: return "";
+    }
+  }).join("");
+}
+
+function blocksHtml(blocks, opts){
+  return blocks.map(b => {
+    switch (b.type) {
+      case "heading": return `<h${b.level}>${inlineHtml(b.children, opts)}</h${b.level}>`;
+      case "paragraph": return `<p>${inlineHtml(b.children, opts)}</p>`;
+      case "blockquote": return `<blockquote>${blocksHtml(b.children, opts)}</blockquote>`;
+      case "code": return `<pre><code>${escapeHtml(b.text)}</code></pre>`;
+      case "hr": return voidTag(opts, "hr");
+      case "list": {
+        const tag = b.ordered ? "ol" : "ul";
+        const start = b.ordered && b.start !== 1 ? ` start="${b.start}"` : "";
+        // Single-paragraph items render without the <p> wrapper.
+        const item = (blocks) => blocks.length === 1 && blocks[0].type === "paragraph" ? inlineHtml(blocks[0].children, opts) : blocksHtml(blocks, opts);
+        return `<${tag}${start}>${b.items.map(it => `<li>${item(it)}</li>`).join("")}</${tag}>`;
+      }
+      default: return "";
+    }
+  }).join("\n");
+}
+
+/**
+ * Escaped HTML for a Markdown document, footnotes collected at the end.
+ * `idPrefix` keeps footnote anchors unique when several documents share a
+ * page; `xhtml` self-closes empty elements and drops characters XML can't
+ * carry, and `images: false` shows images as their alt text (both for EPUB,
+ * which can't reference remote files).
+ */
+export function renderMarkdown(md, { idPrefix = "", xhtml = false, images = true } = {}){
+  const doc = typeof md === "string" ? parseMarkdown(md) : md;
+  const opts = { idPrefix, xhtml, images };
+  let html = blocksHtml(doc.blocks, opts);
+  if (doc.footnotes.length) {
+    const items = doc.footnotes.map(f =>
+      `<li id="${idPrefix}fn-${f.n}">${blocksHtml(f.children, opts)} <a href="#${idPrefix}fnref-${f.n}" aria-label="Back to text">↩</a></li>`);
+    html += `\n<section class="footnotes">${voidTag(opts, "hr")}<ol>${items.join("")}</ol></section>`;
+  }
+  return xhtml ? xmlText(html) : html;
+}
+
+function inlineText(nodes){
+  return nodes.map(n => {
+    if (n.type === "text" || n.type === "code") return n.text;
+    if (n.type === "break") return "\n";
+    if (n.children) return inlineText(n.children);
+    return ""; // images and footnote markers aren't prose
+  }).join("");
+}
+
+function blocksText(blocks){
+  return blocks.map(b => {
+    if (b.type === "heading" || b.type === "paragraph") return inlineText(b.children);
+    if (b.type === "blockquote") return blocksText(b.children);
+    if (b.type === "list") return b.items.map(blocksText).join("\n");
+    if (b.type === "code") return b.text;
+    return "";
+  }).filter(Boolean).join("\n\n");
+}
+
+/** The prose of a Markdown document with all markup removed, footnotes last. */
+export function markdownToText(md){
+  const doc = typeof md === "string" ? parseMarkdown(md) : md;
+  return [blocksText(doc.blocks), ...doc.footnotes.map(f => blocksText(f.children))].filter(Boolean).join("\n\n");
+}
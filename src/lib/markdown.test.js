@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { escapeXml, renderMarkdown, safeUrl } from "./markdown";
+
+const href = (md) => renderMarkdown(md).match(/<a href="([^"]*)"/)?.[1];
+
+describe("safeUrl", () => {
+  it("keeps web, mail, in-page and relative links", () => {
+    for (const u of ["https://example.com/a?b=c", "http://example.com", "mailto:me@example.com", "#notes", "/path", "../up", "chapter-2.html"]) {
+      expect(safeUrl(u)).toBe(u);
+    }
+  });
+
+  it("makes other schemes inert", () => {
+    expect(safeUrl("javascript:alert(1)")).toBe("#");
+    expect(safeUrl("JaVaScRiPt:alert(1)")).toBe("#");
+    expect(safeUrl("data:text/html,<script>alert(1)</script>")).toBe("#");
+    expect(safeUrl("vbscript:msgbox(1)")).toBe("#");
+  });
+
+  it("sees through control characters and spaces browsers ignore", () => {
+    expect(safeUrl("\u0001javascript:alert(1)")).toBe("#");
+    expect(safeUrl("\u0000\u001f javascript:alert(1)")).toBe("#");
+    expect(safeUrl(" javascript:alert(1)")).toBe("#");
+    expect(safeUrl("\tjavascript:alert(1)")).toBe("#");
+    expect(safeUrl("jav\tascript:alert(1)")).toBe("#");
+    expect(safeUrl("java\nscript:alert(1)")).toBe("#");
+    expect(safeUrl("\u007fjavascript:alert(1)")).toBe("#");
+  });
+});
+
+describe("renderMarkdown links", () => {
+  it("renders safe links", () => {
+    expect(renderMarkdown("[site](https://example.com)")).toBe('<p><a href="https://example.com">site</a></p>');
+  });
+
+  it("neutralises script links, however they're disguised", () => {
+    expect(href("[click](javascript:alert(1))")).toBe("#");
+    expect(href("[click](\u0001javascript:alert(1))")).toBe("#");
+    expect(href("[click]( javascript:alert(1))")).toBe("#");
+    expect(href("[click](<\u0001javascript:alert(1)>)")).toBe("#");
+    expect(href("[click](\tjavascript:alert(1))")).toBe("#");
+    expect(href("![x](javascript:alert(1))")).toBeUndefined();
+    expect(renderMarkdown("![x](javascript:alert(1))")).toContain('src="#"');
+  });
+
+  it("leaves encoded schemes as escaped text the browser can't read as a scheme", () => {
+    const out = href("[click](jav&#x09;ascript:alert(1))");
+    expect(out).toBe("jav&amp;#x09;ascript:alert(1)");
+  });
+
+  it("escapes attribute breakouts", () => {
+    expect(renderMarkdown('[x](https://example.com/"onmouseover="alert(1))')).not.toContain('"onmouseover="');
+  });
+});
+
+describe("XML output", () => {
+  it("drops characters XML can't carry, keeping tabs and line breaks", () => {
+    expect(escapeXml("Tom\u000b & \u001fJerry\t<3>\n")).toBe("Tom &amp; Jerry\t&lt;3&gt;\n");
+  });
+
+  it("drops them from EPUB markup but not from the preview", () => {
+    expect(renderMarkdown("Bell\u0007 *rings*\u001f", { xhtml: true })).toBe("<p>Bell <em>rings</em></p>");
+    expect(renderMarkdown("Bell\u0007")).toBe("<p>Bell\u0007</p>");
+  });
+});
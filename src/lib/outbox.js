@@ -0,0 +1,132 @@
+// ------------------------------
+// Outbox for cloud writes
+// ------------------------------
+// Collects the keys of records changed locally ("projects:abc", "settings"),
+// debounces bursts into one flush, holds off while the browser is offline and
+// retries failed flushes with exponential backoff. Pending keys are persisted
+// so changes made offline still go out after a reload.
+
+/** @typedef {'synced'|'pending'|'syncing'|'offline'|'error'} SyncState */
+/** @typedef {{ state: SyncState, pending: number, error?: string, lastSyncedAt?: string, nextRetryAt?: number }} SyncStatus */
+
+const DEBOUNCE_MS = 1500;
+const BASE_RETRY_MS = 2000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * @param {{
+ *   flush: (keys: string[]) => Promise<void>,
+ *   storageKey?: string,
+ *   storage?: Storage,
+ *   debounceMs?: number,
+ *   isOnline?: () => boolean,
+ * }} opts
+ */
+export function createOutbox({ flush, storageKey, storage = globalThis.localStorage, debounceMs = DEBOUNCE_MS, isOnline = () => globalThis.navigator?.onLine !== false }){
+  const pending = new Set(readPending());
+  const listeners = new Set();
+  let status = /** @type {SyncStatus} */ ({ state: pending.size ? "pending" : "synced", pending: pending.size });
+  let timer = null;
+  let running = false;
+  let again = false;
+  let failures = 0;
+  let disposed = false;
+
+  function readPending(){
+    if (!storageKey) return [];
+    try { return JSON.parse(storage.getItem(storageKey) || "[]"); } catch { return []; }
+  }
+  function writePending(){
+    if (storageKey) storage.setItem(storageKey, JSON.stringify([...pending]));
+  }
+  function setStatus(patch){
+    status = { ...status, ...patch, pending: pending.size };
+    for (const fn of listeners) fn(status);
+  }
+  function schedule(ms){
+    clearTimeout(timer);
+    timer = setTimeout(run, ms);
+  }
+
+  async function run(){
+    timer = null;
+    if (disposed) return;
+    if (!isOnline()) { setStatus({ state: "offline", nextRetryAt: undefined }); return; }
+    if (running) { again = true; return; }
+    running = true;
+    again = false;
+    const keys = [...pending];
+    setStatus({ state: "syncing", nextRetryAt: undefined });
+    try {
+      await flush(keys);
+      for (const k of keys) pending.delete(k);
+      writePending();
+      failures = 0;
+      setStatus({ state: pending.size ? "pending" : "synced", error: undefined, lastSyncedAt: new Date().toISOString() });
+      if (pending.size || again) schedule(debounceMs);
+    } catch (err) {
+      failures++;
+      const delay = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** (failures - 1)) * (0.8 + Math.random() * 0.4);
+      console.error("cloud sync error:", err);
+      if (!isOnline()) setStatus({ state: "offline", nextRetryAt: undefined });
+      else {
+        setStatus({ state: "error", error: err?.message || String(err), nextRetryAt: Date.now() + delay });
+        schedule(delay);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function onOnline(){ schedule(0); }
+  function onOffline(){ clearTimeout(timer); if (!running) setStatus({ state: "offline", nextRetryAt: undefined }); }
+  globalThis.addEventListener?.("online", onOnline);
+  globalThis.addEventListener?.("offline", onOffline);
+
+  return {
+    /** Queues changed record keys and schedules a debounced flush. */
+    enqueue(keys){
+      if (!keys.length) return;
+      for (const k of keys) pending.add(k);
+      writePending();
+      if (running) { again = true; setStatus({}); return; }
+      if (status.state === "error") { setStatus({}); return; } // keep the backoff schedule
+      setStatus({ state: isOnline() ? "pending" : "offline" });
+      schedule(debounceMs);
+    },
+    /** Flushes right away, e.g. for the first pull after sign-in or a manual retry. */
+    flushNow(){ schedule(0); },
+    getStatus(){ return status; },
+    subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); },
+    dispose(){
+      disposed = true;
+      clearTimeout(timer);
+      listeners.clear();
+      globalThis.removeEventListener?.("online", onOnline);
+      globalThis.removeEventListener?.("offline", onOffline);
+    },
+  };
+}
+
+/**
+ * Keys of records that differ (by reference) between two snapshots, including
+ * new tombstones and settings changes. Objects in `ignore` arrived from the
+ * remote and aren't local edits.
+ */
+export function changedKeys(prev, next, collections, ignore = new WeakSet()){
+  const keys = [];
+  for (const c of collections) {
+    if (prev[c] === next[c]) continue;
+    const before = new Map(prev[c].map(r => [r.id, r]));
+    for (const r of next[c]) if (before.get(r.id) !== r && !ignore.has(r)) keys.push(`${c}:${r.id}`);
+  }
+  if (prev.tombstones !== next.tombstones && !ignore.has(next.tombstones)) {
+    for (const c of collections) {
+      for (const id of Object.keys(next.tombstones?.[c] || {})) {
+        if (!prev.tombstones?.[c]?.[id]) keys.push(`${c}:${id}`);
+      }
+    }
+  }
+  if (prev.settings !== next.settings && !ignore.has(next.settings)) keys.push("settings");
+  return keys;
+}
@@ -0,0 +1,132 @@
+// ------------------------------
+// Deadline pacing
+// ------------------------------
+// How a project with a target and a deadline is doing: the words per writing
+// day still needed, the finish date its recent pace points to, and a burn-up
+// of the manuscript's size against a straight line to the target. Rest days
+// (see `restDays` in ./dates) are left out of both the days remaining and the
+// recent pace. Progress is net change, since it's the
+// manuscript's size that has to reach the target.
+
+import { addDays, formatDay, weekday, writingDays } from "./dates";
+import { wordsByDay } from "./sessions";
+
+/**
+ * @typedef {'done'|'overdue'|'ahead'|'onTrack'|'behind'} PaceStatus
+ * @typedef {{ remaining: number, daysLeft: number, perDay: number, velocity: number,
+ *   projected: string|null, status: PaceStatus, risk: number }} Pace
+ *   `daysLeft` counts writing days from today through the deadline; `velocity`
+ *   is net words per writing day over the recent window.
+ * @typedef {{ date: string, actual: number|null, ideal: number }} BurnUpPoint
+ */
+
+export const PACE_LABELS = { done: "Done", overdue: "Overdue", ahead: "Ahead", onTrack: "On track", behind: "Behind" };
+/** Badge variant for each status. */
+export const PACE_BADGES = { done: "default", ahead: "default", onTrack: "secondary", behind: "destructive", overdue: "destructive" };
+
+// How many days back the recent pace looks.
+const WINDOW_DAYS = 14;
+// Projected to finish this far ahead of the required pace counts as ahead.
+const AHEAD_RATIO = 1.25;
+
+// The `n`th writing day counting from `from`, or null past ten years.
+function afterWritingDays(from, n, rest){
+  const perWeek = 7 - rest.length;
+  if (!perWeek || n / perWeek > 520) return null;
+  let d = addDays(from, Math.max(0, Math.floor((n - 1) / perWeek) - 1) * 7);
+  n -= writingDays(from, addDays(d, -1), rest);
+  for (;;) {
+    if (!rest.includes(weekday(d)) && --n <= 0) return d;
+    d = addDays(d, 1);
+  }
+}
+
+/**
+ * Pace for a project with `current` words, or null without a target and deadline.
+ * @param {{ targetWords: number, deadline?: string }} project
+ * @param {{ current: number, sessions: object[], today: string, rest?: number[] }} options `sessions` are the project's own
+ * @returns {Pace|null}
+ */
+export function projectPace(project, { current, sessions, today, rest = [] }){
+  const target = project.targetWords;
+  if (!target || !project.deadline) return null;
+  const remaining = Math.max(0, target - current);
+  const daysLeft = project.deadline >= today ? writingDays(today, project.deadline, rest) : 0;
+  const perDay = daysLeft ? Math.ceil(remaining / daysLeft) : remaining;
+
+  // Today isn't over, so it only counts toward the pace once it has words.
+  const byDay = wordsByDay(sessions, "net");
+  const windowEnd = byDay.get(today) ? today : addDays(today, -1);
+  const windowStart = addDays(windowEnd, -(WINDOW_DAYS - 1));
+  let recent = 0;
+  for (const [day, n] of byDay) if (day >= windowStart && day <= windowEnd) recent += n;
+  const velocity = Math.max(0, recent / (writingDays(windowStart, windowEnd, rest) || 1));
+
+  const projected = !remaining ? today : velocity > 0 ? afterWritingDays(today, Math.ceil(remaining / velocity), rest) : null;
+  let status;
+  if (!remaining) status = "done";
+  else if (!daysLeft) status = "overdue";
+  else if (velocity >= perDay * AHEAD_RATIO) status = "ahead";
+  else if (velocity >= perDay) status = "onTrack";
+  else status = "behind";
+  // Share of the needed pace that's missing: 0 when keeping up, 1 when
+  // nothing's being written; overdue projects rank above everything.
+  const risk = status === "overdue" ? 2 + remaining / target : !remaining ? -1 : Math.max(0, 1 - velocity / perDay);
+  return { remaining, daysLeft, perDay, velocity: Math.round(velocity), projected, status, risk };
+}
+
+// Where the burn-up starts: the project's first session or its creation,
+// whichever is earlier, and no more than two years before the deadline.
+function burnUpStart(project, sessions, today){
+  let start = (project.createdAt || "").slice(0, 10) || today;
+  for (const s of sessions) if (s.date < start) start = s.date;
+  const earliest = addDays(project.deadline < today ? project.deadline : today, -730);
+  return start < earliest ? earliest : start > today ? today : start;
+}
+
+/**
+ * Cumulative words per day from the project's start to the deadline (or
+ * today, if later), worked back from `current` through the project's
+ * sessions, beside an ideal line from the starting size to the target that
+ * rises only on writing days.
+ * @returns {BurnUpPoint[]}
+ */
+export function burnUp(project, { current, sessions, today, rest = [] }){
+  if (!project.targetWords || !project.deadline) return [];
+  const start = burnUpStart(project, sessions, today);
+  if (start > project.deadline) return [];
+  const end = project.deadline > today ? project.deadline : today;
+  const byDay = wordsByDay(sessions, "net");
+  let later = 0;
+  for (const [day, n] of byDay) if (day > today) later += n;
+  // Words at the end of each day up to today, newest first.
+  const actual = new Map();
+  let size = current - later;
+  for (let d = today; d >= start; d = addDays(d, -1)) {
+    actual.set(d, Math.max(0, size));
+    size -= byDay.get(d) || 0;
+  }
+  const startSize = Math.max(0, size);
+  const total = writingDays(start, project.deadline, rest) || 1;
+  const points = [];
+  let done = 0;
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    if (d <= project.deadline && !rest.includes(weekday(d))) done++;
+    const ideal = Math.round(startSize + (project.targetWords - startSize) * Math.min(1, done / total));
+    points.push({ date: d, actual: actual.has(d) ? actual.get(d) : null, ideal });
+  }
+  return points;
+}
+
+/** Projects with a pace, most at risk first. */
+export function rankByRisk(paces){
+  return paces.filter(x => x.pace).sort((a, b) => b.pace.risk - a.pace.risk);
+}
+
+/** One line on what a pace asks for and where it's heading. */
+export function paceSummary(pace){
+  if (pace.status === "done") return "Target reached";
+  if (pace.status === "overdue") return `${pace.remaining.toLocaleString()} words to go past the deadline`;
+  const finish = pace.projected ? `on pace to finish ${formatDay(pace.projected)}` : "no recent words to project from";
+  return `${pace.perDay.toLocaleString()} words/day needed · ${pace.velocity.toLocaleString()}/day lately · ${finish}`;
+}
@@ -0,0 +1,80 @@
+// ------------------------------
+// Store persistence
+// ------------------------------
+// Connects a store (./store) to where its data lives. `persistLocally`
+// writes every change through a storage adapter (./storage). `syncToCloud`
+// queues local changes in an outbox (./outbox) that debounces bursts, waits
+// out offline periods and retries failures; each flush is one pull → merge →
+// push through the sync engine, and the merged result is folded back into
+// the store without being queued again as a local edit.
+
+import { COLLECTIONS, createSyncEngine } from "./sync";
+import { changedKeys, createOutbox } from "./outbox";
+
+/**
+ * Saves the store now and after every change. The adapters only write what
+ * changed, so saving on every change is cheap.
+ * @param {{ save: (state: object) => Promise<void> }} storage
+ * @param {{ onSaved?: () => void, onError?: (err: any) => void }} [handlers]
+ * @returns {() => void} stops saving
+ */
+export function persistLocally(store, storage, { onSaved = () => {}, onError = () => {} } = {}){
+  const save = (state) => { storage.save(state).then(onSaved, onError); };
+  save(store.getState());
+  return store.subscribe(save);
+}
+
+/**
+ * @param {{
+ *   remote: { pull: Function, push: Function, commit?: Function },
+ *   baseStore: { loadBase: Function, saveBase: Function },
+ *   migrateLegacy?: (state: object) => Promise<{ conflicts: any[] }|null>,
+ *   storageKey?: string,
+ *   onMigrated?: (result: any) => void,
+ *   onConflicts?: (found: import("./sync").Conflict[]) => void,
+ * }} options `migrateLegacy` runs once, before the first sync; `storageKey`
+ *   keeps the outbox's pending keys across reloads.
+ * @returns the outbox (`getStatus`, `subscribe`, `flushNow`), whose `dispose` also stops watching the store
+ */
+export function syncToCloud(store, { remote, baseStore, migrateLegacy, storageKey, onMigrated, onConflicts }){
+  const engine = createSyncEngine({ remote, ...baseStore });
+  const fromRemote = new WeakSet();
+  let migrated = !migrateLegacy;
+  let lastQueued = store.getState();
+
+  const outbox = createOutbox({
+    storageKey,
+    async flush(){
+      if (!migrated) {
+        const result = await migrateLegacy(store.getState());
+        if (result) {
+          store.actions.addConflicts(result.conflicts);
+          onMigrated?.(result);
+        }
+        migrated = true;
+      }
+      const sent = store.getState();
+      const { merged, conflicts } = await engine.sync(sent);
+      for (const c of COLLECTIONS) merged[c].forEach(r => fromRemote.add(r));
+      fromRemote.add(merged.settings);
+      fromRemote.add(merged.tombstones);
+      store.actions.applySync(sent, merged, conflicts);
+      if (conflicts.length) onConflicts?.(conflicts);
+    },
+  });
+
+  const unsubscribe = store.subscribe((state) => {
+    const keys = changedKeys(lastQueued, state, COLLECTIONS, fromRemote);
+    lastQueued = state;
+    outbox.enqueue(keys);
+  });
+  outbox.flushNow();
+
+  return {
+    ...outbox,
+    dispose(){
+      unsubscribe();
+      outbox.dispose();
+    },
+  };
+}
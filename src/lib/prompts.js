@@ -0,0 +1,333 @@
+// ------------------------------
+// Writing prompts
+// ------------------------------
+// A prompt comes from one of several providers behind the same interface:
+// the built-in bank (always available, works offline), lists the user writes
+// themselves, AI prompts from the app's own server, or any OpenAI-compatible
+// chat endpoint the user points it at. The app's server holds the model
+// provider's key, so none ships to the browser; it only answers signed-in
+// users, within a rate limit. Each roll is told which prompts were shown recently so it
+// can avoid them. When an AI source can't be reached the bank stands in, so
+// there is always something to write about. Rolled prompts are kept in a
+// short history on this device.
+
+/**
+ * @typedef {'bank'|'list'|'server'|'endpoint'} ProviderKind
+ * @typedef {{ text: string, source: string, category?: string }} Prompt
+ * @typedef {Prompt & { id: string, at: string, saved?: 'idea'|'project' }} PromptHistoryEntry
+ * @typedef {{ label: string, next: (options: { recent: string[], signal?: AbortSignal }) => Promise<Prompt> }} PromptProvider
+ * @typedef {{ id: string, name: string, prompts: string[] }} PromptList
+ * @typedef {{ baseUrl: string, model: string, systemPrompt: string, userPrompt: string, temperature: number }} EndpointConfig
+ * @typedef {{ provider: ProviderKind, categories: string[], lists: PromptList[], listId: string,
+ *   endpoint: EndpointConfig, server: { model: string }, avoidRecent: number, fallback: boolean }} PromptSettings
+ *   The server uses the endpoint's wording and temperature with its own model
+ *   (blank for the server's default). `avoidRecent` is how many of the latest
+ *   prompts not to repeat; `fallback` rolls from the bank when an AI source fails.
+ * @typedef {{ url: string, getToken: () => Promise<string|undefined>, headers?: Record<string, string> }} ServerConfig
+ */
+
+export const PROMPT_PROVIDERS = {
+  bank: "Built-in prompt bank",
+  list: "My prompt lists",
+  server: "AI prompts",
+  endpoint: "My own AI endpoint (OpenAI-compatible)",
+};
+
+export const PROMPT_BANK = {
+  fiction: {
+    label: "Fiction",
+    prompts: [
+      "A character finds a note in their own handwriting that they don’t remember writing.",
+      "Two people are stuck in a lift; only one of them knows why it stopped.",
+      "Write a scene where someone returns something they borrowed twenty years ago.",
+      "A small town holds a festival every year for an event nobody can quite remember.",
+      "Someone receives a voicemail from a number that was disconnected years ago.",
+      "Write about a night-shift worker who notices the same stranger at 3 AM every night.",
+      "A family gathers to read a will, and the will is a single question.",
+      "Begin with the line “It wasn’t the first time the river had changed its mind.”",
+      "Write a scene where the most important thing is what a character refuses to say.",
+      "A translator realises the message they’re translating is about them.",
+    ],
+  },
+  essay: {
+    label: "Essay",
+    prompts: [
+      "Write about an object you own that you would never sell, and why.",
+      "Argue for a small habit that most people consider a waste of time.",
+      "What did a place you once lived teach you that you only understood after leaving?",
+      "Describe a piece of advice you ignored and what happened next.",
+      "Write about a skill you learned badly and what that taught you.",
+      "Make the case for a book, film or album that you think was misunderstood.",
+      "Explore how a routine chore has changed over your lifetime.",
+      "Write about a time you changed your mind about something important.",
+    ],
+  },
+  poetry: {
+    label: "Poetry",
+    prompts: [
+      "Write a poem addressed to a room you no longer have access to.",
+      "Write a poem that is also a set of instructions.",
+      "Take the weather outside your window right now and make it about something else.",
+      "Write a poem in which every line begins with the same verb.",
+      "Write about a colour without ever naming it.",
+      "Write a poem that ends with the first thing you said this morning.",
+      "Write a list poem of things that are almost, but not quite, the same.",
+    ],
+  },
+  memoir: {
+    label: "Memoir",
+    prompts: [
+      "Write about the first meal you remember cooking for someone else.",
+      "Describe a photograph of yourself that you don’t remember being taken.",
+      "Write about a sound that instantly takes you back to childhood.",
+      "Tell the story of a journey that went wrong in a way you’re now glad of.",
+      "Write about someone who taught you something without meaning to.",
+      "Describe the view from a window you looked out of every day for years.",
+      "Write about a rule in your family that no one ever explained.",
+    ],
+  },
+  worldbuilding: {
+    label: "Worldbuilding",
+    prompts: [
+      "Invent a holiday and describe how a child, a shopkeeper and a priest each spend it.",
+      "Describe a city where one ordinary resource is extremely scarce.",
+      "Write the opening of a guidebook to a place that doesn’t exist.",
+      "Invent a profession that could only exist in your world and follow someone doing it.",
+      "Describe a law everyone breaks and the unwritten rules around breaking it.",
+      "Write a folk tale that the people of your world tell their children.",
+    ],
+  },
+  craft: {
+    label: "Craft exercises",
+    prompts: [
+      "Rewrite a scene you’ve already drafted from the point of view of a minor character.",
+      "Write 300 words of dialogue with no dialogue tags at all.",
+      "Describe a character entirely through the contents of their bag.",
+      "Write a paragraph in which nothing happens but the tension keeps rising.",
+      "Take a sentence you love from your draft and write five alternatives to it.",
+      "Write a scene using only the senses of sound and touch.",
+      "Summarise your current project in exactly fifty words.",
+    ],
+  },
+};
+
+const DEFAULT_SYSTEM_PROMPT = "You suggest writing prompts for a writer. Prompts are concrete, specific and open-ended, and never refer to current events, memes or named works.";
+const DEFAULT_USER_PROMPT = "Give me exactly one writing prompt of one or two sentences. Reply with the prompt only: no title, preamble or explanation.";
+
+/** @type {PromptSettings} */
+export const DEFAULT_PROMPTS = {
+  provider: "bank",
+  categories: Object.keys(PROMPT_BANK),
+  lists: [],
+  listId: "",
+  endpoint: {
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-5",
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    userPrompt: DEFAULT_USER_PROMPT,
+    temperature: 1,
+  },
+  server: { model: "" },
+  avoidRecent: 20,
+  fallback: true,
+};
+
+/** @returns {PromptSettings} */
+export function promptSettings(settings){
+  const p = settings?.prompts || {};
+  return {
+    ...DEFAULT_PROMPTS,
+    ...p,
+    provider: PROMPT_PROVIDERS[p.provider] ? p.provider : DEFAULT_PROMPTS.provider,
+    endpoint: { ...DEFAULT_PROMPTS.endpoint, ...(p.endpoint || {}) },
+    server: { ...DEFAULT_PROMPTS.server, ...(p.server || {}) },
+    lists: Array.isArray(p.lists) ? p.lists : [],
+  };
+}
+
+// ------------------------------
+// Providers
+// ------------------------------
+
+function same(a, b){ return a.trim().toLowerCase() === b.trim().toLowerCase(); }
+
+/**
+ * A random choice from `candidates` that isn't in `recent`. When all of them
+ * are, the one shown longest ago.
+ * @param {{ text: string }[]} candidates
+ * @param {string[]} recent newest first
+ */
+function pickFresh(candidates, recent, random = Math.random){
+  if (!candidates.length) return null;
+  const fresh = candidates.filter(c => !recent.some(r => same(r, c.text)));
+  if (fresh.length) return fresh[Math.floor(random() * fresh.length)];
+  const age = (c) => recent.findIndex(r => same(r, c.text));
+  return candidates.reduce((oldest, c) => (age(c) > age(oldest) ? c : oldest));
+}
+
+/** Prompts from the built-in bank, limited to `categories` (all when empty). @returns {PromptProvider} */
+export function bankProvider(categories = [], random = Math.random){
+  const chosen = categories.filter(c => PROMPT_BANK[c]);
+  const pool = (chosen.length ? chosen : Object.keys(PROMPT_BANK))
+    .flatMap(category => PROMPT_BANK[category].prompts.map(text => ({ text, category })));
+  return {
+    label: PROMPT_PROVIDERS.bank,
+    async next({ recent = [] } = {}){
+      const { text, category } = pickFresh(pool, recent, random);
+      return { text, category, source: "bank" };
+    },
+  };
+}
+
+/** Prompts from one of the user's own lists. @param {PromptList|undefined} list @returns {PromptProvider} */
+export function listProvider(list, random = Math.random){
+  const pool = (list?.prompts || []).map(t => t.trim()).filter(Boolean).map(text => ({ text }));
+  return {
+    label: list?.name || PROMPT_PROVIDERS.list,
+    async next({ recent = [] } = {}){
+      if (!pool.length) throw new Error(list ? `“${list.name}” has no prompts yet.` : "Choose one of your prompt lists first.");
+      return { text: pickFresh(pool, recent, random).text, category: list.name, source: "list" };
+    },
+  };
+}
+
+// Models like to wrap their answer in quotes or label it.
+function unquote(s){ return s.trim().replace(/^["“”'](.*)["“”']$/s, "$1").trim(); }
+function cleanReply(text){
+  return unquote(unquote(String(text || "")).replace(/^\**(writing )?prompt\**\s*:\s*\**\s*/i, ""));
+}
+
+/**
+ * Prompts from an OpenAI-compatible `/chat/completions` endpoint.
+ * @param {EndpointConfig} config
+ * @param {{ apiKey?: string, fetch?: typeof fetch }} [options]
+ * @returns {PromptProvider}
+ */
+export function endpointProvider(config, { apiKey, fetch = globalThis.fetch } = {}){
+  return {
+    label: config.model || PROMPT_PROVIDERS.endpoint,
+    async next({ recent = [], signal } = {}){
+      const avoid = recent.length ? `\n\nDon’t repeat or closely resemble any of these:\n${recent.map(r => `- ${r}`).join("\n")}` : "";
+      const res = await fetch(`${config.baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+        method: "POST",
+        signal,
+        headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({
+          model: config.model,
+          messages: [
+            ...(config.systemPrompt.trim() ? [{ role: "system", content: config.systemPrompt }] : []),
+            { role: "user", content: config.userPrompt + avoid },
+          ],
+          temperature: Number.isFinite(Number(config.temperature)) ? Number(config.temperature) : 1,
+        }),
+      });
+      if (!res.ok) {
+        const body = await res.text().catch(() => "");
+        throw new Error(`HTTP ${res.status} ${res.statusText}${body ? ` — ${body.slice(0, 200)}` : ""}`);
+      }
+      const text = cleanReply((await res.json())?.choices?.[0]?.message?.content);
+      if (!text) throw new Error("The endpoint sent back an empty prompt.");
+      return { text, source: "endpoint" };
+    },
+  };
+}
+
+/**
+ * AI prompts from the app's writing-prompt function. It is sent the signed-in
+ * user's access token, never a model provider's key.
+ * @param {PromptSettings} config
+ * @param {ServerConfig} server
+ * @returns {PromptProvider}
+ */
+export function serverProvider(config, { url, getToken, headers = {} }, { fetch = globalThis.fetch } = {}){
+  return {
+    label: PROMPT_PROVIDERS.server,
+    async next({ recent = [], signal } = {}){
+      const token = await getToken();
+      if (!token) throw new Error("Sign in to get AI prompts.");
+      const { systemPrompt, userPrompt, temperature } = config.endpoint;
+      const res = await fetch(url, {
+        method: "POST",
+        signal,
+        headers: { ...headers, "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ model: config.server.model || undefined, systemPrompt, userPrompt, temperature, recent }),
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.error || `HTTP ${res.status} ${res.statusText}`);
+      if (!body?.prompt) throw new Error("The server sent back an empty prompt.");
+      return { text: body.prompt, source: "server" };
+    },
+  };
+}
+
+/**
+ * The provider `config` selects. The server provider needs `server`.
+ * @param {PromptSettings} config
+ * @param {{ apiKey?: string, server?: ServerConfig, fetch?: typeof fetch, random?: () => number }} [options]
+ */
+export function createPromptProvider(config, { apiKey, server, fetch, random } = {}){
+  if (config.provider === "list") return listProvider(config.lists.find(l => l.id === config.listId), random);
+  if (config.provider === "server") {
+    if (!server?.url) throw new Error("AI prompts aren’t set up for this app.");
+    return serverProvider(config, server, { fetch });
+  }
+  if (config.provider === "endpoint") return endpointProvider(config.endpoint, { apiKey, fetch });
+  return bankProvider(config.categories, random);
+}
+
+/**
+ * Rolls one prompt, avoiding the last `config.avoidRecent` in `history`. If
+ * an AI source fails and `config.fallback` is on, the bank answers instead
+ * and `error` says why.
+ * @param {PromptSettings} config
+ * @param {PromptHistoryEntry[]} history newest first
+ * @returns {Promise<{ prompt: Prompt, error?: string }>}
+ */
+export async function rollPrompt(config, history, { apiKey, server, fetch, random, signal } = {}){
+  const recent = history.slice(0, Math.max(0, Number(config.avoidRecent) || 0)).map(h => h.text);
+  try {
+    return { prompt: await createPromptProvider(config, { apiKey, server, fetch, random }).next({ recent, signal }) };
+  } catch (err) {
+    if (signal?.aborted || !["server", "endpoint"].includes(config.provider) || !config.fallback) throw err;
+    return { prompt: await bankProvider(config.categories, random).next({ recent }), error: err.message };
+  }
+}
+
+// ------------------------------
+// History and key (this device only)
+// ------------------------------
+
+export const HISTORY_LIMIT = 50;
+const HISTORY_KEY = "writers_dashboard_prompts_v1";
+const API_KEY = "writers_dashboard_prompt_key_v1";
+
+/** @returns {PromptHistoryEntry[]} */
+export function loadPromptHistory(storage = globalThis.localStorage){
+  try {
+    const list = JSON.parse(storage.getItem(HISTORY_KEY) || "[]");
+    return Array.isArray(list) ? list.filter(h => h && typeof h.text === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePromptHistory(history, storage = globalThis.localStorage){
+  try { storage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, HISTORY_LIMIT))); } catch { /* history is a convenience; losing it is harmless */ }
+}
+
+/** `history` with `prompt` added at the front. @returns {PromptHistoryEntry[]} */
+export function addToHistory(history, prompt, id = Math.random().toString(36).slice(2)){
+  return [{ ...prompt, id, at: new Date().toISOString() }, ...history].slice(0, HISTORY_LIMIT);
+}
+
+// The user's own endpoint key stays on this device: settings sync to the cloud.
+export function loadApiKey(storage = globalThis.localStorage){
+  try { return storage.getItem(API_KEY) || ""; } catch { return ""; }
+}
+
+export function saveApiKey(key, storage = globalThis.localStorage){
+  try {
+    if (key) storage.setItem(API_KEY, key);
+    else storage.removeItem(API_KEY);
+  } catch { /* private mode: the key just isn’t remembered */ }
+}
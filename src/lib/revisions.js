@@ -0,0 +1,56 @@
+// ------------------------------
+// Draft revision history
+// ------------------------------
+// Every explicit save of a draft, and a periodic snapshot while the editor is
+// open, is kept as a revision in local storage (revisions aren't synced to the
+// cloud). Retention is per user: how many revisions to keep per document and
+// for how long; the newest revision is never pruned.
+
+import { countWords } from "./wordCount";
+
+/** @typedef {{ id: string, projectId: string, documentId: string, createdAt: string, words: number, text: string, kind: 'save'|'auto'|'baseline'|'import' }} Revision */
+/** @typedef {{ keepRevisions: number, keepDays: number, autoSnapshotMinutes: number }} HistorySettings */
+
+/** @type {HistorySettings} 0 means "no limit" / "off". */
+export const DEFAULT_HISTORY = { keepRevisions: 50, keepDays: 90, autoSnapshotMinutes: 5 };
+
+export const REVISION_KINDS = { save: "Saved", auto: "Auto snapshot", baseline: "Before history", import: "Imported" };
+
+export function historySettings(settings){ return { ...DEFAULT_HISTORY, ...(settings?.history || {}) }; }
+
+function uid(){ return Math.random().toString(36).slice(2); }
+
+/**
+ * Ids of revisions that fall outside the retention rules.
+ * @param {Revision[]} revisions newest first
+ * @param {HistorySettings} history
+ */
+export function revisionsToPrune(revisions, { keepRevisions, keepDays }, now = Date.now()){
+  const cutoff = keepDays > 0 ? new Date(now - keepDays * 864e5).toISOString() : "";
+  return revisions
+    .filter((r, i) => i > 0 && ((keepRevisions > 0 && i >= keepRevisions) || r.createdAt < cutoff))
+    .map(r => r.id);
+}
+
+/**
+ * Records `text` as a new revision unless it matches the latest one, then
+ * prunes. The first time a document gets history, `previousText` (its text
+ * as it was before this save) is kept as a baseline so it can be restored.
+ * @param {{ list: Function, add: Function, remove: Function }} store
+ * @param {import("./wordCount").CountRules} [rules] for the revision's word count
+ * @returns {Promise<Revision|null>}
+ */
+export async function recordRevision(store, { projectId, documentId, text, kind, previousText = "" }, history = DEFAULT_HISTORY, rules){
+  const existing = await store.list(documentId);
+  if (!existing.length && previousText.trim() && previousText !== text) {
+    const baseline = { id: uid(), projectId, documentId, createdAt: new Date(Date.now() - 1).toISOString(), words: countWords(previousText, rules), text: previousText, kind: "baseline" };
+    await store.add(baseline);
+    existing.unshift(baseline);
+  }
+  if (existing[0]?.text === text) return null;
+  const rev = { id: uid(), projectId, documentId, createdAt: new Date().toISOString(), words: countWords(text, rules), text, kind };
+  await store.add(rev);
+  const prune = revisionsToPrune([rev, ...existing], history);
+  if (prune.length) await store.remove(prune);
+  return rev;
+}
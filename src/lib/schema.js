@@ -0,0 +1,248 @@
+// ------------------------------
+// Local data schema
+// ------------------------------
+// The store in localStorage and every JSON export carry `schemaVersion`.
+// Data from an older version is upgraded by running each migration in
+// `MIGRATIONS` in turn; data written before versioning is version 1.
+// Loading is lenient (missing fields get defaults so the UI never sees a
+// half-formed record); importing is strict and reports every problem.
+
+import { emptyTombstones } from "./sync";
+import { DOC_KINDS, DOC_STATUSES } from "./documents";
+
+export const SCHEMA_VERSION = 3;
+
+const STATUSES = ["Drafting", "Editing", "Complete"];
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+function uid(){ return Math.random().toString(36).slice(2); }
+function isObj(v){ return v !== null && typeof v === "object" && !Array.isArray(v); }
+function num(v, fallback = 0){ const n = Number(v); return Number.isFinite(n) ? n : fallback; }
+
+// Defaults applied to every record on load and by the v1 → v2 migration.
+const DEFAULTS = {
+  projects: (p) => ({
+    ...p,
+    id: p.id || uid(),
+    title: typeof p.title === "string" ? p.title : "Untitled",
+    targetWords: num(p.targetWords),
+    status: STATUSES.includes(p.status) ? p.status : "Drafting",
+    createdAt: p.createdAt || new Date(0).toISOString(),
+  }),
+  sessions: (s) => ({ ...s, id: s.id || uid(), minutes: num(s.minutes), words: num(s.words) }),
+  ideas: (i) => ({
+    ...i,
+    id: i.id || uid(),
+    text: typeof i.text === "string" ? i.text : "",
+    tags: Array.isArray(i.tags) ? i.tags.filter(t => typeof t === "string") : [],
+    createdAt: i.createdAt || new Date(0).toISOString(),
+  }),
+  documents: (d) => ({
+    ...d,
+    id: d.id || uid(),
+    parentId: d.parentId || null,
+    kind: DOC_KINDS.includes(d.kind) ? d.kind : "chapter",
+    title: typeof d.title === "string" ? d.title : "Untitled",
+    text: typeof d.text === "string" ? d.text : "",
+    order: num(d.order),
+    status: DOC_STATUSES.includes(d.status) ? d.status : "Drafting",
+    createdAt: d.createdAt || new Date(0).toISOString(),
+  }),
+};
+
+function withDefaults(d){
+  const out = { ...d };
+  for (const c of Object.keys(DEFAULTS)) {
+    out[c] = (Array.isArray(d[c]) ? d[c] : []).filter(isObj).map(DEFAULTS[c]);
+  }
+  return out;
+}
+
+/**
+ * Upgrades data written at version `n` to `n + 1`. Each step only needs to
+ * know about its own two versions.
+ */
+export const MIGRATIONS = {
+  // v1: { projects, sessions, ideas, dailyGoal } with no stamps or tombstones.
+  1: (d) => {
+    const { dailyGoal, ...rest } = withDefaults(d);
+    return {
+      ...rest,
+      settings: isObj(d.settings) ? d.settings : { dailyGoal: num(dailyGoal, 500) || 500 },
+      // Stores saved just before versioning already had sync bookkeeping.
+      tombstones: isObj(d.tombstones) ? d.tombstones : emptyTombstones(),
+      conflicts: Array.isArray(d.conflicts) ? d.conflicts : [],
+    };
+  },
+  // v2: each project had a single `draft` string. It becomes the project's
+  // first document, reusing the project id so draft history stays attached.
+  2: (d) => {
+    const documents = Array.isArray(d.documents) ? [...d.documents] : [];
+    const projects = (d.projects || []).map(p => {
+      const { draft, lastWordCount, lastWordDate, ...rest } = p;
+      if (draft === undefined && lastWordCount === undefined) return p;
+      if ((draft || "").trim() || lastWordCount) {
+        const doc = {
+          id: p.id, projectId: p.id, parentId: null, kind: "chapter", title: "Draft",
+          text: draft || "", order: 0, status: "Drafting", createdAt: p.createdAt,
+          lastWordCount, lastWordDate, updatedAt: p.updatedAt,
+        };
+        documents.push(Object.fromEntries(Object.entries(doc).filter(([, v]) => v !== undefined)));
+      }
+      return rest;
+    });
+    return { ...d, projects, documents };
+  },
+};
+
+/** Version the payload claims, treating unversioned data as version 1. */
+export function versionOf(d){ return Number.isInteger(d?.schemaVersion) ? d.schemaVersion : 1; }
+
+/**
+ * Runs migrations until `d` is at `SCHEMA_VERSION`. Throws for data from a
+ * newer version of the app, which this build can't safely read.
+ */
+export function migrate(d){
+  let v = versionOf(d);
+  if (v > SCHEMA_VERSION) throw new Error(`Data is from a newer version of the app (schema ${v}); please update first.`);
+  let out = d;
+  while (v < SCHEMA_VERSION) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`No migration from schema ${v}`);
+    out = step(out);
+    v++;
+  }
+  return { ...out, schemaVersion: SCHEMA_VERSION };
+}
+
+/** Parses the persisted store; corrupt or missing data yields an empty store. */
+export function readStore(raw){
+  let d;
+  try { d = JSON.parse(raw || "{}"); } catch { d = {}; }
+  return fromStored(d);
+}
+
+/** Upgrades and fills in a stored object, whichever storage it came from. */
+export function fromStored(d){
+  if (!isObj(d)) d = {};
+  try {
+    const m = withDefaults(migrate(d));
+    return {
+      ...m,
+      settings: isObj(m.settings) ? m.settings : { dailyGoal: 500 },
+      tombstones: { ...emptyTombstones(), ...(isObj(m.tombstones) ? m.tombstones : {}) },
+      conflicts: Array.isArray(m.conflicts) ? m.conflicts : [],
+    };
+  } catch (err) {
+    console.error("store load error:", err);
+    return fromStored({});
+  }
+}
+
+// ------------------------------
+// Validation
+// ------------------------------
+const optional = (check) => (v) => v === undefined || v === null || check(v);
+const str = (v) => typeof v === "string";
+const nonEmpty = (v) => typeof v === "string" && v.trim() !== "";
+const count = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+const bool = (v) => typeof v === "boolean";
+const timestamp = (v) => typeof v === "string" && !isNaN(Date.parse(v));
+const day = (v) => typeof v === "string" && DAY.test(v);
+
+const RULES = {
+  projects: {
+    id: nonEmpty, title: nonEmpty, targetWords: count,
+    status: (v) => STATUSES.includes(v), createdAt: timestamp,
+    description: optional(str), deadline: optional((v) => v === "" || day(v)),
+    archived: optional(bool), archivedAt: optional(timestamp), draft: optional(str), ideaId: optional(str),
+    lastWordCount: optional(count), lastWordDate: optional(day), updatedAt: optional(timestamp),
+  },
+  sessions: {
+    id: nonEmpty, date: day, minutes: count, words: count, added: optional(count), removed: optional(count),
+    projectId: optional(str), documentId: optional(str), timeZone: optional(str), loggedAt: optional(timestamp), notes: optional(str), updatedAt: optional(timestamp),
+  },
+  ideas: {
+    id: nonEmpty, text: str, tags: (v) => Array.isArray(v) && v.every(str), createdAt: timestamp,
+    projectId: optional(str), pinned: optional(bool), updatedAt: optional(timestamp),
+  },
+  documents: {
+    id: nonEmpty, projectId: nonEmpty, parentId: optional(str), kind: (v) => DOC_KINDS.includes(v),
+    title: str, text: str, order: (v) => typeof v === "number" && Number.isFinite(v),
+    status: (v) => DOC_STATUSES.includes(v), createdAt: timestamp,
+    targetWords: optional(count), notes: optional(str),
+    lastWordCount: optional(count), lastWordDate: optional(day), updatedAt: optional(timestamp),
+  },
+};
+
+/**
+ * Strictly checks migrated data. Returns a list of human-readable problems,
+ * empty when the data is safe to import.
+ * @returns {string[]}
+ */
+export function validate(d){
+  const errors = [];
+  if (!isObj(d)) return ["File is not a dashboard export."];
+  for (const [c, rules] of Object.entries(RULES)) {
+    if (!Array.isArray(d[c])) { errors.push(`"${c}" must be a list.`); continue; }
+    const seen = new Set();
+    d[c].forEach((r, i) => {
+      const where = `${c}[${i}]`;
+      if (!isObj(r)) { errors.push(`${where} is not an object.`); return; }
+      for (const [field, ok] of Object.entries(rules)) {
+        if (!ok(r[field])) errors.push(`${where}${r.title ? ` (“${r.title}”)` : ""}: invalid or missing "${field}".`);
+      }
+      if (seen.has(r.id)) errors.push(`${where}: duplicate id "${r.id}".`);
+      seen.add(r.id);
+    });
+  }
+  if (!isObj(d.settings) || !count(d.settings.dailyGoal)) errors.push(`settings.dailyGoal must be a non-negative number.`);
+  return errors;
+}
+
+/**
+ * Parses an export file's text, upgrading older exports.
+ * @returns {{ data: object|null, errors: string[], fromVersion?: number }}
+ */
+export function parseImport(text){
+  let raw;
+  try { raw = JSON.parse(text); } catch { return { data: null, errors: ["File is not valid JSON."] }; }
+  if (!isObj(raw)) return { data: null, errors: ["File is not a dashboard export."] };
+  const fromVersion = versionOf(raw);
+  let data;
+  try { data = migrate(raw); } catch (err) { return { data: null, errors: [err.message], fromVersion }; }
+  const errors = validate(data);
+  return { data: errors.length ? null : data, errors, fromVersion };
+}
+
+/** The portable part of the store: no device-local sync bookkeeping. */
+export function toExport({ projects, sessions, ideas, documents, settings }){
+  return { schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), projects, sessions, ideas, documents, settings };
+}
+
+// ------------------------------
+// Import planning
+// ------------------------------
+
+/**
+ * Works out what an import will do. In "replace" mode the file becomes the
+ * whole dataset; in "merge" mode only records with new ids are added and
+ * everything already here is left alone.
+ * @param {{ projects: any[], sessions: any[], ideas: any[], documents: any[] }} current
+ * @param {{ projects: any[], sessions: any[], ideas: any[], documents: any[] }} incoming
+ * @param {'replace'|'merge'} mode
+ */
+export function planImport(current, incoming, mode){
+  const plan = { mode };
+  for (const c of Object.keys(RULES)) {
+    const here = new Map(current[c].map(r => [r.id, r]));
+    const there = new Set(incoming[c].map(r => r.id));
+    const added = incoming[c].filter(r => !here.has(r.id));
+    const overlapping = incoming[c].filter(r => here.has(r.id));
+    const differs = (r) => JSON.stringify(r) !== JSON.stringify(here.get(r.id));
+    plan[c] = mode === "merge"
+      ? { added, replaced: [], kept: overlapping, removed: [] }
+      : { added, replaced: overlapping.filter(differs), kept: overlapping.filter(r => !differs(r)), removed: current[c].filter(r => !there.has(r.id)) };
+  }
+  return plan;
+}
@@ -0,0 +1,84 @@
+// ------------------------------
+// Selectors
+// ------------------------------
+// Figures the dashboard shows, derived from store state (./store). They are
+// plain functions of the state and the current day, so they can be tested
+// without a clock and memoized by whoever calls them.
+
+import { countRules } from "./wordCount";
+import { goalMetric, sessionChange, wordsByDay } from "./sessions";
+import { goalConfig, goalProgress, streaks } from "./goals";
+import { projectPace } from "./pacing";
+import { rollup } from "./documents";
+import { addDays, dayStartHour, formatDay, localDay } from "./dates";
+
+/** @typedef {import("./store").StoreState} StoreState */
+
+function sum(arr, sel = (x) => x){ return arr.reduce((a, b) => a + sel(b), 0); }
+
+/** The user's current day, "YYYY-MM-DD", honouring a late day start. */
+export function selectToday(settings, date = new Date()){
+  return localDay(date, dayStartHour(settings));
+}
+
+/**
+ * Today's words, progress toward the goal plan, and both streaks, all under
+ * the goal metric chosen in settings.
+ * @returns {{ metric: string, goals: import("./goals").GoalConfig, byDay: Map<string, number>, todaysWords: number,
+ *   progress: ReturnType<typeof goalProgress>, progressPct: number, streak: import("./goals").Streaks }}
+ */
+export function selectGoalStats({ sessions, settings }, today){
+  const metric = goalMetric(settings);
+  const goals = goalConfig(settings);
+  const byDay = wordsByDay(sessions, metric);
+  const progress = goalProgress(byDay, today, goals);
+  const progressPct = progress.target ? Math.min(100, Math.max(0, Math.round((progress.words / progress.target) * 100))) : 0;
+  return { metric, goals, byDay, todaysWords: byDay.get(today) || 0, progress, progressPct, streak: streaks(byDay, today, goals) };
+}
+
+/** Words added and removed on each of the last `days` days, oldest first. */
+export function selectRecentDays(sessions, today, days = 14){
+  const byDay = new Map();
+  for (const s of sessions) {
+    const c = sessionChange(s);
+    const d = byDay.get(s.date) || { added: 0, removed: 0 };
+    byDay.set(s.date, { added: d.added + c.added, removed: d.removed + c.removed });
+  }
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(today, -i);
+    out.push({ day, date: formatDay(day), ...(byDay.get(day) || { added: 0, removed: 0 }) });
+  }
+  return out;
+}
+
+/** Lifetime words and minutes, and words per hour across them. */
+export function selectTotals(sessions){
+  const words = sum(sessions, s => s.words);
+  const minutes = sum(sessions, s => s.minutes);
+  return { words, minutes, wph: Math.round((words / (minutes || 1)) * 60) };
+}
+
+/**
+ * Each active project with its sessions, manuscript rollup, current size and
+ * pace. The size comes from the manuscript's documents once it has any, and
+ * from logged sessions before that.
+ */
+export function selectProjectStats({ projects, sessions, documents, settings }, today){
+  const rules = countRules(settings);
+  const rest = goalConfig(settings).rest;
+  return projects.filter(p => !p.archived).map(p => {
+    const own = sessions.filter(s => s.projectId === p.id);
+    const manuscript = rollup(documents, p.id, rules);
+    const current = manuscript.count ? manuscript.words : sum(own, s => s.words);
+    const pace = projectPace({ ...p, targetWords: p.targetWords || manuscript.target }, { current, sessions: own, today, rest });
+    return { p, sessions: own, manuscript, current, pace };
+  });
+}
+
+/** Sessions and ideas still pointing at projects that no longer exist. */
+export function selectOrphans({ projects, sessions, ideas }){
+  const ids = new Set(projects.map(p => p.id));
+  const lost = (r) => r.projectId && !ids.has(r.projectId);
+  return { sessions: sessions.filter(lost), ideas: ideas.filter(lost) };
+}
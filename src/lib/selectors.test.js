@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import { selectGoalStats, selectOrphans, selectProjectStats, selectRecentDays, selectToday, selectTotals } from "./selectors";
+
+const TODAY = "2024-05-15"; // a Wednesday
+const session = (date, words, more) => ({ id: `${date}-${words}`, date, words, added: words, minutes: 0, ...more });
+const state = (sessions, settings = { dailyGoal: 100 }) => ({ sessions, settings, projects: [], documents: [] });
+
+describe("selectToday", () => {
+  it("stays on the previous day until the day start hour", () => {
+    const lateNight = new Date(2024, 4, 15, 2, 30);
+    expect(selectToday({}, lateNight)).toBe("2024-05-15");
+    expect(selectToday({ dayStartHour: 4 }, lateNight)).toBe("2024-05-14");
+  });
+});
+
+describe("selectGoalStats", () => {
+  it("adds up today's words and progress toward the daily goal", () => {
+    const stats = selectGoalStats(state([session(TODAY, 30), session(TODAY, 45), session("2024-05-14", 500)]), TODAY);
+    expect(stats.todaysWords).toBe(75);
+    expect(stats.progress).toMatchObject({ words: 75, target: 100 });
+    expect(stats.progressPct).toBe(75);
+  });
+
+  it("caps progress at 100% and is 0% without a target", () => {
+    expect(selectGoalStats(state([session(TODAY, 250)]), TODAY).progressPct).toBe(100);
+    expect(selectGoalStats(state([session(TODAY, 250)], { dailyGoal: 0 }), TODAY).progressPct).toBe(0);
+  });
+
+  it("counts words under the chosen goal metric", () => {
+    const sessions = [session(TODAY, 80, { removed: 30 })];
+    expect(selectGoalStats(state(sessions, { dailyGoal: 100 }), TODAY).todaysWords).toBe(80);
+    expect(selectGoalStats(state(sessions, { dailyGoal: 100, goalMetric: "net" }), TODAY).todaysWords).toBe(50);
+    expect(selectGoalStats(state(sessions, { dailyGoal: 100, goalMetric: "edited" }), TODAY).todaysWords).toBe(110);
+  });
+
+  it("keeps the writing streak on days short of the goal", () => {
+    const sessions = [session("2024-05-12", 150), session("2024-05-13", 20), session("2024-05-14", 150)];
+    const { streak } = selectGoalStats(state(sessions), TODAY);
+    expect(streak).toMatchObject({ writing: 3, goal: 1, pending: true });
+  });
+
+  it("counts today once it meets the goal", () => {
+    const sessions = [session("2024-05-14", 150), session(TODAY, 100)];
+    expect(selectGoalStats(state(sessions), TODAY).streak).toMatchObject({ writing: 2, goal: 2, pending: false });
+  });
+
+  it("lets rest days pass without breaking the streaks", () => {
+    // 2024-05-12 is a Sunday.
+    const sessions = [session("2024-05-11", 150), session("2024-05-13", 150), session("2024-05-14", 150)];
+    expect(selectGoalStats(state(sessions), TODAY).streak.goal).toBe(2);
+    expect(selectGoalStats(state(sessions, { dailyGoal: 100, restDays: [0] }), TODAY).streak.goal).toBe(3);
+  });
+
+  it("ends both streaks after a day without words", () => {
+    const sessions = [session("2024-05-12", 150), session("2024-05-13", 150)];
+    expect(selectGoalStats(state(sessions), TODAY).streak).toMatchObject({ writing: 0, goal: 0 });
+  });
+});
+
+describe("selectRecentDays", () => {
+  it("lists the last days oldest first, with empty days filled in", () => {
+    const days = selectRecentDays([session(TODAY, 40, { removed: 5 }), session(TODAY, 10), session("2024-05-13", 7)], TODAY, 3);
+    expect(days.map(d => d.day)).toEqual(["2024-05-13", "2024-05-14", "2024-05-15"]);
+    expect(days.map(d => [d.added, d.removed])).toEqual([[7, 0], [0, 0], [50, 5]]);
+  });
+
+  it("treats sessions from before removals were tracked as all added", () => {
+    const [day] = selectRecentDays([{ date: TODAY, words: 60 }], TODAY, 1);
+    expect(day).toMatchObject({ added: 60, removed: 0 });
+  });
+});
+
+describe("selectTotals", () => {
+  it("sums words and minutes and works out words per hour", () => {
+    expect(selectTotals([session(TODAY, 500, { minutes: 30 }), session(TODAY, 250, { minutes: 15 })])).toEqual({ words: 750, minutes: 45, wph: 1000 });
+  });
+
+  it("doesn't divide by zero without timed sessions", () => {
+    expect(selectTotals([])).toEqual({ words: 0, minutes: 0, wph: 0 });
+  });
+});
+
+describe("selectProjectStats", () => {
+  const projects = [
+    { id: "a", title: "Novel", targetWords: 1000, deadline: "2024-05-24" },
+    { id: "b", title: "Stories", targetWords: 0 },
+    { id: "c", title: "Shelved", archived: true },
+  ];
+  const sessions = [session(TODAY, 200, { projectId: "a" }), session(TODAY, 30, { projectId: "b" }), session("2024-05-14", 20, { projectId: "b" })];
+
+  it("leaves out archived projects", () => {
+    const stats = selectProjectStats({ projects, sessions, documents: [], settings: {} }, TODAY);
+    expect(stats.map(s => s.p.id)).toEqual(["a", "b"]);
+  });
+
+  it("sizes a project from its sessions until it has a manuscript", () => {
+    const stats = selectProjectStats({ projects, sessions, documents: [], settings: {} }, TODAY);
+    expect(stats.map(s => s.current)).toEqual([200, 50]);
+    expect(stats[1].sessions).toHaveLength(2);
+  });
+
+  it("sizes a project from its manuscript once it has one", () => {
+    const documents = [
+      { id: "d1", projectId: "a", kind: "chapter", text: "one two three", status: "Drafting" },
+      { id: "d2", projectId: "a", kind: "chapter", text: "four five", status: "Todo" },
+    ];
+    const [a] = selectProjectStats({ projects, sessions, documents, settings: {} }, TODAY);
+    expect(a.current).toBe(5);
+    expect(a.manuscript).toMatchObject({ count: 2, words: 5 });
+  });
+
+  it("works out pace only with a target and a deadline", () => {
+    const [a, b] = selectProjectStats({ projects, sessions, documents: [], settings: {} }, TODAY);
+    expect(a.pace).not.toBeNull();
+    expect(b.pace).toBeNull();
+  });
+
+  it("falls back to the manuscript's target", () => {
+    const documents = [{ id: "d1", projectId: "b", kind: "chapter", text: "words", status: "Drafting", targetWords: 900 }];
+    const stats = selectProjectStats({ projects: [{ ...projects[1], deadline: "2024-06-01" }], sessions, documents, settings: {} }, TODAY);
+    expect(stats[0].pace).not.toBeNull();
+  });
+});
+
+describe("selectOrphans", () => {
+  it("finds sessions and ideas whose project is gone", () => {
+    const found = selectOrphans({
+      projects: [{ id: "a" }],
+      sessions: [{ id: "s1", projectId: "a" }, { id: "s2", projectId: "gone" }, { id: "s3" }],
+      ideas: [{ id: "i1", projectId: "gone" }, { id: "i2", projectId: null }],
+    });
+    expect(found.sessions.map(s => s.id)).toEqual(["s2"]);
+    expect(found.ideas.map(i => i.id)).toEqual(["i1"]);
+  });
+});
@@ -0,0 +1,113 @@
+// ------------------------------
+// Session metrics
+// ------------------------------
+// A session saved from the editor records the words it added and removed,
+// from a diff against the previous draft, so cutting 2,000 words and
+// rewriting 1,500 shows up as work rather than as nothing. `words` keeps the
+// words added, which is what older clients and sessions logged before this
+// read. Goals and streaks count one measure, chosen in `settings.goalMetric`.
+
+import { diffStats, diffText } from "./diff";
+
+/** @typedef {'written'|'net'|'edited'} GoalMetric */
+
+/** What each goal metric counts, in the order they're offered. */
+export const GOAL_METRICS = {
+  written: { label: "Words written", hint: "New words only; cuts don’t count against you." },
+  net: { label: "Net change", hint: "Words added minus words removed. A day of cutting can come out negative." },
+  edited: { label: "Words edited", hint: "Words added plus words removed; suits revision." },
+};
+
+/** @returns {GoalMetric} */
+export function goalMetric(settings){ return GOAL_METRICS[settings?.goalMetric] ? settings.goalMetric : "written"; }
+
+/**
+ * Words a session added and removed. Sessions from before removals were
+ * tracked count all their words as added.
+ * @returns {{ added: number, removed: number }}
+ */
+export function sessionChange(s){
+  return { added: Number(s.added ?? s.words) || 0, removed: Number(s.removed) || 0 };
+}
+
+/** A session's words under `metric`. */
+export function sessionWords(s, metric = "written"){
+  const { added, removed } = sessionChange(s);
+  return metric === "net" ? added - removed : metric === "edited" ? added + removed : added;
+}
+
+/** Words per day under `metric`, keyed by "YYYY-MM-DD". @returns {Map<string, number>} */
+export function wordsByDay(sessions, metric = "written"){
+  const byDay = new Map();
+  for (const s of sessions) byDay.set(s.date, (byDay.get(s.date) || 0) + sessionWords(s, metric));
+  return byDay;
+}
+
+/** Words written per hour of a timed session, or null. */
+export function sessionWph(s){ return s.minutes > 0 ? Math.round(sessionChange(s).added / s.minutes * 60) : null; }
+
+/**
+ * @typedef {{ projectId?: string, from?: string, to?: string, text?: string }} SessionFilter
+ *   `projectId` is "" for every session or "none" for those without a project;
+ *   `from` and `to` are inclusive days; `text` is searched for in notes.
+ * @typedef {'date'|'project'|'minutes'|'added'|'removed'|'wph'|'notes'} SessionSortKey
+ */
+
+/** @param {SessionFilter} filter */
+export function filterSessions(sessions, { projectId = "", from = "", to = "", text = "" } = {}){
+  const needle = text.trim().toLowerCase();
+  return sessions.filter(s =>
+    (!projectId || (projectId === "none" ? !s.projectId : s.projectId === projectId))
+    && (!from || s.date >= from)
+    && (!to || s.date <= to)
+    && (!needle || (s.notes || "").toLowerCase().includes(needle)));
+}
+
+const SORT_VALUES = {
+  date: (s) => s.date,
+  project: (s, title) => title(s.projectId).toLowerCase(),
+  minutes: (s) => Number(s.minutes) || 0,
+  added: (s) => sessionChange(s).added,
+  removed: (s) => sessionChange(s).removed,
+  wph: (s) => sessionWph(s) ?? -1,
+  notes: (s) => (s.notes || "").toLowerCase(),
+};
+
+// Same-day sessions fall back to the order they were logged in.
+function logged(s){ return s.loggedAt || s.updatedAt || ""; }
+
+/**
+ * A sorted copy of `sessions`; ties go newest first.
+ * @param {{ key: SessionSortKey, dir: 'asc'|'desc' }} sort
+ * @param {(projectId?: string) => string} [title] project name, for sorting by project
+ */
+export function sortSessions(sessions, { key = "date", dir = "desc" } = {}, title = () => ""){
+  const value = SORT_VALUES[key] || SORT_VALUES.date;
+  const sign = dir === "asc" ? 1 : -1;
+  const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return sessions.slice().sort((a, b) =>
+    sign * cmp(value(a, title), value(b, title))
+    || cmp(b.date, a.date)
+    || cmp(logged(b), logged(a)));
+}
+
+/** Minutes, words added and removed, and words per hour across `sessions`. */
+export function sessionTotals(sessions){
+  let minutes = 0, added = 0, removed = 0, timedMinutes = 0, timedWords = 0;
+  for (const s of sessions) {
+    const c = sessionChange(s);
+    minutes += Number(s.minutes) || 0;
+    added += c.added;
+    removed += c.removed;
+    if (s.minutes > 0) { timedMinutes += s.minutes; timedWords += c.added; }
+  }
+  return { minutes, added, removed, wph: timedMinutes ? Math.round(timedWords / timedMinutes * 60) : null };
+}
+
+/**
+ * Words added and removed going from `before` to `after`.
+ * @param {import("./wordCount").CountRules} [rules]
+ */
+export function wordsChanged(before, after, rules){
+  return diffStats(diffText(before || "", after || ""), rules);
+}
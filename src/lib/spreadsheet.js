@@ -0,0 +1,339 @@
+// ------------------------------
+// Spreadsheet import and export
+// ------------------------------
+// Sessions, projects and ideas as CSV, with ids swapped for names so the
+// files make sense in a spreadsheet. Session history can also come in from
+// another tracker's CSV export: its columns are mapped onto session fields,
+// dates are read in whichever order the file uses, and every row is checked
+// against the sessions already here. Importing is planned first and applied
+// only once the preview has been confirmed.
+
+import { toCsv, unguardFormula } from "./csv";
+import { sessionChange, sessionWph } from "./sessions";
+import { timeZone } from "./dates";
+
+/**
+ * @typedef {'date'|'project'|'minutes'|'added'|'removed'|'notes'|'timeZone'|'loggedAt'} ImportField
+ * @typedef {Record<ImportField, number>} ColumnMapping column index per field, -1 when unmapped
+ * @typedef {'ymd'|'mdy'|'dmy'} DateFormat
+ * @typedef {{ date: string, project: string, minutes: number, added: number, removed: number, notes: string, timeZone?: string, loggedAt?: string }} ImportedSession
+ * @typedef {{ line: number, status: 'new'|'duplicate'|'invalid', session: ImportedSession|null, problem?: string }} ImportRow
+ * @typedef {{ rows: ImportRow[], projects: string[], counts: { new: number, duplicate: number, invalid: number } }} CsvImportPlan
+ *   `projects` are titles with no project yet; they are created on import.
+ */
+
+// ------------------------------
+// Export
+// ------------------------------
+
+const SESSION_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "project", label: "Project" },
+  { key: "document", label: "Document" },
+  { key: "minutes", label: "Minutes" },
+  { key: "added", label: "Words added" },
+  { key: "removed", label: "Words removed" },
+  { key: "net", label: "Net words" },
+  { key: "wph", label: "Words per hour" },
+  { key: "notes", label: "Notes" },
+  { key: "timeZone", label: "Time zone" },
+  { key: "loggedAt", label: "Logged at" },
+  { key: "id", label: "ID" },
+];
+
+const PROJECT_COLUMNS = [
+  { key: "title", label: "Title" },
+  { key: "status", label: "Status" },
+  { key: "targetWords", label: "Target words" },
+  { key: "words", label: "Words logged" },
+  { key: "sessions", label: "Sessions" },
+  { key: "deadline", label: "Deadline" },
+  { key: "archived", label: "Archived" },
+  { key: "description", label: "Description" },
+  { key: "createdAt", label: "Created" },
+  { key: "id", label: "ID" },
+];
+
+const IDEA_COLUMNS = [
+  { key: "text", label: "Idea" },
+  { key: "tags", label: "Tags" },
+  { key: "project", label: "Project" },
+  { key: "pinned", label: "Pinned" },
+  { key: "createdAt", label: "Created" },
+  { key: "id", label: "ID" },
+];
+
+function titles(list){ return new Map(list.map(r => [r.id, r.title])); }
+
+/** Sessions oldest first, with project and document titles. */
+export function sessionsCsv(sessions, { projects = [], documents = [] } = {}){
+  const project = titles(projects);
+  const document = titles(documents);
+  const rows = sessions.slice().sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)).map(s => {
+    const { added, removed } = sessionChange(s);
+    return {
+      ...s,
+      project: project.get(s.projectId) || "",
+      document: document.get(s.documentId) || "",
+      added, removed, net: added - removed,
+      wph: sessionWph(s) ?? "",
+    };
+  });
+  return toCsv(rows, SESSION_COLUMNS);
+}
+
+/** Projects with the words and sessions logged against each. */
+export function projectsCsv(projects, sessions = []){
+  const logged = new Map();
+  for (const s of sessions) {
+    const t = logged.get(s.projectId) || { words: 0, sessions: 0 };
+    logged.set(s.projectId, { words: t.words + sessionChange(s).added, sessions: t.sessions + 1 });
+  }
+  const rows = projects.map(p => ({
+    ...p,
+    ...(logged.get(p.id) || { words: 0, sessions: 0 }),
+    archived: p.archived ? "yes" : "",
+  }));
+  return toCsv(rows, PROJECT_COLUMNS);
+}
+
+/** Ideas with their tags joined by "; ". */
+export function ideasCsv(ideas, projects = []){
+  const project = titles(projects);
+  const rows = ideas.map(i => ({
+    ...i,
+    tags: (i.tags || []).join("; "),
+    project: project.get(i.projectId) || "",
+    pinned: i.pinned ? "yes" : "",
+  }));
+  return toCsv(rows, IDEA_COLUMNS);
+}
+
+// ------------------------------
+// Import
+// ------------------------------
+
+/**
+ * Session fields a column can feed, with header names other trackers use for
+ * them (compared lowercased, punctuation ignored).
+ */
+export const IMPORT_FIELDS = {
+  date: { label: "Date", aliases: ["date", "day", "session date", "date written", "start", "start date", "start time", "started", "timestamp"] },
+  project: { label: "Project", aliases: ["project", "project name", "project title", "title", "book", "manuscript", "work", "novel"] },
+  minutes: { label: "Minutes", aliases: ["minutes", "mins", "duration", "duration minutes", "time", "time spent", "time written", "length", "session length"] },
+  added: { label: "Words written", aliases: ["words", "word count", "wordcount", "words written", "words added", "added", "new words", "written", "count", "progress"] },
+  removed: { label: "Words removed", aliases: ["removed", "words removed", "deleted", "words deleted", "cut", "words cut"] },
+  notes: { label: "Notes", aliases: ["notes", "note", "comment", "comments", "memo", "description", "summary"] },
+  timeZone: { label: "Time zone", aliases: ["time zone", "timezone", "tz", "zone"] },
+  loggedAt: { label: "Logged at", aliases: ["logged at", "logged", "end", "end time", "ended", "finished"] },
+};
+
+export const DATE_FORMATS = {
+  ymd: "Year-month-day (2024-03-31)",
+  mdy: "Month/day/year (03/31/2024)",
+  dmy: "Day/month/year (31/03/2024)",
+};
+
+function normalize(header){ return header.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim(); }
+
+/**
+ * Maps each field to the first column whose header names it, or -1. A
+ * column feeds at most one field.
+ * @param {string[]} headers
+ * @returns {ColumnMapping}
+ */
+export function guessMapping(headers){
+  const names = headers.map(normalize);
+  const used = new Set();
+  const mapping = {};
+  for (const [field, { aliases }] of Object.entries(IMPORT_FIELDS)) {
+    const i = aliases.map(a => names.findIndex((n, j) => n === a && !used.has(j))).find(j => j >= 0) ?? -1;
+    mapping[field] = i;
+    if (i >= 0) used.add(i);
+  }
+  return mapping;
+}
+
+const DATE_PARTS = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:$|[\sT])/;
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function dayKey(y, m, d){
+  if (y < 100) y += 2000;
+  if (y < 1900 || y > 2999 || m < 1 || m > 12 || d < 1) return null;
+  if (d > new Date(Date.UTC(y, m, 0)).getUTCDate()) return null;
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// "31 March 2024", "March 31, 2024" and "Mar 31 2024", which read the same
+// whatever the numeric format.
+function namedMonthDate(value){
+  const words = value.toLowerCase().replace(/,/g, " ").split(/\s+/).filter(Boolean);
+  const m = words.findIndex(w => MONTHS.includes(w.slice(0, 3)) && /^[a-z]+\.?$/.test(w));
+  if (m < 0) return null;
+  const nums = words.filter((w, i) => i !== m && /^\d{1,4}(st|nd|rd|th)?$/.test(w)).map(w => parseInt(w, 10));
+  const year = nums.find(n => n > 31);
+  const day = nums.find(n => n <= 31);
+  return year && day ? dayKey(year, MONTHS.indexOf(words[m].slice(0, 3)) + 1, day) : null;
+}
+
+/**
+ * A date cell as a "YYYY-MM-DD" key, or null. A time after the date is
+ * ignored, so timestamps keep the day they were written down with.
+ * @param {DateFormat} format
+ */
+export function parseDate(value, format = "ymd"){
+  const text = String(value || "").trim();
+  const m = text.match(DATE_PARTS);
+  if (!m) return namedMonthDate(text);
+  const [a, b, c] = [m[1], m[2], m[3]];
+  if (format === "ymd") return a.length === 4 ? dayKey(+a, +b, +c) : null;
+  if (a.length > 2 || (c.length !== 2 && c.length !== 4)) return null;
+  return format === "mdy" ? dayKey(+c, +a, +b) : dayKey(+c, +b, +a);
+}
+
+/**
+ * The format that reads the most of `values`. Ties (dates like 03/04/2024)
+ * go to `preferred`, then year-month-day.
+ * @param {string[]} values
+ * @param {DateFormat} [preferred]
+ * @returns {DateFormat}
+ */
+export function detectDateFormat(values, preferred = "ymd"){
+  const sample = values.filter(v => String(v || "").trim()).slice(0, 500);
+  const order = [...new Set([preferred, "ymd", "mdy", "dmy"])];
+  let best = order[0];
+  let most = -1;
+  for (const f of order) {
+    const n = sample.filter(v => parseDate(v, f)).length;
+    if (n > most) { best = f; most = n; }
+  }
+  return best;
+}
+
+/**
+ * Minutes from "45", "45.5", "1:30" (hours and minutes), "1:30:00",
+ * "1h 30m" or "90 min". Blank is 0; anything else unreadable is null.
+ */
+export function parseMinutes(value){
+  const text = String(value || "").trim().toLowerCase();
+  if (!text) return 0;
+  const clock = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+  if (clock) return Math.round(+clock[1] * 60 + +clock[2] + (+clock[3] || 0) / 60);
+  const num = text.replace(",", ".");
+  if (/^\d+(\.\d+)?$/.test(num)) return Math.round(parseFloat(num));
+  const units = [...num.matchAll(/(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|min|mins|minutes?|s|sec|secs|seconds?)(?![a-z])/g)];
+  if (!units.length || units.map(u => u[0]).join("").replace(/\s/g, "") !== num.replace(/\s/g, "")) return null;
+  return Math.round(units.reduce((n, [, v, unit]) => n + parseFloat(v) * (unit[0] === "h" ? 60 : unit[0] === "s" ? 1 / 60 : 1), 0));
+}
+
+/**
+ * A whole number of words, allowing thousands separators ("1,250",
+ * "1 250", "1'250"). Blank is 0; anything else unreadable is null.
+ */
+export function parseCount(value){
+  const text = String(value || "").trim().replace(/[\s,'’]/g, "");
+  if (!text) return 0;
+  return /^-?\d+(\.\d+)?$/.test(text) ? Math.round(parseFloat(text)) : null;
+}
+
+function cell(row, i){ return i >= 0 ? unguardFormula(String(row[i] ?? "")).trim() : ""; }
+
+function validTimeZone(tz){
+  if (!tz) return "";
+  try { return new Intl.DateTimeFormat("en", { timeZone: tz }).resolvedOptions().timeZone; } catch { return ""; }
+}
+
+function validTimestamp(value){
+  const d = value ? new Date(value) : null;
+  return d && !isNaN(d) ? d.toISOString() : "";
+}
+
+/** Reads one data row. @returns {{ session: ImportedSession|null, problem?: string }} */
+function readRow(row, mapping, dateFormat){
+  const raw = cell(row, mapping.date);
+  if (!raw) return { session: null, problem: "No date" };
+  const date = parseDate(raw, dateFormat);
+  if (!date) return { session: null, problem: `Can’t read the date “${raw}”` };
+  const minutes = parseMinutes(cell(row, mapping.minutes));
+  if (minutes === null) return { session: null, problem: `Can’t read the time “${cell(row, mapping.minutes)}”` };
+  let added = parseCount(cell(row, mapping.added));
+  let removed = parseCount(cell(row, mapping.removed));
+  if (added === null) return { session: null, problem: `Can’t read the word count “${cell(row, mapping.added)}”` };
+  if (removed === null) return { session: null, problem: `Can’t read the words removed “${cell(row, mapping.removed)}”` };
+  // Trackers that log net words record a day of cutting as a negative count.
+  if (added < 0) { removed += -added; added = 0; }
+  removed = Math.abs(removed);
+  if (!minutes && !added && !removed) return { session: null, problem: "No words or time" };
+  // Time zone and log time are extras: unreadable ones fall back to the defaults.
+  const tz = validTimeZone(cell(row, mapping.timeZone));
+  const loggedAt = validTimestamp(cell(row, mapping.loggedAt));
+  return { session: {
+    date, project: cell(row, mapping.project), minutes, added, removed, notes: cell(row, mapping.notes),
+    ...(tz ? { timeZone: tz } : {}), ...(loggedAt ? { loggedAt } : {}),
+  } };
+}
+
+function duplicateKey(date, project, minutes, added, removed){
+  return [date, project.trim().toLowerCase(), minutes, added, removed].join("|");
+}
+
+/**
+ * Works out what importing `table` would do without changing anything.
+ * Rows matching a session already logged (same day, project, minutes and
+ * words) or an earlier row of the file are duplicates.
+ * @param {string[][]} table parsed CSV
+ * @param {{ mapping: ColumnMapping, dateFormat: DateFormat, hasHeader: boolean }} options
+ * @param {{ sessions: any[], projects: any[] }} current
+ * @returns {CsvImportPlan}
+ */
+export function planCsvImport(table, { mapping, dateFormat, hasHeader }, { sessions, projects }){
+  const project = titles(projects);
+  const known = new Set(projects.map(p => p.title.trim().toLowerCase()));
+  const seen = new Set(sessions.map(s => {
+    const { added, removed } = sessionChange(s);
+    return duplicateKey(s.date, project.get(s.projectId) || "", Number(s.minutes) || 0, added, removed);
+  }));
+  const creating = new Map();
+  const counts = { new: 0, duplicate: 0, invalid: 0 };
+  const rows = table.slice(hasHeader ? 1 : 0).map((row, i) => {
+    const line = i + (hasHeader ? 2 : 1);
+    const { session, problem } = readRow(row, mapping, dateFormat);
+    let status = "new";
+    if (!session) status = "invalid";
+    else {
+      const key = duplicateKey(session.date, session.project, session.minutes, session.added, session.removed);
+      if (seen.has(key)) status = "duplicate";
+      seen.add(key);
+      const name = session.project.toLowerCase();
+      if (status === "new" && name && !known.has(name) && !creating.has(name)) creating.set(name, session.project);
+    }
+    counts[status]++;
+    return { line, status, session, ...(problem ? { problem } : {}) };
+  });
+  return { rows, projects: [...creating.values()], counts };
+}
+
+/**
+ * The records an import adds: projects for titles not seen before and a
+ * session for each new row (and each duplicate, with `includeDuplicates`).
+ * Sessions without a time zone or log time get this device's and now, as
+ * sessions logged here do.
+ * @param {CsvImportPlan} plan
+ * @param {any[]} projects existing projects
+ * @param {() => string} uid
+ */
+export function csvImportRecords(plan, projects, uid, { includeDuplicates = false } = {}){
+  const at = new Date().toISOString();
+  const byName = new Map(projects.map(p => [p.title.trim().toLowerCase(), p.id]));
+  const created = plan.projects.map(title => ({ id: uid(), title, targetWords: 0, status: "Drafting", createdAt: at }));
+  for (const p of created) byName.set(p.title.toLowerCase(), p.id);
+  const sessions = plan.rows
+    .filter(r => r.status === "new" || (includeDuplicates && r.status === "duplicate"))
+    .map(({ session: s }) => ({
+      id: uid(), date: s.date, timeZone: s.timeZone || timeZone(), loggedAt: s.loggedAt || at,
+      minutes: s.minutes, words: s.added, added: s.added, removed: s.removed,
+      ...(s.project ? { projectId: byName.get(s.project.toLowerCase()) } : {}),
+      ...(s.notes ? { notes: s.notes } : {}),
+    }));
+  return { projects: created, sessions };
+}
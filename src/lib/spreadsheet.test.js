@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv } from "./csv";
+import { csvImportRecords, guessMapping, ideasCsv, planCsvImport, projectsCsv, sessionsCsv } from "./spreadsheet";
+import { timeZone } from "./dates";
+
+let n = 0;
+const uid = () => `id${++n}`;
+
+function importCsv(text, current = { sessions: [], projects: [] }){
+  const table = parseCsv(text);
+  const plan = planCsvImport(table, { mapping: guessMapping(table[0]), dateFormat: "ymd", hasHeader: true }, current);
+  return csvImportRecords(plan, current.projects, uid);
+}
+
+describe("spreadsheet export", () => {
+  it("guards titles, notes and idea text that look like formulas", () => {
+    const projects = [{ id: "p1", title: "=cmd|' /C calc'!A0", targetWords: 0, status: "Drafting" }];
+    const sessions = [{ id: "s1", projectId: "p1", date: "2024-05-15", minutes: 10, words: 5, notes: "+1 scene" }];
+    expect(sessionsCsv(sessions, { projects })).toContain(",'+1 scene,");
+    expect(projectsCsv(projects, sessions)).toContain("'=cmd|");
+    expect(ideasCsv([{ id: "i1", text: "@everyone", tags: [] }])).toContain("'@everyone");
+  });
+});
+
+describe("session import", () => {
+  const session = {
+    id: "s1", projectId: "p1", date: "2024-05-15", minutes: 25, words: 300, added: 300, removed: 20,
+    notes: "-fixed the ending", timeZone: "Europe/Lisbon", loggedAt: "2024-05-15T21:30:00.000Z",
+  };
+  const projects = [{ id: "p1", title: "The Lighthouse" }];
+
+  it("round-trips an export, time zone and log time included", () => {
+    const { sessions } = importCsv(sessionsCsv([session], { projects }), { sessions: [], projects });
+    expect(sessions).toEqual([expect.objectContaining({
+      projectId: "p1", date: "2024-05-15", minutes: 25, words: 300, added: 300, removed: 20,
+      notes: "-fixed the ending", timeZone: "Europe/Lisbon", loggedAt: "2024-05-15T21:30:00.000Z",
+    })]);
+  });
+
+  it("gives sessions without them this device's time zone and the import time", () => {
+    const before = new Date().toISOString();
+    const { sessions } = importCsv("Date,Words,Time zone,Logged at\r\n2024-05-15,100,Not/AZone,yesterday-ish\r\n");
+    expect(sessions[0].timeZone).toBe(timeZone());
+    expect(sessions[0].loggedAt >= before).toBe(true);
+    expect(sessions[0]).toMatchObject({ date: "2024-05-15", words: 100 });
+  });
+
+  it("creates projects for titles it hasn't seen", () => {
+    const { projects: created, sessions } = importCsv("Date,Project,Words\r\n2024-05-15,New Book,100\r\n");
+    expect(created).toEqual([expect.objectContaining({ title: "New Book" })]);
+    expect(sessions[0].projectId).toBe(created[0].id);
+  });
+});
@@ -0,0 +1,293 @@
+// ------------------------------
+// Storage adapters
+// ------------------------------
+// Where the dashboard keeps its data in the browser. Every adapter has the
+// same shape:
+//
+//   load()             → Promise<store>   (migrated, see ./schema)
+//   save(store)        → Promise<void>    (rejects on quota or I/O errors)
+//   baseStore(userId)  → { loadBase, saveBase } for the sync engine
+//   revisions          → { list, add, remove, removeForDocument, removeForProject } draft history
+//
+// The IndexedDB adapter keeps each record in its own row and document text
+// apart from document metadata, and only writes what changed since the last save.
+// localStorage is the fallback when IndexedDB isn't available.
+
+import { COLLECTIONS, localBaseStore } from "./sync";
+import { SCHEMA_VERSION, fromStored, readStore } from "./schema";
+
+export const LEGACY_STORE_KEY = "writers_dashboard_v1";
+const DB_NAME = "writers_dashboard";
+const DB_VERSION = 3;
+const REVISIONS_KEY = "writers_dashboard_revisions_v1";
+const META_FIELDS = ["settings", "tombstones", "conflicts"];
+
+/** True for the various ways browsers report a full disk or storage quota. */
+export function isQuotaError(err){
+  return err?.name === "QuotaExceededError" || err?.name === "NS_ERROR_DOM_QUOTA_REACHED" || err?.code === 22;
+}
+
+function request(r){
+  return new Promise((resolve, reject) => { r.onsuccess = () => resolve(r.result); r.onerror = () => reject(r.error); });
+}
+function transactionDone(tx){
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException("Transaction aborted", "AbortError"));
+  });
+}
+
+function openDB(name){
+  return new Promise((resolve, reject) => {
+    const r = indexedDB.open(name, DB_VERSION);
+    r.onupgradeneeded = () => {
+      const db = r.result;
+      for (const s of [...COLLECTIONS, "drafts"]) {
+        if (!db.objectStoreNames.contains(s)) db.createObjectStore(s, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains("kv")) db.createObjectStore("kv");
+      const revisions = db.objectStoreNames.contains("revisions")
+        ? r.transaction.objectStore("revisions")
+        : db.createObjectStore("revisions", { keyPath: "id" });
+      if (!revisions.indexNames.contains("projectId")) revisions.createIndex("projectId", "projectId");
+      if (!revisions.indexNames.contains("documentId")) {
+        revisions.createIndex("documentId", "documentId");
+        // Single-draft history belongs to the document that draft became (same id).
+        revisions.openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          if (!cursor.value.documentId) cursor.update({ ...cursor.value, documentId: cursor.value.projectId });
+          cursor.continue();
+        };
+      }
+    };
+    r.onsuccess = () => {
+      // Let a newer version of the app in another tab upgrade the database.
+      r.result.onversionchange = () => r.result.close();
+      resolve(r.result);
+    };
+    r.onerror = () => reject(r.error);
+    r.onblocked = () => reject(new Error("Storage is open in an older tab; close it and reload."));
+  });
+}
+
+function withoutText(d){
+  if (!("text" in d)) return d;
+  const { text: _text, ...rest } = d;
+  return rest;
+}
+const textKey = (id) => `doc:${id}`;
+
+/**
+ * IndexedDB adapter. On first load it moves the legacy `writers_dashboard_v1`
+ * localStorage blob into the database and removes it.
+ */
+export function createIndexedDBStorage({ name = DB_NAME, legacy = globalThis.localStorage } = {}){
+  let dbPromise = null;
+  let last = null;  // the store as of the last successful write
+  let queue = Promise.resolve();
+
+  function db(){ return (dbPromise ||= openDB(name)); }
+
+  // Writes the difference between `prev` and `next` in one transaction. With
+  // no `prev` everything is rewritten from scratch.
+  async function write(prev, next){
+    const conn = await db();
+    const tx = conn.transaction([...COLLECTIONS, "drafts", "kv"], "readwrite");
+    if (!prev) for (const s of [...COLLECTIONS, "drafts"]) tx.objectStore(s).clear();
+    for (const c of COLLECTIONS) {
+      if (prev && prev[c] === next[c]) continue;
+      const store = tx.objectStore(c);
+      const before = new Map((prev?.[c] || []).map(r => [r.id, r]));
+      for (const r of next[c]) {
+        const old = before.get(r.id);
+        before.delete(r.id);
+        if (old === r) continue;
+        store.put(c === "documents" ? withoutText(r) : r);
+        if (c === "documents" && (!old || old.text !== r.text)) {
+          tx.objectStore("drafts").put({ id: textKey(r.id), text: r.text ?? "" });
+        }
+      }
+      for (const id of before.keys()) {
+        store.delete(id);
+        if (c === "documents") tx.objectStore("drafts").delete(textKey(id));
+      }
+    }
+    if (!prev || META_FIELDS.some(f => prev[f] !== next[f])) {
+      const meta = { schemaVersion: SCHEMA_VERSION };
+      for (const f of META_FIELDS) meta[f] = next[f];
+      tx.objectStore("kv").put(meta, "meta");
+    }
+    await transactionDone(tx);
+  }
+
+  async function kvGet(key){
+    const conn = await db();
+    return request(conn.transaction("kv").objectStore("kv").get(key));
+  }
+  async function kvSet(key, value){
+    const conn = await db();
+    const tx = conn.transaction("kv", "readwrite");
+    tx.objectStore("kv").put(value, key);
+    await transactionDone(tx);
+  }
+  async function editRevisions(fn){
+    const conn = await db();
+    const tx = conn.transaction("revisions", "readwrite");
+    fn(tx.objectStore("revisions"));
+    await transactionDone(tx);
+  }
+
+  return {
+    kind: "indexeddb",
+
+    async load(){
+      const conn = await db();
+      const tx = conn.transaction([...COLLECTIONS, "drafts", "kv"]);
+      const [projects, sessions, ideas, documents, drafts, meta] = await Promise.all([
+        ...COLLECTIONS.map(c => request(tx.objectStore(c).getAll())),
+        request(tx.objectStore("drafts").getAll()),
+        request(tx.objectStore("kv").get("meta")),
+      ]);
+
+      if (!meta) {
+        const data = readStore(legacy?.getItem(LEGACY_STORE_KEY));
+        await write(null, data);
+        legacy?.removeItem(LEGACY_STORE_KEY);
+        last = data;
+        return data;
+      }
+
+      const text = new Map(drafts.map(d => [d.id, d.text]));
+      const data = fromStored({
+        ...meta,
+        // Before schema 3, drafts were keyed by project id and joined onto projects.
+        projects: projects.map(p => (text.has(p.id) ? { ...p, draft: text.get(p.id) } : p)),
+        sessions,
+        ideas,
+        documents: documents.map(d => ({ ...d, text: text.get(textKey(d.id)) ?? "" })),
+      });
+      if ((meta.schemaVersion ?? 1) < SCHEMA_VERSION) await write(null, data);
+      last = data;
+      return data;
+    },
+
+    save(next){
+      queue = queue.catch(() => {}).then(async () => {
+        await write(last, next);
+        last = next;
+      });
+      return queue;
+    },
+
+    baseStore(userId){
+      const key = `base:${userId}`;
+      const legacyBase = localBaseStore(userId, legacy);
+      return {
+        async loadBase(){
+          const base = await kvGet(key);
+          if (base !== undefined) return base;
+          // Carry over a base saved by the localStorage-era sync.
+          const old = legacyBase.loadBase();
+          if (old) await kvSet(key, old);
+          legacy?.removeItem(`writers_dashboard_sync_base_v1:${userId}`);
+          return old;
+        },
+        saveBase: (s) => kvSet(key, s),
+      };
+    },
+
+    revisions: {
+      async list(documentId){
+        const conn = await db();
+        const all = await request(conn.transaction("revisions").objectStore("revisions").index("documentId").getAll(documentId));
+        return newestFirst(all);
+      },
+      add: (rev) => editRevisions(store => store.put(rev)),
+      remove: (ids) => editRevisions(store => ids.forEach(id => store.delete(id))),
+      async removeForDocument(documentId){
+        const ids = (await this.list(documentId)).map(r => r.id);
+        if (ids.length) await this.remove(ids);
+      },
+      async removeForProject(projectId){
+        const conn = await db();
+        const ids = await request(conn.transaction("revisions").objectStore("revisions").index("projectId").getAllKeys(projectId));
+        if (ids.length) await this.remove(ids);
+      },
+    },
+  };
+}
+
+function newestFirst(revs){ return revs.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1)); }
+
+/** Whole-blob localStorage adapter; limited to a few MB by the browser. */
+export function createLocalStorageStorage({ storage = globalThis.localStorage, key = LEGACY_STORE_KEY } = {}){
+  return {
+    kind: "localstorage",
+    async load(){ return readStore(storage.getItem(key)); },
+    async save(next){
+      const { projects, sessions, ideas, documents, settings, tombstones, conflicts } = next;
+      storage.setItem(key, JSON.stringify({ schemaVersion: SCHEMA_VERSION, projects, sessions, ideas, documents, settings, tombstones, conflicts }));
+    },
+    baseStore(userId){ return localBaseStore(userId, storage); },
+    revisions: localStorageRevisions(storage),
+  };
+}
+
+function localStorageRevisions(storage){
+  const read = () => { try { return JSON.parse(storage.getItem(REVISIONS_KEY) || "[]"); } catch { return []; } };
+  const write = (all) => storage.setItem(REVISIONS_KEY, JSON.stringify(all));
+  return {
+    async list(documentId){ return newestFirst(read().filter(r => (r.documentId ?? r.projectId) === documentId)); },
+    async add(rev){ write([...read(), rev]); },
+    async remove(ids){ const drop = new Set(ids); write(read().filter(r => !drop.has(r.id))); },
+    async removeForDocument(documentId){ write(read().filter(r => (r.documentId ?? r.projectId) !== documentId)); },
+    async removeForProject(projectId){ write(read().filter(r => r.projectId !== projectId)); },
+  };
+}
+
+/**
+ * IndexedDB when the browser allows it (some private modes don't), otherwise
+ * localStorage. The choice is made by the first `load()`, which later calls
+ * share.
+ */
+export function createStorage(){
+  let impl = null;
+  let ready = null;
+  function init(){
+    return (ready ||= (async () => {
+      if (typeof indexedDB !== "undefined") {
+        const idb = createIndexedDBStorage();
+        try {
+          const data = await idb.load();
+          impl = idb;
+          return data;
+        } catch (err) {
+          console.error("IndexedDB unavailable, falling back to localStorage:", err);
+        }
+      }
+      impl = createLocalStorageStorage();
+      return impl.load();
+    })());
+  }
+  return {
+    get kind(){ return impl?.kind; },
+    load: init,
+    save(next){ return impl ? impl.save(next) : Promise.reject(new Error("Storage used before load()")); },
+    baseStore(userId){
+      // Resolved lazily so the sync engine can be created before load() settles.
+      return {
+        async loadBase(){ await init(); return impl.baseStore(userId).loadBase(); },
+        async saveBase(s){ await init(); return impl.baseStore(userId).saveBase(s); },
+      };
+    },
+    revisions: {
+      async list(documentId){ await init(); return impl.revisions.list(documentId); },
+      async add(rev){ await init(); return impl.revisions.add(rev); },
+      async remove(ids){ await init(); return impl.revisions.remove(ids); },
+      async removeForDocument(documentId){ await init(); return impl.revisions.removeForDocument(documentId); },
+      async removeForProject(projectId){ await init(); return impl.revisions.removeForProject(projectId); },
+    },
+  };
+}
@@ -0,0 +1,337 @@
+// ------------------------------
+// App store
+// ------------------------------
+// The dashboard's records and settings, and every change made to them,
+// without React. State is an immutable snapshot; each action replaces the
+// parts it touches and notifies subscribers, which is what the React hooks
+// (@/hooks/useStore) and the persistence adapters (./persistence) listen to.
+// Actions that delete hand back an `undo`. Side effects the store doesn't
+// own — toasts, revision history on disk — are left to the caller.
+
+import { COLLECTIONS, addConflicts, addTombstone, dropTombstones, mergeTombstones, normalizeSnapshot, nowISO, rebaseCollection, stamp } from "./sync";
+import { moveDocument as planMove, nextOrder, subtreeIds } from "./documents";
+import { wordsChanged } from "./sessions";
+import { countWords } from "./wordCount";
+import { backfillSessions } from "./manuscriptImport";
+import { csvImportRecords } from "./spreadsheet";
+import { ideaTitle } from "./ideas";
+import { timeZone } from "./dates";
+
+/**
+ * @typedef {{ projects: any[], sessions: any[], ideas: any[], documents: any[], settings: object,
+ *   tombstones: import("./sync").Tombstones, conflicts: import("./sync").Conflict[] }} StoreState
+ * @typedef {{ undo: () => void }} Undoable
+ * @typedef {'delete'|'detach'|'reassign'} DependentsMode
+ *   What deleting a project does to its sessions and ideas.
+ */
+
+function uid(){ return Math.random().toString(36).slice(2); }
+
+/**
+ * What saving a draft changes: the document's text and word-count baseline,
+ * and the session to log for the words added and removed since the last save
+ * (null when nothing changed and no focus time passed). Words are diffed
+ * against the saved text rather than `lastWordCount`, so changing the
+ * counting rules never shows up as words written.
+ * @param {{ rules?: object, today: string, minutes?: number }} options
+ * @returns {{ patch: object, session: object|null }}
+ */
+export function draftSave(doc, text, { rules, today, minutes = 0 }){
+  const { added, removed } = wordsChanged(doc.text || "", text, rules);
+  const patch = { text, textSavedAt: nowISO(), lastWordCount: countWords(text, rules), lastWordDate: today, ...(doc.status === "Todo" ? { status: "Drafting" } : {}) };
+  const session = added > 0 || removed > 0 || minutes > 0
+    ? { projectId: doc.projectId, documentId: doc.id, date: today, minutes, words: added, added, removed }
+    : null;
+  return { patch, session };
+}
+
+/**
+ * @param {Partial<StoreState>} initial what the storage adapter loaded
+ * @param {{ id?: () => string }} [options] `id` makes record ids, for tests
+ */
+export function createStore(initial, { id = uid } = {}){
+  let state = /** @type {StoreState} */ ({ ...normalizeSnapshot(initial), conflicts: initial?.conflicts || [] });
+  const listeners = new Set();
+  let batching = 0;
+  let changed = false;
+
+  function emit(){ for (const fn of [...listeners]) fn(state); }
+  function set(update){
+    state = { ...state, ...update(state) };
+    if (batching) changed = true;
+    else emit();
+  }
+  // Several writes, one notification.
+  function batch(fn){
+    batching++;
+    try { return fn(); } finally {
+      batching--;
+      if (!batching && changed) { changed = false; emit(); }
+    }
+  }
+
+  const find = (c, rid) => state[c].find(r => r.id === rid);
+  const add = (c, records, { front = false } = {}) => {
+    const fresh = records.map(r => stamp(r));
+    set(s => ({ [c]: front ? [...fresh, ...s[c]] : [...s[c], ...fresh] }));
+    return fresh;
+  };
+  const patchRecords = (c, ids, patch) => {
+    if (!ids.length) return;
+    const chosen = new Set(ids);
+    set(s => ({ [c]: s[c].map(r => (chosen.has(r.id) ? stamp({ ...r, ...(typeof patch === "function" ? patch(r) : patch) }) : r)) }));
+  };
+  const remove = (c, ids) => {
+    if (!ids.length) return;
+    const gone = new Set(ids);
+    set(s => ({ [c]: s[c].filter(r => !gone.has(r.id)), tombstones: ids.reduce((t, rid) => addTombstone(t, c, rid), s.tombstones) }));
+  };
+  // Puts records back as they were. The fresh stamp outlives any tombstone
+  // another device has already seen, so the restore syncs too.
+  const restore = (c, records) => {
+    if (!records.length) return;
+    const byId = new Map(records.map(r => [r.id, stamp(r)]));
+    set(s => ({ [c]: [...s[c].filter(r => !byId.has(r.id)), ...byId.values()], tombstones: dropTombstones(s.tombstones, c, [...byId.keys()]) }));
+  };
+  // Points sessions or ideas at another project, or at none. Sessions lose
+  // their document, which belonged to the old project.
+  const relink = (c, ids, projectId) => patchRecords(c, ids, c === "sessions" ? { projectId, documentId: null } : { projectId });
+
+  const actions = {
+    updateSettings(patch){ set(s => ({ settings: stamp({ ...s.settings, ...patch }) })); },
+
+    // --- projects ---
+    /** @returns {string} the new project's id */
+    addProject(fields){
+      const pid = id();
+      add("projects", [{ ...fields, id: pid, createdAt: nowISO(), status: "Drafting" }]);
+      return pid;
+    },
+    /** Adds a project titled from the first line of `text`; returns its id. */
+    addProjectFromText(text, extra){
+      const pid = id();
+      add("projects", [{ id: pid, title: ideaTitle(text), description: text, targetWords: 0, status: "Drafting", createdAt: nowISO(), ...extra }]);
+      return pid;
+    },
+    updateProject(pid, patch){ patchRecords("projects", [pid], patch); },
+    /** @returns {Undoable} */
+    archiveProject(pid){
+      patchRecords("projects", [pid], { archived: true, archivedAt: nowISO() });
+      return { undo: () => actions.restoreProject(pid) };
+    },
+    restoreProject(pid){ patchRecords("projects", [pid], { archived: false, archivedAt: null }); },
+    /**
+     * Deletes a project and its manuscript. Its sessions and ideas go too,
+     * lose their project, or move to `targetId`, depending on `mode`.
+     * @param {DependentsMode} mode
+     * @returns {(Undoable & { project: object })|null}
+     */
+    removeProject(pid, mode = "detach", targetId = null){
+      const project = find("projects", pid);
+      if (!project) return null;
+      const docs = state.documents.filter(d => d.projectId === pid);
+      const own = { sessions: state.sessions.filter(s => s.projectId === pid), ideas: state.ideas.filter(i => i.projectId === pid) };
+      batch(() => {
+        remove("projects", [pid]);
+        remove("documents", docs.map(d => d.id));
+        for (const c of ["sessions", "ideas"]) {
+          if (mode === "delete") remove(c, own[c].map(r => r.id));
+          else relink(c, own[c].map(r => r.id), mode === "reassign" ? targetId : null);
+        }
+      });
+      return {
+        project,
+        undo: () => batch(() => {
+          restore("projects", [project]);
+          restore("documents", docs);
+          restore("sessions", own.sessions);
+          restore("ideas", own.ideas);
+        }),
+      };
+    },
+    /**
+     * Points the sessions and ideas of projects that no longer exist at
+     * `targetId`, or at no project.
+     * @returns {Undoable & { sessions: number, ideas: number }}
+     */
+    relinkOrphans(targetId){
+      const ids = new Set(state.projects.map(p => p.id));
+      const lost = (r) => r.projectId && !ids.has(r.projectId);
+      const orphaned = { sessions: state.sessions.filter(lost), ideas: state.ideas.filter(lost) };
+      batch(() => {
+        relink("sessions", orphaned.sessions.map(r => r.id), targetId);
+        relink("ideas", orphaned.ideas.map(r => r.id), targetId);
+      });
+      return {
+        sessions: orphaned.sessions.length,
+        ideas: orphaned.ideas.length,
+        undo: () => batch(() => { restore("sessions", orphaned.sessions); restore("ideas", orphaned.ideas); }),
+      };
+    },
+
+    // --- documents ---
+    /** Adds a document at the end of `parentId`'s children and returns its id. */
+    addDocument({ projectId, kind, parentId = null, title }){
+      const did = id();
+      const n = state.documents.filter(d => d.projectId === projectId && d.kind === kind).length + 1;
+      const kindName = { part: "Part", chapter: "Chapter", scene: "Scene" }[kind];
+      add("documents", [{
+        id: did, projectId, parentId, kind, title: title || `${kindName} ${n}`, text: "", status: "Todo",
+        order: nextOrder(state.documents, projectId, parentId), createdAt: nowISO(),
+      }]);
+      return did;
+    },
+    updateDocument(did, patch){ patchRecords("documents", [did], patch); },
+    /** Deletes a document with everything under it. @returns {Undoable & { ids: string[] }} */
+    removeDocument(did){
+      const ids = subtreeIds(state.documents, did);
+      const removed = state.documents.filter(d => ids.includes(d.id));
+      remove("documents", ids);
+      return { ids, undo: () => restore("documents", removed) };
+    },
+    moveDocument(did, targetId, position){
+      const patches = new Map(planMove(state.documents, did, targetId, position).map(p => [p.id, p]));
+      if (patches.size) patchRecords("documents", [...patches.keys()], (d) => patches.get(d.id));
+    },
+    /**
+     * Adds imported parts and chapters at the end of a project's tree. Their
+     * words become the `lastWordCount` baseline, so they're never counted as
+     * a session; `backfill` logs past sessions from the files' dates instead.
+     * @returns {{ documents: object[], sessions: object[] }} what was added
+     */
+    importManuscript(projectId, plan, { backfill = false, rules, today, dayStart = 0 }){
+      const at = nowISO();
+      const created = [];
+      const addNode = (node, parentId, order) => {
+        const did = id();
+        created.push({
+          id: did, projectId, parentId, kind: node.kind, title: node.title, text: node.text, status: "Drafting",
+          order, createdAt: at, textSavedAt: at, lastWordCount: countWords(node.text, rules), lastWordDate: today,
+        });
+        node.children.forEach((c, i) => addNode(c, did, i));
+      };
+      const start = nextOrder(state.documents, projectId, null);
+      plan.documents.forEach((n, i) => addNode(n, null, start + i));
+      const past = backfill ? backfillSessions(plan, today, dayStart) : [];
+      return batch(() => ({
+        documents: add("documents", created),
+        sessions: add("sessions", past.map(s => ({ ...s, id: id(), projectId, minutes: 0, timeZone: timeZone() }))),
+      }));
+    },
+    /**
+     * Saves a draft and logs the words written since the last save, plus
+     * `minutes` of focus time (see `draftSave`).
+     * @returns {object|null} the session logged, if any
+     */
+    saveDraft(did, text, { rules, today, minutes = 0 }){
+      const doc = find("documents", did);
+      if (!doc) return null;
+      const { patch, session } = draftSave(doc, text, { rules, today, minutes });
+      return batch(() => {
+        patchRecords("documents", [did], patch);
+        return session ? actions.logSession(session) : null;
+      });
+    },
+
+    // --- sessions ---
+    /** @returns {object} the logged session */
+    logSession(fields){
+      return add("sessions", [{ timeZone: timeZone(), loggedAt: nowISO(), ...fields, id: id() }])[0];
+    },
+    updateSessions(ids, patch){ patchRecords("sessions", ids, patch); },
+    /** @returns {Undoable & { count: number }} */
+    deleteSessions(ids){
+      const chosen = new Set(ids);
+      const removed = state.sessions.filter(s => chosen.has(s.id));
+      remove("sessions", removed.map(s => s.id));
+      return { count: removed.length, undo: () => restore("sessions", removed) };
+    },
+    /** Adds what a planned CSV import creates. @returns {{ projects: object[], sessions: object[] }} */
+    importCsv(plan, options){
+      const added = csvImportRecords(plan, state.projects, id, options);
+      return batch(() => ({ projects: add("projects", added.projects), sessions: add("sessions", added.sessions) }));
+    },
+
+    // --- ideas ---
+    /** @returns {string} the new idea's id */
+    addIdea(fields){
+      const iid = id();
+      add("ideas", [{ ...fields, id: iid, createdAt: nowISO() }], { front: true });
+      return iid;
+    },
+    updateIdea(iid, patch){ patchRecords("ideas", [iid], patch); },
+    /** @param {{ id: string }[]} patches one patch per idea */
+    updateIdeas(patches){
+      const byId = new Map(patches.map(p => [p.id, p]));
+      patchRecords("ideas", [...byId.keys()], (i) => byId.get(i.id));
+    },
+    /** @returns {Undoable|null} */
+    deleteIdea(iid){
+      const idea = find("ideas", iid);
+      if (!idea) return null;
+      remove("ideas", [iid]);
+      return { undo: () => restore("ideas", [idea]) };
+    },
+    /** Starts a project from an idea, which stays linked to it. @returns {string|null} the project's id */
+    promoteIdea(iid){
+      const idea = find("ideas", iid);
+      if (!idea) return null;
+      return batch(() => {
+        const pid = actions.addProjectFromText(idea.text, { ideaId: iid });
+        patchRecords("ideas", [iid], { projectId: pid });
+        return pid;
+      });
+    },
+
+    // --- import and sync ---
+    /**
+     * Applies a JSON import planned by `planImport` (./schema). Records a
+     * replace drops count as deleted, so other devices drop them too.
+     */
+    applyImport(plan, data){
+      const at = nowISO();
+      batch(() => {
+        for (const c of COLLECTIONS) {
+          const { added, replaced, removed } = plan[c];
+          const incoming = new Map([...added, ...replaced].map(r => [r.id, stamp(r)]));
+          const gone = new Set(removed.map(r => r.id));
+          set(s => ({
+            [c]: [...s[c].filter(r => !gone.has(r.id)).map(r => incoming.get(r.id) || r), ...added.map(r => incoming.get(r.id))],
+            tombstones: removed.reduce((t, r) => addTombstone(t, c, r.id, at), s.tombstones),
+          }));
+        }
+        if (plan.mode === "replace") set(() => ({ settings: stamp(data.settings) }));
+      });
+    },
+    /** Settles a sync conflict, keeping this device's value unless `useRemote`. */
+    resolveConflict(conflict, useRemote){
+      batch(() => {
+        if (useRemote && COLLECTIONS.includes(conflict.collection)) {
+          patchRecords(conflict.collection, [conflict.recordId], { [conflict.field]: conflict.remote });
+        }
+        set(s => ({ conflicts: s.conflicts.filter(x => x.id !== conflict.id) }));
+      });
+    },
+    addConflicts(found){ if (found.length) set(s => ({ conflicts: addConflicts(s.conflicts, found) })); },
+    /**
+     * Folds a sync result into the state. `sent` is the state the sync
+     * started from; anything edited since then is kept (see `rebaseCollection`).
+     */
+    applySync(sent, merged, found = []){
+      set(s => ({
+        ...Object.fromEntries(COLLECTIONS.map(c => [c, rebaseCollection(s[c], sent[c], merged[c])])),
+        settings: s.settings === sent.settings ? merged.settings : s.settings,
+        tombstones: s.tombstones === sent.tombstones ? merged.tombstones : mergeTombstones(s.tombstones, merged.tombstones),
+        conflicts: addConflicts(s.conflicts, found),
+      }));
+    },
+  };
+
+  return {
+    /** @returns {StoreState} */
+    getState(){ return state; },
+    /** @param {(state: StoreState) => void} fn @returns {() => void} unsubscribe */
+    subscribe(fn){ listeners.add(fn); return () => { listeners.delete(fn); }; },
+    actions,
+  };
+}
@@ -0,0 +1,306 @@
+import { describe, expect, it, vi } from "vitest";
+import { createStore, draftSave } from "./store";
+import { planImport } from "./schema";
+
+const TODAY = "2024-05-15";
+
+function setup(initial = {}){
+  let n = 0;
+  return createStore(initial, { id: () => `id${++n}` });
+}
+
+const project = (id, more) => ({ id, title: `Project ${id}`, targetWords: 0, status: "Drafting", ...more });
+
+describe("draftSave", () => {
+  const doc = { id: "d1", projectId: "p1", text: "one two three", status: "Drafting" };
+
+  it("logs the words added and removed since the last save", () => {
+    const { patch, session } = draftSave(doc, "one two four five", { today: TODAY });
+    expect(patch).toMatchObject({ text: "one two four five", lastWordCount: 4, lastWordDate: TODAY });
+    expect(session).toMatchObject({ projectId: "p1", documentId: "d1", date: TODAY, words: 2, added: 2, removed: 1, minutes: 0 });
+  });
+
+  it("counts cuts as removed words, not negative words written", () => {
+    const { session } = draftSave(doc, "one", { today: TODAY });
+    expect(session).toMatchObject({ words: 0, added: 0, removed: 2 });
+  });
+
+  it("logs nothing when the text and time are unchanged", () => {
+    expect(draftSave(doc, doc.text, { today: TODAY }).session).toBeNull();
+  });
+
+  it("logs focus time on its own", () => {
+    expect(draftSave(doc, doc.text, { today: TODAY, minutes: 25 }).session).toMatchObject({ words: 0, minutes: 25 });
+  });
+
+  it("diffs against the saved text rather than the last word count", () => {
+    const { session } = draftSave({ ...doc, lastWordCount: 1 }, "one two three four", { today: TODAY });
+    expect(session.added).toBe(1);
+  });
+
+  it("moves a document out of Todo once it has been written in", () => {
+    expect(draftSave({ ...doc, status: "Todo" }, "new", { today: TODAY }).patch.status).toBe("Drafting");
+    expect(draftSave({ ...doc, status: "Done" }, "new", { today: TODAY }).patch.status).toBeUndefined();
+  });
+});
+
+describe("createStore", () => {
+  it("fills in what storage didn't have", () => {
+    const state = setup().getState();
+    expect(state).toMatchObject({ projects: [], sessions: [], ideas: [], documents: [], conflicts: [] });
+    expect(state.settings.dailyGoal).toBe(500);
+  });
+
+  it("notifies subscribers once per action, and stops when asked", () => {
+    const store = setup({ projects: [project("p1")] });
+    const fn = vi.fn();
+    const unsubscribe = store.subscribe(fn);
+    store.actions.removeProject("p1", "delete");
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith(store.getState());
+    unsubscribe();
+    store.actions.addIdea({ text: "x" });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("replaces only the collections an action touches", () => {
+    const store = setup({ projects: [project("p1")] });
+    const before = store.getState();
+    store.actions.addIdea({ text: "x" });
+    const after = store.getState();
+    expect(after.ideas).not.toBe(before.ideas);
+    expect(after.projects).toBe(before.projects);
+  });
+
+  it("stamps records it changes", () => {
+    const store = setup({ projects: [project("p1", { updatedAt: "2000-01-01T00:00:00.000Z" })] });
+    store.actions.updateProject("p1", { title: "Renamed" });
+    const [p] = store.getState().projects;
+    expect(p.title).toBe("Renamed");
+    expect(p.updatedAt > "2000-01-01").toBe(true);
+  });
+});
+
+describe("saveDraft", () => {
+  const initial = () => ({ documents: [{ id: "d1", projectId: "p1", kind: "chapter", text: "one two", status: "Todo" }] });
+
+  it("saves the text and logs a session for the change", () => {
+    const store = setup(initial());
+    const session = store.actions.saveDraft("d1", "one two three four", { today: TODAY });
+    const { documents, sessions } = store.getState();
+    expect(documents[0]).toMatchObject({ text: "one two three four", lastWordCount: 4, status: "Drafting" });
+    expect(sessions).toEqual([session]);
+    expect(session).toMatchObject({ projectId: "p1", documentId: "d1", date: TODAY, added: 2, removed: 0 });
+  });
+
+  it("saves without logging when nothing was written", () => {
+    const store = setup(initial());
+    expect(store.actions.saveDraft("d1", "one two", { today: TODAY })).toBeNull();
+    expect(store.getState().sessions).toEqual([]);
+  });
+
+  it("notifies once for the save and the session together", () => {
+    const store = setup(initial());
+    const fn = vi.fn();
+    store.subscribe(fn);
+    store.actions.saveDraft("d1", "one two three", { today: TODAY });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("ignores a document that no longer exists", () => {
+    expect(setup().actions.saveDraft("gone", "text", { today: TODAY })).toBeNull();
+  });
+});
+
+describe("deleting with undo", () => {
+  it("deletes sessions and puts them back", () => {
+    const store = setup({ sessions: [{ id: "s1", date: TODAY, words: 10 }, { id: "s2", date: TODAY, words: 20 }] });
+    const { count, undo } = store.actions.deleteSessions(["s1", "missing"]);
+    expect(count).toBe(1);
+    expect(store.getState().sessions.map(s => s.id)).toEqual(["s2"]);
+    expect(Object.keys(store.getState().tombstones.sessions)).toEqual(["s1"]);
+    undo();
+    expect(store.getState().sessions.map(s => s.id).sort()).toEqual(["s1", "s2"]);
+    expect(store.getState().tombstones.sessions).toEqual({});
+  });
+
+  it("deletes an idea and puts it back", () => {
+    const store = setup({ ideas: [{ id: "i1", text: "A heist, but slow" }] });
+    const { undo } = store.actions.deleteIdea("i1");
+    expect(store.getState().ideas).toEqual([]);
+    undo();
+    expect(store.getState().ideas[0]).toMatchObject({ id: "i1", text: "A heist, but slow" });
+    expect(store.actions.deleteIdea("missing")).toBeNull();
+  });
+
+  it("deletes a document with everything under it", () => {
+    const store = setup({ documents: [
+      { id: "part", projectId: "p1", kind: "part", parentId: null, order: 0 },
+      { id: "ch", projectId: "p1", kind: "chapter", parentId: "part", order: 0 },
+      { id: "other", projectId: "p1", kind: "part", parentId: null, order: 1 },
+    ] });
+    const { ids, undo } = store.actions.removeDocument("part");
+    expect(ids.sort()).toEqual(["ch", "part"]);
+    expect(store.getState().documents.map(d => d.id)).toEqual(["other"]);
+    undo();
+    expect(store.getState().documents).toHaveLength(3);
+  });
+
+  describe("removeProject", () => {
+    const initial = () => ({
+      projects: [project("p1"), project("p2")],
+      documents: [{ id: "d1", projectId: "p1" }, { id: "d2", projectId: "p2" }],
+      sessions: [{ id: "s1", projectId: "p1", documentId: "d1", date: TODAY, words: 5 }, { id: "s2", projectId: "p2", date: TODAY, words: 5 }],
+      ideas: [{ id: "i1", projectId: "p1", text: "x" }],
+    });
+
+    it("takes the manuscript with it and detaches sessions and ideas by default", () => {
+      const store = setup(initial());
+      expect(store.actions.removeProject("p1").project.id).toBe("p1");
+      const s = store.getState();
+      expect(s.projects.map(p => p.id)).toEqual(["p2"]);
+      expect(s.documents.map(d => d.id)).toEqual(["d2"]);
+      expect(s.sessions.find(x => x.id === "s1")).toMatchObject({ projectId: null, documentId: null });
+      expect(s.ideas[0].projectId).toBeNull();
+    });
+
+    it("moves sessions and ideas to another project", () => {
+      const store = setup(initial());
+      store.actions.removeProject("p1", "reassign", "p2");
+      const s = store.getState();
+      expect(s.sessions.every(x => x.projectId === "p2")).toBe(true);
+      expect(s.ideas[0].projectId).toBe("p2");
+    });
+
+    it("deletes sessions and ideas too", () => {
+      const store = setup(initial());
+      store.actions.removeProject("p1", "delete");
+      const s = store.getState();
+      expect(s.sessions.map(x => x.id)).toEqual(["s2"]);
+      expect(s.ideas).toEqual([]);
+      expect(Object.keys(s.tombstones.sessions)).toEqual(["s1"]);
+    });
+
+    it.each(["detach", "reassign", "delete"])("undoes a %s delete completely", (mode) => {
+      const store = setup(initial());
+      store.actions.removeProject("p1", mode, "p2").undo();
+      const s = store.getState();
+      expect(s.projects.map(p => p.id).sort()).toEqual(["p1", "p2"]);
+      expect(s.documents).toHaveLength(2);
+      expect(s.sessions.find(x => x.id === "s1")).toMatchObject({ projectId: "p1", documentId: "d1" });
+      expect(s.ideas[0].projectId).toBe("p1");
+      expect(Object.values(s.tombstones).every(t => !Object.keys(t).length)).toBe(true);
+    });
+
+    it("does nothing for a project that's already gone", () => {
+      expect(setup(initial()).actions.removeProject("missing")).toBeNull();
+    });
+  });
+
+  it("archives a project and restores it", () => {
+    const store = setup({ projects: [project("p1")] });
+    const { undo } = store.actions.archiveProject("p1");
+    expect(store.getState().projects[0]).toMatchObject({ archived: true });
+    expect(store.getState().projects[0].archivedAt).toBeTruthy();
+    undo();
+    expect(store.getState().projects[0]).toMatchObject({ archived: false, archivedAt: null });
+  });
+
+  it("relinks orphaned sessions and ideas, and undoes it", () => {
+    const store = setup({
+      projects: [project("p1")],
+      sessions: [{ id: "s1", projectId: "gone", documentId: "d9" }, { id: "s2", projectId: "p1" }],
+      ideas: [{ id: "i1", projectId: "gone" }],
+    });
+    const result = store.actions.relinkOrphans("p1");
+    expect(result).toMatchObject({ sessions: 1, ideas: 1 });
+    expect(store.getState().sessions.find(s => s.id === "s1")).toMatchObject({ projectId: "p1", documentId: null });
+    result.undo();
+    expect(store.getState().sessions.find(s => s.id === "s1")).toMatchObject({ projectId: "gone", documentId: "d9" });
+    expect(store.getState().ideas[0].projectId).toBe("gone");
+  });
+});
+
+describe("ideas", () => {
+  it("adds new ideas first", () => {
+    const store = setup({ ideas: [{ id: "old", text: "old" }] });
+    store.actions.addIdea({ text: "new" });
+    expect(store.getState().ideas.map(i => i.text)).toEqual(["new", "old"]);
+  });
+
+  it("promotes an idea to a project it stays linked to", () => {
+    const store = setup({ ideas: [{ id: "i1", text: "The lighthouse keeper\nwho never sleeps" }] });
+    const pid = store.actions.promoteIdea("i1");
+    const { projects, ideas } = store.getState();
+    expect(projects[0]).toMatchObject({ id: pid, title: "The lighthouse keeper", ideaId: "i1" });
+    expect(ideas[0].projectId).toBe(pid);
+  });
+});
+
+describe("applyImport", () => {
+  const current = () => ({
+    projects: [project("p1"), project("p2")],
+    sessions: [{ id: "s1", projectId: "p1", date: TODAY, words: 10 }],
+    ideas: [],
+    documents: [],
+    settings: { dailyGoal: 500 },
+  });
+  const incoming = {
+    projects: [project("p1", { title: "Renamed" }), project("p3")],
+    sessions: [{ id: "s2", projectId: "p3", date: TODAY, words: 20 }],
+    ideas: [{ id: "i1", text: "x" }],
+    documents: [],
+    settings: { dailyGoal: 750 },
+  };
+
+  it("merges in only records with new ids", () => {
+    const store = setup(current());
+    store.actions.applyImport(planImport(store.getState(), incoming, "merge"), incoming);
+    const s = store.getState();
+    expect(s.projects.map(p => [p.id, p.title])).toEqual([["p1", "Project p1"], ["p2", "Project p2"], ["p3", "Project p3"]]);
+    expect(s.sessions.map(x => x.id)).toEqual(["s1", "s2"]);
+    expect(s.ideas.map(x => x.id)).toEqual(["i1"]);
+    expect(s.settings.dailyGoal).toBe(500);
+    expect(s.tombstones.projects).toEqual({});
+  });
+
+  it("replaces everything, leaving tombstones for what the file doesn't have", () => {
+    const store = setup(current());
+    store.actions.applyImport(planImport(store.getState(), incoming, "replace"), incoming);
+    const s = store.getState();
+    expect(s.projects.map(p => [p.id, p.title])).toEqual([["p1", "Renamed"], ["p3", "Project p3"]]);
+    expect(s.sessions.map(x => x.id)).toEqual(["s2"]);
+    expect(s.settings.dailyGoal).toBe(750);
+    expect(Object.keys(s.tombstones.projects)).toEqual(["p2"]);
+    expect(Object.keys(s.tombstones.sessions)).toEqual(["s1"]);
+  });
+
+  it("notifies once for the whole import", () => {
+    const store = setup(current());
+    const fn = vi.fn();
+    store.subscribe(fn);
+    store.actions.applyImport(planImport(store.getState(), incoming, "replace"), incoming);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("applySync", () => {
+  it("takes the merged result for what hasn't changed since the sync started", () => {
+    const store = setup({ projects: [project("p1")] });
+    const sent = store.getState();
+    const merged = { ...sent, projects: [...sent.projects, project("remote")], settings: { dailyGoal: 900 } };
+    store.actions.applySync(sent, merged);
+    expect(store.getState().projects.map(p => p.id)).toEqual(["p1", "remote"]);
+    expect(store.getState().settings.dailyGoal).toBe(900);
+  });
+
+  it("keeps edits made while the sync was running", () => {
+    const store = setup({ projects: [project("p1")] });
+    const sent = store.getState();
+    store.actions.updateSettings({ dailyGoal: 600 });
+    store.actions.updateProject("p1", { title: "Edited meanwhile" });
+    store.actions.applySync(sent, { ...sent, settings: { dailyGoal: 900 } });
+    expect(store.getState().settings.dailyGoal).toBe(600);
+    expect(store.getState().projects[0].title).toBe("Edited meanwhile");
+  });
+});
@@ -6,3 +6,15 @@ const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY!;
 export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   auth: { persistSession: true, autoRefreshToken: true, detectSessionInUrl: true },
 });
+
+// AI prompts come from the writing-prompt Edge Function, which holds the model
+// provider's key. VITE_PROMPT_PROXY_URL points elsewhere, e.g. at the local
+// stand-in (`npm run prompt-server`).
+export const promptServer = {
+  url: import.meta.env.VITE_PROMPT_PROXY_URL || `${supabaseUrl}/functions/v1/writing-prompt`,
+  headers: { apikey: supabaseAnonKey },
+  async getToken() {
+    const { data } = await supabase.auth.getSession();
+    return data.session?.access_token;
+  },
+};
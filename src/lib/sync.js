@@ -0,0 +1,282 @@
+// ------------------------------
+// Per-record cloud sync
+// ------------------------------
+// Every project, session, idea and document carries an `updatedAt` stamp, and deletions
+// leave a tombstone (`tombstones[collection][id] = deletedAt`) so other devices
+// learn about them. A sync is a three-way merge of the local snapshot, the
+// remote snapshot and the `base` both sides last agreed on: a record changed on
+// one side wins, and a record changed on both sides is merged field by field.
+// Prose fields edited differently on both sides are reported as conflicts
+// instead of one side being silently dropped.
+
+/** @typedef {{ [collection: string]: { [id: string]: string } }} Tombstones */
+/** @typedef {{ projects: any[], sessions: any[], ideas: any[], documents: any[], settings: object, tombstones: Tombstones }} Snapshot */
+/** @typedef {{ id: string, collection: string, recordId: string, field: string, label: string, local: any, remote: any, detectedAt: string }} Conflict */
+
+export const COLLECTIONS = ["projects", "sessions", "ideas", "documents"];
+
+// Fields where two different edits are worth asking about. Everything else
+// resolves to the most recently edited side.
+const CONFLICT_FIELDS = {
+  projects: ["title", "description", "draft"],
+  sessions: ["notes"],
+  ideas: ["text"],
+  documents: ["title", "text", "notes"],
+};
+
+const TOMBSTONE_TTL_DAYS = 90;
+
+export function nowISO(){ return new Date().toISOString(); }
+
+/** Returns `record` with a fresh `updatedAt`. */
+export function stamp(record){ return { ...record, updatedAt: nowISO() }; }
+
+export function emptySnapshot(){
+  return { projects: [], sessions: [], ideas: [], documents: [], settings: { dailyGoal: 500 }, tombstones: emptyTombstones() };
+}
+
+export function emptyTombstones(){ return { projects: {}, sessions: {}, ideas: {}, documents: {} }; }
+
+/** Coerces a stored or remote payload (including the legacy `{ dailyGoal }` shape) into a snapshot. */
+export function normalizeSnapshot(d){
+  if (!d || typeof d !== "object") return emptySnapshot();
+  return {
+    projects: Array.isArray(d.projects) ? d.projects : [],
+    sessions: Array.isArray(d.sessions) ? d.sessions : [],
+    ideas: Array.isArray(d.ideas) ? d.ideas : [],
+    documents: Array.isArray(d.documents) ? d.documents : [],
+    settings: d.settings && typeof d.settings === "object" ? d.settings : { dailyGoal: d.dailyGoal || 500 },
+    tombstones: { ...emptyTombstones(), ...(d.tombstones || {}) },
+  };
+}
+
+/** Adds a tombstone for `id` to `tombstones` without mutating it. */
+export function addTombstone(tombstones, collection, id, at = nowISO()){
+  return { ...tombstones, [collection]: { ...(tombstones[collection] || {}), [id]: at } };
+}
+
+/** `tombstones` without the entries for `ids`, e.g. after a delete is undone. */
+export function dropTombstones(tombstones, collection, ids){
+  const kept = { ...(tombstones[collection] || {}) };
+  for (const id of ids) delete kept[id];
+  return { ...tombstones, [collection]: kept };
+}
+
+// Key order differs between merged and hand-built records, so compare sorted.
+function canonical(v){
+  if (Array.isArray(v)) return v.map(canonical);
+  if (v && typeof v === "object") return Object.fromEntries(Object.keys(v).sort().map(k => [k, canonical(v[k])]));
+  return v;
+}
+function same(a, b){ return a === b || JSON.stringify(canonical(a)) === JSON.stringify(canonical(b)); }
+function byId(arr){ const m = new Map(); for (const r of arr || []) m.set(r.id, r); return m; }
+function stampOf(r){ return r?.updatedAt || r?.createdAt || ""; }
+function later(a, b){ return stampOf(a) >= stampOf(b) ? a : b; }
+
+function conflictLabel(collection, r){
+  if (collection === "projects") return r.title || "Untitled project";
+  if (collection === "ideas") return (r.text || "").slice(0, 40) || "Idea";
+  if (collection === "documents") return r.title || "Untitled document";
+  return `Session on ${r.date || "unknown date"}`;
+}
+
+// Field-level merge of a record edited on both sides since `base`.
+function mergeFields(collection, base, local, remote, conflicts){
+  const out = {};
+  const newer = later(local, remote);
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  keys.delete("updatedAt");
+  for (const k of keys) {
+    const b = base?.[k], l = local[k], r = remote[k];
+    if (same(l, r)) out[k] = l;
+    else if (base && same(b, l)) out[k] = r;
+    else if (base && same(b, r)) out[k] = l;
+    else if ((CONFLICT_FIELDS[collection] || []).includes(k)) {
+      // Keep this device's text for now and let the user pick.
+      out[k] = l;
+      conflicts.push({
+        id: `${collection}:${local.id}:${k}`,
+        collection, recordId: local.id, field: k,
+        label: conflictLabel(collection, local),
+        local: l, remote: r, detectedAt: nowISO(),
+      });
+    }
+    else out[k] = newer[k];
+  }
+  out.updatedAt = stampOf(newer);
+  return out;
+}
+
+function mergeCollection(collection, base, local, remote, tombs, conflicts){
+  const b = byId(base), l = byId(local), r = byId(remote);
+  const out = [];
+  // Local order first so the UI doesn't reshuffle, then anything only the remote has.
+  const ids = [...new Set([...l.keys(), ...r.keys()])];
+  for (const id of ids) {
+    const bl = b.get(id), lr = l.get(id), rr = r.get(id);
+    const deletedAt = tombs[id];
+    if (deletedAt) {
+      // A record edited after it was deleted elsewhere survives the delete.
+      const survivor = [lr, rr].find(x => x && stampOf(x) > deletedAt);
+      if (survivor) { out.push(survivor); delete tombs[id]; }
+      continue;
+    }
+    if (!rr) { out.push(lr); continue; }
+    if (!lr) { out.push(rr); continue; }
+    if (lr === rr || same(lr, rr)) { out.push(lr); continue; }
+    const localChanged = !bl || !same(bl, lr);
+    const remoteChanged = !bl || !same(bl, rr);
+    if (!remoteChanged) out.push(lr);
+    else if (!localChanged) out.push(rr);
+    else out.push(mergeFields(collection, bl, lr, rr, conflicts));
+  }
+  return out;
+}
+
+/** Union of two tombstone maps, keeping the latest delete and dropping expired ones. */
+export function mergeTombstones(a, b){
+  const out = emptyTombstones();
+  const cutoff = new Date(Date.now() - TOMBSTONE_TTL_DAYS * 864e5).toISOString();
+  for (const c of COLLECTIONS) {
+    for (const src of [a?.[c] || {}, b?.[c] || {}]) {
+      for (const [id, at] of Object.entries(src)) {
+        if (at >= cutoff && (!out[c][id] || out[c][id] < at)) out[c][id] = at;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Three-way merge of two snapshots against the last synced `base`.
+ * @param {Snapshot|null} base @param {Snapshot} local @param {Snapshot} remote
+ * @returns {{ merged: Snapshot, conflicts: Conflict[] }}
+ */
+export function mergeSnapshots(base, local, remote){
+  base = base ? normalizeSnapshot(base) : null;
+  local = normalizeSnapshot(local);
+  remote = normalizeSnapshot(remote);
+  const conflicts = [];
+  const tombstones = mergeTombstones(local.tombstones, remote.tombstones);
+  const merged = { tombstones };
+  for (const c of COLLECTIONS) {
+    merged[c] = mergeCollection(c, base?.[c], local[c], remote[c], tombstones[c], conflicts);
+  }
+  const bs = base?.settings, ls = local.settings, rs = remote.settings;
+  if (same(ls, rs) || same(bs, rs)) merged.settings = ls;
+  else if (bs && same(bs, ls)) merged.settings = rs;
+  else merged.settings = mergeFields("settings", bs, ls, rs, conflicts);
+  return { merged, conflicts };
+}
+
+/** True when two snapshots hold the same records, ignoring order. */
+export function sameSnapshot(a, b){
+  if (!a || !b) return a === b;
+  if (!same(a.settings, b.settings) || !same(a.tombstones, b.tombstones)) return false;
+  return COLLECTIONS.every(c => {
+    if (a[c].length !== b[c].length) return false;
+    const m = byId(b[c]);
+    return a[c].every(r => same(r, m.get(r.id)));
+  });
+}
+
+/**
+ * Applies a merge result to a collection that may have been edited while the
+ * sync was in flight: records untouched since `sent` take the merged version,
+ * anything edited or added meanwhile is kept. Returns `current` itself when
+ * nothing changes so React can bail out.
+ */
+export function rebaseCollection(current, sent, merged){
+  const s = byId(sent), m = byId(merged), c = byId(current);
+  const out = [];
+  for (const r of current) {
+    const mr = m.get(r.id);
+    if (mr) out.push(r === s.get(r.id) ? mr : r);
+    else if (r !== s.get(r.id)) out.push(r); // added or edited locally meanwhile
+  }
+  for (const r of merged) {
+    if (!c.has(r.id) && !s.has(r.id)) out.push(r); // new from the remote
+  }
+  const unchanged = out.length === current.length && out.every((r, i) => r === current[i]);
+  return unchanged ? current : out;
+}
+
+// ------------------------------
+// Remotes
+// ------------------------------
+// A remote stores a user's snapshot and supports optimistic concurrency:
+// `pull(base)` returns `{ data, version }` and `push(data, version, remote)`
+// resolves to false when someone else wrote since `version` was read. Remotes
+// that pull incrementally get `commit(version)` once the merge is saved.
+
+/**
+ * In-memory remote holding one snapshot per user, for exercising the engine
+ * without a server. `rows` is exposed so tests can inspect or tamper with it.
+ */
+export function createMemoryRemote(initial = {}){
+  const rows = new Map(Object.entries(initial).map(([userId, data]) => [userId, { data, version: 1 }]));
+  return {
+    rows,
+    forUser(userId){
+      return {
+        async pull(){
+          const row = rows.get(userId);
+          return { data: row ? structuredClone(row.data) : null, version: row?.version ?? null };
+        },
+        async push(payload, version){
+          const row = rows.get(userId);
+          if ((row?.version ?? null) !== version) return false;
+          rows.set(userId, { data: structuredClone(payload), version: (version || 0) + 1 });
+          return true;
+        },
+      };
+    },
+  };
+}
+
+// ------------------------------
+// Engine
+// ------------------------------
+const MAX_ATTEMPTS = 4;
+
+/**
+ * Pull → merge → push loop. `loadBase`/`saveBase` persist the last agreed
+ * snapshot (sync or async); the caller keeps track of reported conflicts.
+ * @param {{ remote: { pull: Function, push: Function, commit?: Function }, loadBase: () => Snapshot|null|Promise<Snapshot|null>, saveBase: (s: Snapshot) => void|Promise<void> }} opts
+ */
+export function createSyncEngine({ remote, loadBase, saveBase }){
+  return {
+    /** @param {Snapshot} local @returns {Promise<{ merged: Snapshot, conflicts: Conflict[] }>} */
+    async sync(local){
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const base = await loadBase();
+        const { data, version } = await remote.pull(base);
+        const remoteSnap = normalizeSnapshot(data);
+        const { merged, conflicts } = mergeSnapshots(base, local, remoteSnap);
+        const done = (version && sameSnapshot(merged, remoteSnap)) || await remote.push(merged, version, remoteSnap);
+        if (done) {
+          await saveBase(merged);
+          remote.commit?.(version);
+          return { merged, conflicts };
+        }
+      }
+      throw new Error("sync: remote kept changing, giving up for now");
+    },
+  };
+}
+
+/** localStorage-backed base snapshot, one per user. */
+export function localBaseStore(userId, storage = globalThis.localStorage){
+  const key = `writers_dashboard_sync_base_v1:${userId}`;
+  return {
+    loadBase(){ try { return JSON.parse(storage.getItem(key) || "null"); } catch { return null; } },
+    saveBase(s){ storage.setItem(key, JSON.stringify(s)); },
+  };
+}
+
+/** Adds newly detected conflicts, replacing older reports for the same field. */
+export function addConflicts(existing, found){
+  if (!found.length) return existing;
+  const ids = new Set(found.map(c => c.id));
+  return [...existing.filter(c => !ids.has(c.id)), ...found];
+}
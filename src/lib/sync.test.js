@@ -0,0 +1,199 @@
+import { describe, expect, it } from "vitest";
+import { addConflicts, createMemoryRemote, createSyncEngine, emptySnapshot, mergeSnapshots, mergeTombstones, rebaseCollection } from "./sync";
+
+// Stamps relative to now, so tombstones stay inside their expiry window.
+const ago = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+const T0 = ago(60), T1 = ago(30), T2 = ago(20), T3 = ago(10);
+
+const snapshot = (patch) => ({ ...emptySnapshot(), ...patch });
+const doc = (patch) => ({ id: "d1", projectId: "p1", kind: "chapter", title: "Opening", text: "It was dark.", status: "Drafting", notes: "", updatedAt: T0, ...patch });
+
+function memoryBase(){
+  let base = null;
+  return { loadBase: () => base, saveBase: (s) => { base = structuredClone(s); } };
+}
+
+describe("mergeSnapshots", () => {
+  const base = snapshot({ documents: [doc()] });
+
+  it("takes whichever side changed a record", () => {
+    const local = snapshot({ documents: [doc({ title: "Prologue", updatedAt: T1 })] });
+    expect(mergeSnapshots(base, local, base).merged.documents[0].title).toBe("Prologue");
+    expect(mergeSnapshots(base, base, local).merged.documents[0].title).toBe("Prologue");
+  });
+
+  it("merges edits to different fields of the same record", () => {
+    const local = snapshot({ documents: [doc({ title: "Prologue", updatedAt: T1 })] });
+    const remote = snapshot({ documents: [doc({ status: "Revising", updatedAt: T2 })] });
+    const { merged, conflicts } = mergeSnapshots(base, local, remote);
+    expect(merged.documents[0]).toMatchObject({ title: "Prologue", status: "Revising", updatedAt: T2 });
+    expect(conflicts).toEqual([]);
+  });
+
+  it("lets the later stamp win a field that isn't prose", () => {
+    const local = snapshot({ documents: [doc({ status: "Done", updatedAt: T2 })] });
+    const remote = snapshot({ documents: [doc({ status: "Revising", updatedAt: T1 })] });
+    expect(mergeSnapshots(base, local, remote).merged.documents[0].status).toBe("Done");
+    expect(mergeSnapshots(base, remote, local).merged.documents[0].status).toBe("Done");
+  });
+
+  it("reports prose edited on both sides, keeping this device's text", () => {
+    const local = snapshot({ documents: [doc({ text: "It was a dark night.", updatedAt: T1 })] });
+    const remote = snapshot({ documents: [doc({ text: "It was very dark.", updatedAt: T2 })] });
+    const { merged, conflicts } = mergeSnapshots(base, local, remote);
+    expect(merged.documents[0].text).toBe("It was a dark night.");
+    expect(conflicts).toEqual([expect.objectContaining({
+      id: "documents:d1:text", collection: "documents", recordId: "d1", field: "text", label: "Opening",
+      local: "It was a dark night.", remote: "It was very dark.",
+    })]);
+  });
+
+  it("doesn't report prose both sides changed the same way", () => {
+    const local = snapshot({ documents: [doc({ text: "Same.", updatedAt: T1 })] });
+    const remote = snapshot({ documents: [doc({ text: "Same.", status: "Done", updatedAt: T2 })] });
+    expect(mergeSnapshots(base, local, remote).conflicts).toEqual([]);
+  });
+
+  it("drops a record deleted on one side and left alone on the other", () => {
+    const remote = snapshot({ tombstones: { ...emptySnapshot().tombstones, documents: { d1: T1 } } });
+    const { merged } = mergeSnapshots(base, base, remote);
+    expect(merged.documents).toEqual([]);
+    expect(merged.tombstones.documents).toEqual({ d1: T1 });
+  });
+
+  it("keeps a record edited after it was deleted elsewhere, and forgets the delete", () => {
+    const local = snapshot({ documents: [doc({ text: "Rewritten.", updatedAt: T2 })] });
+    const remote = snapshot({ tombstones: { ...emptySnapshot().tombstones, documents: { d1: T1 } } });
+    const { merged } = mergeSnapshots(base, local, remote);
+    expect(merged.documents[0].text).toBe("Rewritten.");
+    expect(merged.tombstones.documents).toEqual({});
+  });
+
+  it("lets a delete win over an earlier edit", () => {
+    const local = snapshot({ documents: [doc({ text: "Rewritten.", updatedAt: T1 })] });
+    const remote = snapshot({ tombstones: { ...emptySnapshot().tombstones, documents: { d1: T2 } } });
+    expect(mergeSnapshots(base, local, remote).merged.documents).toEqual([]);
+  });
+
+  it("unions both sides on a first sync, keeping local order", () => {
+    const local = snapshot({ projects: [{ id: "a", updatedAt: T0 }, { id: "b", updatedAt: T0 }] });
+    const remote = snapshot({ projects: [{ id: "c", updatedAt: T0 }, { id: "a", updatedAt: T0 }] });
+    expect(mergeSnapshots(null, local, remote).merged.projects.map(p => p.id)).toEqual(["a", "b", "c"]);
+  });
+
+  it("merges settings field by field", () => {
+    const b = snapshot({ settings: { dailyGoal: 500, goalMetric: "written", updatedAt: T0 } });
+    const local = snapshot({ settings: { dailyGoal: 750, goalMetric: "written", updatedAt: T1 } });
+    const remote = snapshot({ settings: { dailyGoal: 500, goalMetric: "net", updatedAt: T2 } });
+    expect(mergeSnapshots(b, local, remote).merged.settings).toMatchObject({ dailyGoal: 750, goalMetric: "net" });
+  });
+});
+
+describe("mergeTombstones", () => {
+  it("keeps the latest delete of each record and drops expired ones", () => {
+    const old = new Date(Date.now() - 91 * 864e5).toISOString();
+    const merged = mergeTombstones({ sessions: { s1: T1, s2: old } }, { sessions: { s1: T2 }, ideas: { i1: T0 } });
+    expect(merged.sessions).toEqual({ s1: T2 });
+    expect(merged.ideas).toEqual({ i1: T0 });
+  });
+});
+
+describe("rebaseCollection", () => {
+  it("keeps records edited or added while the sync ran", () => {
+    const a = { id: "a", v: 1 }, b = { id: "b", v: 1 };
+    const sent = [a, b];
+    const editedB = { id: "b", v: 2 }, added = { id: "new" };
+    const merged = [{ id: "a", v: 9 }, { id: "b", v: 9 }, { id: "remote" }];
+    expect(rebaseCollection([a, editedB, added], sent, merged)).toEqual([{ id: "a", v: 9 }, editedB, added, { id: "remote" }]);
+  });
+
+  it("returns the same array when nothing changed", () => {
+    const current = [{ id: "a" }];
+    expect(rebaseCollection(current, current, current)).toBe(current);
+  });
+});
+
+describe("addConflicts", () => {
+  it("replaces older reports for the same field", () => {
+    const first = { id: "documents:d1:text", local: "a" };
+    const other = { id: "ideas:i1:text" };
+    const newer = { id: "documents:d1:text", local: "b" };
+    expect(addConflicts([first, other], [newer])).toEqual([other, newer]);
+    expect(addConflicts([first], [])).toEqual([first]);
+  });
+});
+
+describe("createSyncEngine with an in-memory remote", () => {
+  it("brings two devices to the same state", async () => {
+    const server = createMemoryRemote();
+    const laptop = createSyncEngine({ remote: server.forUser("u1"), ...memoryBase() });
+    const phone = createSyncEngine({ remote: server.forUser("u1"), ...memoryBase() });
+
+    const first = await laptop.sync(snapshot({ documents: [doc()] }));
+    const fromPhone = await phone.sync(snapshot({ ideas: [{ id: "i1", text: "A lighthouse", updatedAt: T1 }] }));
+    expect(fromPhone.merged.documents.map(d => d.id)).toEqual(["d1"]);
+    expect(fromPhone.merged.ideas.map(i => i.id)).toEqual(["i1"]);
+
+    const { merged } = await laptop.sync(first.merged);
+    expect(merged.ideas.map(i => i.id)).toEqual(["i1"]);
+    expect(server.rows.get("u1").data).toEqual(merged);
+  });
+
+  it("reports a conflict when both devices rewrite the same text", async () => {
+    const server = createMemoryRemote();
+    const laptop = createSyncEngine({ remote: server.forUser("u1"), ...memoryBase() });
+    const phone = createSyncEngine({ remote: server.forUser("u1"), ...memoryBase() });
+    const { merged: start } = await laptop.sync(snapshot({ documents: [doc()] }));
+    await phone.sync(start);
+
+    await phone.sync({ ...start, documents: [doc({ text: "Phone's version.", updatedAt: T2 })] });
+    const { merged, conflicts } = await laptop.sync({ ...start, documents: [doc({ text: "Laptop's version.", updatedAt: T3 })] });
+    expect(merged.documents[0].text).toBe("Laptop's version.");
+    expect(conflicts.map(c => [c.field, c.remote])).toEqual([["text", "Phone's version."]]);
+  });
+
+  it("carries a delete to the other device", async () => {
+    const server = createMemoryRemote();
+    const laptop = createSyncEngine({ remote: server.forUser("u1"), ...memoryBase() });
+    const phone = createSyncEngine({ remote: server.forUser("u1"), ...memoryBase() });
+    const { merged: start } = await laptop.sync(snapshot({ documents: [doc()] }));
+    await phone.sync(start);
+
+    await laptop.sync({ ...start, documents: [], tombstones: { ...start.tombstones, documents: { d1: T2 } } });
+    const { merged } = await phone.sync(start);
+    expect(merged.documents).toEqual([]);
+  });
+
+  it("merges again when another device pushed in between", async () => {
+    const server = createMemoryRemote({ u1: snapshot() });
+    const remote = server.forUser("u1");
+    let raced = false;
+    const racing = {
+      pull: remote.pull,
+      async push(data, version){
+        if (!raced) {
+          raced = true;
+          server.rows.set("u1", { data: snapshot({ ideas: [{ id: "other", text: "From elsewhere", updatedAt: T1 }] }), version: version + 1 });
+        }
+        return remote.push(data, version);
+      },
+    };
+    const engine = createSyncEngine({ remote: racing, ...memoryBase() });
+    const { merged } = await engine.sync(snapshot({ ideas: [{ id: "mine", text: "Mine", updatedAt: T2 }] }));
+    expect(merged.ideas.map(i => i.id).sort()).toEqual(["mine", "other"]);
+    expect(server.rows.get("u1").data.ideas).toHaveLength(2);
+  });
+
+  it("skips the push when the remote already matches", async () => {
+    const server = createMemoryRemote();
+    const engine = createSyncEngine({ remote: server.forUser("u1"), ...memoryBase() });
+    const { merged } = await engine.sync(snapshot({ documents: [doc()] }));
+    await engine.sync(merged);
+    expect(server.rows.get("u1").version).toBe(1);
+  });
+
+  it("gives up when the remote never stops changing", async () => {
+    const engine = createSyncEngine({ remote: { pull: async () => ({ data: null, version: 1 }), push: async () => false }, ...memoryBase() });
+    await expect(engine.sync(snapshot({ documents: [doc()] }))).rejects.toThrow(/giving up/);
+  });
+});
@@ -0,0 +1,179 @@
+// ------------------------------
+// Focus timer
+// ------------------------------
+// Pomodoro work/break cycles and a count-up "free write" stopwatch. The timer
+// keeps wall-clock timestamps rather than counting ticks, so a throttled
+// background tab can't make it drift, and its state is saved on this device
+// so a reload picks up where it left off (including phases that ended while
+// the page was closed). Only time spent in work phases counts as writing.
+
+/**
+ * @typedef {'work'|'shortBreak'|'longBreak'} Phase
+ * @typedef {{ id: string, name: string, workMinutes: number, shortBreakMinutes: number,
+ *   longBreakMinutes: number, longBreakEvery: number }} TimerPreset
+ * @typedef {{ workMinutes: number, shortBreakMinutes: number, longBreakMinutes: number, longBreakEvery: number,
+ *   autoStartBreaks: boolean, autoStartWork: boolean, presets: TimerPreset[] }} TimerSettings
+ * @typedef {{ mode: 'pomodoro'|'stopwatch', phase: Phase, durationMs: number, startedAt: number|null,
+ *   elapsedMs: number, workMs: number, loggedMs: number, cycle: number }} TimerState
+ *   `startedAt` is set while running; `elapsedMs` is the phase time banked
+ *   before it. `workMs` is work time from earlier phases, `loggedMs` the part
+ *   of all work time already logged as a session, and `cycle` the number of
+ *   work phases finished since the last reset.
+ */
+
+export const PHASE_LABELS = { work: "Focus", shortBreak: "Short break", longBreak: "Long break" };
+
+/** @type {TimerSettings} */
+export const DEFAULT_TIMER = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 4,
+  autoStartBreaks: true,
+  autoStartWork: false,
+  presets: [
+    { id: "classic", name: "Classic 25/5", workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 4 },
+    { id: "deep", name: "Deep work 50/10", workMinutes: 50, shortBreakMinutes: 10, longBreakMinutes: 30, longBreakEvery: 3 },
+  ],
+};
+
+/** @returns {TimerSettings} */
+export function timerSettings(settings){ return { ...DEFAULT_TIMER, ...(settings?.timer || {}) }; }
+
+function phaseMs(phase, config){
+  const minutes = { work: config.workMinutes, shortBreak: config.shortBreakMinutes, longBreak: config.longBreakMinutes }[phase];
+  return Math.max(1, Number(minutes) || 1) * 60000;
+}
+
+/** A stopped timer at the start of a work phase. @returns {TimerState} */
+export function createTimer(config, mode = "pomodoro"){
+  return { mode, phase: "work", durationMs: mode === "stopwatch" ? 0 : phaseMs("work", config), startedAt: null, elapsedMs: 0, workMs: 0, loggedMs: 0, cycle: 0 };
+}
+
+/** Time spent in the current phase. */
+export function phaseElapsed(t, now = Date.now()){ return t.elapsedMs + (t.startedAt !== null ? Math.max(0, now - t.startedAt) : 0); }
+
+/** Time left in the current phase; for the stopwatch, time elapsed. */
+export function displayMs(t, now = Date.now()){
+  return t.mode === "stopwatch" ? phaseElapsed(t, now) : Math.max(0, t.durationMs - phaseElapsed(t, now));
+}
+
+/** Which focus block of the set (1 to `longBreakEvery`) the timer is on or resting after. */
+export function cyclePosition(t, config){
+  const every = Math.max(1, config.longBreakEvery);
+  return t.phase === "work" ? (t.cycle % every) + 1 : ((t.cycle - 1 + every) % every) + 1;
+}
+
+/** Work time so far, including the running phase. */
+export function workMs(t, now = Date.now()){
+  if (t.phase !== "work") return t.workMs;
+  const current = phaseElapsed(t, now);
+  return t.workMs + (t.mode === "stopwatch" ? current : Math.min(t.durationMs, current));
+}
+
+/** Whole minutes of work not yet logged as a session. */
+export function unloggedMinutes(t, now = Date.now()){ return Math.max(0, Math.round((workMs(t, now) - t.loggedMs) / 60000)); }
+
+/** Marks all work so far as logged. */
+export function markLogged(t, now = Date.now()){ return { ...t, loggedMs: workMs(t, now) }; }
+
+export function startTimer(t, now = Date.now()){ return t.startedAt !== null ? t : { ...t, startedAt: now }; }
+export function pauseTimer(t, now = Date.now()){ return t.startedAt === null ? t : { ...t, elapsedMs: phaseElapsed(t, now), startedAt: null }; }
+
+// The phase after `t`'s, started at `at` when auto-start is on for it.
+function nextPhase(t, config, at){
+  const wasWork = t.phase === "work";
+  const cycle = wasWork ? t.cycle + 1 : t.cycle;
+  const phase = !wasWork ? "work" : cycle % Math.max(1, config.longBreakEvery) === 0 ? "longBreak" : "shortBreak";
+  const auto = phase === "work" ? config.autoStartWork : config.autoStartBreaks;
+  return {
+    ...t, phase, cycle,
+    workMs: wasWork ? t.workMs + Math.min(t.durationMs, phaseElapsed(t, at)) : t.workMs,
+    durationMs: phaseMs(phase, config),
+    elapsedMs: 0,
+    startedAt: auto && at !== null ? at : null,
+  };
+}
+
+/**
+ * Moves past every phase that has ended by `now`, starting the next one when
+ * it's set to auto-start (from the moment the last one ended, not from now).
+ * @returns {{ timer: TimerState, ended: Phase[] }}
+ */
+export function advanceTimer(t, config, now = Date.now()){
+  const ended = [];
+  while (t.mode === "pomodoro" && t.startedAt !== null && phaseElapsed(t, now) >= t.durationMs && ended.length < 100) {
+    const endedAt = t.startedAt + (t.durationMs - t.elapsedMs);
+    ended.push(t.phase);
+    t = nextPhase(t, config, endedAt);
+  }
+  return { timer: t, ended };
+}
+
+/** Ends the current phase early and moves to the next, keeping it running if this one was. */
+export function skipPhase(t, config, now = Date.now()){
+  if (t.mode !== "pomodoro") return t;
+  const running = t.startedAt !== null;
+  const next = nextPhase({ ...t, durationMs: Math.min(t.durationMs, phaseElapsed(t, now)) }, config, now);
+  return { ...next, startedAt: running ? now : null };
+}
+
+/**
+ * The minutes a draft save logs, and the timer with them marked as logged.
+ * Only focus time counts, and each stretch of it is logged once even when
+ * several documents are saved during the same block. Closing the editor logs
+ * at least a minute and pauses the timer.
+ * @returns {{ minutes: number, timer: TimerState }}
+ */
+export function draftSaveTime(t, { close = false } = {}, now = Date.now()){
+  const minutes = unloggedMinutes(t, now);
+  const logged = markLogged(t, now);
+  return close ? { minutes: Math.max(1, minutes), timer: pauseTimer(logged, now) } : { minutes, timer: logged };
+}
+
+/**
+ * What to tell the writer when phases end (null when none did), and whether
+ * to open the log dialog. With the editor open, the editor saves and logs the
+ * session itself.
+ * @param {Phase[]} ended
+ * @returns {{ message: string, openLog: boolean }|null}
+ */
+export function phaseEndNotice(ended, { editorOpen = false, autoOpenLog = false } = {}){
+  if (!ended.length) return null;
+  if (!ended.includes("work")) return { message: "Break over — time to write", openLog: false };
+  if (editorOpen) return { message: "Focus block complete — your draft was saved", openLog: false };
+  return { message: "Focus block complete — log your session", openLog: autoOpenLog };
+}
+
+/** The phase lengths of one of `config`'s presets, or null if there's no such preset. */
+export function presetLengths(config, id){
+  const preset = config.presets.find(p => p.id === id);
+  if (!preset) return null;
+  const { workMinutes, shortBreakMinutes, longBreakMinutes, longBreakEvery } = preset;
+  return { workMinutes, shortBreakMinutes, longBreakMinutes, longBreakEvery };
+}
+
+/** The clock face, "mm:ss" or "h:mm:ss". Countdowns round up so a full phase starts on a whole minute. */
+export function timerClock(t, now = Date.now()){
+  const ms = displayMs(t, now);
+  const total = t.mode === "stopwatch" ? Math.floor(ms / 1000) : Math.ceil(ms / 1000);
+  const h = Math.floor(total / 3600), m = Math.floor((total % 3600) / 60), s = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+const KEY = "writers_dashboard_timer_v1";
+
+/** The timer saved on this device, if any. @returns {TimerState|null} */
+export function loadTimer(){
+  try {
+    const t = JSON.parse(localStorage.getItem(KEY) || "null");
+    return t && typeof t === "object" && ["pomodoro", "stopwatch"].includes(t.mode) && PHASE_LABELS[t.phase] ? t : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveTimer(t){
+  try { localStorage.setItem(KEY, JSON.stringify(t)); } catch { /* private mode or full: the timer just won't survive a reload */ }
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_TIMER, advanceTimer, createTimer, draftSaveTime, phaseEndNotice, presetLengths, startTimer, unloggedMinutes } from "./timer";
+
+const MIN = 60000;
+const T = Date.UTC(2024, 4, 15, 10);
+
+// A pomodoro started at T.
+const running = () => startTimer(createTimer(DEFAULT_TIMER), T);
+
+describe("draftSaveTime", () => {
+  it("logs the focus time since the last save, once", () => {
+    const first = draftSaveTime(running(), {}, T + 10 * MIN);
+    expect(first.minutes).toBe(10);
+    expect(first.timer.startedAt).toBe(T);
+    const second = draftSaveTime(first.timer, {}, T + 12 * MIN);
+    expect(second.minutes).toBe(2);
+    expect(draftSaveTime(second.timer, {}, T + 12 * MIN).minutes).toBe(0);
+  });
+
+  it("logs at least a minute on close, and pauses the timer", () => {
+    const { minutes, timer } = draftSaveTime(running(), { close: true }, T + 10000);
+    expect(minutes).toBe(1);
+    expect(timer.startedAt).toBeNull();
+    expect(unloggedMinutes(timer, T + 20 * MIN)).toBe(0);
+  });
+
+  it("doesn't count break time", () => {
+    const { timer } = advanceTimer(running(), DEFAULT_TIMER, T + 27 * MIN);
+    expect(timer.phase).toBe("shortBreak");
+    expect(draftSaveTime(timer, {}, T + 27 * MIN).minutes).toBe(25);
+  });
+});
+
+describe("phaseEndNotice", () => {
+  it("says nothing when no phase ended", () => {
+    expect(phaseEndNotice([])).toBeNull();
+  });
+
+  it("asks for a log at the end of a focus block, unless the editor is open", () => {
+    expect(phaseEndNotice(["work"], { autoOpenLog: true })).toEqual({ message: "Focus block complete — log your session", openLog: true });
+    expect(phaseEndNotice(["work"], { autoOpenLog: false }).openLog).toBe(false);
+    expect(phaseEndNotice(["work", "shortBreak"], { editorOpen: true, autoOpenLog: true }))
+      .toEqual({ message: "Focus block complete — your draft was saved", openLog: false });
+  });
+
+  it("calls the writer back after a break", () => {
+    expect(phaseEndNotice(["shortBreak"], { autoOpenLog: true })).toEqual({ message: "Break over — time to write", openLog: false });
+  });
+});
+
+describe("presetLengths", () => {
+  it("takes only a preset's phase lengths", () => {
+    expect(presetLengths(DEFAULT_TIMER, "deep")).toEqual({ workMinutes: 50, shortBreakMinutes: 10, longBreakMinutes: 30, longBreakEvery: 3 });
+    expect(presetLengths(DEFAULT_TIMER, "missing")).toBeNull();
+  });
+});
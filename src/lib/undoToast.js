@@ -0,0 +1,37 @@
+// ------------------------------
+// Undo toasts
+// ------------------------------
+// Deletes and other destructive actions apply at once and offer an Undo
+// button in a toast for a few seconds. Cleanup that can't be reversed
+// (revision history, autosaved drafts) waits until the undo is no longer
+// offered.
+
+import { toast } from "sonner";
+
+// How long a delete can be undone from its toast.
+export const UNDO_MS = 8000;
+
+/**
+ * A `settle(undone)` that runs `undo` or `commit` the first time it's called
+ * and does nothing after: the toast's button, auto-close and dismiss can all
+ * fire for the same toast.
+ */
+export function settleOnce(undo, commit){
+  let settled = false;
+  return (undone) => {
+    if (settled) return;
+    settled = true;
+    if (undone) undo(); else commit?.();
+  };
+}
+
+/** A toast with an Undo button. `commit` runs once undo is no longer offered. */
+export function toastUndo(message, undo, commit){
+  const settle = settleOnce(undo, commit);
+  toast(message, {
+    duration: UNDO_MS,
+    action: { label: "Undo", onClick: () => settle(true) },
+    onAutoClose: () => settle(false),
+    onDismiss: () => settle(false),
+  });
+}
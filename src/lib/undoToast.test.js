@@ -0,0 +1,27 @@
+import { describe, expect, it, vi } from "vitest";
+import { settleOnce } from "./undoToast";
+
+describe("settleOnce", () => {
+  it("undoes once, however many times the toast reports back", () => {
+    const undo = vi.fn(), commit = vi.fn();
+    const settle = settleOnce(undo, commit);
+    settle(true);
+    settle(false);
+    settle(true);
+    expect(undo).toHaveBeenCalledTimes(1);
+    expect(commit).not.toHaveBeenCalled();
+  });
+
+  it("commits once when the toast closes without an undo", () => {
+    const undo = vi.fn(), commit = vi.fn();
+    const settle = settleOnce(undo, commit);
+    settle(false);
+    settle(false);
+    expect(commit).toHaveBeenCalledTimes(1);
+    expect(undo).not.toHaveBeenCalled();
+  });
+
+  it("works without a commit", () => {
+    expect(() => settleOnce(vi.fn())(false)).not.toThrow();
+  });
+});
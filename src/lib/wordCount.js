@@ -0,0 +1,112 @@
+// ------------------------------
+// Word counting
+// ------------------------------
+// The one place words are counted. Text is Markdown; by default its syntax,
+// HTML tags, comments and link URLs are left out so only prose is counted.
+// Chinese and Japanese are written without spaces, so each Han or kana
+// character counts as a word, as word processors do. Dashes always separate
+// words; hyphenated words count as one or as their parts depending on the
+// user's rules (`settings.wordCount`).
+
+import { markdownToText } from "./markdown";
+
+/**
+ * @typedef {{ hyphenated: 'one'|'parts', excludeMarkup: boolean, excludeComments: boolean,
+ *   excludeBracketed: boolean, countNumbers: boolean, wordsPerMinute: number, cjkCharsPerMinute: number }} CountRules
+ * @typedef {{ words: number, characters: number, charactersNoSpaces: number, sentences: number,
+ *   paragraphs: number, readingMinutes: number }} TextStats
+ */
+
+/** @type {CountRules} */
+export const DEFAULT_COUNT_RULES = {
+  hyphenated: "one",
+  excludeMarkup: true,
+  excludeComments: true,
+  excludeBracketed: false,
+  countNumbers: true,
+  wordsPerMinute: 250,
+  cjkCharsPerMinute: 500,
+};
+
+/** @returns {CountRules} */
+export function countRules(settings){ return { ...DEFAULT_COUNT_RULES, ...(settings?.wordCount || {}) }; }
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]/gu;
+const DASHES = /[‒-―⸺⸻]|-{2,}/g;
+const HYPHEN = /(?<=[\p{L}\p{N}])[-‐‑](?=[\p{L}\p{N}])/gu;
+// HTML comments, Obsidian-style %% comments and CriticMarkup {>> comments <<}.
+const COMMENTS = /<!--[\s\S]*?(?:-->|$)|%%[\s\S]*?(?:%%|$)|\{>>[\s\S]*?<<\}/g;
+// [[notes]] and [notes] that aren't links, images or footnotes.
+const BRACKETED = /\[\[[\s\S]*?\]\]|(?<!!)\[(?!\^)[^\]\n]*\](?![([:])/g;
+const HTML_TAG = /<\/?([a-z][a-z0-9]*)[^<>]*>/gi;
+// Tags that can sit inside a word; any other tag separates words.
+const INLINE_TAGS = new Set(["a", "abbr", "b", "code", "del", "em", "i", "ins", "kbd", "mark", "s", "small", "span", "strong", "sub", "sup", "u"]);
+const SENTENCE_END = /[.!?…‽]+["'”’»)\]]*(?=\s|$)|[。！？]+[」』）]*/gu;
+
+// The text that's counted: prose with excluded parts removed.
+function prose(md, rules){
+  let text = String(md ?? "").replace(/\r\n?/g, "\n");
+  if (rules.excludeComments) text = text.replace(COMMENTS, "");
+  if (rules.excludeBracketed) text = text.replace(BRACKETED, "");
+  if (rules.excludeMarkup) text = markdownToText(text.replace(HTML_TAG, (_, tag) => (INLINE_TAGS.has(tag.toLowerCase()) ? "" : " ")));
+  return text;
+}
+
+function isWord(token, rules){ return /\p{L}/u.test(token) || (rules.countNumbers && /\p{N}/u.test(token)); }
+
+// Words in `text`, with CJK characters counted separately from the rest.
+function tally(text, rules){
+  const cjk = (text.match(CJK) || []).length;
+  let rest = text.replace(CJK, " ").replace(DASHES, " ");
+  if (rules.hyphenated === "parts") rest = rest.replace(HYPHEN, " ");
+  const latin = rest.split(/\s+/).filter(t => t && isWord(t, rules)).length;
+  return { cjk, latin };
+}
+
+/**
+ * Words, characters, sentences, paragraphs and reading time for `md`.
+ * @param {CountRules} [rules]
+ * @returns {TextStats}
+ */
+export function textStats(md, rules = DEFAULT_COUNT_RULES){
+  const text = prose(md, rules);
+  const { cjk, latin } = tally(text, rules);
+  const words = cjk + latin;
+  const hasWords = (t) => { const n = tally(t, rules); return n.cjk + n.latin > 0; };
+  const paragraphs = text.split(/\n[ \t]*\n/).filter(hasWords);
+  const sentences = paragraphs.reduce((n, p) => n + p.split(SENTENCE_END).filter(hasWords).length, 0);
+  const minutes = latin / (rules.wordsPerMinute || DEFAULT_COUNT_RULES.wordsPerMinute)
+    + cjk / (rules.cjkCharsPerMinute || DEFAULT_COUNT_RULES.cjkCharsPerMinute);
+  const chars = [...text.replace(/\n+/g, "")];
+  return {
+    words,
+    characters: chars.length,
+    charactersNoSpaces: chars.filter(c => !/\s/.test(c)).length,
+    sentences,
+    paragraphs: paragraphs.length,
+    readingMinutes: words ? Math.max(1, Math.round(minutes)) : 0,
+  };
+}
+
+// Recently counted texts: the editor recounts every document in the tree on
+// each keystroke, but only the one being edited has changed.
+const cache = new Map();
+const CACHE_SIZE = 200;
+
+/**
+ * Words in `md` under `rules`.
+ * @param {CountRules} [rules]
+ */
+export function countWords(md, rules = DEFAULT_COUNT_RULES){
+  const text = String(md ?? "");
+  if (!text.trim()) return 0;
+  const key = `${rules.hyphenated}|${+rules.excludeMarkup}${+rules.excludeComments}${+rules.excludeBracketed}${+rules.countNumbers}|${text}`;
+  let n = cache.get(key);
+  if (n === undefined) {
+    const { cjk, latin } = tally(prose(text, rules), rules);
+    n = cjk + latin;
+    if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+    cache.set(key, n);
+  }
+  return n;
+}
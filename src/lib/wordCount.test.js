@@ -0,0 +1,150 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_COUNT_RULES, countRules, countWords, textStats } from "./wordCount";
+
+const rules = (patch) => ({ ...DEFAULT_COUNT_RULES, ...patch });
+
+describe("countWords", () => {
+  it("counts plain prose", () => {
+    expect(countWords("The quick brown fox jumps over the lazy dog.")).toBe(9);
+    expect(countWords("  spaced\n\nout \t words  ")).toBe(3);
+  });
+
+  it("is zero for empty or whitespace-only text", () => {
+    expect(countWords("")).toBe(0);
+    expect(countWords("   \n\n  ")).toBe(0);
+    expect(countWords(null)).toBe(0);
+  });
+
+  it("ignores Markdown syntax and link addresses", () => {
+    expect(countWords("# A heading\n\n**Bold** and *italic* text.")).toBe(6);
+    expect(countWords("See [the docs](https://example.com/some/long/path) now.")).toBe(4);
+    expect(countWords("- one\n- two\n- three")).toBe(3);
+    expect(countWords("> quoted words here")).toBe(3);
+    expect(countWords("* * *")).toBe(0);
+  });
+
+  it("ignores HTML tags", () => {
+    expect(countWords("Some <em>emphasised</em> words<br>here")).toBe(4);
+  });
+
+  it("counts markup as typed when asked to", () => {
+    const raw = rules({ excludeMarkup: false });
+    expect(countWords("[link](https://example.com)", raw)).toBe(1);
+    expect(countWords("# Heading", raw)).toBe(1);
+    expect(countWords("a <b>c</b>", raw)).toBe(2);
+  });
+
+  it("drops comments unless told to keep them", () => {
+    const text = "Kept <!-- hidden aside --> words %% private note %% here {>> critic <<}";
+    expect(countWords(text)).toBe(3);
+    expect(countWords(text, rules({ excludeComments: false }))).toBeGreaterThan(3);
+    expect(countWords("Before <!-- unterminated comment")).toBe(1);
+  });
+
+  it("drops bracketed notes only when told to", () => {
+    const text = "She left [TK: check the date] on Monday [[research later]].";
+    expect(countWords(text, rules({ excludeBracketed: true }))).toBe(4);
+    expect(countWords(text)).toBe(10);
+  });
+
+  it("keeps links and footnotes when dropping bracketed notes", () => {
+    const r = rules({ excludeBracketed: true });
+    expect(countWords("A [real link](https://x.y) stays.", r)).toBe(4);
+    expect(countWords("A claim.[^1]\n\n[^1]: The source.", r)).toBe(4);
+  });
+
+  it("splits words joined by dashes", () => {
+    expect(countWords("wait—what")).toBe(2);
+    expect(countWords("pages 10–20")).toBe(3);
+    expect(countWords("well--maybe")).toBe(2);
+    expect(countWords("a — b")).toBe(2);
+  });
+
+  it("counts hyphenated words as one or as parts", () => {
+    expect(countWords("a well-known mother-in-law")).toBe(3);
+    expect(countWords("a well-known mother-in-law", rules({ hyphenated: "parts" }))).toBe(6);
+    expect(countWords("pre- and post-war", rules({ hyphenated: "parts" }))).toBe(4);
+  });
+
+  it("counts each Chinese or Japanese character as a word", () => {
+    expect(countWords("我爱写作")).toBe(4);
+    expect(countWords("私は学生です。")).toBe(6);
+    expect(countWords("コーヒー")).toBe(4);
+    expect(countWords("Hello 世界 again")).toBe(4);
+  });
+
+  it("counts Korean by spaces", () => {
+    expect(countWords("안녕하세요 세계")).toBe(2);
+  });
+
+  it("treats numbers as words unless told not to", () => {
+    expect(countWords("In 1984 there were 3 of them")).toBe(7);
+    expect(countWords("In 1984 there were 3 of them", rules({ countNumbers: false }))).toBe(5);
+  });
+
+  it("doesn't count stray punctuation", () => {
+    expect(countWords("Yes ! No ? & so … on")).toBe(4);
+  });
+
+  it("keeps contractions and apostrophes together", () => {
+    expect(countWords("don't won’t writers' rock 'n' roll")).toBe(6);
+  });
+
+  it("separates results for different rules of the same text", () => {
+    const text = "self-aware";
+    expect(countWords(text)).toBe(1);
+    expect(countWords(text, rules({ hyphenated: "parts" }))).toBe(2);
+    expect(countWords(text)).toBe(1);
+  });
+});
+
+describe("textStats", () => {
+  const sample = "# Title\n\nIt was dark. The wind howled! Was anyone there?\n\nNobody answered.";
+
+  it("reports words, sentences and paragraphs of the prose", () => {
+    const s = textStats(sample);
+    expect(s.words).toBe(12);
+    expect(s.paragraphs).toBe(3);
+    expect(s.sentences).toBe(5);
+  });
+
+  it("counts characters with and without spaces, ignoring markup and line breaks", () => {
+    const s = textStats("**Hi** there\n\nyou");
+    expect(s.characters).toBe("Hi there".length + "you".length);
+    expect(s.charactersNoSpaces).toBe("Hithereyou".length);
+  });
+
+  it("counts astral characters once", () => {
+    expect(textStats("😀 ok").characters).toBe(4);
+  });
+
+  it("ends sentences at CJK full stops", () => {
+    expect(textStats("我爱写作。你呢？").sentences).toBe(2);
+  });
+
+  it("doesn't end sentences inside numbers or abbreviations without a space", () => {
+    expect(textStats("Pi is 3.14 roughly. Next").sentences).toBe(2);
+  });
+
+  it("estimates reading time from the reading speeds", () => {
+    const words = Array.from({ length: 500 }, () => "word").join(" ");
+    expect(textStats(words).readingMinutes).toBe(2);
+    expect(textStats(words, rules({ wordsPerMinute: 100 })).readingMinutes).toBe(5);
+    expect(textStats("just a few").readingMinutes).toBe(1);
+    expect(textStats("").readingMinutes).toBe(0);
+    expect(textStats("字".repeat(1000)).readingMinutes).toBe(2);
+  });
+
+  it("agrees with countWords", () => {
+    for (const text of [sample, "我爱写作 and more", "well-known—really", "<!-- x --> y"]) {
+      expect(textStats(text).words).toBe(countWords(text));
+    }
+  });
+});
+
+describe("countRules", () => {
+  it("fills in defaults for missing settings", () => {
+    expect(countRules(undefined)).toEqual(DEFAULT_COUNT_RULES);
+    expect(countRules({ wordCount: { hyphenated: "parts" } })).toEqual({ ...DEFAULT_COUNT_RULES, hyphenated: "parts" });
+  });
+});
@@ -0,0 +1,115 @@
+// ------------------------------
+// Zip archives
+// ------------------------------
+// Minimal zip writer for the DOCX and EPUB exports, and a reader for DOCX
+// imports. Written entries are stored uncompressed, which both formats accept
+// (EPUB requires it for `mimetype`); read entries are inflated with the
+// browser's DecompressionStream, so neither side needs a deflate library.
+
+/** @typedef {{ name: string, data: string|Uint8Array }} ZipEntry */
+
+let crcTable = null;
+function crc32(bytes){
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields.
+function dosDateTime(d){
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * Builds a zip archive from `entries`, in the given order.
+ * @param {ZipEntry[]} entries
+ * @returns {Uint8Array}
+ */
+export function createZip(entries, now = new Date()){
+  const enc = new TextEncoder();
+  const { time, date } = dosDateTime(now);
+  const files = entries.map(e => {
+    const name = enc.encode(e.name);
+    const data = typeof e.data === "string" ? enc.encode(e.data) : e.data;
+    return { name, data, crc: crc32(data) };
+  });
+
+  const size = files.reduce((s, f) => s + 30 + f.name.length + f.data.length + 46 + f.name.length, 22);
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let at = 0;
+  const u16 = (v) => { view.setUint16(at, v, true); at += 2; };
+  const u32 = (v) => { view.setUint32(at, v, true); at += 4; };
+  const bytes = (b) => { out.set(b, at); at += b.length; };
+
+  // Fields shared by the local and central headers, from "version needed" on.
+  const common = (f) => { u16(20); u16(0x0800); u16(0); u16(time); u16(date); u32(f.crc); u32(f.data.length); u32(f.data.length); u16(f.name.length); u16(0); };
+
+  const offsets = [];
+  for (const f of files) {
+    offsets.push(at);
+    u32(0x04034b50); common(f); bytes(f.name); bytes(f.data);
+  }
+  const centralStart = at;
+  files.forEach((f, i) => {
+    u32(0x02014b50); u16(20); common(f); u16(0); u16(0); u16(0); u32(0); u32(offsets[i]); bytes(f.name);
+  });
+  const centralSize = at - centralStart;
+  u32(0x06054b50); u16(0); u16(0); u16(files.length); u16(files.length); u32(centralSize); u32(centralStart); u16(0);
+  return out;
+}
+
+async function inflateRaw(bytes){
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads a zip archive into a map of entry name → contents. Only stored and
+ * deflated entries are supported, which covers everything Word writes.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<Map<string, Uint8Array>>}
+ */
+export async function readZip(buffer){
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+  }
+  if (end === -1) throw new Error("Not a zip file");
+
+  const dec = new TextDecoder();
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(at, true) !== 0x02014b50) throw new Error("Corrupt zip directory");
+    const method = view.getUint16(at + 10, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const skip = nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = dec.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    at += 46 + skip;
+    if (name.endsWith("/")) continue;
+
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, await inflateRaw(data));
+    else throw new Error(`Unsupported compression in ${name}`);
+  }
+  return entries;
+}
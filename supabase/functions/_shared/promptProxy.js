@@ -0,0 +1,219 @@
+// ------------------------------
+// Writing prompt proxy
+// ------------------------------
+// The server side of AI prompts. The browser never sees the model provider's
+// key: it sends its Supabase session token here, and this handler checks the
+// token, takes one request from the user's rate limits, and only then asks
+// the model for a prompt. Prompts generated for the same model and wording
+// are cached and handed out again to anyone who hasn't seen them recently,
+// so most rolls cost nothing and don't count against the limits. Plain
+// JavaScript on web-standard Request/Response, so the Edge Function (Deno)
+// and the local stand-in (Node) share it unchanged.
+
+/**
+ * @typedef {{ perHour: number, perDay: number }} RateLimits
+ * @typedef {{ id: string|number|null, hour: number, day: number }} Ticket
+ *   `hour` and `day` are the user's requests in the past hour and day before
+ *   this one; `id` is null when either limit was already reached.
+ * @typedef {'cached'|'generated'|'failed'} Outcome
+ * @typedef {{
+ *   take: (userId: string, limits: RateLimits) => Promise<Ticket>,
+ *   settle: (id: string|number, outcome: Outcome) => Promise<void>,
+ *   cached: (key: string, since: string) => Promise<string[]>,
+ *   remember: (key: string, prompt: string) => Promise<void>,
+ * }} ProxyStore
+ *   `take` counts and records a request as one atomic step, so concurrent
+ *   requests can't all slip under a limit; `settle` records how it ended.
+ *   Neither a failed request nor one answered from the cache counts against
+ *   the limits afterwards; stores drop requests older than a day and cached
+ *   prompts older than `since`.
+ * @typedef {{ model: string, messages: { role: string, content: string }[], temperature: number }} CompletionRequest
+ * @typedef {{
+ *   authenticate: (token: string) => Promise<string|null>,
+ *   complete: (request: CompletionRequest) => Promise<string>,
+ *   store: ProxyStore,
+ *   models: string[],
+ *   limits?: RateLimits,
+ *   cacheDays?: number,
+ *   allowedOrigins?: string[],
+ *   now?: () => Date,
+ * }} ProxyOptions
+ *   `authenticate` turns a session token into a user id (null when invalid);
+ *   `models` lists the models callers may ask for, the first being the default;
+ *   `allowedOrigins` are the web app origins browsers may call from.
+ */
+
+export const DEFAULT_LIMITS = { perHour: 30, perDay: 200 };
+export const DEFAULT_SYSTEM_PROMPT = "You suggest writing prompts for a writer. Prompts are concrete, specific and open-ended, and never refer to current events, memes or named works.";
+export const DEFAULT_USER_PROMPT = "Give me exactly one writing prompt of one or two sentences. Reply with the prompt only: no title, preamble or explanation.";
+
+const MAX_WORDING = 1000;
+const MAX_RECENT = 20;
+const HOUR = 3600000;
+
+/**
+ * CORS headers for a request from `origin`: only the app's own origins are
+ * let through, so other sites can't spend a signed-in writer's prompts.
+ */
+export function corsHeaders(origin, allowedOrigins){
+  const headers = {
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    Vary: "Origin",
+  };
+  if (origin && allowedOrigins.includes(origin)) headers["Access-Control-Allow-Origin"] = origin;
+  return headers;
+}
+
+function json(body, status, headers){
+  return new Response(JSON.stringify(body), { status, headers: { ...headers, "Content-Type": "application/json" } });
+}
+
+function text(v, fallback, max){
+  return typeof v === "string" && v.trim() ? v.trim().slice(0, max) : fallback;
+}
+
+/**
+ * Checks a request body, filling in defaults. Wording is capped so the proxy
+ * can't be used as a general-purpose model endpoint.
+ * @returns {{ request?: { model: string, systemPrompt: string, userPrompt: string, temperature: number, recent: string[] }, error?: string }}
+ */
+export function readRequest(body, models){
+  if (!body || typeof body !== "object") return { error: "Expected a JSON body." };
+  const model = body.model ? String(body.model) : models[0];
+  if (!models.includes(model)) return { error: `Model “${model}” isn’t available. Try one of: ${models.join(", ")}.` };
+  const t = Number(body.temperature);
+  return {
+    request: {
+      model,
+      systemPrompt: text(body.systemPrompt, DEFAULT_SYSTEM_PROMPT, MAX_WORDING),
+      userPrompt: text(body.userPrompt, DEFAULT_USER_PROMPT, MAX_WORDING),
+      temperature: Number.isFinite(t) ? Math.min(2, Math.max(0, t)) : 1,
+      recent: (Array.isArray(body.recent) ? body.recent : []).filter(r => typeof r === "string").slice(0, MAX_RECENT).map(r => r.slice(0, 300)),
+    },
+  };
+}
+
+/** Cache key for prompts generated from the same model and wording. */
+export async function cacheKey({ model, systemPrompt, userPrompt }){
+  const bytes = new TextEncoder().encode(JSON.stringify([model, systemPrompt, userPrompt]));
+  const hash = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** A model's reply without the quotes or "Prompt:" label models like to add. */
+export function cleanPrompt(reply){
+  const unquote = (s) => s.trim().replace(/^["“”'](.*)["“”']$/s, "$1").trim();
+  return unquote(unquote(String(reply || "")).replace(/^\**(writing )?prompt\**\s*:\s*\**\s*/i, ""));
+}
+
+/**
+ * Completions from an OpenAI-compatible `/chat/completions` endpoint.
+ * @returns {(request: CompletionRequest) => Promise<string>}
+ */
+export function openAiCompletion({ baseUrl, apiKey, fetch = globalThis.fetch }){
+  return async ({ model, messages, temperature }) => {
+    const res = await fetch(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify({ model, messages, temperature }),
+    });
+    if (!res.ok) throw new Error(`Model provider returned HTTP ${res.status}`);
+    return (await res.json())?.choices?.[0]?.message?.content || "";
+  };
+}
+
+/**
+ * The proxy as a fetch-style handler: POST a JSON body of `{ model?,
+ * systemPrompt?, userPrompt?, temperature?, recent? }` with the caller's
+ * Supabase access token as a bearer token. Answers `{ prompt, cached,
+ * remaining }`, or `{ error }` with 400, 401, 403 (another site's page), 429
+ * (and Retry-After) or 502.
+ * @param {ProxyOptions} options
+ * @returns {(req: Request) => Promise<Response>}
+ */
+export function createPromptHandler({ authenticate, complete, store, models, limits = DEFAULT_LIMITS, cacheDays = 7, allowedOrigins = [], now = () => new Date() }){
+  return async (req) => {
+    const origin = req.headers.get("origin");
+    const cors = corsHeaders(origin, allowedOrigins);
+    const reply = (body, status = 200, headers = {}) => json(body, status, { ...cors, ...headers });
+    if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: cors });
+    if (req.method !== "POST") return reply({ error: "Use POST." }, 405);
+    if (origin && !allowedOrigins.includes(origin)) return reply({ error: "Requests from this site aren’t allowed." }, 403);
+
+    const token = (req.headers.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const userId = token ? await authenticate(token).catch(() => null) : null;
+    if (!userId) return reply({ error: "Sign in to get AI prompts." }, 401);
+
+    let body;
+    try { body = await req.json(); } catch { body = null; }
+    const { request, error } = readRequest(body, models);
+    if (error) return reply({ error }, 400);
+
+    const { id, hour, day } = await store.take(userId, limits);
+    if (id == null) {
+      const hourly = hour >= limits.perHour;
+      const limit = hourly ? `${limits.perHour} AI prompts an hour` : `${limits.perDay} AI prompts a day`;
+      return reply({ error: `You’ve reached the limit of ${limit}.` }, 429, { "Retry-After": String(hourly ? 3600 : 86400) });
+    }
+
+    const key = await cacheKey(request);
+    const seen = new Set(request.recent.map(r => r.trim().toLowerCase()));
+    const pool = (await store.cached(key, new Date(now().getTime() - cacheDays * 24 * HOUR).toISOString()))
+      .filter(p => !seen.has(p.trim().toLowerCase()));
+    if (pool.length) {
+      await store.settle(id, "cached");
+      const remaining = { hour: limits.perHour - hour, day: limits.perDay - day };
+      return reply({ prompt: pool[Math.floor(Math.random() * pool.length)], cached: true, remaining });
+    }
+
+    const avoid = request.recent.length ? `\n\nDon’t repeat or closely resemble any of these:\n${request.recent.map(r => `- ${r}`).join("\n")}` : "";
+    let prompt;
+    try {
+      prompt = cleanPrompt(await complete({
+        model: request.model,
+        messages: [{ role: "system", content: request.systemPrompt }, { role: "user", content: request.userPrompt + avoid }],
+        temperature: request.temperature,
+      }));
+    } catch (err) {
+      console.error("prompt provider error:", err);
+      await store.settle(id, "failed");
+      return reply({ error: "The model provider couldn’t be reached." }, 502);
+    }
+    if (!prompt) {
+      await store.settle(id, "failed");
+      return reply({ error: "The model sent back an empty prompt." }, 502);
+    }
+    await Promise.all([store.settle(id, "generated"), store.remember(key, prompt)]);
+    return reply({ prompt, cached: false, remaining: { hour: limits.perHour - hour - 1, day: limits.perDay - day - 1 } });
+  };
+}
+
+/** A store kept in memory, for the local stand-in and tests. @returns {ProxyStore} */
+export function memoryStore(now = () => new Date()){
+  let requests = [];
+  let cache = [];
+  let nextId = 1;
+  return {
+    // Counting and recording with no await in between keeps this atomic.
+    async take(userId, { perHour, perDay }){
+      const at = now().getTime();
+      requests = requests.filter(r => r.at >= at - 24 * HOUR);
+      const mine = requests.filter(r => r.userId === userId && !r.cached);
+      const hour = mine.filter(r => r.at >= at - HOUR).length, day = mine.length;
+      if (hour >= perHour || day >= perDay) return { id: null, hour, day };
+      const id = nextId++;
+      requests.push({ id, userId, cached: false, at });
+      return { id, hour, day };
+    },
+    async settle(id, outcome){
+      if (outcome === "failed") requests = requests.filter(r => r.id !== id);
+      else if (outcome === "cached") requests = requests.map(r => (r.id === id ? { ...r, cached: true } : r));
+    },
+    async cached(key, since){
+      cache = cache.filter(c => c.at >= since);
+      return cache.filter(c => c.key === key).map(c => c.prompt);
+    },
+    async remember(key, prompt){ cache.push({ key, prompt, at: now().toISOString() }); },
+  };
+}
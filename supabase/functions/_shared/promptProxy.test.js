@@ -0,0 +1,217 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createPromptHandler, memoryStore, openAiCompletion } from "./promptProxy.js";
+
+const START = new Date("2024-05-15T12:00:00.000Z");
+const APP = "https://writers.example.com";
+const HOURS = 3600000;
+
+function setup(options = {}){
+  let time = START.getTime();
+  const clock = { now: () => new Date(time), advance: (ms) => { time += ms; } };
+  const store = options.store || memoryStore(clock.now);
+  let n = 0;
+  const complete = options.complete || vi.fn(async () => `Prompt ${++n}`);
+  const handler = createPromptHandler({
+    authenticate: async (token) => ({ "token-a": "user-a", "token-b": "user-b" })[token] ?? null,
+    complete,
+    store,
+    models: ["model-1", "model-2"],
+    limits: { perHour: 3, perDay: 5 },
+    allowedOrigins: [APP],
+    now: clock.now,
+    ...options.handler,
+  });
+  return { handler, store, complete, clock };
+}
+
+function post(body = {}, { token = "token-a", method = "POST", origin = APP } = {}){
+  return new Request("http://localhost/writing-prompt", {
+    method,
+    headers: { "Content-Type": "application/json", Origin: origin, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: method === "POST" ? JSON.stringify(body) : undefined,
+  });
+}
+
+// A fresh wording each time, so every request misses the cache.
+let wording = 0;
+const fresh = () => ({ userPrompt: `Give me a prompt (${++wording})` });
+
+afterEach(() => { vi.restoreAllMocks(); });
+
+describe("authentication", () => {
+  it("turns away requests without a token", async () => {
+    const { handler, complete } = setup();
+    const res = await handler(post({}, { token: null }));
+    expect(res.status).toBe(401);
+    expect(await res.json()).toEqual({ error: "Sign in to get AI prompts." });
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  it("turns away tokens that don't belong to a user", async () => {
+    const { handler } = setup();
+    expect((await handler(post({}, { token: "forged" }))).status).toBe(401);
+  });
+
+  it("turns away requests when the token check itself fails", async () => {
+    const { handler, complete } = setup({ handler: { authenticate: async () => { throw new Error("auth down"); } } });
+    expect((await handler(post())).status).toBe(401);
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  it("answers preflight and rejects other methods", async () => {
+    const { handler } = setup();
+    const preflight = await handler(post({}, { method: "OPTIONS" }));
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get("Access-Control-Allow-Origin")).toBe(APP);
+    expect((await handler(post({}, { method: "GET" }))).status).toBe(405);
+  });
+
+  it("only serves pages on the app's own origin", async () => {
+    const { handler, complete } = setup();
+    expect((await handler(post(fresh()))).headers.get("Access-Control-Allow-Origin")).toBe(APP);
+    const preflight = await handler(post({}, { method: "OPTIONS", origin: "https://evil.example" }));
+    expect(preflight.headers.get("Access-Control-Allow-Origin")).toBeNull();
+    const res = await handler(post(fresh(), { origin: "https://evil.example" }));
+    expect(res.status).toBe(403);
+    expect(res.headers.get("Access-Control-Allow-Origin")).toBeNull();
+    expect(complete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("requests", () => {
+  it("asks the model and reports what's left", async () => {
+    const { handler, complete } = setup();
+    const res = await handler(post({ ...fresh(), model: "model-2", temperature: 5 }));
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ prompt: "Prompt 1", cached: false, remaining: { hour: 2, day: 4 } });
+    expect(complete).toHaveBeenCalledWith(expect.objectContaining({ model: "model-2", temperature: 2 }));
+  });
+
+  it("rejects models it doesn't offer without using up the limit", async () => {
+    const { handler } = setup();
+    const res = await handler(post({ model: "expensive" }));
+    expect(res.status).toBe(400);
+    expect((await (await handler(post(fresh()))).json()).remaining.hour).toBe(2);
+  });
+
+  it("hands out cached prompts the caller hasn't seen", async () => {
+    const { handler, complete } = setup();
+    const body = { userPrompt: "Something about the sea" };
+    const first = await (await handler(post(body))).json();
+    const second = await (await handler(post(body))).json();
+    expect(second).toMatchObject({ prompt: first.prompt, cached: true });
+    const third = await (await handler(post({ ...body, recent: [first.prompt] }))).json();
+    expect(third).toMatchObject({ prompt: "Prompt 2", cached: false });
+    expect(complete).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("rate limits", () => {
+  it("stops a user at the hourly limit", async () => {
+    const { handler } = setup();
+    for (let i = 0; i < 3; i++) expect((await handler(post(fresh()))).status).toBe(200);
+    const res = await handler(post(fresh()));
+    expect(res.status).toBe(429);
+    expect(res.headers.get("Retry-After")).toBe("3600");
+    expect((await res.json()).error).toMatch(/3 AI prompts an hour/);
+  });
+
+  it("doesn't count prompts handed out from the cache", async () => {
+    const { handler, complete } = setup();
+    const body = { userPrompt: "Same wording" };
+    expect((await (await handler(post(body))).json()).remaining).toEqual({ hour: 2, day: 4 });
+    for (let i = 0; i < 5; i++) {
+      expect(await (await handler(post(body))).json()).toMatchObject({ cached: true, remaining: { hour: 2, day: 4 } });
+    }
+    expect((await (await handler(post(fresh()))).json()).remaining).toEqual({ hour: 1, day: 3 });
+    expect(complete).toHaveBeenCalledTimes(2);
+  });
+
+  it("counts each user separately", async () => {
+    const { handler } = setup();
+    for (let i = 0; i < 3; i++) await handler(post(fresh()));
+    expect((await handler(post(fresh()))).status).toBe(429);
+    expect((await handler(post(fresh(), { token: "token-b" }))).status).toBe(200);
+  });
+
+  it("lets requests through again once the hour has passed", async () => {
+    const { handler, clock } = setup();
+    for (let i = 0; i < 3; i++) await handler(post(fresh()));
+    clock.advance(59 * 60000);
+    expect((await handler(post(fresh()))).status).toBe(429);
+    clock.advance(61 * 1000);
+    expect((await handler(post(fresh()))).status).toBe(200);
+  });
+
+  it("stops a user at the daily limit", async () => {
+    const { handler, clock } = setup();
+    for (let i = 0; i < 5; i++) {
+      expect((await handler(post(fresh()))).status).toBe(200);
+      clock.advance(61 * 60000);
+    }
+    const res = await handler(post(fresh()));
+    expect(res.status).toBe(429);
+    expect(res.headers.get("Retry-After")).toBe("86400");
+    clock.advance(24 * 3600000);
+    expect((await handler(post(fresh()))).status).toBe(200);
+  });
+
+  it("doesn't let concurrent requests slip past the limit", async () => {
+    const slow = vi.fn(() => new Promise((resolve) => setTimeout(() => resolve("A slow prompt"), 5)));
+    const { handler } = setup({ complete: slow });
+    const results = await Promise.all(Array.from({ length: 10 }, () => handler(post(fresh()))));
+    const statuses = results.map(r => r.status);
+    expect(statuses.filter(s => s === 200)).toHaveLength(3);
+    expect(statuses.filter(s => s === 429)).toHaveLength(7);
+    expect(slow).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("memoryStore", () => {
+  it("forgets requests after a day and cached prompts past the cache window", async () => {
+    const { handler, clock } = setup();
+    const body = { userPrompt: "Kept a while" };
+    await handler(post(body));
+    clock.advance(8 * 24 * HOURS);
+    expect(await (await handler(post(body))).json()).toEqual({ prompt: "Prompt 2", cached: false, remaining: { hour: 2, day: 4 } });
+  });
+});
+
+describe("upstream failures", () => {
+  it("answers 502 when the provider fails, without using up the limit", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const { handler } = setup({ complete: async () => { throw new Error("provider down"); } });
+    for (let i = 0; i < 5; i++) {
+      const res = await handler(post(fresh()));
+      expect(res.status).toBe(502);
+      expect(await res.json()).toEqual({ error: "The model provider couldn’t be reached." });
+    }
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it("answers 502 for an empty reply and doesn't cache it", async () => {
+    const replies = ["  \"\"  ", "A real prompt"];
+    const { handler } = setup({ complete: async () => replies.shift() });
+    const body = { userPrompt: "Empty first" };
+    const res = await handler(post(body));
+    expect(res.status).toBe(502);
+    expect(await res.json()).toEqual({ error: "The model sent back an empty prompt." });
+    expect(await (await handler(post(body))).json()).toMatchObject({ prompt: "A real prompt", cached: false, remaining: { hour: 2 } });
+  });
+
+  it("maps provider HTTP errors to a 502", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const fetch = vi.fn(async () => new Response("overloaded", { status: 503 }));
+    const { handler } = setup({ complete: openAiCompletion({ baseUrl: "https://llm.example/v1/", apiKey: "secret", fetch }) });
+    expect((await handler(post(fresh()))).status).toBe(502);
+    expect(fetch).toHaveBeenCalledWith("https://llm.example/v1/chat/completions", expect.objectContaining({
+      headers: expect.objectContaining({ Authorization: "Bearer secret" }),
+    }));
+  });
+
+  it("cleans up a provider's reply", async () => {
+    const fetch = vi.fn(async () => Response.json({ choices: [{ message: { content: "**Prompt:** \"Write about a door.\"" } }] }));
+    const { handler } = setup({ complete: openAiCompletion({ baseUrl: "https://llm.example/v1", fetch }) });
+    expect((await (await handler(post(fresh()))).json()).prompt).toBe("Write about a door.");
+  });
+});
@@ -0,0 +1,78 @@
+// ------------------------------
+// writing-prompt Edge Function
+// ------------------------------
+// Deploy with `supabase functions deploy writing-prompt` after setting the
+// provider's secrets, which never leave the server:
+//
+//   supabase secrets set LLM_API_KEY=sk-... \
+//     LLM_BASE_URL=https://api.openai.com/v1 LLM_MODELS=gpt-5,gpt-5-mini \
+//     PROMPT_LIMIT_PER_HOUR=30 PROMPT_LIMIT_PER_DAY=200 \
+//     ALLOWED_ORIGIN=https://writers.example.com
+//
+// ALLOWED_ORIGIN is the web app's origin (comma-separated for several);
+// browsers on any other site are refused.
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are provided by the platform.
+// Rate-limit and cache rows live in tables only the service role can reach
+// (see the prompt_proxy, prompt_rate_limit and prompt_cleanup migrations).
+
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { DEFAULT_LIMITS, corsHeaders, createPromptHandler, openAiCompletion } from "../_shared/promptProxy.js";
+
+const env = (name: string, fallback = "") => Deno.env.get(name) || fallback;
+const limit = (name: string, fallback: number) => Number(env(name)) || fallback;
+const allowedOrigins = env("ALLOWED_ORIGIN").split(",").map((o) => o.trim()).filter(Boolean);
+
+const admin = createClient(env("SUPABASE_URL"), env("SUPABASE_SERVICE_ROLE_KEY"), {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+async function check<T>(query: PromiseLike<{ data: T; error: { message: string } | null; count?: number | null }>) {
+  const result = await query;
+  if (result.error) throw new Error(result.error.message);
+  return result;
+}
+
+const handler = createPromptHandler({
+  async authenticate(token: string) {
+    const { data, error } = await admin.auth.getUser(token);
+    return error ? null : data.user?.id ?? null;
+  },
+  complete: openAiCompletion({ baseUrl: env("LLM_BASE_URL", "https://api.openai.com/v1"), apiKey: env("LLM_API_KEY") }),
+  models: env("LLM_MODELS", "gpt-5").split(",").map((m) => m.trim()).filter(Boolean),
+  limits: {
+    perHour: limit("PROMPT_LIMIT_PER_HOUR", DEFAULT_LIMITS.perHour),
+    perDay: limit("PROMPT_LIMIT_PER_DAY", DEFAULT_LIMITS.perDay),
+  },
+  allowedOrigins,
+  store: {
+    async take(userId: string, { perHour, perDay }: { perHour: number; perDay: number }) {
+      const { data } = await check(admin.rpc("take_prompt_request", { p_user_id: userId, p_per_hour: perHour, p_per_day: perDay }));
+      const row = (data as { id: number | null; hour_count: number; day_count: number }[])[0];
+      return { id: row.id, hour: row.hour_count, day: row.day_count };
+    },
+    async settle(id: number, outcome: "cached" | "generated" | "failed") {
+      if (outcome === "failed") await check(admin.from("prompt_requests").delete().eq("id", id));
+      else if (outcome === "cached") await check(admin.from("prompt_requests").update({ cached: true }).eq("id", id));
+    },
+    async cached(key: string, since: string) {
+      const { data } = await check(admin.from("prompt_cache").select("prompt")
+        .eq("key", key).gte("created_at", since).order("created_at", { ascending: false }).limit(200));
+      return (data ?? []).map((r: { prompt: string }) => r.prompt);
+    },
+    async remember(key: string, prompt: string) {
+      await check(admin.from("prompt_cache").insert({ key, prompt }));
+    },
+  },
+});
+
+Deno.serve(async (req) => {
+  try {
+    return await handler(req);
+  } catch (err) {
+    console.error("writing-prompt error:", err);
+    return new Response(JSON.stringify({ error: "Something went wrong." }), {
+      status: 500,
+      headers: { ...corsHeaders(req.headers.get("origin"), allowedOrigins), "Content-Type": "application/json" },
+    });
+  }
+});
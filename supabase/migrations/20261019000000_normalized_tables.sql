@@ -0,0 +1,96 @@
+-- Normalized per-user tables replacing the single app_state.data JSON row.
+--
+-- Record ids are generated on the client, so rows are keyed by (user_id, id).
+-- `updated_at` is the client's edit stamp used for merging; `synced_at` is set
+-- by the server on every write and lets clients pull only what changed.
+-- Deleted records keep their row with `deleted_at` set (a tombstone).
+-- Fields without a dedicated column round-trip through `extra`.
+
+create or replace function public.touch_synced_at()
+returns trigger language plpgsql as $$
+begin
+  new.synced_at := clock_timestamp();
+  return new;
+end;
+$$;
+
+create table if not exists public.projects (
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  id text not null,
+  title text,
+  description text,
+  target_words integer,
+  deadline date,
+  status text check (status in ('Drafting', 'Editing', 'Complete')),
+  archived boolean not null default false,
+  draft text,
+  last_word_count integer,
+  last_word_date date,
+  extra jsonb not null default '{}'::jsonb,
+  created_at timestamptz,
+  updated_at timestamptz,
+  deleted_at timestamptz,
+  synced_at timestamptz not null default clock_timestamp(),
+  primary key (user_id, id)
+);
+
+create table if not exists public.sessions (
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  id text not null,
+  project_id text,
+  date date,
+  minutes integer not null default 0,
+  words integer not null default 0,
+  notes text,
+  extra jsonb not null default '{}'::jsonb,
+  updated_at timestamptz,
+  deleted_at timestamptz,
+  synced_at timestamptz not null default clock_timestamp(),
+  primary key (user_id, id)
+);
+
+create table if not exists public.ideas (
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  id text not null,
+  text text,
+  tags text[] not null default '{}',
+  project_id text,
+  pinned boolean not null default false,
+  extra jsonb not null default '{}'::jsonb,
+  created_at timestamptz,
+  updated_at timestamptz,
+  deleted_at timestamptz,
+  synced_at timestamptz not null default clock_timestamp(),
+  primary key (user_id, id)
+);
+
+create table if not exists public.settings (
+  user_id uuid primary key references auth.users (id) on delete cascade default auth.uid(),
+  data jsonb not null default '{}'::jsonb,
+  updated_at timestamptz,
+  migrated_at timestamptz,
+  synced_at timestamptz not null default clock_timestamp()
+);
+
+create index if not exists projects_user_synced_idx on public.projects (user_id, synced_at);
+create index if not exists sessions_user_synced_idx on public.sessions (user_id, synced_at);
+create index if not exists sessions_user_date_idx on public.sessions (user_id, date) where deleted_at is null;
+create index if not exists ideas_user_synced_idx on public.ideas (user_id, synced_at);
+
+do $$
+declare t text;
+begin
+  foreach t in array array['projects', 'sessions', 'ideas', 'settings'] loop
+    execute format('drop trigger if exists %1$s_synced_at on public.%1$I', t);
+    execute format('create trigger %1$s_synced_at before insert or update on public.%1$I
+                    for each row execute function public.touch_synced_at()', t);
+
+    execute format('alter table public.%I enable row level security', t);
+    execute format('drop policy if exists "%1$s are private" on public.%1$I', t);
+    execute format('create policy "%1$s are private" on public.%1$I
+                    for all to authenticated
+                    using (user_id = auth.uid())
+                    with check (user_id = auth.uid())', t);
+  end loop;
+end;
+$$;
@@ -0,0 +1,40 @@
+-- Manuscript documents: each project holds a tree of parts, chapters and
+-- scenes (`parent_id` within the same project, ordered by `sort_order`).
+-- Replaces the single `projects.draft` column; clients move existing drafts
+-- into a first document, so the column is left in place for older clients.
+
+create table if not exists public.documents (
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  id text not null,
+  project_id text,
+  parent_id text,
+  kind text check (kind in ('part', 'chapter', 'scene')),
+  title text,
+  text text,
+  sort_order double precision not null default 0,
+  status text check (status in ('Todo', 'Drafting', 'Revising', 'Done')),
+  target_words integer,
+  notes text,
+  last_word_count integer,
+  last_word_date date,
+  extra jsonb not null default '{}'::jsonb,
+  created_at timestamptz,
+  updated_at timestamptz,
+  deleted_at timestamptz,
+  synced_at timestamptz not null default clock_timestamp(),
+  primary key (user_id, id)
+);
+
+create index if not exists documents_user_synced_idx on public.documents (user_id, synced_at);
+create index if not exists documents_user_project_idx on public.documents (user_id, project_id) where deleted_at is null;
+
+drop trigger if exists documents_synced_at on public.documents;
+create trigger documents_synced_at before insert or update on public.documents
+  for each row execute function public.touch_synced_at();
+
+alter table public.documents enable row level security;
+drop policy if exists "documents are private" on public.documents;
+create policy "documents are private" on public.documents
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
@@ -0,0 +1,25 @@
+-- Bookkeeping for the writing-prompt Edge Function: one row per AI prompt
+-- request (for per-user rate limits) and the prompts generated so far (so
+-- they can be handed out again). Row level security is on with no policies,
+-- so only the function's service role can read or write either table.
+
+create table if not exists public.prompt_requests (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  cached boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists prompt_requests_user_created_idx on public.prompt_requests (user_id, created_at);
+
+create table if not exists public.prompt_cache (
+  id bigint generated always as identity primary key,
+  key text not null,
+  prompt text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists prompt_cache_key_created_idx on public.prompt_cache (key, created_at);
+
+alter table public.prompt_requests enable row level security;
+alter table public.prompt_cache enable row level security;
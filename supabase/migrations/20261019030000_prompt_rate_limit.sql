@@ -0,0 +1,31 @@
+-- Atomic rate limiting for the writing-prompt Edge Function. Counting a
+-- user's recent requests and recording a new one happen in one call, under a
+-- per-user lock, so concurrent requests can't all pass the same count.
+-- Returns the counts before this request, and a null id when a limit was
+-- already reached.
+
+create or replace function public.take_prompt_request(p_user_id uuid, p_per_hour integer, p_per_day integer)
+returns table (id bigint, hour_count integer, day_count integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_hour integer;
+  v_day integer;
+  v_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtextextended('prompt_requests:' || p_user_id::text, 0));
+  select count(*) filter (where r.created_at >= now() - interval '1 hour'), count(*)
+    into v_hour, v_day
+    from public.prompt_requests r
+    where r.user_id = p_user_id and r.created_at >= now() - interval '1 day';
+  if v_hour < p_per_hour and v_day < p_per_day then
+    insert into public.prompt_requests (user_id) values (p_user_id) returning prompt_requests.id into v_id;
+  end if;
+  return query select v_id, v_hour, v_day;
+end;
+$$;
+
+revoke all on function public.take_prompt_request(uuid, integer, integer) from public, anon, authenticated;
+grant execute on function public.take_prompt_request(uuid, integer, integer) to service_role;
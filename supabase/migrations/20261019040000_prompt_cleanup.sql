@@ -0,0 +1,55 @@
+-- Keeps the writing-prompt tables from growing without end, and stops
+-- prompts handed out from the cache counting against a user's limits.
+--
+-- Request rows only matter for the past day's counts, so each new request
+-- clears out the ones older than that. Cached prompts older than the
+-- function's cache window (cacheDays, 7 by default) are never handed out
+-- again, so each newly cached prompt clears those out.
+
+create index if not exists prompt_requests_created_idx on public.prompt_requests (created_at);
+create index if not exists prompt_cache_created_idx on public.prompt_cache (created_at);
+
+create or replace function public.take_prompt_request(p_user_id uuid, p_per_hour integer, p_per_day integer)
+returns table (id bigint, hour_count integer, day_count integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_hour integer;
+  v_day integer;
+  v_id bigint;
+begin
+  delete from public.prompt_requests r where r.created_at < now() - interval '1 day';
+  perform pg_advisory_xact_lock(hashtextextended('prompt_requests:' || p_user_id::text, 0));
+  select count(*) filter (where r.created_at >= now() - interval '1 hour'), count(*)
+    into v_hour, v_day
+    from public.prompt_requests r
+    where r.user_id = p_user_id and r.created_at >= now() - interval '1 day' and not r.cached;
+  if v_hour < p_per_hour and v_day < p_per_day then
+    insert into public.prompt_requests (user_id) values (p_user_id) returning prompt_requests.id into v_id;
+  end if;
+  return query select v_id, v_hour, v_day;
+end;
+$$;
+
+revoke all on function public.take_prompt_request(uuid, integer, integer) from public, anon, authenticated;
+grant execute on function public.take_prompt_request(uuid, integer, integer) to service_role;
+
+create or replace function public.prune_prompt_cache()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.prompt_cache c where c.created_at < now() - interval '7 days';
+  return null;
+end;
+$$;
+
+revoke all on function public.prune_prompt_cache() from public, anon, authenticated;
+
+drop trigger if exists prompt_cache_prune on public.prompt_cache;
+create trigger prompt_cache_prune after insert on public.prompt_cache
+  for each statement execute function public.prune_prompt_cache();